@@ -0,0 +1,36 @@
+using DevQualX.Domain.Data;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Notifications;
+
+/// <summary>
+/// Marks notifications the authenticated user has read as read on the server.
+/// </summary>
+public class AcknowledgeUserNotifications(IUserNotificationRepository userNotificationRepository) : IAcknowledgeUserNotifications
+{
+    private const int MaxIds = 1000; // notifications.js keeps at most 1000 notifications
+
+    /// <inheritdoc />
+    public async Task<Result<Unit, Error>> ExecuteAsync(
+        long gitHubUserId,
+        IReadOnlyCollection<long> ids,
+        CancellationToken cancellationToken = default)
+    {
+        // Validate IDs
+        if (ids.Count > MaxIds)
+        {
+            return new BadRequestError
+            {
+                Message = $"Cannot acknowledge {ids.Count} notifications at once (maximum {MaxIds})",
+                Parameter = nameof(ids)
+            };
+        }
+
+        if (ids.Count == 0)
+        {
+            return Unit.Default;
+        }
+
+        return await userNotificationRepository.MarkReadAsync(gitHubUserId, ids.Distinct().ToList(), cancellationToken);
+    }
+}
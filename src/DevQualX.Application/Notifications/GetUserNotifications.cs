@@ -0,0 +1,38 @@
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Notifications;
+
+/// <summary>
+/// Gets the notifications raised for the authenticated user in an organization.
+/// </summary>
+public class GetUserNotifications(IUserNotificationRepository userNotificationRepository) : IGetUserNotifications
+{
+    private const int PageSize = 50; // The next poll picks up from the last one returned
+
+    /// <inheritdoc />
+    public async Task<Result<IReadOnlyList<UserNotification>, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        long afterId,
+        CancellationToken cancellationToken = default)
+    {
+        // Validate cursor
+        if (afterId < 0)
+        {
+            return new BadRequestError
+            {
+                Message = "Cursor must not be negative",
+                Parameter = nameof(afterId)
+            };
+        }
+
+        return await userNotificationRepository.GetAfterAsync(
+            gitHubUserId,
+            gitHubInstallationId,
+            afterId,
+            PageSize,
+            cancellationToken);
+    }
+}
@@ -0,0 +1,22 @@
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Notifications;
+
+/// <summary>
+/// Marks notifications the authenticated user has read in the browser as read on the server,
+/// so other devices' feeds deliver them as read.
+/// </summary>
+public interface IAcknowledgeUserNotifications
+{
+    /// <summary>
+    /// Marks the user's notifications as read; IDs that aren't the user's are ignored.
+    /// </summary>
+    /// <param name="gitHubUserId">The user's GitHub user ID.</param>
+    /// <param name="ids">The IDs of the notifications read.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Success, or failure with error.</returns>
+    Task<Result<Unit, Error>> ExecuteAsync(
+        long gitHubUserId,
+        IReadOnlyCollection<long> ids,
+        CancellationToken cancellationToken = default);
+}
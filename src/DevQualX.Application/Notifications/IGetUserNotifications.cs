@@ -0,0 +1,25 @@
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Notifications;
+
+/// <summary>
+/// Gets the notifications raised for the authenticated user in an organization.
+/// Polled by the browser's notification feed (notifications.js) to fill the notification tray.
+/// </summary>
+public interface IGetUserNotifications
+{
+    /// <summary>
+    /// Retrieves the user's notifications after a cursor, oldest first and at most one page of them.
+    /// </summary>
+    /// <param name="gitHubUserId">The user's GitHub user ID.</param>
+    /// <param name="gitHubInstallationId">The selected GitHub App installation ID.</param>
+    /// <param name="afterId">The ID of the last notification received, or 0 for the first poll.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Success with the notifications, or failure with error.</returns>
+    Task<Result<IReadOnlyList<UserNotification>, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        long afterId,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,31 @@
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Notifications;
+
+/// <summary>
+/// Raises a notification for a user in an organization, shown in their notification tray
+/// the next time their browser polls the notification feed.
+/// </summary>
+public interface INotifyUser
+{
+    /// <summary>
+    /// Stores a notification for the user.
+    /// </summary>
+    /// <param name="gitHubUserId">The GitHub user ID to notify.</param>
+    /// <param name="gitHubInstallationId">The GitHub App installation the notification belongs to.</param>
+    /// <param name="title">The notification title.</param>
+    /// <param name="message">The notification message.</param>
+    /// <param name="level">A notifications.js level: primary, secondary, success, danger, warning or info.</param>
+    /// <param name="href">An optional link the notification opens.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Success with the stored notification, or failure with error.</returns>
+    Task<Result<UserNotification, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string title,
+        string message,
+        string level,
+        string? href = null,
+        CancellationToken cancellationToken = default);
+}
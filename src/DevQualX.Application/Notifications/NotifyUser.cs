@@ -0,0 +1,67 @@
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Notifications;
+
+/// <summary>
+/// Raises a notification for a user in an organization.
+/// </summary>
+public class NotifyUser(IUserNotificationRepository userNotificationRepository) : INotifyUser
+{
+    private const int MaxTitleLength = 200;
+    private const int MaxMessageLength = 2000;
+
+    // The levels notifications.js renders; anything else would be shown as info
+    private static readonly HashSet<string> Levels = ["primary", "secondary", "success", "danger", "warning", "info"];
+
+    /// <inheritdoc />
+    public async Task<Result<UserNotification, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string title,
+        string message,
+        string level,
+        string? href = null,
+        CancellationToken cancellationToken = default)
+    {
+        // Validate title
+        if (string.IsNullOrWhiteSpace(title) || title.Length > MaxTitleLength)
+        {
+            return new ValidationError
+            {
+                Message = $"Notification title must be between 1 and {MaxTitleLength} characters",
+                Code = "INVALID_NOTIFICATION_TITLE"
+            };
+        }
+
+        // Validate message
+        if (message.Length > MaxMessageLength)
+        {
+            return new ValidationError
+            {
+                Message = $"Notification message of {message.Length} characters exceeds maximum of {MaxMessageLength}",
+                Code = "INVALID_NOTIFICATION_MESSAGE"
+            };
+        }
+
+        // Validate level
+        if (!Levels.Contains(level))
+        {
+            return new ValidationError
+            {
+                Message = $"Notification level '{level}' is not one of {string.Join(", ", Levels)}",
+                Code = "INVALID_NOTIFICATION_LEVEL"
+            };
+        }
+
+        return await userNotificationRepository.AddAsync(
+            gitHubUserId,
+            gitHubInstallationId,
+            title,
+            message,
+            level,
+            href,
+            cancellationToken);
+    }
+}
@@ -0,0 +1,28 @@
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Preferences;
+
+/// <summary>
+/// Gets the authenticated user's client preferences for an organization.
+/// </summary>
+public class GetUserPreferences(IUserPreferencesRepository userPreferencesRepository) : IGetUserPreferences
+{
+    /// <inheritdoc />
+    public async Task<Result<UserPreferences, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        CancellationToken cancellationToken = default)
+    {
+        var result = await userPreferencesRepository.GetAsync(gitHubUserId, gitHubInstallationId, cancellationToken);
+
+        // Nothing saved yet: start from an empty document the first save can create
+        if (result is Failure<UserPreferences, Error> { Error: NotFoundError })
+        {
+            return new UserPreferences(gitHubUserId, gitHubInstallationId, "{}", 0, DateTimeOffset.MinValue);
+        }
+
+        return result;
+    }
+}
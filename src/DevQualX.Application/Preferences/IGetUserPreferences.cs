@@ -0,0 +1,23 @@
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Preferences;
+
+/// <summary>
+/// Gets the authenticated user's client preferences for an organization.
+/// Used by the browser to sync theme, notification and sidebar settings between machines.
+/// </summary>
+public interface IGetUserPreferences
+{
+    /// <summary>
+    /// Retrieves the user's preferences, or an empty document at version 0 when none are stored.
+    /// </summary>
+    /// <param name="gitHubUserId">The user's GitHub user ID.</param>
+    /// <param name="gitHubInstallationId">The selected GitHub App installation ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Success with the preferences, or failure with error.</returns>
+    Task<Result<UserPreferences, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,27 @@
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Preferences;
+
+/// <summary>
+/// Saves the authenticated user's client preferences for an organization.
+/// Uses optimistic concurrency: the browser merges and retries when another client saved first.
+/// </summary>
+public interface ISaveUserPreferences
+{
+    /// <summary>
+    /// Saves the preferences document if the stored version still matches.
+    /// </summary>
+    /// <param name="gitHubUserId">The user's GitHub user ID.</param>
+    /// <param name="gitHubInstallationId">The selected GitHub App installation ID.</param>
+    /// <param name="document">The preferences as a JSON object.</param>
+    /// <param name="expectedVersion">The version the document was based on (0 when none was stored).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Success with the saved preferences, or failure with a conflict or validation error.</returns>
+    Task<Result<UserPreferences, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string document,
+        int expectedVersion,
+        CancellationToken cancellationToken = default);
+}
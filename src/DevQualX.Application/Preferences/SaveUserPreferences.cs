@@ -0,0 +1,77 @@
+using System.Text.Json;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Preferences;
+
+/// <summary>
+/// Saves the authenticated user's client preferences for an organization.
+/// </summary>
+public class SaveUserPreferences(IUserPreferencesRepository userPreferencesRepository) : ISaveUserPreferences
+{
+    private const int MaxDocumentLength = 256 * 1024; // Notification history dominates; retention caps it well below this
+
+    /// <inheritdoc />
+    public async Task<Result<UserPreferences, Error>> ExecuteAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string document,
+        int expectedVersion,
+        CancellationToken cancellationToken = default)
+    {
+        // Validate version
+        if (expectedVersion < 0)
+        {
+            return new BadRequestError
+            {
+                Message = "Expected version must not be negative",
+                Parameter = nameof(expectedVersion)
+            };
+        }
+
+        // Validate document size
+        if (document.Length > MaxDocumentLength)
+        {
+            return new ValidationError
+            {
+                Message = $"Preferences document of {document.Length} characters exceeds maximum of {MaxDocumentLength}",
+                Code = "PREFERENCES_TOO_LARGE"
+            };
+        }
+
+        // Validate document shape
+        if (!IsJsonObject(document))
+        {
+            return new ValidationError
+            {
+                Message = "Preferences document must be a JSON object",
+                Code = "INVALID_PREFERENCES",
+                Errors = new Dictionary<string, string[]>
+                {
+                    ["Document"] = ["Expected a JSON object"]
+                }
+            };
+        }
+
+        return await userPreferencesRepository.SaveAsync(
+            gitHubUserId,
+            gitHubInstallationId,
+            document,
+            expectedVersion,
+            cancellationToken);
+    }
+
+    private static bool IsJsonObject(string document)
+    {
+        try
+        {
+            using var json = JsonDocument.Parse(document);
+            return json.RootElement.ValueKind == JsonValueKind.Object;
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,132 @@
+using System.IO.Compression;
+using System.Security.Cryptography;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Completes a chunked report upload and hands the report to <see cref="IUploadReport"/>.
+/// </summary>
+public class CompleteReportUpload(
+    IReportUploadStagingStore stagingStore,
+    IReportUploadRepository reportUploadRepository,
+    IUploadReport uploadReport,
+    ILogger<CompleteReportUpload> logger) : ICompleteReportUpload
+{
+    /// <inheritdoc />
+    public async Task<Result<ReportMetadata, Error>> ExecuteAsync(
+        long userId,
+        string uploadId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            // Completed already, perhaps long enough ago that its staged session has been purged
+            var completed = await reportUploadRepository.GetAsync(uploadId, userId, cancellationToken);
+            if (completed is not Failure<ReportMetadata, Error> { Error: NotFoundError })
+            {
+                return completed;
+            }
+
+            var session = await stagingStore.GetSessionAsync(uploadId, cancellationToken);
+            if (session is null || session.UserId != userId)
+            {
+                return new NotFoundError
+                {
+                    Message = $"Upload {uploadId} not found",
+                    ResourceType = "ReportUpload",
+                    ResourceId = uploadId
+                };
+            }
+
+            // A retried or duplicate request waits for the one in progress, then finds its report
+            await using var sessionLock = await stagingStore.LockAsync(uploadId, cancellationToken);
+            completed = await reportUploadRepository.GetAsync(uploadId, userId, cancellationToken);
+            if (completed is not Failure<ReportMetadata, Error> { Error: NotFoundError })
+            {
+                return completed;
+            }
+
+            var missing = session.ChunkCount - session.ReceivedChunks.Count;
+            if (missing > 0)
+            {
+                return new ConflictError
+                {
+                    Message = $"{missing} of {session.ChunkCount} chunks have not been received",
+                    Code = "UPLOAD_INCOMPLETE"
+                };
+            }
+
+            await using var content = await stagingStore.OpenContentAsync(uploadId, cancellationToken);
+
+            // Verify checksum: a corrupted chunk can't be told apart from the others, so the whole file is sent again
+            var checksum = Convert.ToHexStringLower(await SHA256.HashDataAsync(content, cancellationToken));
+            if (checksum != session.Sha256)
+            {
+                await stagingStore.DeleteChunksAsync(uploadId, cancellationToken);
+                logger.LogWarning(
+                    "Report upload {UploadId} checksum mismatch: expected {Expected}, got {Actual}",
+                    uploadId, session.Sha256, checksum);
+                return new ValidationError
+                {
+                    Message = "The uploaded content does not match its SHA-256 checksum",
+                    Code = "CHECKSUM_MISMATCH"
+                };
+            }
+
+            // Blob storage expects Brotli-compressed content, as sent to POST /reports; compressed to
+            // disk, so a large report is never held in memory
+            content.Position = 0;
+            await using var compressed = await stagingStore.CreateTemporaryFileAsync(uploadId, cancellationToken);
+            await using (var brotliStream = new BrotliStream(compressed, CompressionLevel.Fastest, leaveOpen: true))
+            {
+                await content.CopyToAsync(brotliStream, cancellationToken);
+            }
+
+            compressed.Position = 0;
+
+            var result = await uploadReport.ExecuteAsync(
+                new ReportUploadRequest(
+                    session.UserId,
+                    session.InstallationId,
+                    session.Organisation,
+                    session.Project,
+                    session.FileName,
+                    session.ContentType,
+                    session.FileSizeBytes,
+                    compressed),
+                cancellationToken);
+
+            // Record the report, so uploading the same file again is recognised as a duplicate
+            if (result is Success<ReportMetadata, Error> { Value: var report })
+            {
+                var recorded = await reportUploadRepository.AddAsync(
+                    uploadId, session.UserId, session.InstallationId, report, cancellationToken);
+                if (recorded is Failure<ReportMetadata, Error> { Error: var error })
+                {
+                    // The report is stored either way; only the duplicate check is lost
+                    logger.LogWarning(
+                        "Failed to record completed report upload {UploadId}: {Error}",
+                        uploadId, error.Message);
+                }
+
+                await stagingStore.DeleteChunksAsync(uploadId, cancellationToken);
+            }
+
+            return result;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            logger.LogError(ex, "Failed to complete report upload {UploadId}", uploadId);
+            return new InternalError
+            {
+                Message = "Failed to complete report upload",
+                Code = "UPLOAD_FAILED"
+            };
+        }
+    }
+}
@@ -0,0 +1,26 @@
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Completes a chunked report upload: assembles the chunks, verifies the SHA-256 the browser computed
+/// and uploads the report like <see cref="IUploadReport"/>.
+/// </summary>
+public interface ICompleteReportUpload
+{
+    /// <summary>
+    /// Uploads the assembled report. Completing an upload again returns the same report.
+    /// </summary>
+    /// <param name="userId">The uploading user's GitHub user ID.</param>
+    /// <param name="uploadId">The upload session ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>
+    /// Success with the report metadata; failure with a conflict when chunks are missing, or a
+    /// validation error when the content does not match its checksum (the chunks are discarded).
+    /// </returns>
+    Task<Result<ReportMetadata, Error>> ExecuteAsync(
+        long userId,
+        string uploadId,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,16 @@
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Discards chunked report uploads that have been idle too long to be resumed.
+/// </summary>
+public interface IPurgeReportUploads
+{
+    /// <summary>
+    /// Deletes the idle sessions and their chunks.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Success once purged, or an internal error when the staging area couldn't be read.</returns>
+    Task<Result<Unit, Error>> ExecuteAsync(CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,23 @@
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Starts a chunked report upload from the browser, or resumes the one already started for the same content.
+/// </summary>
+public interface IStartReportUpload
+{
+    /// <summary>
+    /// Validates the file and returns its upload session.
+    /// </summary>
+    /// <param name="request">The file and where it is uploaded to.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>
+    /// Success with the session: its received chunks tell the browser what is left to send, and its
+    /// report is set when the same content was already uploaded. Failure with a validation error otherwise.
+    /// </returns>
+    Task<Result<ReportUploadSession, Error>> ExecuteAsync(
+        ReportUploadStartRequest request,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,28 @@
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Stores one chunk of a chunked report upload. Sending a chunk again replaces it, so retries are safe.
+/// </summary>
+public interface IUploadReportChunk
+{
+    /// <summary>
+    /// Stores a chunk of the user's upload session.
+    /// </summary>
+    /// <param name="userId">The uploading user's GitHub user ID.</param>
+    /// <param name="uploadId">The upload session ID.</param>
+    /// <param name="index">Zero-based chunk index.</param>
+    /// <param name="length">The chunk's length in bytes, which must match the session's chunking.</param>
+    /// <param name="content">The chunk's bytes.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Success with the updated session, or failure when the session or chunk is not valid.</returns>
+    Task<Result<ReportUploadSession, Error>> ExecuteAsync(
+        long userId,
+        string uploadId,
+        int index,
+        long? length,
+        Stream content,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,34 @@
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Functional;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Discards chunked report uploads that have been idle for a day.
+/// </summary>
+public class PurgeReportUploads(
+    IReportUploadStagingStore stagingStore,
+    ILogger<PurgeReportUploads> logger) : IPurgeReportUploads
+{
+    internal static readonly TimeSpan InactivityLimit = TimeSpan.FromHours(24);
+
+    /// <inheritdoc />
+    public async Task<Result<Unit, Error>> ExecuteAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            await stagingStore.PurgeInactiveAsync(DateTimeOffset.UtcNow - InactivityLimit, cancellationToken);
+            return Unit.Default;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            logger.LogError(ex, "Failed to purge idle report uploads");
+            return new InternalError
+            {
+                Message = "Failed to purge idle report uploads",
+                Code = "PURGE_FAILED"
+            };
+        }
+    }
+}
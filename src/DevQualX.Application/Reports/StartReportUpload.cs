@@ -0,0 +1,155 @@
+using System.Security.Cryptography;
+using System.Text;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Starts or resumes a chunked report upload from the browser.
+/// </summary>
+public class StartReportUpload(
+    IReportUploadStagingStore stagingStore,
+    IReportUploadRepository reportUploadRepository,
+    ILogger<StartReportUpload> logger) : IStartReportUpload
+{
+    internal const int ChunkSizeBytes = 4 * 1024 * 1024; // 4MB, well under Kestrel's request body limit
+
+    /// <inheritdoc />
+    public async Task<Result<ReportUploadSession, Error>> ExecuteAsync(
+        ReportUploadStartRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        // Validate destination
+        if (string.IsNullOrWhiteSpace(request.Organisation)
+            || string.IsNullOrWhiteSpace(request.Project)
+            || string.IsNullOrWhiteSpace(request.FileName))
+        {
+            return new ValidationError
+            {
+                Message = "Organisation, project and file name are required",
+                Code = "INVALID_DESTINATION"
+            };
+        }
+
+        // Validate file size
+        if (request.FileSizeBytes <= 0)
+        {
+            return new ValidationError
+            {
+                Message = "File is empty",
+                Code = "EMPTY_FILE"
+            };
+        }
+
+        if (request.FileSizeBytes > UploadReport.MaxFileSizeBytes)
+        {
+            return new ValidationError
+            {
+                Message = $"File size {request.FileSizeBytes} bytes exceeds maximum allowed size of {UploadReport.MaxFileSizeBytes} bytes",
+                Code = "FILE_TOO_LARGE"
+            };
+        }
+
+        // Validate content type (checked again on completion; rejecting it here saves sending the file)
+        if (!UploadReport.AllowedContentTypes.Contains(request.ContentType?.ToLowerInvariant()))
+        {
+            return new ValidationError
+            {
+                Message = $"Content type {request.ContentType} is not allowed",
+                Code = "INVALID_CONTENT_TYPE",
+                Errors = new Dictionary<string, string[]>
+                {
+                    ["ContentType"] = [$"Allowed types: {string.Join(", ", UploadReport.AllowedContentTypes)}"]
+                }
+            };
+        }
+
+        // Validate checksum
+        if (request.Sha256 is not { Length: 64 } || !request.Sha256.All(char.IsAsciiHexDigit))
+        {
+            return new ValidationError
+            {
+                Message = "SHA-256 checksum must be 64 hexadecimal characters",
+                Code = "INVALID_CHECKSUM"
+            };
+        }
+
+        try
+        {
+            var uploadId = GetUploadId(request);
+            var session = new ReportUploadSession(
+                uploadId,
+                request.UserId,
+                request.InstallationId,
+                request.Organisation,
+                request.Project,
+                request.FileName,
+                request.ContentType,
+                request.FileSizeBytes,
+                request.Sha256.ToLowerInvariant(),
+                ChunkSizeBytes,
+                [],
+                DateTimeOffset.UtcNow);
+
+            // Uploaded before: the report is returned instead of sending the file again
+            var completed = await reportUploadRepository.GetAsync(uploadId, request.UserId, cancellationToken);
+            if (completed is Success<ReportMetadata, Error> { Value: var report })
+            {
+                logger.LogInformation(
+                    "User {UserId} report upload {UploadId} was already completed",
+                    request.UserId, uploadId);
+                return session with { Report = report };
+            }
+
+            if (completed is Failure<ReportMetadata, Error> { Error: not NotFoundError and var error })
+            {
+                return error;
+            }
+
+            var existing = await stagingStore.GetSessionAsync(uploadId, cancellationToken);
+            if (existing is not null)
+            {
+                logger.LogInformation(
+                    "User {UserId} resuming report upload {UploadId} with {ReceivedCount} of {ChunkCount} chunks received",
+                    request.UserId, uploadId, existing.ReceivedChunks.Count, existing.ChunkCount);
+                return existing;
+            }
+
+            await stagingStore.SaveSessionAsync(session, cancellationToken);
+
+            logger.LogInformation(
+                "User {UserId} started report upload {UploadId} to installation {InstallationId}: {Organisation}/{Project}/{FileName}",
+                request.UserId, uploadId, request.InstallationId, request.Organisation, request.Project, request.FileName);
+
+            return session;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            logger.LogError(ex, "Failed to start report upload for user {UserId}", request.UserId);
+            return new InternalError
+            {
+                Message = "Failed to start report upload",
+                Code = "UPLOAD_FAILED"
+            };
+        }
+    }
+
+    /// <summary>
+    /// The same user sending the same content to the same place always gets the same session.
+    /// </summary>
+    private static string GetUploadId(ReportUploadStartRequest request)
+    {
+        var key = string.Join('\n',
+            request.UserId,
+            request.InstallationId,
+            request.Organisation,
+            request.Project,
+            request.Sha256.ToLowerInvariant());
+
+        return Convert.ToHexStringLower(SHA256.HashData(Encoding.UTF8.GetBytes(key)))[..32];
+    }
+}
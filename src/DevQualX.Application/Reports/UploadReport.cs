@@ -10,8 +10,8 @@ public class UploadReport(
     IMessageQueueService messageQueueService,
     ILogger<UploadReport> logger) : IUploadReport
 {
-    private const long MaxFileSizeBytes = 100 * 1024 * 1024; // 100MB
-    private static readonly string[] AllowedContentTypes = 
+    internal const long MaxFileSizeBytes = 100 * 1024 * 1024; // 100MB
+    internal static readonly string[] AllowedContentTypes = 
     [
         "application/pdf",
         "application/zip",
@@ -0,0 +1,73 @@
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Application.Reports;
+
+/// <summary>
+/// Stores one chunk of a chunked report upload.
+/// </summary>
+public class UploadReportChunk(
+    IReportUploadStagingStore stagingStore,
+    ILogger<UploadReportChunk> logger) : IUploadReportChunk
+{
+    /// <inheritdoc />
+    public async Task<Result<ReportUploadSession, Error>> ExecuteAsync(
+        long userId,
+        string uploadId,
+        int index,
+        long? length,
+        Stream content,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var session = await stagingStore.GetSessionAsync(uploadId, cancellationToken);
+
+            // Another user's session is as good as missing
+            if (session is null || session.UserId != userId)
+            {
+                return new NotFoundError
+                {
+                    Message = $"Upload {uploadId} not found",
+                    ResourceType = "ReportUpload",
+                    ResourceId = uploadId
+                };
+            }
+
+            // Validate chunk
+            if (index < 0 || index >= session.ChunkCount)
+            {
+                return new BadRequestError
+                {
+                    Message = $"Chunk {index} is out of range for {session.ChunkCount} chunks",
+                    Parameter = nameof(index)
+                };
+            }
+
+            var expectedLength = session.GetChunkLength(index);
+            if (length != expectedLength)
+            {
+                return new ValidationError
+                {
+                    Message = $"Chunk {index} must be {expectedLength} bytes",
+                    Code = "INVALID_CHUNK_LENGTH"
+                };
+            }
+
+            await stagingStore.SaveChunkAsync(uploadId, index, content, cancellationToken);
+
+            return session with { ReceivedChunks = [.. session.ReceivedChunks.Append(index).Distinct().Order()] };
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            logger.LogError(ex, "Failed to store chunk {Index} of report upload {UploadId}", index, uploadId);
+            return new InternalError
+            {
+                Message = $"Failed to store chunk {index}",
+                Code = "UPLOAD_FAILED"
+            };
+        }
+    }
+}
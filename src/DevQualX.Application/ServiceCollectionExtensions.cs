@@ -1,6 +1,8 @@
 using DevQualX.Application.Authentication;
 using DevQualX.Application.Authorization;
 using DevQualX.Application.Installation;
+using DevQualX.Application.Notifications;
+using DevQualX.Application.Preferences;
 using DevQualX.Application.Reports;
 using DevQualX.Application.Weather;
 using DevQualX.Domain.Services;
@@ -31,12 +33,25 @@ public static class ServiceCollectionExtensions
         services.AddScoped<ICheckUserRole, CheckUserRole>();
         services.AddScoped<IGetUserPermissions, GetUserPermissions>();
         
+        // Preference services
+        services.AddScoped<IGetUserPreferences, GetUserPreferences>();
+        services.AddScoped<ISaveUserPreferences, SaveUserPreferences>();
+        
+        // Notification services
+        services.AddScoped<IGetUserNotifications, GetUserNotifications>();
+        services.AddScoped<IAcknowledgeUserNotifications, AcknowledgeUserNotifications>();
+        services.AddScoped<INotifyUser, NotifyUser>();
+        
         // Weather services (example)
         services.AddScoped<IGetWeatherForecast, GetWeatherForecast>();
         
         // Report services
         services.AddScoped<IUploadReport, UploadReport>();
         services.AddScoped<IProcessReport, ProcessReport>();
+        services.AddScoped<IStartReportUpload, StartReportUpload>();
+        services.AddScoped<IUploadReportChunk, UploadReportChunk>();
+        services.AddScoped<ICompleteReportUpload, CompleteReportUpload>();
+        services.AddScoped<IPurgeReportUploads, PurgeReportUploads>();
 
         return services;
     }
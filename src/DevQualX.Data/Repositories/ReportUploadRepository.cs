@@ -0,0 +1,172 @@
+using Dapper;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Data.SqlClient;
+using Microsoft.Extensions.Configuration;
+
+namespace DevQualX.Data.Repositories;
+
+/// <summary>
+/// Repository implementation for completed report uploads using Dapper.
+/// </summary>
+public class ReportUploadRepository(IConfiguration configuration) : IReportUploadRepository
+{
+    private readonly string _connectionString = configuration.GetConnectionString("DefaultConnection")
+        ?? throw new InvalidOperationException("DefaultConnection connection string not found");
+
+    /// <inheritdoc />
+    public async Task<Result<ReportMetadata, Error>> GetAsync(
+        string uploadId,
+        long gitHubUserId,
+        CancellationToken cancellationToken = default)
+    {
+        const string sql = """
+            SELECT
+                Organisation,
+                Project,
+                FileName,
+                BlobUrl,
+                BlobPath,
+                ContentType,
+                FileSizeBytes,
+                Checksum,
+                UploadedAt
+            FROM ReportUploads
+            WHERE UploadId = @UploadId AND GitHubUserId = @GitHubUserId;
+            """;
+
+        try
+        {
+            await using var connection = new SqlConnection(_connectionString);
+            var row = await connection.QuerySingleOrDefaultAsync<ReportUploadRow>(sql, new
+            {
+                UploadId = uploadId,
+                GitHubUserId = gitHubUserId
+            });
+
+            return row is not null
+                ? new Success<ReportMetadata, Error>(row.ToReportMetadata())
+                : new Failure<ReportMetadata, Error>(new NotFoundError
+                {
+                    Message = $"Completed upload {uploadId} not found",
+                    ResourceType = "ReportUpload",
+                    ResourceId = uploadId
+                });
+        }
+        catch (SqlException ex)
+        {
+            return new Failure<ReportMetadata, Error>(new InternalError
+            {
+                Message = $"Database error while retrieving completed upload {uploadId}",
+                Code = "DB_ERROR",
+                Metadata = new Dictionary<string, object>
+                {
+                    ["SqlErrorNumber"] = ex.Number,
+                    ["SqlErrorMessage"] = ex.Message
+                }
+            });
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Result<ReportMetadata, Error>> AddAsync(
+        string uploadId,
+        long gitHubUserId,
+        long gitHubInstallationId,
+        ReportMetadata report,
+        CancellationToken cancellationToken = default)
+    {
+        const string sql = """
+            INSERT INTO ReportUploads (
+                UploadId,
+                GitHubUserId,
+                GitHubInstallationId,
+                Organisation,
+                Project,
+                FileName,
+                BlobUrl,
+                BlobPath,
+                ContentType,
+                FileSizeBytes,
+                Checksum,
+                UploadedAt
+            )
+            VALUES (
+                @UploadId,
+                @GitHubUserId,
+                @GitHubInstallationId,
+                @Organisation,
+                @Project,
+                @FileName,
+                @BlobUrl,
+                @BlobPath,
+                @ContentType,
+                @FileSizeBytes,
+                @Checksum,
+                @UploadedAt
+            );
+            """;
+
+        try
+        {
+            await using var connection = new SqlConnection(_connectionString);
+            await connection.ExecuteAsync(sql, new
+            {
+                UploadId = uploadId,
+                GitHubUserId = gitHubUserId,
+                GitHubInstallationId = gitHubInstallationId,
+                report.Organisation,
+                report.Project,
+                report.FileName,
+                report.BlobUrl,
+                report.BlobPath,
+                report.ContentType,
+                report.FileSizeBytes,
+                report.Checksum,
+                report.UploadedAt
+            });
+
+            return new Success<ReportMetadata, Error>(report);
+        }
+        catch (SqlException ex) when (ex.Number == 2627 || ex.Number == 2601) // Unique constraint violation
+        {
+            return new Failure<ReportMetadata, Error>(new ConflictError
+            {
+                Message = $"Upload {uploadId} was already completed",
+                ConflictingResource = $"ReportUpload:{uploadId}"
+            });
+        }
+        catch (SqlException ex)
+        {
+            return new Failure<ReportMetadata, Error>(new InternalError
+            {
+                Message = $"Database error while recording completed upload {uploadId}",
+                Code = "DB_ERROR",
+                Metadata = new Dictionary<string, object>
+                {
+                    ["SqlErrorNumber"] = ex.Number,
+                    ["SqlErrorMessage"] = ex.Message
+                }
+            });
+        }
+    }
+
+    /// <summary>
+    /// A ReportUploads row; ReportMetadata's extra metadata isn't stored.
+    /// </summary>
+    private sealed record ReportUploadRow(
+        string Organisation,
+        string Project,
+        string FileName,
+        string BlobUrl,
+        string BlobPath,
+        string ContentType,
+        long FileSizeBytes,
+        string Checksum,
+        DateTimeOffset UploadedAt)
+    {
+        public ReportMetadata ToReportMetadata() =>
+            new(Organisation, Project, FileName, BlobUrl, BlobPath, ContentType, FileSizeBytes, Checksum, UploadedAt);
+    }
+}
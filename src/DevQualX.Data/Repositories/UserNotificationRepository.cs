@@ -0,0 +1,180 @@
+using Dapper;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Data.SqlClient;
+using Microsoft.Extensions.Configuration;
+
+namespace DevQualX.Data.Repositories;
+
+/// <summary>
+/// Repository implementation for user notifications using Dapper.
+/// </summary>
+public class UserNotificationRepository(IConfiguration configuration) : IUserNotificationRepository
+{
+    private readonly string _connectionString = configuration.GetConnectionString("DefaultConnection")
+        ?? throw new InvalidOperationException("DefaultConnection connection string not found");
+
+    /// <inheritdoc />
+    public async Task<Result<IReadOnlyList<UserNotification>, Error>> GetAfterAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        long afterId,
+        int limit,
+        CancellationToken cancellationToken = default)
+    {
+        const string sql = """
+            SELECT TOP (@Limit)
+                Id,
+                GitHubUserId,
+                GitHubInstallationId,
+                Title,
+                Message,
+                Level,
+                Href,
+                CreatedAt,
+                ReadAt
+            FROM UserNotifications
+            WHERE GitHubUserId = @GitHubUserId
+                AND GitHubInstallationId = @GitHubInstallationId
+                AND Id > @AfterId
+            ORDER BY Id;
+            """;
+
+        try
+        {
+            await using var connection = new SqlConnection(_connectionString);
+            var notifications = await connection.QueryAsync<UserNotification>(sql, new
+            {
+                GitHubUserId = gitHubUserId,
+                GitHubInstallationId = gitHubInstallationId,
+                AfterId = afterId,
+                Limit = limit
+            });
+
+            return new Success<IReadOnlyList<UserNotification>, Error>(notifications.ToList());
+        }
+        catch (SqlException ex)
+        {
+            return new Failure<IReadOnlyList<UserNotification>, Error>(new InternalError
+            {
+                Message = $"Database error while retrieving notifications for user {gitHubUserId}",
+                Code = "DB_ERROR",
+                Metadata = new Dictionary<string, object>
+                {
+                    ["SqlErrorNumber"] = ex.Number,
+                    ["SqlErrorMessage"] = ex.Message
+                }
+            });
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Result<UserNotification, Error>> AddAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string title,
+        string message,
+        string level,
+        string? href,
+        CancellationToken cancellationToken = default)
+    {
+        const string sql = """
+            INSERT INTO UserNotifications (
+                GitHubUserId,
+                GitHubInstallationId,
+                Title,
+                Message,
+                Level,
+                Href
+            )
+            OUTPUT
+                INSERTED.Id,
+                INSERTED.GitHubUserId,
+                INSERTED.GitHubInstallationId,
+                INSERTED.Title,
+                INSERTED.Message,
+                INSERTED.Level,
+                INSERTED.Href,
+                INSERTED.CreatedAt,
+                INSERTED.ReadAt
+            VALUES (
+                @GitHubUserId,
+                @GitHubInstallationId,
+                @Title,
+                @Message,
+                @Level,
+                @Href
+            );
+            """;
+
+        try
+        {
+            await using var connection = new SqlConnection(_connectionString);
+            var notification = await connection.QuerySingleAsync<UserNotification>(sql, new
+            {
+                GitHubUserId = gitHubUserId,
+                GitHubInstallationId = gitHubInstallationId,
+                Title = title,
+                Message = message,
+                Level = level,
+                Href = href
+            });
+
+            return new Success<UserNotification, Error>(notification);
+        }
+        catch (SqlException ex)
+        {
+            return new Failure<UserNotification, Error>(new InternalError
+            {
+                Message = $"Database error while adding notification for user {gitHubUserId}",
+                Code = "DB_ERROR",
+                Metadata = new Dictionary<string, object>
+                {
+                    ["SqlErrorNumber"] = ex.Number,
+                    ["SqlErrorMessage"] = ex.Message
+                }
+            });
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Result<Unit, Error>> MarkReadAsync(
+        long gitHubUserId,
+        IReadOnlyCollection<long> ids,
+        CancellationToken cancellationToken = default)
+    {
+        const string sql = """
+            UPDATE UserNotifications
+            SET ReadAt = SYSDATETIMEOFFSET()
+            WHERE GitHubUserId = @GitHubUserId
+                AND Id IN @Ids
+                AND ReadAt IS NULL;
+            """;
+
+        try
+        {
+            await using var connection = new SqlConnection(_connectionString);
+            await connection.ExecuteAsync(sql, new
+            {
+                GitHubUserId = gitHubUserId,
+                Ids = ids
+            });
+
+            return new Success<Unit, Error>(Unit.Default);
+        }
+        catch (SqlException ex)
+        {
+            return new Failure<Unit, Error>(new InternalError
+            {
+                Message = $"Database error while marking notifications read for user {gitHubUserId}",
+                Code = "DB_ERROR",
+                Metadata = new Dictionary<string, object>
+                {
+                    ["SqlErrorNumber"] = ex.Number,
+                    ["SqlErrorMessage"] = ex.Message
+                }
+            });
+        }
+    }
+}
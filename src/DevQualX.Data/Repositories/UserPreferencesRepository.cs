@@ -0,0 +1,159 @@
+using Dapper;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Data.SqlClient;
+using Microsoft.Extensions.Configuration;
+
+namespace DevQualX.Data.Repositories;
+
+/// <summary>
+/// Repository implementation for user preference data operations using Dapper.
+/// </summary>
+public class UserPreferencesRepository(IConfiguration configuration) : IUserPreferencesRepository
+{
+    private readonly string _connectionString = configuration.GetConnectionString("DefaultConnection")
+        ?? throw new InvalidOperationException("DefaultConnection connection string not found");
+
+    /// <inheritdoc />
+    public async Task<Result<UserPreferences, Error>> GetAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        CancellationToken cancellationToken = default)
+    {
+        const string sql = """
+            SELECT
+                GitHubUserId,
+                GitHubInstallationId,
+                Document,
+                Version,
+                UpdatedAt
+            FROM UserPreferences
+            WHERE GitHubUserId = @GitHubUserId AND GitHubInstallationId = @GitHubInstallationId;
+            """;
+
+        try
+        {
+            await using var connection = new SqlConnection(_connectionString);
+            var preferences = await connection.QuerySingleOrDefaultAsync<UserPreferences>(sql, new
+            {
+                GitHubUserId = gitHubUserId,
+                GitHubInstallationId = gitHubInstallationId
+            });
+
+            return preferences is not null
+                ? new Success<UserPreferences, Error>(preferences)
+                : new Failure<UserPreferences, Error>(new NotFoundError
+                {
+                    Message = $"Preferences for user {gitHubUserId} in installation {gitHubInstallationId} not found",
+                    ResourceType = nameof(UserPreferences),
+                    ResourceId = $"{gitHubUserId}:{gitHubInstallationId}"
+                });
+        }
+        catch (SqlException ex)
+        {
+            return new Failure<UserPreferences, Error>(new InternalError
+            {
+                Message = $"Database error while retrieving preferences for user {gitHubUserId}",
+                Code = "DB_ERROR",
+                Metadata = new Dictionary<string, object>
+                {
+                    ["SqlErrorNumber"] = ex.Number,
+                    ["SqlErrorMessage"] = ex.Message
+                }
+            });
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Result<UserPreferences, Error>> SaveAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string document,
+        int expectedVersion,
+        CancellationToken cancellationToken = default)
+    {
+        const string insertSql = """
+            INSERT INTO UserPreferences (
+                GitHubUserId,
+                GitHubInstallationId,
+                Document,
+                Version,
+                UpdatedAt
+            )
+            OUTPUT
+                inserted.GitHubUserId,
+                inserted.GitHubInstallationId,
+                inserted.Document,
+                inserted.Version,
+                inserted.UpdatedAt
+            VALUES (
+                @GitHubUserId,
+                @GitHubInstallationId,
+                @Document,
+                1,
+                SYSDATETIMEOFFSET()
+            );
+            """;
+
+        const string updateSql = """
+            UPDATE UserPreferences
+            SET
+                Document = @Document,
+                Version = Version + 1,
+                UpdatedAt = SYSDATETIMEOFFSET()
+            OUTPUT
+                inserted.GitHubUserId,
+                inserted.GitHubInstallationId,
+                inserted.Document,
+                inserted.Version,
+                inserted.UpdatedAt
+            WHERE GitHubUserId = @GitHubUserId
+                AND GitHubInstallationId = @GitHubInstallationId
+                AND Version = @ExpectedVersion;
+            """;
+
+        try
+        {
+            await using var connection = new SqlConnection(_connectionString);
+            var preferences = await connection.QuerySingleOrDefaultAsync<UserPreferences>(
+                expectedVersion == 0 ? insertSql : updateSql,
+                new
+                {
+                    GitHubUserId = gitHubUserId,
+                    GitHubInstallationId = gitHubInstallationId,
+                    Document = document,
+                    ExpectedVersion = expectedVersion
+                });
+
+            return preferences is not null
+                ? new Success<UserPreferences, Error>(preferences)
+                : new Failure<UserPreferences, Error>(CreateVersionConflict(gitHubUserId, gitHubInstallationId, expectedVersion));
+        }
+        catch (SqlException ex) when (ex.Number == 2627 || ex.Number == 2601)
+        {
+            // Another client created the preferences first
+            return new Failure<UserPreferences, Error>(CreateVersionConflict(gitHubUserId, gitHubInstallationId, expectedVersion));
+        }
+        catch (SqlException ex)
+        {
+            return new Failure<UserPreferences, Error>(new InternalError
+            {
+                Message = $"Database error while saving preferences for user {gitHubUserId}",
+                Code = "DB_ERROR",
+                Metadata = new Dictionary<string, object>
+                {
+                    ["SqlErrorNumber"] = ex.Number,
+                    ["SqlErrorMessage"] = ex.Message
+                }
+            });
+        }
+    }
+
+    private static ConflictError CreateVersionConflict(long gitHubUserId, long gitHubInstallationId, int expectedVersion) => new()
+    {
+        Message = $"Preferences for user {gitHubUserId} in installation {gitHubInstallationId} changed since version {expectedVersion}",
+        Code = "VERSION_CONFLICT",
+        ConflictingResource = $"UserPreferences:{gitHubUserId}:{gitHubInstallationId}"
+    };
+}
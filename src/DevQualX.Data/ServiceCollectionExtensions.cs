@@ -25,6 +25,9 @@ public static class ServiceCollectionExtensions
         services.AddScoped<ISolutionRepository, SolutionRepository>();
         services.AddScoped<ICSharpProjectRepository, CSharpProjectRepository>();
         services.AddScoped<IGitHubProjectRepository, GitHubProjectRepository>();
+        services.AddScoped<IUserPreferencesRepository, UserPreferencesRepository>();
+        services.AddScoped<IReportUploadRepository, ReportUploadRepository>();
+        services.AddScoped<IUserNotificationRepository, UserNotificationRepository>();
 
         return services;
     }
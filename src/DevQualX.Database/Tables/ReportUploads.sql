@@ -0,0 +1,17 @@
+CREATE TABLE [dbo].[ReportUploads]
+(
+    [UploadId] CHAR(32) NOT NULL, -- Derived from the uploader, destination and content hash (StartReportUpload)
+    [GitHubUserId] BIGINT NOT NULL,
+    [GitHubInstallationId] BIGINT NOT NULL,
+    [Organisation] NVARCHAR(100) NOT NULL,
+    [Project] NVARCHAR(100) NOT NULL,
+    [FileName] NVARCHAR(255) NOT NULL,
+    [BlobUrl] NVARCHAR(2048) NOT NULL,
+    [BlobPath] NVARCHAR(1024) NOT NULL,
+    [ContentType] NVARCHAR(100) NOT NULL,
+    [FileSizeBytes] BIGINT NOT NULL,
+    [Checksum] NVARCHAR(128) NOT NULL,
+    [UploadedAt] DATETIMEOFFSET NOT NULL,
+    CONSTRAINT [PK_ReportUploads] PRIMARY KEY CLUSTERED ([UploadId] ASC),
+    INDEX [IX_ReportUploads_GitHubInstallationId] NONCLUSTERED ([GitHubInstallationId] ASC)
+);
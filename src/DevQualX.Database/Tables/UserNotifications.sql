@@ -0,0 +1,15 @@
+CREATE TABLE [dbo].[UserNotifications]
+(
+    [Id] BIGINT NOT NULL IDENTITY(1,1), -- Also the cursor the browser polls from (notifications.js)
+    [GitHubUserId] BIGINT NOT NULL,
+    [GitHubInstallationId] BIGINT NOT NULL,
+    [Title] NVARCHAR(200) NOT NULL,
+    [Message] NVARCHAR(2000) NOT NULL,
+    [Level] NVARCHAR(20) NOT NULL,
+    [Href] NVARCHAR(2048) NULL,
+    [CreatedAt] DATETIMEOFFSET NOT NULL DEFAULT SYSDATETIMEOFFSET(),
+    [ReadAt] DATETIMEOFFSET NULL,
+    CONSTRAINT [PK_UserNotifications] PRIMARY KEY CLUSTERED ([Id] ASC),
+    CONSTRAINT [CK_UserNotifications_Level] CHECK ([Level] IN ('primary', 'secondary', 'success', 'danger', 'warning', 'info')),
+    INDEX [IX_UserNotifications_User_Installation] NONCLUSTERED ([GitHubUserId], [GitHubInstallationId], [Id] ASC)
+);
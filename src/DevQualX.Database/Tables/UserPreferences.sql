@@ -0,0 +1,10 @@
+CREATE TABLE [dbo].[UserPreferences]
+(
+    [GitHubUserId] BIGINT NOT NULL,
+    [GitHubInstallationId] BIGINT NOT NULL,
+    [Document] NVARCHAR(MAX) NOT NULL, -- JSON object of client preference sections
+    [Version] INT NOT NULL DEFAULT 1, -- Optimistic concurrency: incremented on every save
+    [UpdatedAt] DATETIMEOFFSET NOT NULL DEFAULT SYSDATETIMEOFFSET(),
+    CONSTRAINT [PK_UserPreferences] PRIMARY KEY CLUSTERED ([GitHubUserId] ASC, [GitHubInstallationId] ASC),
+    CONSTRAINT [CK_UserPreferences_Document] CHECK (ISJSON([Document]) = 1)
+);
@@ -0,0 +1,31 @@
+using DevQualX.Functional;
+using DevQualX.Domain.Models;
+
+namespace DevQualX.Domain.Data;
+
+/// <summary>
+/// Repository for the reports completed chunked uploads produced, so uploading the same file
+/// again is recognised as a duplicate long after its staged chunks are gone.
+/// </summary>
+public interface IReportUploadRepository
+{
+    /// <summary>
+    /// Gets the report a user's completed upload produced.
+    /// Fails with not found when the upload hasn't completed.
+    /// </summary>
+    Task<Result<ReportMetadata, Error>> GetAsync(
+        string uploadId,
+        long gitHubUserId,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Records the report a completed upload produced.
+    /// Fails with a conflict when the upload was recorded already.
+    /// </summary>
+    Task<Result<ReportMetadata, Error>> AddAsync(
+        string uploadId,
+        long gitHubUserId,
+        long gitHubInstallationId,
+        ReportMetadata report,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,40 @@
+using DevQualX.Functional;
+using DevQualX.Domain.Models;
+
+namespace DevQualX.Domain.Data;
+
+/// <summary>
+/// Repository for the notifications the server raises for users.
+/// </summary>
+public interface IUserNotificationRepository
+{
+    /// <summary>
+    /// Gets a user's notifications for an installation with an ID after the cursor, oldest first.
+    /// </summary>
+    Task<Result<IReadOnlyList<UserNotification>, Error>> GetAfterAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        long afterId,
+        int limit,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds a notification, returning it with its ID and creation time.
+    /// </summary>
+    Task<Result<UserNotification, Error>> AddAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string title,
+        string message,
+        string level,
+        string? href,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Marks a user's notifications as read. IDs that aren't the user's, or are read already, are ignored.
+    /// </summary>
+    Task<Result<Unit, Error>> MarkReadAsync(
+        long gitHubUserId,
+        IReadOnlyCollection<long> ids,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,30 @@
+using DevQualX.Functional;
+using DevQualX.Domain.Models;
+
+namespace DevQualX.Domain.Data;
+
+/// <summary>
+/// Repository for per-organization user preference data operations.
+/// </summary>
+public interface IUserPreferencesRepository
+{
+    /// <summary>
+    /// Gets a user's preferences for an installation.
+    /// </summary>
+    Task<Result<UserPreferences, Error>> GetAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        CancellationToken cancellationToken = default);
+    
+    /// <summary>
+    /// Saves a user's preferences for an installation if the stored version still matches.
+    /// An expected version of 0 creates the preferences.
+    /// Fails with a conflict when another save got there first.
+    /// </summary>
+    Task<Result<UserPreferences, Error>> SaveAsync(
+        long gitHubUserId,
+        long gitHubInstallationId,
+        string document,
+        int expectedVersion,
+        CancellationToken cancellationToken = default);
+}
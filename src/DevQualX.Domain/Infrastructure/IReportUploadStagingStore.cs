@@ -0,0 +1,76 @@
+using DevQualX.Domain.Models;
+
+namespace DevQualX.Domain.Infrastructure;
+
+/// <summary>
+/// Staging area for chunked report uploads: the session details and the chunks received so far,
+/// kept until the upload is assembled and handed to blob storage.
+/// </summary>
+public interface IReportUploadStagingStore
+{
+    /// <summary>
+    /// Gets a session with the chunks received so far.
+    /// </summary>
+    /// <param name="uploadId">The session ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The session, or null when it does not exist.</returns>
+    Task<ReportUploadSession?> GetSessionAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Creates or updates a session. Received chunks are tracked by the store, not saved from the session.
+    /// </summary>
+    Task SaveSessionAsync(
+        ReportUploadSession session,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Stores a chunk, replacing any earlier copy. A chunk only counts as received once it is fully written.
+    /// </summary>
+    /// <param name="uploadId">The session ID.</param>
+    /// <param name="index">Zero-based chunk index.</param>
+    /// <param name="content">The chunk's bytes.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    Task SaveChunkAsync(
+        string uploadId,
+        int index,
+        Stream content,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Opens the received chunks, in order, as one stream. The caller disposes it.
+    /// </summary>
+    Task<Stream> OpenContentAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Creates an empty scratch file beside a session's chunks, deleted when the stream is disposed.
+    /// </summary>
+    Task<Stream> CreateTemporaryFileAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Takes a session's exclusive lock, waiting while another request holds it. Disposing the result releases it.
+    /// </summary>
+    Task<IAsyncDisposable> LockAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes a session's chunks, keeping the session itself until it is purged.
+    /// </summary>
+    Task DeleteChunksAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes sessions (and their chunks) with no activity since a point in time: nothing created,
+    /// saved or received for them. A session that is still being created or receiving a chunk is kept.
+    /// </summary>
+    Task PurgeInactiveAsync(
+        DateTimeOffset inactiveSince,
+        CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,33 @@
+namespace DevQualX.Domain.Models;
+
+/// <summary>
+/// A resumable, chunked report upload from the browser, staged until every chunk has arrived.
+/// The ID is derived from the uploader, the destination and the SHA-256 of the content, so
+/// uploading the same file again resumes the session (or finds the finished report) instead of starting over.
+/// </summary>
+public record ReportUploadSession(
+    string Id,
+    long UserId,
+    int InstallationId,
+    string Organisation,
+    string Project,
+    string FileName,
+    string ContentType,
+    long FileSizeBytes,
+    string Sha256,
+    int ChunkSizeBytes,
+    IReadOnlyList<int> ReceivedChunks,
+    DateTimeOffset CreatedAt,
+    ReportMetadata? Report = null)
+{
+    /// <summary>
+    /// Number of chunks the file is split into (the last one may be shorter).
+    /// </summary>
+    public int ChunkCount => (int)((FileSizeBytes + ChunkSizeBytes - 1) / ChunkSizeBytes);
+
+    /// <summary>
+    /// Length in bytes of the chunk at an index.
+    /// </summary>
+    public long GetChunkLength(int index) =>
+        Math.Min(ChunkSizeBytes, FileSizeBytes - (long)index * ChunkSizeBytes);
+}
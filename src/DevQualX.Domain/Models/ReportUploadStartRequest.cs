@@ -0,0 +1,14 @@
+namespace DevQualX.Domain.Models;
+
+/// <summary>
+/// Request to start (or resume) a chunked report upload.
+/// </summary>
+public record ReportUploadStartRequest(
+    long UserId,
+    int InstallationId,
+    string Organisation,
+    string Project,
+    string FileName,
+    string ContentType,
+    long FileSizeBytes,
+    string Sha256);
@@ -0,0 +1,16 @@
+namespace DevQualX.Domain.Models;
+
+/// <summary>
+/// Represents a notification the server raised for a user in one organization, delivered to the
+/// browser's notification tray (notifications.js). The identity ID doubles as the feed cursor.
+/// </summary>
+public record UserNotification(
+    long Id,
+    long GitHubUserId,
+    long GitHubInstallationId,
+    string Title,
+    string Message,
+    string Level,
+    string? Href,
+    DateTimeOffset CreatedAt,
+    DateTimeOffset? ReadAt);
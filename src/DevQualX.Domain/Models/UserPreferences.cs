@@ -0,0 +1,12 @@
+namespace DevQualX.Domain.Models;
+
+/// <summary>
+/// Represents a user's client preferences (theme, notifications, sidebar) for one organization.
+/// The document is an opaque JSON object owned by the browser; the version guards concurrent saves.
+/// </summary>
+public record UserPreferences(
+    long GitHubUserId,
+    long GitHubInstallationId,
+    string Document,
+    int Version,
+    DateTimeOffset UpdatedAt);
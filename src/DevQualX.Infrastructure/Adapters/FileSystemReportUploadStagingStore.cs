@@ -0,0 +1,265 @@
+using System.Globalization;
+using System.Text.Json;
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Domain.Models;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Infrastructure.Adapters;
+
+/// <summary>
+/// Stages chunked report uploads on the local file system, one directory per session under the temp path.
+/// Sessions live on the instance that received them, so uploads need sticky sessions when scaled out.
+/// </summary>
+/// <param name="logger">Logger.</param>
+/// <param name="rootPath">Directory the session directories are created in.</param>
+public class FileSystemReportUploadStagingStore(
+    ILogger<FileSystemReportUploadStagingStore> logger,
+    string rootPath) : IReportUploadStagingStore
+{
+    private const string SessionFileName = "session.json";
+    private const string ChunkExtension = ".chunk";
+    private const string LockFileName = "session.lock";
+    private static readonly TimeSpan LockRetryDelay = TimeSpan.FromMilliseconds(100);
+    private static readonly string DefaultRootPath = Path.Combine(Path.GetTempPath(), "devqualx", "report-uploads");
+
+    /// <summary>
+    /// Stages uploads under the temp path.
+    /// </summary>
+    public FileSystemReportUploadStagingStore(ILogger<FileSystemReportUploadStagingStore> logger)
+        : this(logger, DefaultRootPath)
+    {
+    }
+
+    public async Task<ReportUploadSession?> GetSessionAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default)
+    {
+        // Unknown IDs (including anything that isn't a plain directory name) simply don't exist
+        if (!IsValidUploadId(uploadId))
+        {
+            return null;
+        }
+
+        var session = await ReadSessionAsync(GetSessionDirectory(uploadId), cancellationToken);
+        return session is null ? null : session with { ReceivedChunks = GetReceivedChunks(uploadId) };
+    }
+
+    public async Task SaveSessionAsync(
+        ReportUploadSession session,
+        CancellationToken cancellationToken = default)
+    {
+        var directory = GetSessionDirectory(session.Id);
+        Directory.CreateDirectory(directory);
+
+        // Write then move, so a reader never sees a half-written session
+        var path = Path.Combine(directory, SessionFileName);
+        var temporaryPath = $"{path}.{Guid.NewGuid():N}.tmp";
+        await using (var stream = File.Create(temporaryPath))
+        {
+            await JsonSerializer.SerializeAsync(stream, session with { ReceivedChunks = [] }, cancellationToken: cancellationToken);
+        }
+
+        File.Move(temporaryPath, path, overwrite: true);
+    }
+
+    public async Task SaveChunkAsync(
+        string uploadId,
+        int index,
+        Stream content,
+        CancellationToken cancellationToken = default)
+    {
+        var path = GetChunkPath(uploadId, index);
+        var temporaryPath = $"{path}.{Guid.NewGuid():N}.tmp";
+
+        try
+        {
+            await using (var stream = File.Create(temporaryPath))
+            {
+                await content.CopyToAsync(stream, cancellationToken);
+            }
+
+            // Only a fully written chunk gets the name that marks it as received
+            File.Move(temporaryPath, path, overwrite: true);
+        }
+        catch
+        {
+            File.Delete(temporaryPath);
+            throw;
+        }
+    }
+
+    public async Task<Stream> OpenContentAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default)
+    {
+        var assembled = CreateTemporaryFile(uploadId);
+
+        try
+        {
+            foreach (var index in GetReceivedChunks(uploadId))
+            {
+                await using var chunk = File.OpenRead(GetChunkPath(uploadId, index));
+                await chunk.CopyToAsync(assembled, cancellationToken);
+            }
+
+            assembled.Position = 0;
+            return assembled;
+        }
+        catch
+        {
+            await assembled.DisposeAsync();
+            throw;
+        }
+    }
+
+    public Task<Stream> CreateTemporaryFileAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default)
+    {
+        return Task.FromResult<Stream>(CreateTemporaryFile(uploadId));
+    }
+
+    public async Task<IAsyncDisposable> LockAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default)
+    {
+        var path = Path.Combine(GetSessionDirectory(uploadId), LockFileName);
+
+        // The file share mode is the lock: it is released if the process dies, and the file itself is left
+        // in place so a waiter never locks a copy that is about to be deleted
+        while (true)
+        {
+            try
+            {
+                return new FileStream(path, FileMode.OpenOrCreate, FileAccess.ReadWrite, FileShare.None);
+            }
+            catch (IOException) when (File.Exists(path))
+            {
+                await Task.Delay(LockRetryDelay, cancellationToken);
+            }
+        }
+    }
+
+    public Task DeleteChunksAsync(
+        string uploadId,
+        CancellationToken cancellationToken = default)
+    {
+        foreach (var path in Directory.EnumerateFiles(GetSessionDirectory(uploadId), $"*{ChunkExtension}"))
+        {
+            File.Delete(path);
+        }
+
+        return Task.CompletedTask;
+    }
+
+    public Task PurgeInactiveAsync(
+        DateTimeOffset inactiveSince,
+        CancellationToken cancellationToken = default)
+    {
+        if (!Directory.Exists(rootPath))
+        {
+            return Task.CompletedTask;
+        }
+
+        foreach (var directory in Directory.EnumerateDirectories(rootPath))
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            try
+            {
+                if (GetLastActivityUtc(directory) >= inactiveSince.UtcDateTime)
+                {
+                    continue;
+                }
+
+                Directory.Delete(directory, recursive: true);
+                logger.LogInformation("Purged staged report upload {Directory}", Path.GetFileName(directory));
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                // Possibly still being written; the next purge tries again
+                logger.LogWarning(ex, "Failed to purge staged report upload {Directory}", Path.GetFileName(directory));
+            }
+        }
+
+        return Task.CompletedTask;
+    }
+
+    private static async Task<ReportUploadSession?> ReadSessionAsync(string directory, CancellationToken cancellationToken)
+    {
+        var path = Path.Combine(directory, SessionFileName);
+        if (!File.Exists(path))
+        {
+            return null;
+        }
+
+        await using var stream = File.OpenRead(path);
+        return await JsonSerializer.DeserializeAsync<ReportUploadSession>(stream, cancellationToken: cancellationToken);
+    }
+
+    /// <summary>
+    /// When a session directory was last touched: created, a file added or removed, or a file written,
+    /// which covers a chunk that is still being received.
+    /// </summary>
+    private static DateTime GetLastActivityUtc(string directory)
+    {
+        var lastActivity = Directory.GetCreationTimeUtc(directory);
+        var lastWrite = Directory.GetLastWriteTimeUtc(directory);
+        if (lastWrite > lastActivity)
+        {
+            lastActivity = lastWrite;
+        }
+
+        foreach (var path in Directory.EnumerateFiles(directory))
+        {
+            var fileWrite = File.GetLastWriteTimeUtc(path);
+            if (fileWrite > lastActivity)
+            {
+                lastActivity = fileWrite;
+            }
+        }
+
+        return lastActivity;
+    }
+
+    private FileStream CreateTemporaryFile(string uploadId)
+    {
+        return new FileStream(
+            Path.Combine(GetSessionDirectory(uploadId), $"{Guid.NewGuid():N}.tmp"),
+            FileMode.CreateNew,
+            FileAccess.ReadWrite,
+            FileShare.None,
+            bufferSize: 81920,
+            FileOptions.Asynchronous | FileOptions.DeleteOnClose);
+    }
+
+    private List<int> GetReceivedChunks(string uploadId)
+    {
+        var directory = GetSessionDirectory(uploadId);
+        if (!Directory.Exists(directory))
+        {
+            return [];
+        }
+
+        return Directory.EnumerateFiles(directory, $"*{ChunkExtension}")
+            .Select(path => int.Parse(Path.GetFileNameWithoutExtension(path), CultureInfo.InvariantCulture))
+            .Order()
+            .ToList();
+    }
+
+    private string GetChunkPath(string uploadId, int index) =>
+        Path.Combine(GetSessionDirectory(uploadId), index.ToString("D6", CultureInfo.InvariantCulture) + ChunkExtension);
+
+    private string GetSessionDirectory(string uploadId)
+    {
+        if (!IsValidUploadId(uploadId))
+        {
+            throw new ArgumentException($"Invalid upload ID '{uploadId}'", nameof(uploadId));
+        }
+
+        return Path.Combine(rootPath, uploadId);
+    }
+
+    private static bool IsValidUploadId(string uploadId) =>
+        uploadId.Length == 32 && uploadId.All(char.IsAsciiHexDigitLower);
+}
@@ -19,6 +19,9 @@ public static class ServiceCollectionExtensions
         services.AddSingleton<IBlobStorageService, BlobStorageService>();
         services.AddSingleton<IMessageQueueService, ServiceBusMessageQueueService>();
 
+        // Staging for chunked report uploads from the browser
+        services.AddSingleton<IReportUploadStagingStore, FileSystemReportUploadStagingStore>();
+
         // Register GitHub adapters (scoped for per-request lifecycle)
         services.AddScoped<IGitHubOAuthService, GitHubOAuthService>();
         services.AddScoped<IGitHubApiService, GitHubApiService>();
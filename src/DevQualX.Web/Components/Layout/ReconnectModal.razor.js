@@ -1,3 +1,24 @@
+// Reconnect modal
+//
+// Blazor retries a lost connection a few times on its own ("retrying"). Once it gives up ("failed")
+// we keep retrying with exponential backoff and jitter, pause while the browser is offline and retry
+// as soon as it is back online (or the tab becomes visible again). The modal shows the attempt
+// number and a countdown to the next attempt.
+//
+// Every state transition goes into a short diagnostic log (kept in sessionStorage so it survives the
+// reload), shown under "Connection details" in the modal.
+//
+// When the server no longer has the circuit the page has to reload; the forms on it are saved first
+// and restored after the reload (see saveFormSnapshot in validation.js).
+
+import { saveFormSnapshot } from "../../js/validation.js";
+
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 60000;
+const BACKOFF_JITTER = 0.3; // +/- 30% so clients that lost the same server don't retry in lockstep
+const LOG_STORAGE_KEY = "devqualx-reconnect-log";
+const LOG_LIMIT = 50;
+
 // Set up event handlers
 const reconnectModal = document.getElementById("components-reconnect-modal");
 reconnectModal.addEventListener("components-reconnect-state-changed", handleReconnectStateChanged);
@@ -8,20 +29,95 @@ retryButton.addEventListener("click", retry);
 const resumeButton = document.getElementById("components-resume-button");
 resumeButton.addEventListener("click", resume);
 
+window.addEventListener("online", handleOnline);
+window.addEventListener("offline", handleOffline);
+document.addEventListener("visibilitychange", retryWhenDocumentBecomesVisible);
+
+// Our retries after Blazor gave up
+let backoffAttempt = 0;
+let retryTimer = null;
+let countdownTimer = null;
+let retryPending = false;
+let retrying = false;
+
+renderLog();
+
 function handleReconnectStateChanged(event) {
-    if (event.detail.state === "show") {
+    const { state, currentAttempt } = event.detail;
+    log(state, currentAttempt);
+
+    if (state === "show") {
         reconnectModal.showModal();
-    } else if (event.detail.state === "hide") {
+    } else if (state === "hide") {
+        stopBackoff();
+        backoffAttempt = 0;
+        setOffline(false);
         reconnectModal.close();
-    } else if (event.detail.state === "failed") {
-        document.addEventListener("visibilitychange", retryWhenDocumentBecomesVisible);
-    } else if (event.detail.state === "rejected") {
-        location.reload();
+    } else if (state === "retrying") {
+        setAttempt(currentAttempt);
+    } else if (state === "failed") {
+        scheduleRetry();
+    } else if (state === "rejected") {
+        reload("The server rejected the connection");
     }
 }
 
+/**
+ * Retry after an exponentially growing, jittered delay (or once back online)
+ */
+function scheduleRetry() {
+    stopBackoff();
+    retryPending = true;
+
+    if (!navigator.onLine) {
+        setOffline(true);
+        return;
+    }
+
+    backoffAttempt += 1;
+    const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (backoffAttempt - 1));
+    const jittered = Math.round(delay * (1 - BACKOFF_JITTER + Math.random() * BACKOFF_JITTER * 2));
+    const nextAttemptAt = Date.now() + jittered;
+
+    reconnectModal.classList.add("components-reconnect-backoff");
+    setAttempt(backoffAttempt);
+
+    const updateCountdown = () => {
+        const seconds = Math.max(0, Math.ceil((nextAttemptAt - Date.now()) / 1000));
+        reconnectModal.querySelectorAll("[data-reconnect-countdown]").forEach(element => {
+            element.textContent = String(seconds);
+        });
+    };
+    updateCountdown();
+    countdownTimer = setInterval(updateCountdown, 1000);
+    retryTimer = setTimeout(retry, jittered);
+}
+
+function stopBackoff() {
+    clearTimeout(retryTimer);
+    clearInterval(countdownTimer);
+    retryTimer = null;
+    countdownTimer = null;
+    retryPending = false;
+    reconnectModal.classList.remove("components-reconnect-backoff");
+}
+
+function setAttempt(attempt) {
+    reconnectModal.querySelectorAll("[data-reconnect-attempt]").forEach(element => {
+        element.textContent = attempt ? String(attempt) : "";
+    });
+}
+
+function setOffline(offline) {
+    reconnectModal.classList.toggle("components-reconnect-offline", offline);
+}
+
 async function retry() {
-    document.removeEventListener("visibilitychange", retryWhenDocumentBecomesVisible);
+    if (retrying) return;
+
+    stopBackoff();
+    retrying = true;
+    log("retry", backoffAttempt);
 
     try {
         // Reconnect will asynchronously return:
@@ -34,14 +130,17 @@ async function retry() {
             // We'll reload the page so the user can continue using the app as quickly as possible.
             const resumeSuccessful = await Blazor.resumeCircuit();
             if (!resumeSuccessful) {
-                location.reload();
+                reload("The server no longer has this session");
             } else {
                 reconnectModal.close();
             }
         }
     } catch (err) {
         // We got an exception, server is currently unavailable
-        document.addEventListener("visibilitychange", retryWhenDocumentBecomesVisible);
+        log("retry-failed", backoffAttempt, err?.message);
+        scheduleRetry();
+    } finally {
+        retrying = false;
     }
 }
 
@@ -49,15 +148,102 @@ async function resume() {
     try {
         const successful = await Blazor.resumeCircuit();
         if (!successful) {
-            location.reload();
+            reload("The session could not be resumed");
         }
-    } catch {
-        location.reload();
+    } catch (err) {
+        reload(err?.message || "The session could not be resumed");
+    }
+}
+
+/**
+ * Save the page's forms and reload
+ */
+function reload(reason) {
+    stopBackoff();
+    const forms = saveFormSnapshot();
+    log("reload", null, forms > 0 ? `${reason}; saved ${forms} form(s)` : reason);
+    location.reload();
+}
+
+function handleOnline() {
+    log("online");
+    setOffline(false);
+    if (retryPending) {
+        retry();
+    }
+}
+
+function handleOffline() {
+    log("offline");
+    if (retryPending) {
+        // Stop counting down; handleOnline retries
+        scheduleRetry();
     }
 }
 
 async function retryWhenDocumentBecomesVisible() {
-    if (document.visibilityState === "visible") {
+    if (document.visibilityState === "visible" && retryPending && navigator.onLine) {
         await retry();
     }
 }
+
+/**
+ * Recent connection state transitions: { at, state, attempt, online, message }
+ */
+function getLog() {
+    try {
+        const entries = JSON.parse(sessionStorage.getItem(LOG_STORAGE_KEY) || "[]");
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        return [];
+    }
+}
+
+function clearLog() {
+    try {
+        sessionStorage.removeItem(LOG_STORAGE_KEY);
+    } catch {
+        // Storage unavailable: there is nothing to clear
+    }
+    renderLog();
+}
+
+function log(state, attempt = null, message = null) {
+    const entries = getLog();
+    entries.push({ at: new Date().toISOString(), state, attempt: attempt ?? null, online: navigator.onLine, message });
+    try {
+        sessionStorage.setItem(LOG_STORAGE_KEY, JSON.stringify(entries.slice(-LOG_LIMIT)));
+    } catch {
+        // Storage unavailable: the log only lives in the modal
+    }
+    renderLog(entries.slice(-LOG_LIMIT));
+}
+
+function renderLog(entries = getLog()) {
+    const list = reconnectModal.querySelector("[data-reconnect-log]");
+    if (!list) return;
+
+    list.replaceChildren(...entries.slice().reverse().map(entry => {
+        const item = document.createElement("li");
+        const time = new Date(entry.at).toLocaleTimeString();
+        const attempt = entry.attempt ? ` (attempt ${entry.attempt})` : "";
+        const offline = entry.online ? "" : " [offline]";
+        item.textContent = `${time} ${entry.state}${attempt}${offline}${entry.message ? `: ${entry.message}` : ""}`;
+        return item;
+    }));
+}
+
+// ES module API
+export {
+    retry,
+    getLog,
+    clearLog
+};
+
+// Global API
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.reconnect = {
+    retry,
+    getLog,
+    clearLog
+};
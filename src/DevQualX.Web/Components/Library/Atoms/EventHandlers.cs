@@ -0,0 +1,14 @@
+using Microsoft.AspNetCore.Components;
+
+namespace DevQualX.Web.Components.Library.Atoms;
+
+/// <summary>
+/// Custom DOM events raised by the library's scripts, registered with Blazor so components
+/// can handle them with <c>@on{event}</c> attributes.
+/// </summary>
+[EventHandler("ontabchange", typeof(TabChangeEventArgs), enableStopPropagation: true, enablePreventDefault: true)]
+[EventHandler("ontabclose", typeof(TabCloseEventArgs), enableStopPropagation: true, enablePreventDefault: true)]
+[EventHandler("ontabreorder", typeof(TabReorderEventArgs), enableStopPropagation: true, enablePreventDefault: true)]
+public static class EventHandlers
+{
+}
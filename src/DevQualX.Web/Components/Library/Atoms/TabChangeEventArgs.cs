@@ -0,0 +1,37 @@
+namespace DevQualX.Web.Components.Library.Atoms;
+
+/// <summary>
+/// Details of a tab switch, raised by tabs.js as the <c>tabchange</c> event.
+/// </summary>
+public class TabChangeEventArgs : EventArgs
+{
+    /// <summary>
+    /// Name of the tab set (its <c>data-tabs</c> value), or null if it has none.
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// ID of the selected tab.
+    /// </summary>
+    public string? TabId { get; set; }
+
+    /// <summary>
+    /// ID of the panel that is now shown.
+    /// </summary>
+    public string? PanelId { get; set; }
+
+    /// <summary>
+    /// ID of the tab that was selected before, if any.
+    /// </summary>
+    public string? PreviousTabId { get; set; }
+
+    /// <summary>
+    /// ID of the panel that was shown before, if any.
+    /// </summary>
+    public string? PreviousPanelId { get; set; }
+
+    /// <summary>
+    /// Whether the panel is shown for the first time (lazy content can be rendered now).
+    /// </summary>
+    public bool FirstActivation { get; set; }
+}
@@ -0,0 +1,22 @@
+namespace DevQualX.Web.Components.Library.Atoms;
+
+/// <summary>
+/// Details of a tab being closed, raised by tabs.js as the <c>tabclose</c> event.
+/// </summary>
+public class TabCloseEventArgs : EventArgs
+{
+    /// <summary>
+    /// Name of the tab set (its <c>data-tabs</c> value), or null if it has none.
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// ID of the tab being closed.
+    /// </summary>
+    public string? TabId { get; set; }
+
+    /// <summary>
+    /// ID of the panel the tab controls.
+    /// </summary>
+    public string? PanelId { get; set; }
+}
@@ -0,0 +1,17 @@
+namespace DevQualX.Web.Components.Library.Atoms;
+
+/// <summary>
+/// New order of a reorderable tab set, raised by tabs.js as the <c>tabreorder</c> event.
+/// </summary>
+public class TabReorderEventArgs : EventArgs
+{
+    /// <summary>
+    /// Name of the tab set (its <c>data-tabs</c> value).
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// Panel IDs of the tabs, in their new order.
+    /// </summary>
+    public string[] Order { get; set; } = [];
+}
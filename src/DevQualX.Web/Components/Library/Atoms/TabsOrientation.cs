@@ -0,0 +1,17 @@
+namespace DevQualX.Web.Components.Library.Atoms;
+
+/// <summary>
+/// Direction the tab list of the Tabs component runs in.
+/// </summary>
+public enum TabsOrientation
+{
+    /// <summary>
+    /// Tabs in a row above the panels (Left/Right arrow keys).
+    /// </summary>
+    Horizontal,
+    
+    /// <summary>
+    /// Tabs in a column beside the panels (Up/Down arrow keys).
+    /// </summary>
+    Vertical
+}
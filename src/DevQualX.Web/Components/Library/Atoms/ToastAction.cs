@@ -0,0 +1,28 @@
+namespace DevQualX.Web.Components.Library.Atoms;
+
+/// <summary>
+/// Action button declared by a notification (e.g., "View report", "Retry upload", "Undo").
+/// </summary>
+public class ToastAction
+{
+    /// <summary>
+    /// Action ID, unique within its notification.
+    /// </summary>
+    public required string Id { get; init; }
+    
+    /// <summary>
+    /// Button label.
+    /// </summary>
+    public required string Label { get; init; }
+    
+    /// <summary>
+    /// Button style ("primary" or "secondary").
+    /// </summary>
+    public string Variant { get; init; } = "secondary";
+    
+    /// <summary>
+    /// Whether the action can run in the current page. Handlers and .NET callbacks
+    /// are not persisted, so their actions become unavailable after a full reload.
+    /// </summary>
+    public bool Available { get; init; } = true;
+}
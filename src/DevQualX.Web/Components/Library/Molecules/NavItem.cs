@@ -36,4 +36,10 @@ public class NavItem
     /// Whether this item is only shown in development environment.
     /// </summary>
     public bool DevOnly { get; init; }
+    
+    /// <summary>
+    /// Optional keyboard shortcut that navigates to <see cref="Href"/>, in shortcuts.js notation
+    /// (e.g. "g w": press G, then W). Shown in the command palette and the shortcut help.
+    /// </summary>
+    public string? Shortcut { get; init; }
 }
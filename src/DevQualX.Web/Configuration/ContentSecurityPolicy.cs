@@ -0,0 +1,41 @@
+namespace DevQualX.Web.Configuration;
+
+/// <summary>
+/// Builds the Content-Security-Policy header sent with every response.
+/// </summary>
+/// <remarks>
+/// Scripts must come from the app itself or carry the request's nonce; <c>eval</c> is not allowed.
+/// Style attributes stay allowed because components bind them (progress widths, countdown durations)
+/// and they cannot run script.
+/// </remarks>
+public static class ContentSecurityPolicy
+{
+    /// <summary>
+    /// Host serving GitHub user and organization avatars.
+    /// </summary>
+    private const string AvatarHost = "https://avatars.githubusercontent.com";
+    
+    /// <summary>
+    /// Builds the policy for a request.
+    /// </summary>
+    /// <param name="nonce">The request's nonce, allowed on inline script and style elements.</param>
+    /// <param name="isDevelopment">Whether to allow the browser refresh connection used by dotnet watch.</param>
+    public static string Build(string nonce, bool isDevelopment)
+    {
+        var connectSources = isDevelopment
+            ? "'self' ws://localhost:* wss://localhost:*"
+            : "'self'";
+        
+        return string.Join("; ",
+            "default-src 'self'",
+            $"script-src 'self' 'nonce-{nonce}'",
+            $"style-src 'self' 'nonce-{nonce}'",
+            "style-src-attr 'unsafe-inline'",
+            $"img-src 'self' data: {AvatarHost}",
+            $"connect-src {connectSources}",
+            "object-src 'none'",
+            "base-uri 'self'",
+            "form-action 'self'",
+            "frame-ancestors 'none'");
+    }
+}
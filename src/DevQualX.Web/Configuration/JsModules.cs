@@ -0,0 +1,57 @@
+namespace DevQualX.Web.Configuration;
+
+/// <summary>
+/// Paths of the JavaScript modules in wwwroot/js, for
+/// <c>IJSRuntime.InvokeAsync&lt;IJSObjectReference&gt;("import", path)</c>.
+/// </summary>
+/// <remarks>
+/// App.razor also loads these modules with script tags. The import map resolves both to the
+/// same fingerprinted URL, so components share the page's module instance (and its state).
+/// </remarks>
+public static class JsModules
+{
+    /// <summary>
+    /// Toasts, notification history and progress (notifications.js).
+    /// </summary>
+    public const string Notifications = "./js/notifications.js";
+
+    /// <summary>
+    /// Per-organization preference sync (preferences.js).
+    /// </summary>
+    public const string Preferences = "./js/preferences.js";
+
+    /// <summary>
+    /// Light/dark/system theme preference (theme.js).
+    /// </summary>
+    public const string Theme = "./js/theme.js";
+
+    /// <summary>
+    /// Tab progressive enhancement (tabs.js).
+    /// </summary>
+    public const string Tabs = "./js/tabs.js";
+
+    /// <summary>
+    /// Sidebar drawer, collapse, resize and navigation groups (sidebar.js).
+    /// </summary>
+    public const string Sidebar = "./js/sidebar.js";
+
+    /// <summary>
+    /// Command palette and its extension API (commands.js).
+    /// </summary>
+    public const string Commands = "./js/commands.js";
+
+    /// <summary>
+    /// Keyboard shortcut registry and help dialog (shortcuts.js).
+    /// </summary>
+    public const string Shortcuts = "./js/shortcuts.js";
+
+    /// <summary>
+    /// Resumable report uploads and drop zones (uploads.js).
+    /// </summary>
+    public const string Uploads = "./js/uploads.js";
+
+    /// <summary>
+    /// Form validation progressive enhancement (validation.js).
+    /// </summary>
+    public const string Validation = "./js/validation.js";
+}
@@ -19,7 +19,15 @@ public static class NavigationConfig
             {
                 Label = "Weather",
                 Href = "weather",
-                Icon = HeroIcon.Calendar
+                Icon = HeroIcon.Calendar,
+                Shortcut = "g w"
+            },
+            new NavItem
+            {
+                Label = "Upload Reports",
+                Href = "reports/upload",
+                Icon = HeroIcon.ArrowUpTray,
+                Shortcut = "g u"
             },
             new NavItem
             {
@@ -32,7 +40,8 @@ public static class NavigationConfig
                         Label = "Component Showcase",
                         Href = "dev/components",
                         Icon = HeroIcon.Star,
-                        DevOnly = true
+                        DevOnly = true,
+                        Shortcut = "g c"
                     }
                 }
             }
@@ -0,0 +1,139 @@
+using DevQualX.Application.Notifications;
+using DevQualX.Domain.Models;
+using DevQualX.Web.Extensions;
+using DevQualX.Web.Services;
+
+namespace DevQualX.Web.Endpoints;
+
+/// <summary>
+/// The notification feed the browser polls (notifications.js' polling adapter) to fill the notification tray.
+/// Notifications are scoped to the signed-in user and the organization selected in <see cref="OrgContextService"/>.
+/// </summary>
+public static class NotificationEndpoints
+{
+    /// <summary>
+    /// Maps GET /api/notifications/{installationId} and POST /api/notifications/{installationId}/ack.
+    /// </summary>
+    public static IEndpointRouteBuilder MapNotificationEndpoints(this IEndpointRouteBuilder endpoints)
+    {
+        var group = endpoints.MapGroup("/api/notifications")
+            .RequireAuthorization();
+
+        group.MapGet("/{installationId:long}", GetNotificationsAsync)
+            .WithName("GetNotifications");
+
+        group.MapPost("/{installationId:long}/ack", AcknowledgeNotificationsAsync)
+            .WithName("AcknowledgeNotifications");
+
+        return endpoints;
+    }
+
+    private static async Task<IResult> GetNotificationsAsync(
+        long installationId,
+        long? since,
+        OrgContextService orgContext,
+        IGetUserNotifications getUserNotifications,
+        CancellationToken cancellationToken)
+    {
+        if (GetScopeError(installationId, orgContext) is { } scopeError)
+        {
+            return scopeError;
+        }
+
+        var cursor = since ?? 0;
+        var result = await getUserNotifications.ExecuteAsync(orgContext.GetCurrentUserId()!.Value, installationId, cursor, cancellationToken);
+
+        // The cursor is the last ID returned, so the next poll neither skips nor repeats any
+        return result.Match<IResult>(
+            success: notifications => TypedResults.Ok(new NotificationFeedResponse(
+                notifications.Select(ToResponse).ToList(),
+                notifications.Count > 0 ? notifications[^1].Id : cursor)),
+            failure: error => error.ToProblem());
+    }
+
+    private static async Task<IResult> AcknowledgeNotificationsAsync(
+        long installationId,
+        AcknowledgeRequest request,
+        OrgContextService orgContext,
+        IAcknowledgeUserNotifications acknowledgeUserNotifications,
+        CancellationToken cancellationToken)
+    {
+        if (GetScopeError(installationId, orgContext) is { } scopeError)
+        {
+            return scopeError;
+        }
+
+        // Acknowledgements queued offline may be for another organization's notifications;
+        // they are marked read by user, so replaying them through this feed still works
+        var result = await acknowledgeUserNotifications.ExecuteAsync(orgContext.GetCurrentUserId()!.Value, request.Ids, cancellationToken);
+
+        return result.Match<IResult>(
+            success: _ => TypedResults.NoContent(),
+            failure: error => error.ToProblem());
+    }
+
+    /// <summary>
+    /// Only the selected organization's feed can be read, so a tab left open on another
+    /// organization stops receiving its notifications.
+    /// </summary>
+    private static IResult? GetScopeError(long installationId, OrgContextService orgContext)
+    {
+        if (orgContext.GetCurrentUserId() is null)
+        {
+            return TypedResults.Unauthorized();
+        }
+
+        if (orgContext.GetSelectedInstallationId() != installationId)
+        {
+            return TypedResults.Problem(
+                title: "Forbidden",
+                detail: $"Installation {installationId} is not the selected organization",
+                statusCode: StatusCodes.Status403Forbidden);
+        }
+
+        return null;
+    }
+
+    private static NotificationResponse ToResponse(UserNotification notification) =>
+        new(
+            notification.Id,
+            notification.Title,
+            notification.Message,
+            notification.Level,
+            notification.CreatedAt,
+            notification.ReadAt is not null,
+            notification.Href);
+
+
+    /// <summary>
+    /// Notifications the browser has marked as read.
+    /// </summary>
+    /// <param name="Ids">The notification IDs (notifications.js sends them as strings).</param>
+    public sealed record AcknowledgeRequest(long[] Ids);
+
+    /// <summary>
+    /// A page of the notification feed.
+    /// </summary>
+    /// <param name="Notifications">The notifications after the requested cursor, oldest first.</param>
+    /// <param name="Cursor">The cursor to poll from next.</param>
+    public sealed record NotificationFeedResponse(IReadOnlyList<NotificationResponse> Notifications, long Cursor);
+
+    /// <summary>
+    /// A notification in the shape notifications.js ingests.
+    /// </summary>
+    /// <param name="Id">The notification ID.</param>
+    /// <param name="Title">The notification title.</param>
+    /// <param name="Message">The notification message.</param>
+    /// <param name="Level">The notifications.js level.</param>
+    /// <param name="Timestamp">When the notification was raised.</param>
+    /// <param name="Read">Whether the user has read it on any device.</param>
+    /// <param name="Href">The link the notification opens, if any.</param>
+    public sealed record NotificationResponse(
+        long Id,
+        string Title,
+        string Message,
+        string Level,
+        DateTimeOffset Timestamp,
+        bool Read,
+        string? Href);
+}
@@ -0,0 +1,101 @@
+using DevQualX.Application.Installation;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using DevQualX.Web.Extensions;
+using DevQualX.Web.Services;
+
+namespace DevQualX.Web.Endpoints;
+
+/// <summary>
+/// Endpoints the command palette (commands.js) uses to list and switch organizations,
+/// like the <c>OrgSwitcher</c> component does.
+/// </summary>
+public static class OrganizationEndpoints
+{
+    /// <summary>
+    /// Maps GET /api/organizations and POST /api/organizations/{installationId}/select.
+    /// </summary>
+    public static IEndpointRouteBuilder MapOrganizationEndpoints(this IEndpointRouteBuilder endpoints)
+    {
+        var group = endpoints.MapGroup("/api/organizations")
+            .RequireAuthorization();
+
+        group.MapGet("/", GetOrganizationsAsync)
+            .WithName("GetOrganizations");
+
+        group.MapPost("/{installationId:long}/select", SelectOrganizationAsync)
+            .WithName("SelectOrganization");
+
+        return endpoints;
+    }
+
+    private static async Task<IResult> GetOrganizationsAsync(
+        OrgContextService orgContext,
+        IGetUserInstallations getUserInstallations,
+        CancellationToken cancellationToken)
+    {
+        var accessToken = orgContext.GetAccessToken();
+        if (string.IsNullOrEmpty(accessToken))
+        {
+            return TypedResults.Unauthorized();
+        }
+
+        var result = await getUserInstallations.ExecuteAsync(accessToken, cancellationToken);
+        var selectedId = orgContext.GetSelectedInstallationId();
+
+        return result.Match<IResult>(
+            success: installations => TypedResults.Ok(installations
+                .Select(installation => ToResponse(installation, installation.Id == selectedId))
+                .ToList()),
+            failure: error => error.ToProblem());
+    }
+
+    /// <summary>
+    /// Only installations the user can access on GitHub can be selected.
+    /// </summary>
+    private static async Task<IResult> SelectOrganizationAsync(
+        long installationId,
+        OrgContextService orgContext,
+        IGetUserInstallations getUserInstallations,
+        CancellationToken cancellationToken)
+    {
+        var accessToken = orgContext.GetAccessToken();
+        if (string.IsNullOrEmpty(accessToken))
+        {
+            return TypedResults.Unauthorized();
+        }
+
+        var result = await getUserInstallations.ExecuteAsync(accessToken, cancellationToken);
+        if (result is Failure<IReadOnlyList<GitHubInstallation>, Error> failure)
+        {
+            return failure.Error.ToProblem();
+        }
+
+        var installation = ((Success<IReadOnlyList<GitHubInstallation>, Error>)result).Value
+            .FirstOrDefault(i => i.Id == installationId);
+        if (installation is null)
+        {
+            return new ForbiddenError
+            {
+                Message = $"Installation {installationId} is not accessible"
+            }.ToProblem();
+        }
+
+        orgContext.SetSelectedInstallationId((int)installation.Id);
+        return TypedResults.Ok(ToResponse(installation, selected: true));
+    }
+
+    private static OrganizationResponse ToResponse(GitHubInstallation installation, bool selected) =>
+        new(installation.Id, installation.Account.Login, installation.Account.Type, installation.Account.AvatarUrl, selected);
+
+
+    /// <summary>
+    /// An organization (GitHub App installation) the user can switch to.
+    /// </summary>
+    /// <param name="InstallationId">The GitHub App installation ID.</param>
+    /// <param name="Login">The organization or user account login.</param>
+    /// <param name="Type">"Organization" or "User".</param>
+    /// <param name="AvatarUrl">The account's avatar.</param>
+    /// <param name="Selected">Whether this is the selected organization.</param>
+    public sealed record OrganizationResponse(long InstallationId, string Login, string Type, string AvatarUrl, bool Selected);
+}
@@ -0,0 +1,134 @@
+using System.Text.Json;
+using DevQualX.Application.Preferences;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using DevQualX.Web.Extensions;
+using DevQualX.Web.Services;
+
+namespace DevQualX.Web.Endpoints;
+
+/// <summary>
+/// Endpoints the browser uses to sync client preferences (preferences.js).
+/// Preferences are scoped to the signed-in user and the organization selected in <see cref="OrgContextService"/>.
+/// </summary>
+public static class PreferencesEndpoints
+{
+    /// <summary>
+    /// Maps GET and PUT /api/preferences/{installationId}.
+    /// </summary>
+    public static IEndpointRouteBuilder MapPreferencesEndpoints(this IEndpointRouteBuilder endpoints)
+    {
+        var group = endpoints.MapGroup("/api/preferences")
+            .RequireAuthorization();
+
+        group.MapGet("/{installationId:long}", GetPreferencesAsync)
+            .WithName("GetPreferences");
+
+        group.MapPut("/{installationId:long}", SavePreferencesAsync)
+            .WithName("SavePreferences");
+
+        return endpoints;
+    }
+
+    private static async Task<IResult> GetPreferencesAsync(
+        long installationId,
+        OrgContextService orgContext,
+        IGetUserPreferences getUserPreferences,
+        CancellationToken cancellationToken)
+    {
+        if (GetScopeError(installationId, orgContext) is { } scopeError)
+        {
+            return scopeError;
+        }
+
+        var result = await getUserPreferences.ExecuteAsync(orgContext.GetCurrentUserId()!.Value, installationId, cancellationToken);
+
+        return result.Match<IResult>(
+            success: preferences => TypedResults.Ok(ToResponse(preferences)),
+            failure: error => error.ToProblem());
+    }
+
+    private static async Task<IResult> SavePreferencesAsync(
+        long installationId,
+        PreferencesRequest request,
+        OrgContextService orgContext,
+        IGetUserPreferences getUserPreferences,
+        ISaveUserPreferences saveUserPreferences,
+        CancellationToken cancellationToken)
+    {
+        if (GetScopeError(installationId, orgContext) is { } scopeError)
+        {
+            return scopeError;
+        }
+
+        var userId = orgContext.GetCurrentUserId()!.Value;
+        var result = await saveUserPreferences.ExecuteAsync(
+            userId,
+            installationId,
+            request.Document.GetRawText(),
+            request.Version,
+            cancellationToken);
+
+        if (result is Failure<UserPreferences, Error> { Error: ConflictError })
+        {
+            // Send the current copy so the browser can merge and retry without another round trip
+            var current = await getUserPreferences.ExecuteAsync(userId, installationId, cancellationToken);
+            return current.Match<IResult>(
+                success: preferences => TypedResults.Conflict(ToResponse(preferences)),
+                failure: error => error.ToProblem());
+        }
+
+        return result.Match<IResult>(
+            success: preferences => TypedResults.Ok(ToResponse(preferences)),
+            failure: error => error.ToProblem());
+    }
+
+    /// <summary>
+    /// Only the selected organization's preferences can be read or written, so a tab left open
+    /// on another organization cannot overwrite them.
+    /// </summary>
+    private static IResult? GetScopeError(long installationId, OrgContextService orgContext)
+    {
+        if (orgContext.GetCurrentUserId() is null)
+        {
+            return TypedResults.Unauthorized();
+        }
+
+        if (orgContext.GetSelectedInstallationId() != installationId)
+        {
+            return TypedResults.Problem(
+                title: "Forbidden",
+                detail: $"Installation {installationId} is not the selected organization",
+                statusCode: StatusCodes.Status403Forbidden);
+        }
+
+        return null;
+    }
+
+    private static PreferencesResponse ToResponse(UserPreferences preferences)
+    {
+        using var document = JsonDocument.Parse(preferences.Document);
+        return new PreferencesResponse(
+            preferences.GitHubInstallationId,
+            preferences.Version,
+            document.RootElement.Clone(),
+            preferences.Version == 0 ? null : preferences.UpdatedAt);
+    }
+
+
+    /// <summary>
+    /// A preferences document and the version it was based on.
+    /// </summary>
+    /// <param name="Version">The server version the document was merged from (0 for a first save).</param>
+    /// <param name="Document">The preference sections as a JSON object.</param>
+    public sealed record PreferencesRequest(int Version, JsonElement Document);
+
+    /// <summary>
+    /// The stored preferences document.
+    /// </summary>
+    /// <param name="InstallationId">The organization the preferences belong to.</param>
+    /// <param name="Version">The stored version (0 when nothing is stored yet).</param>
+    /// <param name="Document">The preference sections as a JSON object.</param>
+    /// <param name="UpdatedAt">When the preferences were last saved.</param>
+    public sealed record PreferencesResponse(long InstallationId, int Version, JsonElement Document, DateTimeOffset? UpdatedAt);
+}
@@ -0,0 +1,207 @@
+using DevQualX.Application.Authorization;
+using DevQualX.Application.Reports;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using DevQualX.Web.Extensions;
+using DevQualX.Web.Services;
+
+namespace DevQualX.Web.Endpoints;
+
+/// <summary>
+/// Endpoints the browser uses for resumable, chunked report uploads (uploads.js).
+/// The browser's counterpart of POST /reports in the API: reports go to the organization
+/// selected in <see cref="OrgContextService"/>, with the same permission check.
+/// </summary>
+public static class ReportUploadEndpoints
+{
+    /// <summary>
+    /// Maps POST /api/report-uploads, PUT /api/report-uploads/{uploadId}/chunks/{index}
+    /// and POST /api/report-uploads/{uploadId}/complete.
+    /// </summary>
+    public static IEndpointRouteBuilder MapReportUploadEndpoints(this IEndpointRouteBuilder endpoints)
+    {
+        var group = endpoints.MapGroup("/api/report-uploads")
+            .RequireAuthorization();
+
+        group.MapPost("/", StartUploadAsync)
+            .WithName("StartReportUpload");
+
+        group.MapPut("/{uploadId}/chunks/{index:int}", UploadChunkAsync)
+            .WithName("UploadReportChunk");
+
+        group.MapPost("/{uploadId}/complete", CompleteUploadAsync)
+            .WithName("CompleteReportUpload");
+
+        return endpoints;
+    }
+
+    /// <summary>
+    /// Starts an upload, or resumes the one already started for the same file.
+    /// </summary>
+    private static async Task<IResult> StartUploadAsync(
+        StartUploadRequest request,
+        OrgContextService orgContext,
+        ICheckUserRole checkUserRole,
+        IStartReportUpload startReportUpload,
+        CancellationToken cancellationToken)
+    {
+        if (orgContext.GetCurrentUserId() is not { } userId)
+        {
+            return TypedResults.Unauthorized();
+        }
+
+        if (orgContext.GetSelectedInstallationId() is not { } installationId)
+        {
+            return TypedResults.Problem(
+                title: "No organization selected",
+                detail: "Select an organization before uploading reports",
+                statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        // Same check as POST /reports
+        var authResult = await checkUserRole.ExecuteAsync(
+            (int)userId,
+            installationId,
+            Role.Reader,
+            RoleScope.Organization,
+            resourceId: null,
+            cancellationToken);
+
+        if (authResult is Failure<bool, Error> authFailure)
+        {
+            return authFailure.Error.ToProblem();
+        }
+
+        if (!((Success<bool, Error>)authResult).Value)
+        {
+            return TypedResults.Problem(
+                title: "Insufficient permissions",
+                detail: $"User does not have permission to upload reports for installation {installationId}",
+                statusCode: StatusCodes.Status403Forbidden);
+        }
+
+        var result = await startReportUpload.ExecuteAsync(
+            new ReportUploadStartRequest(
+                userId,
+                installationId,
+                request.Organisation,
+                request.Project,
+                request.FileName,
+                request.ContentType,
+                request.FileSize,
+                request.Sha256),
+            cancellationToken);
+
+        return result.Match<IResult>(
+            success: session => TypedResults.Ok(ToResponse(session)),
+            failure: error => error.ToProblem());
+    }
+
+    /// <summary>
+    /// Stores a chunk sent as the raw request body (application/octet-stream).
+    /// </summary>
+    private static async Task<IResult> UploadChunkAsync(
+        string uploadId,
+        int index,
+        HttpRequest request,
+        OrgContextService orgContext,
+        IUploadReportChunk uploadReportChunk,
+        CancellationToken cancellationToken)
+    {
+        if (orgContext.GetCurrentUserId() is not { } userId)
+        {
+            return TypedResults.Unauthorized();
+        }
+
+        var result = await uploadReportChunk.ExecuteAsync(
+            userId,
+            uploadId,
+            index,
+            request.ContentLength,
+            request.Body,
+            cancellationToken);
+
+        return result.Match<IResult>(
+            success: session => TypedResults.Ok(ToResponse(session)),
+            failure: error => error.ToProblem());
+    }
+
+    private static async Task<IResult> CompleteUploadAsync(
+        string uploadId,
+        OrgContextService orgContext,
+        ICompleteReportUpload completeReportUpload,
+        CancellationToken cancellationToken)
+    {
+        if (orgContext.GetCurrentUserId() is not { } userId)
+        {
+            return TypedResults.Unauthorized();
+        }
+
+        var result = await completeReportUpload.ExecuteAsync(userId, uploadId, cancellationToken);
+
+        return result.Match<IResult>(
+            success: report => TypedResults.Ok(ToResponse(report)),
+            failure: error => error.ToProblem());
+    }
+
+    private static UploadSessionResponse ToResponse(ReportUploadSession session) =>
+        new(
+            session.Id,
+            session.ChunkSizeBytes,
+            session.ChunkCount,
+            session.ReceivedChunks,
+            session.Report is null ? null : ToResponse(session.Report));
+
+    private static ReportResponse ToResponse(ReportMetadata report) =>
+        new(report.Organisation, report.Project, report.FileName, report.FileSizeBytes, report.Checksum, report.UploadedAt);
+
+
+    /// <summary>
+    /// A file to upload, described by the browser before sending it.
+    /// </summary>
+    /// <param name="FileName">The file's name.</param>
+    /// <param name="ContentType">The file's MIME type.</param>
+    /// <param name="FileSize">The file's size in bytes.</param>
+    /// <param name="Sha256">The SHA-256 of the file's content, as hex.</param>
+    /// <param name="Organisation">The organisation the report belongs to.</param>
+    /// <param name="Project">The project the report belongs to.</param>
+    public sealed record StartUploadRequest(
+        string FileName,
+        string ContentType,
+        long FileSize,
+        string Sha256,
+        string Organisation,
+        string Project);
+
+    /// <summary>
+    /// An upload session: what to send and what has arrived.
+    /// </summary>
+    /// <param name="UploadId">The session ID, the same for every upload of the same file.</param>
+    /// <param name="ChunkSize">The size of each chunk in bytes (the last one may be shorter).</param>
+    /// <param name="ChunkCount">The number of chunks.</param>
+    /// <param name="ReceivedChunks">Indexes of the chunks received so far.</param>
+    /// <param name="Report">The uploaded report, when the file was already uploaded.</param>
+    public sealed record UploadSessionResponse(
+        string UploadId,
+        int ChunkSize,
+        int ChunkCount,
+        IReadOnlyList<int> ReceivedChunks,
+        ReportResponse? Report);
+
+    /// <summary>
+    /// An uploaded report.
+    /// </summary>
+    /// <param name="Organisation">The organisation the report belongs to.</param>
+    /// <param name="Project">The project the report belongs to.</param>
+    /// <param name="FileName">The file's name.</param>
+    /// <param name="FileSizeBytes">The file's size in bytes.</param>
+    /// <param name="Checksum">The SHA-256 of the stored content.</param>
+    /// <param name="UploadedAt">When the report was stored.</param>
+    public sealed record ReportResponse(
+        string Organisation,
+        string Project,
+        string FileName,
+        long FileSizeBytes,
+        string Checksum,
+        DateTimeOffset UploadedAt);
+}
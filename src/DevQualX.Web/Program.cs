@@ -2,6 +2,8 @@ using DevQualX.Application;
 using DevQualX.Data;
 using DevQualX.Infrastructure;
 using DevQualX.Web.Components;
+using DevQualX.Web.Configuration;
+using DevQualX.Web.Endpoints;
 using DevQualX.Web.Services;
 using Microsoft.AspNetCore.Authentication.Cookies;
 
@@ -57,6 +59,10 @@ builder.Services.AddInfrastructureServices(); // GitHub service registrations
 
 // Add Web-specific services
 builder.Services.AddScoped<OrgContextService>();
+builder.Services.AddScoped<CspNonceService>();
+builder.Services.AddScoped<ThemeHintService>();
+builder.Services.AddScoped<SidebarStateService>();
+builder.Services.AddHostedService<ReportUploadCleanupService>();
 
 var app = builder.Build();
 
@@ -68,6 +74,14 @@ if (!app.Environment.IsDevelopment())
     app.UseHsts();
 }
 
+// Strict Content-Security-Policy with a per-request nonce for inline elements
+app.Use(async (context, next) =>
+{
+    var nonce = context.RequestServices.GetRequiredService<CspNonceService>().Nonce;
+    context.Response.Headers.ContentSecurityPolicy = ContentSecurityPolicy.Build(nonce, app.Environment.IsDevelopment());
+    await next();
+});
+
 app.UseStatusCodePagesWithReExecute("/not-found", createScopeForStatusCodePages: true);
 app.UseHttpsRedirection();
 
@@ -84,6 +98,18 @@ app.MapStaticAssets();
 app.MapRazorComponents<App>()
     .AddInteractiveServerRenderMode();
 
+// Client preference sync (preferences.js)
+app.MapPreferencesEndpoints();
+
+// Server notification feed for the notification tray (notifications.js)
+app.MapNotificationEndpoints();
+
+// Organization list and switching for the command palette (commands.js)
+app.MapOrganizationEndpoints();
+
+// Resumable report uploads from the browser (uploads.js)
+app.MapReportUploadEndpoints();
+
 app.MapDefaultEndpoints();
 
 app.Run();
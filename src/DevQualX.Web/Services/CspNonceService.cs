@@ -0,0 +1,15 @@
+using System.Security.Cryptography;
+
+namespace DevQualX.Web.Services;
+
+/// <summary>
+/// Per-request nonce for the Content-Security-Policy header.
+/// Inline scripts and styles that cannot live in a file (such as the import map) must carry it.
+/// </summary>
+public class CspNonceService
+{
+    /// <summary>
+    /// Gets the nonce for the current request (128 random bits, base64 encoded).
+    /// </summary>
+    public string Nonce { get; } = Convert.ToBase64String(RandomNumberGenerator.GetBytes(16));
+}
@@ -0,0 +1,40 @@
+using DevQualX.Application.Reports;
+using DevQualX.Functional;
+
+namespace DevQualX.Web.Services;
+
+/// <summary>
+/// Periodically discards chunked report uploads that were abandoned, off the request path.
+/// </summary>
+public class ReportUploadCleanupService(
+    IServiceScopeFactory serviceScopeFactory,
+    ILogger<ReportUploadCleanupService> logger) : BackgroundService
+{
+    private static readonly TimeSpan Interval = TimeSpan.FromHours(1);
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(Interval);
+
+        try
+        {
+            do
+            {
+                // Create a scope to resolve scoped services
+                using var scope = serviceScopeFactory.CreateScope();
+                var purgeReportUploads = scope.ServiceProvider.GetRequiredService<IPurgeReportUploads>();
+
+                var result = await purgeReportUploads.ExecuteAsync(stoppingToken);
+                if (result is Failure<Unit, Error> { Error: var error })
+                {
+                    logger.LogWarning("Report upload cleanup failed: {Message}", error.Message);
+                }
+            }
+            while (await timer.WaitForNextTickAsync(stoppingToken));
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogInformation("Report upload cleanup service stopping");
+        }
+    }
+}
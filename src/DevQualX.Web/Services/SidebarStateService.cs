@@ -0,0 +1,74 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
+
+namespace DevQualX.Web.Services;
+
+/// <summary>
+/// Reads the sidebar cookie written by sidebar.js so the server can render the desktop sidebar
+/// collapsed or at its resized width, and navigation groups collapsed, instead of correcting them after load.
+/// </summary>
+public partial class SidebarStateService(IHttpContextAccessor httpContextAccessor)
+{
+    /// <summary>
+    /// Name of the cookie sidebar.js writes ("collapsed:width:collapsed groups", e.g. "1:320:reports|settings").
+    /// </summary>
+    public const string CookieName = "devqualx-sidebar";
+    
+    /// <summary>
+    /// Narrowest width, in pixels, the sidebar can be resized to.
+    /// </summary>
+    public const int MinWidth = 200;
+    
+    /// <summary>
+    /// Widest width, in pixels, the sidebar can be resized to.
+    /// </summary>
+    public const int MaxWidth = 480;
+    
+    /// <summary>
+    /// Gets whether the desktop sidebar is collapsed to its icon rail.
+    /// </summary>
+    public bool IsCollapsed() => Read()?.Collapsed ?? false;
+    
+    /// <summary>
+    /// Gets the resized sidebar width in pixels, or null for the default width.
+    /// </summary>
+    public int? GetWidth() => Read()?.Width;
+    
+    /// <summary>
+    /// Gets whether the user collapsed a navigation group.
+    /// </summary>
+    /// <param name="key">The group's key (data-sidebar-group).</param>
+    public bool IsGroupCollapsed(string key) => Read()?.CollapsedGroups.Contains(key) ?? false;
+    
+    private (bool Collapsed, int? Width, string[] CollapsedGroups)? Read()
+    {
+        var value = httpContextAccessor.HttpContext?.Request.Cookies[CookieName];
+        if (string.IsNullOrEmpty(value))
+        {
+            return null;
+        }
+        
+        // The width is echoed into a style attribute, so accept only what sidebar.js writes
+        var match = CookiePattern().Match(value);
+        if (!match.Success)
+        {
+            return null;
+        }
+        
+        int? width = null;
+        if (match.Groups["width"].Success)
+        {
+            var pixels = int.Parse(match.Groups["width"].Value, CultureInfo.InvariantCulture);
+            width = pixels is >= MinWidth and <= MaxWidth ? pixels : null;
+        }
+        
+        // Group keys are only compared, never rendered
+        var collapsedGroups = match.Groups["groups"].Value.Split('|', StringSplitOptions.RemoveEmptyEntries);
+        
+        return (match.Groups["collapsed"].Value == "1", width, collapsedGroups);
+    }
+    
+    // Cookies written before groups were added end after the width
+    [GeneratedRegex("^(?<collapsed>[01]):(?<width>[0-9]{3})?(?::(?<groups>.*))?$")]
+    private static partial Regex CookiePattern();
+}
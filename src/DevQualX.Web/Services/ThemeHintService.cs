@@ -0,0 +1,43 @@
+using System.Text.RegularExpressions;
+
+namespace DevQualX.Web.Services;
+
+/// <summary>
+/// Reads the theme cookie written by theme.js so the server can render the right
+/// <c>data-theme</c> and color scheme class on &lt;html&gt; instead of correcting it after load.
+/// </summary>
+public partial class ThemeHintService(IHttpContextAccessor httpContextAccessor)
+{
+    /// <summary>
+    /// Name of the cookie theme.js writes ("preference:effective:scheme").
+    /// </summary>
+    public const string CookieName = "devqualx-theme";
+    
+    /// <summary>
+    /// Gets the effective theme name from the cookie (e.g. "dark", "high-contrast"), or null without a valid cookie.
+    /// </summary>
+    public string? GetTheme() => Read()?.Theme;
+    
+    /// <summary>
+    /// Gets the color scheme ("light" or "dark") from the cookie, or null without a valid cookie.
+    /// </summary>
+    public string? GetScheme() => Read()?.Scheme;
+    
+    private (string Theme, string Scheme)? Read()
+    {
+        var value = httpContextAccessor.HttpContext?.Request.Cookies[CookieName];
+        if (string.IsNullOrEmpty(value))
+        {
+            return null;
+        }
+        
+        // The value is echoed into the page, so accept only what theme.js writes
+        var match = CookiePattern().Match(value);
+        return match.Success
+            ? (match.Groups["theme"].Value, match.Groups["scheme"].Value)
+            : null;
+    }
+    
+    [GeneratedRegex("^[a-z0-9-]{1,40}:(?<theme>[a-z0-9-]{1,40}):(?<scheme>light|dark)$")]
+    private static partial Regex CookiePattern();
+}
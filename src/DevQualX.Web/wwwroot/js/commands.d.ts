@@ -0,0 +1,57 @@
+/**
+ * Type declarations for commands.js
+ *
+ * The module's named exports; window.DevQualX.commands exposes the same members.
+ */
+
+export const GROUPS: {
+    RECENT: 'Recent';
+    NAVIGATION: 'Navigation';
+    ORGANIZATIONS: 'Organizations';
+    ACTIONS: 'Actions';
+};
+
+export interface CommandDefinition {
+    /** Unique ID; registering another command with the same ID replaces it */
+    id: string;
+    /** What the palette shows and searches */
+    title: string;
+    /** Called when the command runs; a rejected Promise reopens the palette with the error */
+    run?: () => unknown;
+    /** Page to navigate to when there is no run() */
+    href?: string;
+    /** Heading the command is listed under (default 'Actions') */
+    group?: string;
+    /** Shown next to the title, and searched */
+    hint?: string;
+    /** Other words that find the command */
+    keywords?: string[];
+    /** Keys in shortcuts.js notation ("mod+k", "g w") shown next to the command; register them with shortcuts.js to make them work */
+    shortcut?: string;
+    /** The command is hidden while this returns false */
+    when?: () => boolean;
+}
+
+export interface Command {
+    id: string;
+    title: string;
+    group: string;
+    hint: string | null;
+    keywords: string[];
+    shortcut: string | null;
+    href: string | null;
+}
+
+/** Register commands; returns a function that unregisters them */
+export function register(commands: CommandDefinition | CommandDefinition[]): () => void;
+export function unregister(id: string): boolean;
+
+/** Commands that can run right now, from every source (navigation, organizations, recent pages, registered) */
+export function getCommands(): Command[];
+/** Run a command by ID; resolves to whether it ran */
+export function execute(id: string): Promise<boolean>;
+
+export function open(query?: string): boolean;
+export function close(): void;
+export function toggle(): void;
+export function isOpen(): boolean;
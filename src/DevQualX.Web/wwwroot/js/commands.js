@@ -0,0 +1,754 @@
+/**
+ * Command Palette
+ *
+ * Ctrl+K (Cmd+K on macOS), or a click on a [data-command-palette-open] element, opens the
+ * palette (CommandPalette.razor) with a fuzzy search over:
+ * - the navigation tree, nested items included (rendered by the server into a template)
+ * - the user's organizations (GET /api/organizations; picking one switches to it)
+ * - recently visited pages (kept in localStorage)
+ * - actions registered by modules (theme.js, notifications.js) and other scripts with
+ *   register() or window.DevQualX.commands.register()
+ *
+ * Keyboard: Up/Down (or Ctrl+P/Ctrl+N) move through the results, Enter runs the active one,
+ * Ctrl/Cmd+Enter opens a page in a new tab and Escape closes the palette. Ctrl+K and the
+ * shortcuts of navigation items (NavItem.Shortcut, e.g. "g w") are registered with shortcuts.js.
+ */
+
+import { register as registerShortcut, formatShortcut } from './shortcuts.js';
+import * as api from './commands.js';
+
+const RECENT_STORAGE_KEY = 'devqualx-recent-pages';
+const RECENT_LIMIT = 8;
+const ORGANIZATIONS_URL = '/api/organizations';
+const ORGANIZATIONS_CACHE_KEY = 'devqualx-command-organizations'; // sessionStorage
+const ORGANIZATIONS_MAX_AGE_MS = 5 * 60 * 1000; // The list comes from GitHub, so don't ask on every open
+const MAX_RESULTS = 50;
+const TITLE_SUFFIX = / - DevQualX$/;
+
+const GROUPS = {
+    RECENT: 'Recent',
+    NAVIGATION: 'Navigation',
+    ORGANIZATIONS: 'Organizations',
+    ACTIONS: 'Actions'
+};
+const GROUP_ORDER = [GROUPS.RECENT, GROUPS.NAVIGATION, GROUPS.ORGANIZATIONS, GROUPS.ACTIONS];
+
+let registered = new Map(); // Command ID -> command registered by a module or script
+let organizations = null; // [{ installationId, login, type, avatarUrl, selected }] once loaded
+let loadingOrganizations = null;
+let results = []; // Commands currently listed, in order
+let activeIndex = 0;
+let unregisterNavigationShortcuts = null;
+let initialized = false;
+
+/**
+ * Register one or more commands; returns a function that unregisters them.
+ * command: { id, title, run() or href, group?, hint?, keywords?, shortcut?, when?() }
+ * A command with the ID of a registered one replaces it. when() hides the command while it returns false.
+ */
+function register(commands) {
+    const added = [];
+
+    for (const command of Array.isArray(commands) ? commands : [commands]) {
+        if (!command || typeof command.id !== 'string' || !command.id || typeof command.title !== 'string' || !command.title) {
+            console.error('Invalid command: id and title are required', command);
+            continue;
+        }
+        if (typeof command.run !== 'function' && typeof command.href !== 'string') {
+            console.error(`Invalid command ${command.id}: run or href is required`);
+            continue;
+        }
+
+        const normalized = {
+            id: command.id,
+            title: command.title,
+            group: command.group || GROUPS.ACTIONS,
+            hint: command.hint || null,
+            keywords: Array.isArray(command.keywords) ? command.keywords.map(String) : [],
+            shortcut: command.shortcut || null,
+            href: command.href || null,
+            when: typeof command.when === 'function' ? command.when : null,
+            run: typeof command.run === 'function' ? command.run : null
+        };
+        registered.set(normalized.id, normalized);
+        added.push(normalized);
+    }
+
+    refresh();
+
+    // Only remove what this call added, not a later replacement
+    return () => {
+        added.forEach(command => {
+            if (registered.get(command.id) === command) {
+                registered.delete(command.id);
+            }
+        });
+        refresh();
+    };
+}
+
+/**
+ * Remove a registered command
+ */
+function unregister(id) {
+    const removed = registered.delete(id);
+    refresh();
+    return removed;
+}
+
+function getPalette() {
+    return document.querySelector('[data-command-palette]');
+}
+
+/**
+ * Commands for the navigation tree CommandPalette.razor renders into its template
+ */
+function getNavigationCommands() {
+    const template = getPalette()?.querySelector('template[data-command-palette-items]');
+    if (!template) return [];
+
+    return Array.from(template.content.querySelectorAll('[data-command]'), link => {
+        const hint = link.getAttribute('data-command-hint');
+        return {
+            id: link.getAttribute('data-command'),
+            title: link.getAttribute('data-command-title') || link.textContent.trim(),
+            group: GROUPS.NAVIGATION,
+            hint: hint || null,
+            keywords: (link.getAttribute('data-command-keywords') || '').split('|').filter(Boolean),
+            href: link.getAttribute('href'),
+            shortcut: link.getAttribute('data-command-shortcut') || null,
+            icon: link.querySelector('svg')
+        };
+    });
+}
+
+/**
+ * Register the navigation items' shortcuts (again after enhanced navigation, the items may differ)
+ */
+function syncNavigationShortcuts() {
+    unregisterNavigationShortcuts?.();
+    unregisterNavigationShortcuts = registerShortcut(getNavigationCommands()
+        .filter(command => command.shortcut)
+        .map(command => ({
+            id: command.id,
+            keys: command.shortcut,
+            description: `Go to ${command.title}`,
+            group: GROUPS.NAVIGATION,
+            run: () => navigate(command.href)
+        })));
+}
+
+/**
+ * Recently visited pages, newest first: [{ url, title, at }]
+ */
+function loadRecentPages() {
+    try {
+        const pages = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY) || '[]');
+        return Array.isArray(pages) ? pages : [];
+    } catch {
+        return [];
+    }
+}
+
+function recordVisit() {
+    const url = getCurrentUrl();
+    const title = document.title.replace(TITLE_SUFFIX, '').trim() || url;
+    const pages = [{ url, title, at: Date.now() }, ...loadRecentPages().filter(page => page.url !== url)];
+
+    try {
+        localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(pages.slice(0, RECENT_LIMIT)));
+    } catch {
+        // Storage unavailable: no recent pages
+    }
+}
+
+function getCurrentUrl() {
+    return location.pathname + location.search;
+}
+
+/**
+ * Resolve an href (relative ones are against <base href>) to a path, to compare with location
+ */
+function toPath(href) {
+    const url = new URL(href, document.baseURI);
+    return url.pathname + url.search;
+}
+
+function getRecentCommands() {
+    const current = getCurrentUrl();
+    return loadRecentPages()
+        .filter(page => page.url !== current)
+        .map(page => ({
+            id: `recent:${page.url}`,
+            title: page.title,
+            group: GROUPS.RECENT,
+            hint: page.url,
+            keywords: [page.url],
+            href: page.url
+        }));
+}
+
+/**
+ * Load the organizations the user can switch to (cached for a few minutes in sessionStorage)
+ */
+function loadOrganizations() {
+    if (organizations) return Promise.resolve(organizations);
+    if (loadingOrganizations) return loadingOrganizations;
+
+    try {
+        const cached = JSON.parse(sessionStorage.getItem(ORGANIZATIONS_CACHE_KEY) || 'null');
+        if (cached && Date.now() - cached.at < ORGANIZATIONS_MAX_AGE_MS && Array.isArray(cached.organizations)) {
+            organizations = cached.organizations;
+            return Promise.resolve(organizations);
+        }
+    } catch {
+        // Unreadable cache: fetch again
+    }
+
+    loadingOrganizations = fetch(ORGANIZATIONS_URL, { credentials: 'same-origin', headers: { Accept: 'application/json' } })
+        .then(response => {
+            // Signed out (or sent to sign in): there is nothing to switch between
+            if (response.status === 401 || response.status === 403 || response.redirected) return [];
+            if (!response.ok) throw new Error(`Loading organizations failed (${response.status})`);
+            return response.json();
+        })
+        .then(list => {
+            organizations = Array.isArray(list) ? list : [];
+            try {
+                sessionStorage.setItem(ORGANIZATIONS_CACHE_KEY, JSON.stringify({ at: Date.now(), organizations }));
+            } catch {
+                // Storage unavailable: fetched again on the next page
+            }
+            return organizations;
+        })
+        .catch(error => {
+            console.error('Failed to load organizations for the command palette:', error);
+            return [];
+        })
+        .finally(() => {
+            loadingOrganizations = null;
+        });
+
+    return loadingOrganizations;
+}
+
+function getOrganizationCommands() {
+    return (organizations || [])
+        .filter(organization => !organization.selected)
+        .map(organization => ({
+            id: `organization:${organization.installationId}`,
+            title: `Switch to ${organization.login}`,
+            group: GROUPS.ORGANIZATIONS,
+            hint: organization.type,
+            keywords: [organization.login, 'organization'],
+            avatar: organization.avatarUrl,
+            run: () => switchOrganization(organization)
+        }));
+}
+
+/**
+ * Select an organization and reload, like OrgSwitcher does
+ */
+async function switchOrganization(organization) {
+    const response = await fetch(`${ORGANIZATIONS_URL}/${organization.installationId}/select`, {
+        method: 'POST',
+        credentials: 'same-origin'
+    });
+    if (!response.ok) {
+        throw new Error(`Switching to ${organization.login} failed (${response.status})`);
+    }
+
+    sessionStorage.removeItem(ORGANIZATIONS_CACHE_KEY);
+    location.reload();
+}
+
+function isAvailable(command) {
+    if (!command.when) return true;
+    try {
+        return command.when() !== false;
+    } catch (error) {
+        console.error(`Command ${command.id} availability check failed:`, error);
+        return false;
+    }
+}
+
+/**
+ * Every command that can run right now, from all sources
+ */
+function getAllCommands() {
+    return [
+        ...getRecentCommands(),
+        ...getNavigationCommands(),
+        ...getOrganizationCommands(),
+        ...Array.from(registered.values()).filter(isAvailable)
+    ];
+}
+
+/**
+ * Commands that can run right now: [{ id, title, group, hint, keywords, shortcut, href }]
+ */
+function getCommands() {
+    return getAllCommands().map(({ id, title, group, hint, keywords, shortcut, href }) => ({
+        id, title, group, hint: hint || null, keywords, shortcut: shortcut || null, href: href || null
+    }));
+}
+
+/**
+ * Match the characters of term in order in text; scores consecutive characters and word starts higher.
+ * Every occurrence of the first character is tried as the start, so "the" finds "Toggle dark theme"'s
+ * last word rather than the scattered t-h-e before it. Returns { score, indices } or null.
+ */
+function fuzzyMatch(term, text) {
+    const lower = text.toLowerCase();
+    let best = null;
+
+    for (let start = lower.indexOf(term[0]); start !== -1; start = lower.indexOf(term[0], start + 1)) {
+        const match = matchFrom(term, lower, start);
+        if (!match) break; // Later starts can only match less
+        if (!best || match.score > best.score) best = match;
+    }
+
+    return best;
+}
+
+function matchFrom(term, lower, start) {
+    const indices = [];
+    let score = 0;
+    let from = start;
+
+    for (const char of term) {
+        const index = lower.indexOf(char, from);
+        if (index === -1) return null;
+
+        score += 1;
+        if (indices.length > 0 && index === indices[indices.length - 1] + 1) score += 5;
+        if (index === 0 || /[\s\-_/.]/.test(lower[index - 1])) score += 3;
+
+        indices.push(index);
+        from = index + 1;
+    }
+
+    if (start === 0 && lower.startsWith(term)) score += 10;
+    // Prefer tighter matches and shorter titles
+    score -= (indices[indices.length - 1] - indices[0] - term.length + 1) * 0.5;
+    score -= lower.length * 0.05;
+
+    return { score, indices };
+}
+
+/**
+ * Score a command for a query: each whitespace-separated term has to match the title, or else
+ * the hint, group or a keyword (which counts for less). Returns { score, indices } or null.
+ */
+function scoreCommand(command, terms) {
+    const indices = new Set();
+    let score = 0;
+
+    for (const term of terms) {
+        const title = fuzzyMatch(term, command.title);
+        if (title) {
+            score += title.score * 2;
+            title.indices.forEach(index => indices.add(index));
+            continue;
+        }
+
+        let best = null;
+        for (const text of [command.hint, command.group, ...command.keywords]) {
+            const match = text ? fuzzyMatch(term, text) : null;
+            if (match && (!best || match.score > best.score)) best = match;
+        }
+        if (!best) return null;
+        score += best.score;
+    }
+
+    return { score, indices };
+}
+
+/**
+ * The commands to list for a query: grouped when empty, best matches first otherwise
+ */
+function search(query) {
+    const commands = getAllCommands();
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (terms.length === 0) {
+        return commands
+            .map(command => ({ command, indices: new Set() }))
+            .sort((a, b) => GROUP_ORDER.indexOf(a.command.group) - GROUP_ORDER.indexOf(b.command.group))
+            .slice(0, MAX_RESULTS);
+    }
+
+    // A recent page that is also in the navigation only shows up once
+    const navigationPaths = new Set(commands.filter(command => command.group === GROUPS.NAVIGATION).map(command => toPath(command.href)));
+
+    return commands
+        .filter(command => command.group !== GROUPS.RECENT || !navigationPaths.has(toPath(command.href)))
+        .map(command => ({ command, match: scoreCommand(command, terms) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, MAX_RESULTS)
+        .map(({ command, match }) => ({ command, indices: match.indices }));
+}
+
+/**
+ * The title with the matched characters in <mark>
+ */
+function highlight(title, indices) {
+    const fragment = document.createDocumentFragment();
+    let text = '';
+
+    Array.from(title).forEach((char, index) => {
+        if (indices.has(index)) {
+            if (text) fragment.append(text);
+            text = '';
+            const mark = document.createElement('mark');
+            mark.textContent = char;
+            fragment.append(mark);
+        } else {
+            text += char;
+        }
+    });
+    if (text) fragment.append(text);
+
+    return fragment;
+}
+
+function createOption(command, indices, index) {
+    const option = document.createElement('li');
+    option.id = `command-palette-option-${index}`;
+    option.className = 'command-palette__option';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    option.setAttribute('data-command-index', String(index));
+
+    const icon = document.createElement('span');
+    icon.className = 'command-palette__option-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    if (command.icon) {
+        icon.append(command.icon.cloneNode(true));
+    } else if (command.avatar) {
+        const avatar = document.createElement('img');
+        avatar.src = command.avatar;
+        avatar.alt = '';
+        icon.append(avatar);
+    }
+
+    const title = document.createElement('span');
+    title.className = 'command-palette__option-title';
+    title.append(highlight(command.title, indices));
+
+    option.append(icon, title);
+
+    if (command.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'command-palette__option-hint';
+        hint.textContent = command.hint;
+        option.append(hint);
+    }
+
+    if (command.shortcut) {
+        const shortcut = document.createElement('kbd');
+        shortcut.className = 'command-palette__option-shortcut';
+        shortcut.textContent = formatShortcut(command.shortcut);
+        option.append(shortcut);
+    }
+
+    return option;
+}
+
+/**
+ * Search for the input's query and list the results
+ */
+function render() {
+    const palette = getPalette();
+    if (!palette) return;
+
+    const input = palette.querySelector('[data-command-palette-input]');
+    const list = palette.querySelector('[data-command-palette-results]');
+    const empty = palette.querySelector('[data-command-palette-empty]');
+    const query = input?.value.trim() || '';
+    const matches = search(query);
+
+    results = matches.map(({ command }) => command);
+    activeIndex = Math.min(activeIndex, Math.max(0, results.length - 1));
+
+    const items = [];
+    let group = null;
+    matches.forEach(({ command, indices }, index) => {
+        // Group headings only while browsing; search results are ranked across groups
+        if (!query && command.group !== group) {
+            group = command.group;
+            const heading = document.createElement('li');
+            heading.className = 'command-palette__group';
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = group;
+            items.push(heading);
+        }
+        items.push(createOption(command, indices, index));
+    });
+
+    list?.replaceChildren(...items);
+    if (empty) empty.hidden = results.length > 0;
+    setActive(activeIndex);
+}
+
+/**
+ * Re-render an open palette after the commands changed
+ */
+function refresh() {
+    if (isOpen()) {
+        render();
+    }
+}
+
+function setActive(index, scroll = true) {
+    const palette = getPalette();
+    if (!palette) return;
+
+    const input = palette.querySelector('[data-command-palette-input]');
+    const options = palette.querySelectorAll('[data-command-index]');
+
+    activeIndex = results.length === 0 ? 0 : (index + results.length) % results.length;
+    options.forEach(option => {
+        option.setAttribute('aria-selected', String(Number(option.getAttribute('data-command-index')) === activeIndex));
+    });
+
+    const active = palette.querySelector(`#command-palette-option-${activeIndex}`);
+    if (active) {
+        input?.setAttribute('aria-activedescendant', active.id);
+        if (scroll) active.scrollIntoView({ block: 'nearest' });
+    } else {
+        input?.removeAttribute('aria-activedescendant');
+    }
+}
+
+function setStatus(message) {
+    const status = getPalette()?.querySelector('[data-command-palette-status]');
+    if (status) status.textContent = message || '';
+}
+
+function isOpen() {
+    return getPalette()?.open === true;
+}
+
+/**
+ * Open the palette, optionally with a query
+ */
+function open(query = '') {
+    const palette = getPalette();
+    if (!palette) return false;
+
+    const input = palette.querySelector('[data-command-palette-input]');
+    if (input) input.value = query;
+    activeIndex = 0;
+    setStatus('');
+
+    if (!palette.open) {
+        palette.showModal();
+    }
+    render();
+    input?.focus();
+    input?.select();
+
+    // Organizations arrive after the first render
+    if (!organizations) {
+        loadOrganizations().then(() => refresh());
+    }
+    return true;
+}
+
+function close() {
+    const palette = getPalette();
+    if (palette?.open) {
+        palette.close();
+    }
+}
+
+function toggle() {
+    if (isOpen()) {
+        close();
+    } else {
+        open();
+    }
+}
+
+/**
+ * Run a command: follow its href, or call run() (the palette reopens with the error if that fails)
+ */
+async function runCommand(command, options = {}) {
+    close();
+
+    if (command.href && !command.run) {
+        navigate(command.href, options.newTab);
+        return true;
+    }
+
+    try {
+        await command.run();
+        return true;
+    } catch (error) {
+        console.error(`Command ${command.id} failed:`, error);
+        open();
+        setStatus(error?.message || `${command.title} failed`);
+        return false;
+    }
+}
+
+/**
+ * Go to a page with enhanced navigation where Blazor is loaded
+ */
+function navigate(href, newTab = false) {
+    if (newTab) {
+        window.open(href, '_blank', 'noopener');
+    } else if (window.Blazor?.navigateTo) {
+        window.Blazor.navigateTo(href);
+    } else {
+        location.assign(href);
+    }
+}
+
+/**
+ * Run the command with an ID; resolves to whether it ran
+ */
+function execute(id) {
+    const command = getAllCommands().find(candidate => candidate.id === id);
+    if (!command) {
+        console.error(`Unknown command: ${id}`);
+        return Promise.resolve(false);
+    }
+    return runCommand(command);
+}
+
+/**
+ * Moving through and running the results from the search input
+ */
+function handleKeydown(e) {
+    if (!e.target.closest?.('[data-command-palette-input]')) return;
+
+    const next = e.key === 'ArrowDown' || (e.ctrlKey && e.key === 'n');
+    const previous = e.key === 'ArrowUp' || (e.ctrlKey && e.key === 'p');
+
+    if (next || previous) {
+        e.preventDefault();
+        setActive(activeIndex + (next ? 1 : -1));
+    } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+        e.preventDefault();
+        setActive(e.key === 'PageDown' ? results.length - 1 : 0);
+    } else if (e.key === 'Enter' && !e.isComposing) {
+        e.preventDefault();
+        const command = results[activeIndex];
+        if (command) {
+            runCommand(command, { newTab: e.ctrlKey || e.metaKey });
+        }
+    }
+}
+
+function handleInput(e) {
+    if (e.target.closest?.('[data-command-palette-input]')) {
+        activeIndex = 0;
+        setStatus('');
+        render();
+    }
+}
+
+function handleClick(e) {
+    if (e.target.closest('[data-command-palette-open]')) {
+        e.preventDefault();
+        open();
+        return;
+    }
+
+    const option = e.target.closest('[data-command-index]');
+    if (option && option.closest('[data-command-palette]')) {
+        const command = results[Number(option.getAttribute('data-command-index'))];
+        if (command) {
+            runCommand(command, { newTab: e.ctrlKey || e.metaKey });
+        }
+        return;
+    }
+
+    // A click on the backdrop lands on the dialog itself
+    if (e.target.matches?.('[data-command-palette]')) {
+        close();
+    }
+}
+
+function handlePointerMove(e) {
+    const option = e.target.closest?.('[data-command-index]');
+    if (option && option.closest('[data-command-palette]')) {
+        const index = Number(option.getAttribute('data-command-index'));
+        if (index !== activeIndex) {
+            setActive(index, false);
+        }
+    }
+}
+
+/**
+ * Show the shortcut for this platform on the trigger buttons
+ */
+function renderShortcut() {
+    document.querySelectorAll('[data-command-palette-shortcut]').forEach(element => {
+        element.textContent = formatShortcut('mod+k');
+    });
+}
+
+function handleEnhancedLoad() {
+    close();
+    recordVisit();
+    renderShortcut();
+    syncNavigationShortcuts();
+}
+
+/**
+ * Start listening (runs on load; listeners are delegated, so they survive enhanced navigation)
+ */
+function init() {
+    if (initialized) return;
+    initialized = true;
+
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('input', handleInput);
+    document.addEventListener('click', handleClick);
+    document.addEventListener('pointermove', handlePointerMove);
+
+    if (window.Blazor) {
+        window.Blazor.addEventListener('enhancedload', handleEnhancedLoad);
+    }
+
+    recordVisit();
+    renderShortcut();
+    syncNavigationShortcuts();
+}
+
+// Works everywhere, inputs included
+registerShortcut({
+    id: 'commands.open',
+    keys: 'mod+k',
+    description: 'Open the command palette',
+    allowInInputs: true,
+    run: toggle
+});
+
+// Initialize immediately
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// ES module API
+export {
+    GROUPS,
+    register,
+    unregister,
+    getCommands,
+    execute,
+    open,
+    close,
+    toggle,
+    isOpen
+};
+
+// Global API (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.commands = api;
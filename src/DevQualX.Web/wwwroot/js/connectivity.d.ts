@@ -0,0 +1,57 @@
+/**
+ * Type declarations for connectivity.js
+ *
+ * The module's named exports; window.DevQualX.connectivity exposes the same members.
+ */
+
+export type ConnectivityStatus = 'online' | 'offline' | 'reconnecting' | 'unreachable';
+
+export const STATUS: {
+    ONLINE: 'online';
+    OFFLINE: 'offline';
+    RECONNECTING: 'reconnecting';
+    UNREACHABLE: 'unreachable';
+};
+
+export interface ConnectionState {
+    status: ConnectivityStatus;
+    /** navigator.onLine */
+    network: boolean;
+    /** Blazor circuit, from the reconnect modal's state changes */
+    circuit: 'connected' | 'reconnecting' | 'disconnected';
+    /** Whether the last ping of /alive succeeded; null while being checked after the network came back */
+    server: boolean | null;
+    /** When the status last changed (ms since epoch) */
+    since: number;
+    /** When the server was last pinged, or null before the first ping */
+    lastChecked: number | null;
+    /** Number of actions in the offline queue */
+    queued: number;
+}
+
+export interface QueuedAction<T = unknown> {
+    id: string;
+    type: string;
+    payload: T | null;
+    key: string | null;
+    queuedAt: number;
+    /** Failed replays so far (dropped after 5) */
+    attempts: number;
+}
+
+export function getStatus(): ConnectionState;
+/** Whether the server can be reached right now */
+export function isOnline(): boolean;
+/** Call listener whenever the status changes; returns a function that unsubscribes */
+export function subscribe(listener: (state: ConnectionState) => void): () => void;
+/** Ping the server now */
+export function checkNow(): Promise<ConnectionState>;
+/** Queue an action to replay once online; an action queued with the key of a queued one replaces it */
+export function queueAction<T>(type: string, payload?: T, options?: { key?: string }): string;
+/** Register the handler that replays queued actions of a type (a rejected Promise keeps the action queued) */
+export function registerReplayHandler<T>(type: string, handler: (payload: T | null) => Promise<unknown> | unknown): void;
+export function unregisterReplayHandler(type: string): void;
+/** Replay queued actions in order, stopping at the first failure */
+export function replayQueue(): Promise<void>;
+export function getQueue(): QueuedAction[];
+export function clearQueue(): void;
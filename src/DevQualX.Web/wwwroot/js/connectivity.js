@@ -0,0 +1,415 @@
+/**
+ * Connectivity
+ *
+ * One status for whether the app can reach its server, combining:
+ * - the browser's network state (navigator.onLine, online/offline events)
+ * - the Blazor circuit state (components-reconnect-state-changed on the reconnect modal)
+ * - lightweight pings of the server's /alive endpoint (every 30 seconds while the page is
+ *   visible, every 10 seconds while the server is unreachable)
+ *
+ * The status is 'online', 'offline' (no network), 'reconnecting' (the circuit is being
+ * re-established) or 'unreachable' (network up, server not answering). Follow it with
+ * subscribe() or the devqualx-connectivity-changed window event.
+ *
+ * Offline queue: actions taken while not online (notification acknowledgements, preference
+ * changes) are queued with queueAction(type, payload) and replayed in order by the handler
+ * registered for their type once the status is back to online. The queue is kept in
+ * localStorage so it survives reloads; an action queued with the key of a queued one replaces it.
+ *
+ * [data-connection-status] elements (ConnectionStatus.razor) show the status and the number
+ * of queued actions; clicking one checks the connection now.
+ */
+
+import * as api from './connectivity.js';
+
+const QUEUE_STORAGE_KEY = 'devqualx-offline-queue';
+const PING_URL = '/alive';
+const PING_INTERVAL_MS = 30000;
+const UNREACHABLE_PING_INTERVAL_MS = 10000;
+const PING_TIMEOUT_MS = 5000;
+const MAX_REPLAY_ATTEMPTS = 5;
+
+const STATUS = {
+    ONLINE: 'online',
+    OFFLINE: 'offline',
+    RECONNECTING: 'reconnecting',
+    UNREACHABLE: 'unreachable'
+};
+
+const LABELS = {
+    [STATUS.ONLINE]: 'Online',
+    [STATUS.OFFLINE]: 'Offline',
+    [STATUS.RECONNECTING]: 'Reconnecting…',
+    [STATUS.UNREACHABLE]: 'Server unreachable'
+};
+
+// Inputs of the status
+const state = {
+    network: navigator.onLine,
+    circuit: 'connected', // 'connected' | 'reconnecting' | 'disconnected'
+    server: true, // null while being checked after the network came back
+    lastChecked: null,
+    since: Date.now()
+};
+
+let listeners = new Set();
+let replayHandlers = new Map(); // Action type -> handler(payload), returning a Promise
+let pingTimer = null;
+let pinging = null;
+let replaying = null;
+let initialized = false;
+
+/**
+ * The combined status
+ */
+function computeStatus() {
+    if (!state.network) return STATUS.OFFLINE;
+    if (state.circuit === 'reconnecting' || state.server === null) return STATUS.RECONNECTING;
+    if (!state.server) return STATUS.UNREACHABLE;
+    return STATUS.ONLINE;
+}
+
+/**
+ * Describe the connection: { status, network, circuit, server, since, lastChecked, queued }
+ */
+function getStatus() {
+    return {
+        status: computeStatus(),
+        network: state.network,
+        circuit: state.circuit,
+        server: state.server,
+        since: state.since,
+        lastChecked: state.lastChecked,
+        queued: loadQueue().length
+    };
+}
+
+/**
+ * Whether the server can be reached right now
+ */
+function isOnline() {
+    return computeStatus() === STATUS.ONLINE;
+}
+
+/**
+ * Call listener(status) whenever the status changes; returns a function that unsubscribes
+ */
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Update the status inputs, notifying subscribers and replaying the queue when that changes the status
+ */
+function update(changes) {
+    const previous = computeStatus();
+    Object.assign(state, changes);
+    const next = computeStatus();
+
+    if (next !== previous) {
+        state.since = Date.now();
+        const status = getStatus();
+        listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('Connectivity listener failed:', error);
+            }
+        });
+        window.dispatchEvent(new CustomEvent('devqualx-connectivity-changed', { detail: status }));
+
+        if (next === STATUS.ONLINE) {
+            replayQueue();
+        }
+        schedulePing();
+    }
+
+    render();
+}
+
+/**
+ * Ping the server now; resolves to the status afterwards
+ */
+function checkNow() {
+    if (!state.network) {
+        return Promise.resolve(getStatus());
+    }
+    if (pinging) {
+        return pinging;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), PING_TIMEOUT_MS);
+
+    pinging = fetch(PING_URL, { cache: 'no-store', credentials: 'same-origin', signal: controller.signal })
+        .then(response => response.ok)
+        .catch(() => false)
+        .then(reachable => {
+            clearTimeout(timeout);
+            pinging = null;
+            update({ server: reachable, lastChecked: Date.now() });
+
+            // Retry what a failed replay left queued
+            if (reachable && isOnline() && loadQueue().length > 0) {
+                replayQueue();
+            }
+            schedulePing();
+            return getStatus();
+        });
+
+    return pinging;
+}
+
+/**
+ * Ping again later: more often while the server is unreachable, not at all while hidden or offline
+ */
+function schedulePing() {
+    clearTimeout(pingTimer);
+    pingTimer = null;
+
+    if (!state.network || document.visibilityState === 'hidden') return;
+
+    pingTimer = setTimeout(checkNow, state.server ? PING_INTERVAL_MS : UNREACHABLE_PING_INTERVAL_MS);
+}
+
+/**
+ * Follow the circuit through the reconnect modal's state changes
+ */
+function handleCircuitState(e) {
+    const circuitStates = {
+        show: 'reconnecting',
+        retrying: 'reconnecting',
+        failed: 'reconnecting', // The reconnect modal keeps retrying with backoff
+        rejected: 'disconnected',
+        'resume-failed': 'disconnected',
+        hide: 'connected'
+    };
+    const circuit = circuitStates[e.detail?.state];
+    if (circuit) {
+        update({ circuit });
+    }
+}
+
+function handleOnline() {
+    // The network is back, but whether the server answers is only known after a ping
+    update({ network: true, server: null });
+    checkNow();
+}
+
+function handleOffline() {
+    update({ network: false });
+}
+
+function handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+        checkNow();
+    } else {
+        schedulePing();
+    }
+}
+
+/**
+ * Queued actions: [{ id, type, payload, key, queuedAt, attempts }]
+ */
+function loadQueue() {
+    try {
+        const queue = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY) || '[]');
+        return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+        console.error('Failed to load offline queue from localStorage:', error);
+        return [];
+    }
+}
+
+function saveQueue(queue) {
+    try {
+        if (queue.length === 0) {
+            localStorage.removeItem(QUEUE_STORAGE_KEY);
+        } else {
+            localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+        }
+    } catch (error) {
+        console.error('Failed to save offline queue to localStorage:', error);
+    }
+    render();
+}
+
+/**
+ * Queue an action to replay once online (replayed right away if already online)
+ * options: { key } replaces a queued action with the same key. Returns the action's id.
+ */
+function queueAction(type, payload, options = {}) {
+    const queue = loadQueue().filter(action => !options.key || action.key !== options.key);
+    const action = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+        type,
+        payload: payload ?? null,
+        key: options.key || null,
+        queuedAt: Date.now(),
+        attempts: 0
+    };
+    queue.push(action);
+    saveQueue(queue);
+
+    if (isOnline()) {
+        replayQueue();
+    }
+    return action.id;
+}
+
+/**
+ * Register the handler that replays queued actions of a type (a rejected Promise keeps the action queued)
+ */
+function registerReplayHandler(type, handler) {
+    replayHandlers.set(type, handler);
+    if (isOnline()) {
+        replayQueue();
+    }
+}
+
+/**
+ * Stop replaying actions of a type on this page (they stay queued)
+ */
+function unregisterReplayHandler(type) {
+    replayHandlers.delete(type);
+}
+
+/**
+ * Replay queued actions in order, stopping at the first failure (retried on the next successful ping)
+ * Actions without a handler on this page stay queued for a page that has one.
+ */
+function replayQueue() {
+    if (replaying) return replaying;
+
+    replaying = (async () => {
+        // Re-read the queue each time: actions can be queued while others replay
+        const seen = new Set();
+        while (isOnline()) {
+            const action = loadQueue().find(queued => !seen.has(queued.id));
+            if (!action) break;
+            seen.add(action.id);
+
+            const handler = replayHandlers.get(action.type);
+            if (!handler) continue;
+
+            try {
+                await handler(action.payload);
+                saveQueue(loadQueue().filter(queued => queued.id !== action.id));
+            } catch (error) {
+                const attempts = action.attempts + 1;
+                if (attempts >= MAX_REPLAY_ATTEMPTS) {
+                    console.error(`Dropping queued ${action.type} after ${attempts} attempts:`, error);
+                    saveQueue(loadQueue().filter(queued => queued.id !== action.id));
+                } else {
+                    saveQueue(loadQueue().map(queued => queued.id === action.id ? { ...queued, attempts } : queued));
+                    break;
+                }
+            }
+        }
+    })().finally(() => {
+        replaying = null;
+    });
+
+    return replaying;
+}
+
+/**
+ * Queued actions (copies)
+ */
+function getQueue() {
+    return loadQueue();
+}
+
+/**
+ * Drop every queued action
+ */
+function clearQueue() {
+    saveQueue([]);
+}
+
+/**
+ * Show the status in every [data-connection-status] element
+ */
+function render() {
+    const status = computeStatus();
+    const queued = loadQueue().length;
+    const checked = state.lastChecked ? `, last checked ${new Date(state.lastChecked).toLocaleTimeString()}` : '';
+    const pending = queued > 0 ? `, ${queued} change${queued === 1 ? '' : 's'} waiting to sync` : '';
+
+    document.querySelectorAll('[data-connection-status]').forEach(element => {
+        element.setAttribute('data-status', status);
+        element.setAttribute('title', `${LABELS[status]}${checked}${pending}. Click to check now.`);
+
+        const label = element.querySelector('[data-connection-status-label]');
+        if (label && label.textContent !== LABELS[status]) {
+            label.textContent = LABELS[status];
+        }
+
+        const count = element.querySelector('[data-connection-status-queued]');
+        if (count) {
+            count.textContent = String(queued);
+            count.hidden = queued === 0;
+        }
+    });
+}
+
+function handleIndicatorClick(e) {
+    if (e.target.closest('[data-connection-status]')) {
+        checkNow();
+    }
+}
+
+/**
+ * Start following the connection (runs on load)
+ */
+function init() {
+    if (initialized) return;
+    initialized = true;
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    document.addEventListener('click', handleIndicatorClick);
+    document.getElementById('components-reconnect-modal')
+        ?.addEventListener('components-reconnect-state-changed', handleCircuitState);
+
+    // Other tabs queue and replay too
+    window.addEventListener('storage', (e) => {
+        if (e.key === QUEUE_STORAGE_KEY) render();
+    });
+
+    // Enhanced navigation re-renders the indicator as the server sent it
+    if (window.Blazor) {
+        window.Blazor.addEventListener('enhancedload', render);
+    }
+
+    render();
+    checkNow();
+}
+
+// Initialize immediately
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// ES module API
+export {
+    STATUS,
+    getStatus,
+    isOnline,
+    subscribe,
+    checkNow,
+    queueAction,
+    registerReplayHandler,
+    unregisterReplayHandler,
+    replayQueue,
+    getQueue,
+    clearQueue
+};
+
+// Global API (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.connectivity = api;
@@ -0,0 +1,328 @@
+/**
+ * Type declarations for notifications.js
+ *
+ * The module's named exports; window.DevQualX.notifications exposes the same members.
+ */
+
+export type Level = 'primary' | 'secondary' | 'success' | 'danger' | 'warning' | 'info';
+export type NotificationType = 'standard' | 'progress';
+export type Outcome = 'success' | 'partial' | 'failure' | 'cancelled';
+export type ActionType = 'link' | 'handler' | 'dotnet';
+export type StorageBackend = 'localStorage' | 'indexedDB' | 'memory';
+
+export const LEVELS: {
+    readonly PRIMARY: 'primary';
+    readonly SECONDARY: 'secondary';
+    readonly SUCCESS: 'success';
+    readonly DANGER: 'danger';
+    readonly WARNING: 'warning';
+    readonly INFO: 'info';
+};
+
+export const TYPES: {
+    readonly STANDARD: 'standard';
+    readonly PROGRESS: 'progress';
+};
+
+export const OUTCOMES: {
+    readonly SUCCESS: 'success';
+    readonly PARTIAL: 'partial';
+    readonly FAILURE: 'failure';
+    readonly CANCELLED: 'cancelled';
+};
+
+export const ACTION_TYPES: {
+    readonly LINK: 'link';
+    readonly HANDLER: 'handler';
+    readonly DOTNET: 'dotnet';
+};
+
+export const STORAGE_BACKENDS: {
+    readonly LOCAL_STORAGE: 'localStorage';
+    readonly INDEXED_DB: 'indexedDB';
+    readonly MEMORY: 'memory';
+};
+
+/** Action as passed to show() */
+export interface ActionOptions {
+    id?: string;
+    label: string;
+    variant?: 'primary' | 'secondary';
+    /** Default true */
+    dismissOnClick?: boolean;
+    args?: unknown;
+    /** Link action */
+    href?: string;
+    target?: string;
+    /** Name registered with registerAction(), or an inline handler (lost on reload) */
+    handler?: string | ((notification: Notification, args: unknown) => unknown);
+    /** Name registered with registerDotNetReference() */
+    dotnet?: string;
+    /** [JSInvokable] method on the .NET reference */
+    method?: string;
+}
+
+/** Action as stored on a notification */
+export interface NotificationAction {
+    id: string;
+    label: string;
+    type: ActionType;
+    variant: 'primary' | 'secondary';
+    dismissOnClick: boolean;
+    args: unknown;
+    href?: string;
+    target?: string | null;
+    handler?: string;
+    dotnet?: string;
+    method?: string;
+    /** Set by getActions(): false when the handler is not registered in this page */
+    available?: boolean;
+}
+
+export interface Notification {
+    id: string;
+    title: string;
+    message: string;
+    level: Level;
+    type: NotificationType;
+    timestamp: number;
+    updatedAt?: number;
+    read: boolean;
+    dismissed: boolean;
+    timeout: number;
+    dismissible: boolean;
+    groupKey?: string | null;
+    count?: number;
+    actions?: NotificationAction[];
+    href?: string | null;
+    serverId?: string;
+    // Progress notifications
+    elapsedMs?: number;
+    startTime?: number;
+    percent?: number | null;
+    steps?: string[];
+    stepIndex?: number | null;
+    currentStep?: string | null;
+    etaMs?: number | null;
+    cancellable?: boolean;
+    outcome?: Outcome;
+}
+
+/** Flattened notification with display strings, as rendered by the Blazor components */
+export interface NotificationView {
+    id: string;
+    title: string;
+    count: number;
+    message: string;
+    level: Level;
+    type: NotificationType;
+    timestamp: number;
+    read: boolean;
+    dismissible: boolean;
+    timeout: number;
+    elapsedMs: number;
+    percent: number | null;
+    currentStep: string | null;
+    stepIndex: number | null;
+    stepCount: number;
+    cancellable: boolean;
+    href: string | null;
+    actions: NotificationAction[];
+    relativeTime: string;
+    elapsedTime: string;
+    remainingTime: string;
+}
+
+export interface ShowOptions {
+    title?: string;
+    message?: string;
+    level?: Level;
+    /** Auto-dismiss after this many milliseconds; 0 keeps the toast until dismissed */
+    timeout?: number;
+    dismissible?: boolean;
+    /** Notifications with the same key within 5 minutes collapse into one */
+    groupKey?: string;
+    actions?: ActionOptions[];
+}
+
+export interface ProgressOptions {
+    title?: string;
+    message?: string;
+    steps?: string[];
+    percent?: number;
+    cancellable?: boolean;
+    onCancel?: (id: string) => void;
+}
+
+export interface ProgressUpdate {
+    percent?: number;
+    /** Step name or index into the declared steps */
+    step?: string | number;
+    message?: string;
+}
+
+/** Filter for query(), markReadWhere(), removeWhere() and exports; fields combine with AND */
+export interface NotificationFilter {
+    level?: Level;
+    levels?: Level[];
+    type?: NotificationType;
+    types?: NotificationType[];
+    read?: boolean;
+    from?: number | string | Date;
+    to?: number | string | Date;
+    text?: string;
+}
+
+export interface Preferences {
+    desktop: {
+        enabled: boolean;
+        onlyWhenHidden: boolean;
+        levels: Record<Level, boolean>;
+    };
+    badge: {
+        title: boolean;
+        favicon: boolean;
+    };
+    retention: Retention;
+    storage: StorageBackend;
+}
+
+export interface PreferencesUpdate {
+    desktop?: Partial<Omit<Preferences['desktop'], 'levels'>> & { levels?: Partial<Record<Level, boolean>> };
+    badge?: Partial<Preferences['badge']>;
+    retention?: Partial<Retention>;
+    storage?: StorageBackend;
+}
+
+export interface Retention {
+    /** At most 1000 */
+    maxNotifications: number;
+    maxAgeDays: number;
+}
+
+export interface StorageInfo {
+    backend: string | null;
+    preferred: StorageBackend;
+    degraded: boolean;
+    pendingWrite: boolean;
+}
+
+export interface StoredState {
+    notifications: Notification[];
+    /** Removed notification IDs -> removal timestamp */
+    tombstones: Record<string, number>;
+}
+
+/** Read state synced to other devices (getSyncState): IDs -> time of the change, newest 200 of each */
+export interface SyncState {
+    read: Record<string, number>;
+    dismissed: Record<string, number>;
+    tombstones: Record<string, number>;
+}
+
+export interface StorageAdapter {
+    name: string;
+    load(): Promise<StoredState>;
+    save(state: StoredState): Promise<void>;
+    clear(): Promise<void>;
+    /** Call onChange when another tab wrote; returns an unsubscribe function */
+    subscribe(onChange: () => void): () => void;
+}
+
+export interface ServerNotification {
+    id: string | number;
+    title?: string;
+    message?: string;
+    level?: Level;
+    timestamp?: number | string;
+    read?: boolean;
+    href?: string;
+    timeout?: number;
+}
+
+export type ServerPayload =
+    | ServerNotification
+    | ServerNotification[]
+    /** cursor: what the polling adapter sends back as ?since= on its next poll (defaults to the newest timestamp) */
+    | { notifications: ServerNotification[]; cursor?: string | number };
+
+export interface TransportAdapter {
+    name?: string;
+    start(handlers: { receive(payload: ServerPayload): void; error(error: unknown): void }): void;
+    stop(): void;
+    acknowledge?(serverIds: string[]): void | Promise<unknown>;
+}
+
+export interface DotNetObjectReference {
+    invokeMethodAsync(methodName: string, ...args: unknown[]): Promise<unknown>;
+}
+
+export function show(options: ShowOptions): string;
+export function showProgress(options: ProgressOptions): string;
+export function updateProgress(id: string, elapsedMs: number): void;
+export function setProgress(id: string, update: ProgressUpdate): void;
+/** outcome may also be a boolean (true = success, false = failure) */
+export function completeProgress(id: string, outcome: Outcome | boolean, message?: string, href?: string | null): void;
+export function cancelProgress(id: string, message?: string): void;
+/** Abort signal for a cancellable progress notification started in this page */
+export function getSignal(id: string): AbortSignal | null;
+export function dismiss(id: string): void;
+export function remove(id: string): void;
+export function clearAll(): void;
+export function markAsRead(id: string): void;
+export function markAllAsRead(): number;
+export function markReadWhere(filter: NotificationFilter): number;
+export function removeWhere(filter: NotificationFilter): number;
+export function query(filter?: NotificationFilter): Notification[];
+export function exportHistory(format: 'json' | 'csv', filter?: NotificationFilter): string;
+export function downloadHistory(format: 'json' | 'csv', filter?: NotificationFilter): void;
+export function getAll(): Notification[];
+export function getActive(): Notification[];
+export function getQueuedCount(): number;
+export function getUnreadCount(): number;
+export function getById(id: string): Notification | undefined;
+export function toView(notification: Notification): NotificationView;
+export function getActiveViews(): NotificationView[];
+export function queryViews(filter?: NotificationFilter): NotificationView[];
+export function getPreferences(): Preferences;
+export function setPreferences(update: PreferencesUpdate): Preferences;
+export function getSyncState(): SyncState;
+export function mergeSyncState(state: SyncState): void;
+export function getRetention(): Retention;
+export function setRetention(update: Partial<Retention>): Retention;
+export function getStorageInfo(): StorageInfo;
+export function setStorageBackend(backend: StorageBackend): Promise<void>;
+export function useStorage(adapter: StorageAdapter): Promise<void>;
+/** Write pending (debounced) changes now */
+export function flush(): Promise<void>;
+export function getDesktopPermission(): NotificationPermission | 'unsupported';
+export function enableDesktopNotifications(): Promise<NotificationPermission | 'unsupported'>;
+export function disableDesktopNotifications(): void;
+export function getActions(id: string): NotificationAction[];
+export function invokeAction(id: string, actionId: string): Promise<boolean>;
+export function registerAction(name: string, handler: (notification: Notification, args: unknown) => unknown): void;
+export function unregisterAction(name: string): void;
+export function registerDotNetReference(name: string, dotNetReference: DotNetObjectReference): void;
+export function unregisterDotNetReference(name: string): void;
+export function formatRelativeTime(timestamp: number): string;
+export function formatElapsedTime(ms: number): string;
+/** Ingest server notifications; returns the local IDs */
+export function ingest(payload: ServerPayload): string[];
+/** Connect a transport in place of the notification feed the page renders (if any) */
+export function connect(adapter: TransportAdapter): void;
+export function disconnect(): void;
+export function init(): Promise<void>;
+/** Resolves once the stored notifications have first been loaded */
+export function ready(): Promise<void>;
+
+export const adapters: {
+    eventSource(url: string, options?: { ackUrl?: string; withCredentials?: boolean; fetch?: typeof fetch }): TransportAdapter;
+    webSocket(url: string, options?: { reconnectDelayMs?: number }): TransportAdapter;
+    polling(url: string, options?: { intervalMs?: number; ackUrl?: string; fetch?: typeof fetch }): TransportAdapter;
+};
+
+export const storage: {
+    localStorage(): StorageAdapter;
+    indexedDB(options?: { databaseName?: string }): StorageAdapter;
+    memory(): StorageAdapter;
+};
@@ -4,421 +4,2561 @@
  * Client-side notification manager with:
  * - Toast notifications (temporary, top-right)
  * - Notification tray (persistent history)
- * - localStorage persistence
- * - Progress notifications for async operations
- * - Auto-cleanup (7 days old, max 100 items)
- */
-
-(function() {
-    'use strict';
-    
-    const STORAGE_KEY = 'devqualx-notifications';
-    const MAX_NOTIFICATIONS = 100;
-    const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
-    const MAX_ACTIVE_TOASTS = 5;
-    const DEFAULT_TIMEOUT_MS = 10000; // 10 seconds
-    
-    const LEVELS = {
-        PRIMARY: 'primary',
-        SECONDARY: 'secondary',
-        SUCCESS: 'success',
-        DANGER: 'danger',
-        WARNING: 'warning',
-        INFO: 'info'
+ * - Pluggable persistence (localStorage, IndexedDB or in-memory) with debounced writes
+ * - Progress notifications for async operations (percent, steps, ETA, cancellation)
+ * - Auto-cleanup with user-configurable retention (default 7 days, max 100 items)
+ * - Cross-tab synchronization (storage event or BroadcastChannel, merged per notification)
+ * - Server-pushed notifications (SSE, WebSocket or polling adapters); the selected organization's
+ *   feed (NotificationEndpoints) is polled when the page renders one
+ * - Grouping by groupKey, collapsing of identical notifications and a FIFO toast queue
+ * - Action buttons (links, named JS handlers, Blazor DotNetObjectReference callbacks)
+ * - Opt-in desktop notifications (Web Notifications API) with per-level preferences
+ * - Unread count badge on the tab title and favicon
+ * - History queries, bulk mark-read/remove and JSON/CSV export
+ * - Read acknowledgements made offline or without a transport are queued (connectivity.js) and sent
+ *   once a transport is connected and online
+ * - "Mark all notifications as read" and "Clear notifications" in the command palette (commands.js)
+ *
+ * Loaded as an ES module (named exports, see notifications.d.ts); the same API is also
+ * exposed as window.DevQualX.notifications for non-module scripts.
+ */
+
+import { isOnline, queueAction, getQueue, registerReplayHandler, unregisterReplayHandler } from './connectivity.js';
+import { register as registerCommand } from './commands.js';
+import * as api from './notifications.js';
+
+const STORAGE_KEY = 'devqualx-notifications';
+const TOMBSTONE_STORAGE_KEY = 'devqualx-notifications-removed';
+const PREFERENCES_STORAGE_KEY = 'devqualx-notification-preferences';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_NOTIFICATIONS = 100;
+const MAX_NOTIFICATIONS_LIMIT = 1000; // Beyond this the history outgrows localStorage quotas
+const DEFAULT_MAX_AGE_DAYS = 7;
+const SAVE_DEBOUNCE_MS = 500; // Bursts of changes are written once
+const IDB_DATABASE_NAME = 'devqualx-notifications';
+const IDB_STORE_NAME = 'state';
+const IDB_STATE_KEY = 'history';
+const SYNC_CHANNEL_NAME = 'devqualx-notifications'; // Cross-tab change signal for non-localStorage backends
+const MAX_ACTIVE_TOASTS = 5;
+const DEFAULT_TIMEOUT_MS = 10000; // 10 seconds
+const GROUP_WINDOW_MS = 5 * 60 * 1000; // Same groupKey within 5 minutes joins the group
+const DEDUPE_WINDOW_MS = 5000; // Identical notifications within 5 seconds are collapsed
+const SERVER_ID_PREFIX = 'server-';
+const DEFAULT_POLL_INTERVAL_MS = 30000; // 30 seconds
+const RECONNECT_DELAY_MS = 5000; // 5 seconds
+const ACK_QUEUE_TYPE = 'notifications.acknowledge'; // Offline queue action (connectivity.js)
+const FEED_META_NAME = 'devqualx-notifications-feed'; // Rendered by App.razor for the selected organization
+const SYNC_STATE_MAX_ENTRIES = 200; // Per map in the synced read state (getSyncState)
+
+const LEVELS = {
+    PRIMARY: 'primary',
+    SECONDARY: 'secondary',
+    SUCCESS: 'success',
+    DANGER: 'danger',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+const TYPES = {
+    STANDARD: 'standard',
+    PROGRESS: 'progress'
+};
+
+const ACTION_TYPES = {
+    LINK: 'link',
+    HANDLER: 'handler',
+    DOTNET: 'dotnet'
+};
+
+const STORAGE_BACKENDS = {
+    LOCAL_STORAGE: 'localStorage',
+    INDEXED_DB: 'indexedDB',
+    MEMORY: 'memory'
+};
+
+const OUTCOMES = {
+    SUCCESS: 'success',
+    PARTIAL: 'partial',
+    FAILURE: 'failure',
+    CANCELLED: 'cancelled'
+};
+
+let notifications = [];
+let activeToasts = [];
+let toastQueue = []; // Toasts waiting for a free slot (FIFO)
+let dismissTimers = new Map(); // Auto-dismiss timers for visible toasts
+let progressIntervals = new Map(); // Track progress timers
+let progressControllers = new Map(); // AbortControllers for cancellable progress (not persisted)
+let tombstones = {}; // Removed notification IDs -> removal timestamp
+let syncInitialized = false;
+let storageAdapter = null; // Active persistence backend
+let unsubscribeStorage = null;
+let storageDegraded = false; // Fell back to memory after the backend failed
+let saveTimer = null;
+let saveDirty = false; // Local changes not yet written
+let saving = Promise.resolve(); // Writes are chained so they never interleave
+let clearedAt = 0; // clearAll() time, until the clear has been written
+let preferencesCache = null;
+let serverAdapter = null; // Connected server transport adapter
+let feedUrl = null; // Feed the connected adapter polls, when connected by connectFeed()
+let pendingAcks = new Set(); // Server IDs read locally but not yet acknowledged
+let actionHandlers = new Map(); // Named action handlers (not persisted)
+let dotNetReferences = new Map(); // Named DotNetObjectReferences for Blazor callbacks (not persisted)
+let badgeCount = null; // Unread count currently shown in the title/favicon
+let originalFaviconHref = null;
+let titleObserver = null;
+let resolveReady;
+const readyPromise = new Promise(resolve => {
+    resolveReady = resolve;
+});
+
+/**
+ * Generate a unique ID for notifications
+ */
+function generateId() {
+    return `notif-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * localStorage backend (default)
+ * Other tabs are told about writes by the browser's storage event.
+ */
+function createLocalStorageAdapter() {
+    return {
+        name: STORAGE_BACKENDS.LOCAL_STORAGE,
+        load() {
+            try {
+                const stored = localStorage.getItem(STORAGE_KEY);
+                const storedTombstones = localStorage.getItem(TOMBSTONE_STORAGE_KEY);
+                return Promise.resolve({
+                    notifications: stored ? JSON.parse(stored) : [],
+                    tombstones: storedTombstones ? JSON.parse(storedTombstones) : {}
+                });
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        },
+        save(state) {
+            try {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(state.notifications));
+                localStorage.setItem(TOMBSTONE_STORAGE_KEY, JSON.stringify(state.tombstones));
+                return Promise.resolve();
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        },
+        clear() {
+            try {
+                localStorage.removeItem(STORAGE_KEY);
+                localStorage.removeItem(TOMBSTONE_STORAGE_KEY);
+                return Promise.resolve();
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        },
+        subscribe(onChange) {
+            const handler = (e) => {
+                if (e.storageArea !== localStorage) return;
+                if (e.key !== null && e.key !== STORAGE_KEY && e.key !== TOMBSTONE_STORAGE_KEY) return;
+                onChange();
+            };
+            window.addEventListener('storage', handler);
+            return () => window.removeEventListener('storage', handler);
+        }
+    };
+}
+
+/**
+ * IndexedDB backend
+ * For larger histories than localStorage's ~5MB; other tabs are told about writes
+ * over a BroadcastChannel.
+ */
+function createIndexedDbAdapter(options = {}) {
+    const databaseName = options.databaseName || IDB_DATABASE_NAME;
+    let database = null;
+    let channel = null;
+    
+    function open() {
+        if (!database) {
+            database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            database.catch(() => { database = null; }); // Retry opening on the next call
+        }
+        return database;
+    }
+    
+    function run(mode, work) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(IDB_STORE_NAME, mode);
+            const request = work(transaction.objectStore(IDB_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            // Quota errors abort the transaction
+            transaction.onabort = () => reject(transaction.error);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+    
+    function getChannel() {
+        if (!channel && 'BroadcastChannel' in window) {
+            channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        }
+        return channel;
+    }
+    
+    function announce() {
+        const syncChannel = getChannel();
+        if (syncChannel) {
+            syncChannel.postMessage({ type: 'changed' });
+        }
+    }
+    
+    return {
+        name: STORAGE_BACKENDS.INDEXED_DB,
+        load() {
+            return run('readonly', store => store.get(IDB_STATE_KEY))
+                .then(state => state || { notifications: [], tombstones: {} });
+        },
+        save(state) {
+            return run('readwrite', store => store.put(state, IDB_STATE_KEY)).then(announce);
+        },
+        clear() {
+            return run('readwrite', store => store.delete(IDB_STATE_KEY)).then(announce);
+        },
+        subscribe(onChange) {
+            const syncChannel = getChannel();
+            if (!syncChannel) return () => {};
+            
+            const handler = () => onChange();
+            syncChannel.addEventListener('message', handler);
+            return () => syncChannel.removeEventListener('message', handler);
+        }
+    };
+}
+
+/**
+ * In-memory backend: nothing survives a reload and tabs do not sync
+ * Used when storage is unavailable (private browsing, quota exhausted) or not wanted.
+ */
+function createMemoryAdapter() {
+    let state = JSON.stringify({ notifications: [], tombstones: {} });
+    
+    return {
+        name: STORAGE_BACKENDS.MEMORY,
+        load() {
+            return Promise.resolve(JSON.parse(state));
+        },
+        save(next) {
+            state = JSON.stringify(next);
+            return Promise.resolve();
+        },
+        clear() {
+            state = JSON.stringify({ notifications: [], tombstones: {} });
+            return Promise.resolve();
+        },
+        subscribe() {
+            return () => {};
+        }
+    };
+}
+
+/**
+ * Create the adapter for a backend name, falling back when the browser lacks support
+ */
+function createStorageAdapter(backend) {
+    if (backend === STORAGE_BACKENDS.MEMORY) {
+        return createMemoryAdapter();
+    }
+    if (backend === STORAGE_BACKENDS.INDEXED_DB && 'indexedDB' in window) {
+        return createIndexedDbAdapter();
+    }
+    
+    try {
+        localStorage.getItem(STORAGE_KEY);
+        return createLocalStorageAdapter();
+    } catch (error) {
+        // Storage disabled (e.g. blocked cookies): keep working without persistence
+        return createMemoryAdapter();
+    }
+}
+
+/**
+ * Make an adapter the active backend and listen for writes from other tabs
+ */
+function attachStorage(adapter) {
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+    }
+    
+    storageAdapter = adapter;
+    unsubscribeStorage = adapter.subscribe(() => syncFromStorage());
+}
+
+/**
+ * Switch to another storage adapter, carrying the current history over
+ * The previous backend is cleared so stale copies cannot resurface later.
+ * Adapters implement { name, load(), save(state), clear(), subscribe(onChange) },
+ * where load/save/clear return promises and subscribe returns an unsubscribe function.
+ */
+function useStorage(adapter) {
+    return flushStorage().then(() => {
+        const previous = storageAdapter;
+        if (previous === adapter) return;
+        
+        attachStorage(adapter);
+        storageDegraded = false;
+        saveDirty = true;
+        
+        return flushStorage()
+            .then(() => previous && previous.clear())
+            .catch(error => console.error('Failed to clear previous notification storage:', error));
+    });
+}
+
+/**
+ * Switch to a built-in backend ('localStorage', 'indexedDB' or 'memory') and remember the choice
+ */
+function setStorageBackend(backend) {
+    if (!Object.values(STORAGE_BACKENDS).includes(backend)) {
+        return Promise.reject(new Error(`Unknown notification storage backend: ${backend}`));
+    }
+    
+    setPreferences({ storage: backend });
+    return useStorage(createStorageAdapter(backend));
+}
+
+/**
+ * Describe the active backend (for settings UIs)
+ */
+function getStorageInfo() {
+    return {
+        backend: storageAdapter ? storageAdapter.name : null,
+        preferred: getPreferences().storage,
+        degraded: storageDegraded,
+        pendingWrite: saveDirty
+    };
+}
+
+/**
+ * Read notifications and removal tombstones from the active backend
+ */
+function readStorage() {
+    return storageAdapter.load().catch(error => {
+        console.error(`Failed to load notifications from ${storageAdapter.name}:`, error);
+        return { notifications: [], tombstones: {} };
+    });
+}
+
+/**
+ * Last modification time of a notification (falls back to creation time)
+ */
+function getUpdatedAt(notification) {
+    return notification.updatedAt || notification.timestamp;
+}
+
+/**
+ * Mark a notification as modified so the change wins when merged with other tabs
+ */
+function touch(notification) {
+    notification.updatedAt = Date.now();
+}
+
+/**
+ * Merge two copies of the same notification
+ * - The most recently modified copy wins
+ * - Read and dismissed flags are sticky (once set in any tab, they stay set),
+ *   unless the newer copy resurfaced the notification by adding to its group
+ */
+function mergeNotification(local, remote) {
+    const remoteIsNewer = getUpdatedAt(remote) !== getUpdatedAt(local)
+        ? getUpdatedAt(remote) > getUpdatedAt(local)
+        : (remote.count || 1) > (local.count || 1);
+    const newer = remoteIsNewer ? remote : local;
+    const older = newer === local ? remote : local;
+    if ((newer.count || 1) > (older.count || 1)) {
+        return newer;
+    }
+    return {
+        ...newer,
+        read: local.read || remote.read,
+        dismissed: local.dismissed || remote.dismissed
+    };
+}
+
+/**
+ * Merge local and stored notification lists by ID, dropping removed notifications
+ */
+function mergeNotifications(local, remote) {
+    const merged = new Map();
+    
+    remote.forEach(n => merged.set(n.id, n));
+    local.forEach(n => {
+        const existing = merged.get(n.id);
+        merged.set(n.id, existing ? mergeNotification(n, existing) : n);
+    });
+    
+    return applyRetention(Array.from(merged.values()).filter(n => !tombstones[n.id]));
+}
+
+/**
+ * Merge a stored snapshot into the local store
+ */
+function mergeStoredState(stored) {
+    // Notifications written elsewhere before this tab cleared everything are cleared too
+    if (clearedAt) {
+        const localIds = new Set(notifications.map(n => n.id));
+        stored.notifications.forEach(n => {
+            if (n.timestamp <= clearedAt && !localIds.has(n.id)) {
+                tombstones[n.id] = clearedAt;
+            }
+        });
+    }
+    
+    tombstones = { ...stored.tombstones, ...tombstones };
+    notifications = mergeNotifications(notifications, stored.notifications);
+}
+
+/**
+ * Load notifications from storage
+ */
+function loadFromStorage() {
+    return readStorage().then(mergeStoredState);
+}
+
+/**
+ * Merge changes written by other tabs into the local store
+ * and dispatch events for anything that changed
+ */
+function syncFromStorage() {
+    return readStorage().then(stored => {
+        const previous = notifications;
+        mergeStoredState(stored);
+        
+        dispatchChanges(previous, notifications);
+        updateUnreadBadge();
+    });
+}
+
+/**
+ * Newest entries of an ID -> timestamp map, at most SYNC_STATE_MAX_ENTRIES
+ */
+function newestEntries(entries) {
+    return Object.fromEntries(entries
+        .sort(([idA, a], [idB, b]) => b - a || (idA < idB ? -1 : idA > idB ? 1 : 0))
+        .slice(0, SYNC_STATE_MAX_ENTRIES));
+}
+
+/**
+ * Summary of what has been read, dismissed and removed, for syncing to other devices (preferences.js)
+ * Only IDs and timestamps: the notifications themselves stay on the device (server notifications
+ * reach every device on their own), progress notifications are left out while they change, and
+ * each map keeps its newest entries so the synced document stays small.
+ */
+function getSyncState() {
+    const settled = notifications.filter(n => n.type !== TYPES.PROGRESS);
+    return {
+        read: newestEntries(settled.filter(n => n.read).map(n => [n.id, getUpdatedAt(n)])),
+        dismissed: newestEntries(settled.filter(n => n.dismissed).map(n => [n.id, getUpdatedAt(n)])),
+        tombstones: newestEntries(Object.entries(tombstones))
+    };
+}
+
+/**
+ * Apply a summary synced from another device to the notifications this device holds
+ */
+function mergeSyncState(state) {
+    const previous = notifications;
+    const read = (state && state.read) || {};
+    const dismissed = (state && state.dismissed) || {};
+    
+    tombstones = { ...((state && state.tombstones) || {}), ...tombstones };
+    notifications = notifications
+        .filter(n => !tombstones[n.id])
+        .map(n => (read[n.id] && !n.read) || (dismissed[n.id] && !n.dismissed)
+            ? { ...n, read: n.read || !!read[n.id], dismissed: n.dismissed || !!dismissed[n.id] }
+            : n);
+    
+    dispatchChanges(previous, notifications);
+    saveToStorage();
+}
+
+/**
+ * Schedule a write of the local store
+ * Writes are debounced, so bursts of changes (bulk actions, server batches, progress steps)
+ * serialize the history once.
+ */
+function saveToStorage() {
+    saveDirty = true;
+    updateUnreadBadge();
+    
+    if (saveTimer === null) {
+        saveTimer = setTimeout(flushStorage, SAVE_DEBOUNCE_MS);
+    }
+}
+
+/**
+ * Write pending changes now (also called when the page is hidden or unloaded)
+ * Merges with the stored state first so concurrent writes from other tabs are kept.
+ */
+function flushStorage() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    
+    if (!saveDirty) {
+        return saving;
+    }
+    saveDirty = false;
+    
+    saving = saving
+        .then(() => syncFromStorage())
+        .then(() => storageAdapter.save({ notifications, tombstones }))
+        .then(() => {
+            clearedAt = 0;
+            dispatchEvent('devqualx-notifications-persisted');
+        })
+        .catch(handleSaveError);
+    
+    return saving;
+}
+
+/**
+ * Whether a storage error means the backend is full
+ */
+function isQuotaExceeded(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Firefox
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+/**
+ * Drop history to make room: read, dismissed notifications first, then the oldest half
+ */
+function shedHistory(list) {
+    const kept = list.filter(n => !n.read || !n.dismissed || n.type === TYPES.PROGRESS);
+    return kept.length < list.length ? kept : list.slice(0, Math.floor(list.length / 2));
+}
+
+/**
+ * Handle a failed write
+ * When the backend is full, shed history and retry once; if it is still full,
+ * keep notifications in memory for the rest of the session rather than failing every write.
+ */
+function handleSaveError(error) {
+    if (!isQuotaExceeded(error)) {
+        console.error(`Failed to save notifications to ${storageAdapter.name}:`, error);
+        return;
+    }
+    
+    const previous = notifications;
+    notifications = shedHistory(notifications);
+    dispatchChanges(previous, notifications);
+    console.warn(`Notification storage (${storageAdapter.name}) is full, dropped ${previous.length - notifications.length} notifications`);
+    
+    return storageAdapter.save({ notifications, tombstones })
+        .then(() => {
+            clearedAt = 0;
+        })
+        .catch(retryError => {
+            if (!isQuotaExceeded(retryError)) {
+                console.error(`Failed to save notifications to ${storageAdapter.name}:`, retryError);
+                return;
+            }
+            degradeStorage('quota');
+        });
+}
+
+/**
+ * Fall back to in-memory storage after the backend failed
+ */
+function degradeStorage(reason) {
+    const failed = storageAdapter.name;
+    
+    attachStorage(createMemoryAdapter());
+    storageDegraded = true;
+    
+    console.warn(`Notification storage (${failed}) is unavailable, keeping notifications in memory for this tab`);
+    dispatchEvent('devqualx-notification-storage-degraded', { backend: failed, reason });
+}
+
+/**
+ * Current retention limits in milliseconds and items
+ */
+function getRetentionLimits() {
+    const retention = getPreferences().retention;
+    return {
+        maxNotifications: retention.maxNotifications,
+        maxAgeMs: retention.maxAgeDays * DAY_MS
+    };
+}
+
+/**
+ * Apply retention limits to a notification list
+ * - Remove notifications older than the configured age (default 7 days)
+ * - Keep only the configured number of notifications (default 100)
+ */
+function applyRetention(list) {
+    const now = Date.now();
+    const limits = getRetentionLimits();
+    
+    // Remove old notifications, newest first
+    const recent = list
+        .filter(n => (now - n.timestamp) < limits.maxAgeMs)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    
+    // Keep only the most recent notifications
+    return recent.slice(0, limits.maxNotifications);
+}
+
+/**
+ * Clean up old notifications and removal tombstones
+ */
+function cleanup() {
+    const now = Date.now();
+    const previous = notifications;
+    
+    notifications = applyRetention(notifications);
+    
+    // Old tombstones can go: the notifications they hide have expired too
+    const maxAgeMs = getRetentionLimits().maxAgeMs;
+    Object.keys(tombstones).forEach(id => {
+        if ((now - tombstones[id]) >= maxAgeMs) {
+            delete tombstones[id];
+        }
+    });
+    
+    dispatchChanges(previous, notifications);
+    saveToStorage();
+}
+
+/**
+ * Get the retention settings: { maxNotifications, maxAgeDays }
+ */
+function getRetention() {
+    return { ...getPreferences().retention };
+}
+
+/**
+ * Change the retention settings (partial updates are merged) and prune to the new limits
+ */
+function setRetention(update) {
+    const next = setPreferences({ retention: update }).retention;
+    cleanup();
+    return { ...next };
+}
+
+/**
+ * Dispatch events for differences between two snapshots of the store
+ * (used when another tab changed the shared history)
+ */
+function dispatchChanges(previous, next) {
+    const previousById = new Map(previous.map(n => [n.id, n]));
+    const nextIds = new Set(next.map(n => n.id));
+    
+    if (previous.length > 0 && next.length === 0) {
+        progressIntervals.forEach((intervalId) => clearInterval(intervalId));
+        progressIntervals.clear();
+        resetToasts();
+        dispatchEvent('devqualx-notifications-cleared', {});
+        return;
+    }
+    
+    previous.forEach(p => {
+        if (!nextIds.has(p.id)) {
+            stopProgressTimer(p.id);
+            removeFromActiveToasts(p.id);
+            dispatchEvent('devqualx-notification-removed', { id: p.id });
+        }
+    });
+    
+    next.forEach(n => {
+        const p = previousById.get(n.id);
+        
+        if (!p) {
+            if (!n.dismissed) {
+                addToActiveToasts(n.id);
+                dispatchEvent('devqualx-notification-added', n);
+            }
+            if (n.type === TYPES.PROGRESS) {
+                startProgressTimer(n);
+            }
+            return;
+        }
+        
+        if (p.type === TYPES.PROGRESS && n.type !== TYPES.PROGRESS) {
+            stopProgressTimer(n.id);
+            
+            // Cancelled from another tab: abort the operation running in this one
+            const controller = progressControllers.get(n.id);
+            if (controller && n.outcome === OUTCOMES.CANCELLED) {
+                controller.abort();
+            }
+            progressControllers.delete(n.id);
+            
+            dispatchEvent('devqualx-notification-progress-completed', n);
+        }
+        
+        if ((n.count || 1) > (p.count || 1)) {
+            if (!n.dismissed) {
+                addToActiveToasts(n.id);
+            }
+            dispatchEvent('devqualx-notification-grouped', { id: n.id, count: n.count });
+        }
+        
+        if (!p.dismissed && n.dismissed) {
+            removeFromActiveToasts(n.id);
+            dispatchEvent('devqualx-notification-dismissed', { id: n.id });
+        }
+        
+        if (p.type === TYPES.PROGRESS && n.type === TYPES.PROGRESS &&
+            (p.percent !== n.percent || p.currentStep !== n.currentStep)) {
+            dispatchEvent('devqualx-notification-progress-updated', progressDetail(n));
+        }
+        
+        if (!p.read && n.read) {
+            dispatchEvent('devqualx-notification-read', { id: n.id });
+        }
+    });
+}
+
+/**
+ * Dispatch custom event for Blazor components
+ */
+function dispatchEvent(eventName, detail) {
+    window.dispatchEvent(new CustomEvent(eventName, { detail }));
+}
+
+/**
+ * Format relative time (just now, 5m ago, 1h ago, etc.)
+ */
+function formatRelativeTime(timestamp) {
+    const now = Date.now();
+    const diff = now - timestamp;
+    
+    const seconds = Math.floor(diff / 1000);
+    if (seconds < 10) return 'just now';
+    if (seconds < 60) return `${seconds}s ago`;
+    
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ago`;
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    
+    const days = Math.floor(hours / 24);
+    if (days < 7) return `${days}d ago`;
+    
+    return new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Format elapsed time (00:05, 01:23, etc.)
+ */
+function formatElapsedTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Add notification to active toasts, or queue it when all slots are taken
+ */
+function addToActiveToasts(id) {
+    if (activeToasts.includes(id) || toastQueue.includes(id)) {
+        return;
+    }
+    
+    if (activeToasts.length < MAX_ACTIVE_TOASTS) {
+        activateToast(id);
+    } else {
+        // Shown as soon as a slot frees up
+        toastQueue.push(id);
+    }
+}
+
+/**
+ * Show a toast in a free slot and start its auto-dismiss countdown
+ */
+function activateToast(id) {
+    activeToasts.push(id);
+    
+    const notification = notifications.find(n => n.id === id);
+    if (notification) {
+        scheduleAutoDismiss(notification);
+    }
+}
+
+/**
+ * Remove notification from active toasts (or the queue) and promote queued toasts
+ */
+function removeFromActiveToasts(id) {
+    clearAutoDismiss(id);
+    
+    const queueIndex = toastQueue.indexOf(id);
+    if (queueIndex > -1) {
+        toastQueue.splice(queueIndex, 1);
+    }
+    
+    const index = activeToasts.indexOf(id);
+    if (index > -1) {
+        activeToasts.splice(index, 1);
+        promoteQueuedToasts();
+    }
+}
+
+/**
+ * Move queued toasts into free slots, oldest first
+ */
+function promoteQueuedToasts() {
+    while (activeToasts.length < MAX_ACTIVE_TOASTS && toastQueue.length > 0) {
+        const id = toastQueue.shift();
+        const notification = notifications.find(n => n.id === id);
+        if (!notification || notification.dismissed) {
+            continue;
+        }
+        
+        activateToast(id);
+        dispatchEvent('devqualx-notification-shown', { id });
+    }
+}
+
+/**
+ * Start (or restart) the auto-dismiss countdown for a visible toast
+ */
+function scheduleAutoDismiss(notification) {
+    clearAutoDismiss(notification.id);
+    
+    if (notification.type === TYPES.PROGRESS || !(notification.timeout > 0)) {
+        return;
+    }
+    
+    const timerId = setTimeout(() => {
+        dismissTimers.delete(notification.id);
+        dismiss(notification.id);
+    }, notification.timeout);
+    
+    dismissTimers.set(notification.id, timerId);
+}
+
+/**
+ * Cancel a pending auto-dismiss countdown
+ */
+function clearAutoDismiss(id) {
+    const timerId = dismissTimers.get(id);
+    if (timerId) {
+        clearTimeout(timerId);
+        dismissTimers.delete(id);
+    }
+}
+
+/**
+ * Forget all visible and queued toasts
+ */
+function resetToasts() {
+    dismissTimers.forEach((timerId) => clearTimeout(timerId));
+    dismissTimers.clear();
+    activeToasts = [];
+    toastQueue = [];
+}
+
+/**
+ * Key used to collapse notifications
+ * - Caller-supplied groupKey groups related notifications over GROUP_WINDOW_MS
+ * - Otherwise identical level/title/message collapse over DEDUPE_WINDOW_MS
+ */
+function getGroupKey(notification) {
+    return notification.groupKey
+        ? `group:${notification.groupKey}`
+        : `dedupe:${notification.level}|${notification.title}|${notification.message}`;
+}
+
+/**
+ * Find the notification a new one should be collapsed into, if any
+ */
+function findGroup(candidate) {
+    const key = getGroupKey(candidate);
+    const windowMs = candidate.groupKey ? GROUP_WINDOW_MS : DEDUPE_WINDOW_MS;
+    const now = Date.now();
+    
+    return notifications.find(n =>
+        n.type === TYPES.STANDARD &&
+        !n.serverId &&
+        getGroupKey(n) === key &&
+        (now - n.timestamp) < windowMs);
+}
+
+/**
+ * Show a standard notification
+ */
+function show(options) {
+    const notification = {
+        id: generateId(),
+        title: options.title || 'Notification',
+        message: options.message || '',
+        level: options.level || LEVELS.INFO,
+        type: TYPES.STANDARD,
+        timestamp: Date.now(),
+        read: false,
+        dismissed: false,
+        timeout: options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT_MS,
+        dismissible: options.dismissible !== undefined ? options.dismissible : true,
+        groupKey: options.groupKey || null,
+        count: 1,
+        actions: []
+    };
+    
+    notification.actions = normalizeActions(notification.id, options.actions);
+    
+    const group = findGroup(notification);
+    if (group) {
+        return addToGroup(group, notification);
+    }
+    
+    return addNotification(notification);
+}
+
+/**
+ * Collapse a new notification into an existing group
+ * The group takes the latest content, bumps its count and resurfaces as a toast.
+ */
+function addToGroup(group, notification) {
+    group.title = notification.title;
+    group.message = notification.message;
+    group.level = notification.level;
+    group.timeout = notification.timeout;
+    group.dismissible = notification.dismissible;
+    group.actions = normalizeActions(group.id, notification.actions);
+    group.timestamp = notification.timestamp;
+    group.count = (group.count || 1) + 1;
+    group.read = false;
+    group.dismissed = false;
+    touch(group);
+    
+    saveToStorage();
+    
+    if (activeToasts.includes(group.id)) {
+        // Already visible: restart its countdown
+        scheduleAutoDismiss(group);
+    } else {
+        addToActiveToasts(group.id);
+    }
+    
+    dispatchEvent('devqualx-notification-grouped', { id: group.id, count: group.count });
+    notifyDesktop(group);
+    
+    return group.id;
+}
+
+/**
+ * Add a standard notification to the store and show it as a toast
+ */
+function addNotification(notification) {
+    notifications.unshift(notification); // Add to beginning (newest first)
+    saveToStorage();
+    
+    // Auto-dismiss starts once the toast is actually visible
+    if (!notification.dismissed) {
+        addToActiveToasts(notification.id);
+        dispatchEvent('devqualx-notification-added', notification);
+        notifyDesktop(notification);
+    }
+    
+    return notification.id;
+}
+
+/**
+ * Show a progress notification
+ * 
+ * Options (all optional besides title/message):
+ * - steps: array of step names, e.g. ['Uploading', 'Scanning', 'Processing']
+ * - percent: initial percent complete (0-100); omit for an indeterminate spinner
+ * - onCancel: callback invoked when the user cancels; makes the toast cancellable
+ * - cancellable: show a cancel button without a callback (use getSignal(id) instead)
+ */
+function showProgress(options) {
+    const cancellable = typeof options.onCancel === 'function' || options.cancellable === true;
+    const notification = {
+        id: generateId(),
+        title: options.title || 'Processing...',
+        message: options.message || 'Please wait...',
+        level: LEVELS.PRIMARY,
+        type: TYPES.PROGRESS,
+        timestamp: Date.now(),
+        read: false,
+        dismissed: false,
+        timeout: 0, // Progress notifications don't auto-dismiss
+        dismissible: false, // Can't manually dismiss while in progress
+        elapsedMs: 0,
+        startTime: Date.now(),
+        percent: null,
+        steps: Array.isArray(options.steps) ? options.steps.slice() : [],
+        stepIndex: Array.isArray(options.steps) && options.steps.length > 0 ? 0 : null,
+        currentStep: Array.isArray(options.steps) && options.steps.length > 0 ? options.steps[0] : null,
+        etaMs: null,
+        cancellable
+    };
+    
+    if (typeof options.percent === 'number') {
+        notification.percent = clampPercent(options.percent);
+    }
+    
+    if (cancellable) {
+        const controller = new AbortController();
+        if (typeof options.onCancel === 'function') {
+            controller.signal.addEventListener('abort', () => options.onCancel(notification.id));
+        }
+        progressControllers.set(notification.id, controller);
+    }
+    
+    notifications.unshift(notification);
+    saveToStorage();
+    
+    addToActiveToasts(notification.id);
+    dispatchEvent('devqualx-notification-added', notification);
+    
+    // Start elapsed time counter
+    startProgressTimer(notification);
+    
+    return notification.id;
+}
+
+/**
+ * Start the elapsed time counter for a progress notification (no-op if running)
+ */
+function startProgressTimer(notification) {
+    if (progressIntervals.has(notification.id)) return;
+    
+    const intervalId = setInterval(() => {
+        updateProgress(notification.id, Date.now() - notification.startTime);
+    }, 1000);
+    
+    progressIntervals.set(notification.id, intervalId);
+}
+
+/**
+ * Stop the elapsed time counter for a progress notification
+ */
+function stopProgressTimer(id) {
+    const intervalId = progressIntervals.get(id);
+    if (intervalId) {
+        clearInterval(intervalId);
+        progressIntervals.delete(id);
+    }
+}
+
+/**
+ * Update progress notification elapsed time (called every second by the progress timer)
+ */
+function updateProgress(id, elapsedMs) {
+    const notification = notifications.find(n => n.id === id);
+    if (notification && notification.type === TYPES.PROGRESS) {
+        notification.elapsedMs = elapsedMs;
+        notification.etaMs = estimateRemaining(notification);
+        // Not persisted: elapsed time is derived from startTime, so ticks never touch storage
+        dispatchEvent('devqualx-notification-progress-updated', progressDetail(notification));
+    }
+}
+
+/**
+ * Clamp a percentage to 0-100
+ */
+function clampPercent(percent) {
+    return Math.min(100, Math.max(0, percent));
+}
+
+/**
+ * Estimate remaining time from elapsed time and percent complete (linear extrapolation)
+ */
+function estimateRemaining(notification) {
+    if (typeof notification.percent !== 'number' || notification.percent <= 0 || notification.percent >= 100) {
+        return null;
+    }
+    const elapsedMs = Date.now() - notification.startTime;
+    return Math.round(elapsedMs * (100 - notification.percent) / notification.percent);
+}
+
+/**
+ * Event detail for progress updates
+ */
+function progressDetail(notification) {
+    return {
+        id: notification.id,
+        elapsedMs: notification.elapsedMs,
+        percent: notification.percent,
+        currentStep: notification.currentStep,
+        stepIndex: notification.stepIndex,
+        etaMs: notification.etaMs
     };
+}
+
+/**
+ * Report determinate progress for a progress notification
+ * 
+ * Update fields (all optional):
+ * - percent: percent complete (0-100)
+ * - step: name of the current step, or its index in the steps passed to showProgress()
+ * - message: replace the message text
+ * 
+ * When steps were declared and no percent is given, percent is derived from the step index.
+ */
+function setProgress(id, update) {
+    const notification = notifications.find(n => n.id === id);
+    if (!notification || notification.type !== TYPES.PROGRESS) {
+        return;
+    }
+    
+    if (update.step !== undefined) {
+        const steps = notification.steps || [];
+        const stepIndex = typeof update.step === 'number' ? update.step : steps.indexOf(update.step);
+        
+        if (stepIndex > -1 && stepIndex < steps.length) {
+            notification.stepIndex = stepIndex;
+            notification.currentStep = steps[stepIndex];
+            if (typeof update.percent !== 'number') {
+                notification.percent = clampPercent(Math.round(stepIndex / steps.length * 100));
+            }
+        } else {
+            // Ad-hoc step name that wasn't declared up front
+            notification.stepIndex = null;
+            notification.currentStep = String(update.step);
+        }
+    }
+    
+    if (typeof update.percent === 'number') {
+        notification.percent = clampPercent(update.percent);
+    }
+    
+    if (update.message !== undefined) {
+        notification.message = update.message;
+    }
+    
+    notification.etaMs = estimateRemaining(notification);
+    touch(notification);
+    
+    saveToStorage();
+    dispatchEvent('devqualx-notification-progress-updated', progressDetail(notification));
+}
+
+/**
+ * Get the AbortSignal for a cancellable progress notification
+ * The signal aborts when the user cancels; returns null if not cancellable in this page.
+ */
+function getSignal(id) {
+    const controller = progressControllers.get(id);
+    return controller ? controller.signal : null;
+}
+
+/**
+ * Cancel a progress notification (aborts its signal and completes it as cancelled)
+ */
+function cancelProgress(id, message) {
+    const notification = notifications.find(n => n.id === id);
+    if (!notification || notification.type !== TYPES.PROGRESS || !notification.cancellable) {
+        return;
+    }
+    
+    const controller = progressControllers.get(id);
+    if (controller) {
+        controller.abort();
+    }
+    
+    completeProgress(id, OUTCOMES.CANCELLED, message || 'Cancelled by user');
+}
+
+/**
+ * Complete a progress notification
+ * The outcome is either a boolean (success/failure) or one of OUTCOMES.
+ */
+function completeProgress(id, outcome, message, href) {
+    const notification = notifications.find(n => n.id === id);
+    if (!notification || notification.type !== TYPES.PROGRESS) {
+        return;
+    }
+    
+    if (typeof outcome === 'boolean') {
+        outcome = outcome ? OUTCOMES.SUCCESS : OUTCOMES.FAILURE;
+    }
+    
+    // Stop the elapsed time counter
+    stopProgressTimer(id);
+    progressControllers.delete(id);
+    
+    // Transform to standard notification
+    notification.type = TYPES.STANDARD;
+    notification.outcome = outcome;
+    notification.etaMs = null;
+    notification.cancellable = false;
+    
+    switch (outcome) {
+        case OUTCOMES.SUCCESS:
+            notification.level = LEVELS.SUCCESS;
+            notification.title = notification.title.replace('Processing', 'Complete');
+            notification.percent = 100;
+            break;
+        case OUTCOMES.PARTIAL:
+            notification.level = LEVELS.WARNING;
+            notification.title = 'Partially completed';
+            break;
+        case OUTCOMES.CANCELLED:
+            notification.level = LEVELS.SECONDARY;
+            notification.title = 'Cancelled';
+            break;
+        default:
+            notification.level = LEVELS.DANGER;
+            notification.title = 'Failed';
+            break;
+    }
+    
+    notification.message = message || notification.message;
+    notification.dismissible = true;
+    notification.timeout = 5000; // Auto-dismiss after 5 seconds
+    notification.href = href || null;
+    touch(notification);
+    
+    saveToStorage();
+    dispatchEvent('devqualx-notification-progress-completed', notification);
+    notifyDesktop(notification);
+    
+    // Auto-dismiss after timeout (queued toasts start counting once shown)
+    if (activeToasts.includes(id)) {
+        scheduleAutoDismiss(notification);
+    }
+}
+
+/**
+ * Normalize action definitions into a serializable form
+ * 
+ * Supported actions:
+ * - { label, href, target? } - navigate to a link
+ * - { label, handler: 'name', args? } - call a handler registered with registerAction()
+ * - { label, handler: fn } - inline handler, registered for this page only (lost on reload)
+ * - { label, dotnet: 'name', method: 'MethodName', args? } - call a [JSInvokable] method on a
+ *   DotNetObjectReference registered with registerDotNetReference()
+ * 
+ * Every action may set id, variant ('primary' | 'secondary') and dismissOnClick (default true).
+ */
+function normalizeActions(notificationId, actions) {
+    if (!Array.isArray(actions)) {
+        return [];
+    }
+    
+    return actions
+        .filter(action => action && action.label)
+        .map((action, index) => {
+            const normalized = {
+                id: action.id || `action-${index}`,
+                label: String(action.label),
+                variant: action.variant === 'primary' ? 'primary' : 'secondary',
+                dismissOnClick: action.dismissOnClick !== false,
+                args: action.args !== undefined ? action.args : null
+            };
+            
+            if (action.href) {
+                normalized.type = ACTION_TYPES.LINK;
+                normalized.href = action.href;
+                normalized.target = action.target || null;
+            } else if (action.dotnet) {
+                normalized.type = ACTION_TYPES.DOTNET;
+                normalized.dotnet = action.dotnet;
+                normalized.method = action.method;
+            } else if (typeof action.handler === 'function') {
+                normalized.type = ACTION_TYPES.HANDLER;
+                normalized.handler = `${notificationId}:${normalized.id}`;
+                actionHandlers.set(normalized.handler, action.handler);
+            } else if (action.handler) {
+                normalized.type = ACTION_TYPES.HANDLER;
+                normalized.handler = String(action.handler);
+            } else {
+                console.error('Notification action needs an href, handler or dotnet reference:', action);
+                return null;
+            }
+            
+            return normalized;
+        })
+        .filter(action => action !== null);
+}
+
+/**
+ * Register a named action handler: handler(notification, args)
+ */
+function registerAction(name, handler) {
+    actionHandlers.set(name, handler);
+}
+
+/**
+ * Unregister a named action handler
+ */
+function unregisterAction(name) {
+    actionHandlers.delete(name);
+}
+
+/**
+ * Register a Blazor DotNetObjectReference under a name for 'dotnet' actions
+ */
+function registerDotNetReference(name, dotNetReference) {
+    dotNetReferences.set(name, dotNetReference);
+}
+
+/**
+ * Unregister a Blazor DotNetObjectReference (call from the component's Dispose)
+ */
+function unregisterDotNetReference(name) {
+    dotNetReferences.delete(name);
+}
+
+/**
+ * Whether an action can run in this page (handlers and .NET references don't survive reloads)
+ */
+function isActionAvailable(action) {
+    switch (action.type) {
+        case ACTION_TYPES.LINK:
+            return true;
+        case ACTION_TYPES.HANDLER:
+            return actionHandlers.has(action.handler);
+        case ACTION_TYPES.DOTNET:
+            return dotNetReferences.has(action.dotnet);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Get a notification's actions with their availability in this page
+ */
+function getActions(id) {
+    const notification = notifications.find(n => n.id === id);
+    if (!notification || !Array.isArray(notification.actions)) {
+        return [];
+    }
+    
+    return notification.actions.map(action => ({ ...action, available: isActionAvailable(action) }));
+}
+
+/**
+ * Navigate to a link action (through Blazor enhanced navigation when possible)
+ */
+function navigateTo(href, target) {
+    if (target) {
+        window.open(href, target, 'noopener');
+    } else if (window.Blazor && typeof window.Blazor.navigateTo === 'function') {
+        window.Blazor.navigateTo(href);
+    } else {
+        window.location.assign(href);
+    }
+}
+
+/**
+ * Run a notification action by ID
+ */
+function invokeAction(id, actionId) {
+    const notification = notifications.find(n => n.id === id);
+    const action = notification && (notification.actions || []).find(a => a.id === actionId);
+    if (!action) {
+        return Promise.resolve(false);
+    }
+    
+    if (!isActionAvailable(action)) {
+        console.error(`Notification action '${action.label}' is no longer available`);
+        return Promise.resolve(false);
+    }
+    
+    let result;
+    try {
+        switch (action.type) {
+            case ACTION_TYPES.LINK:
+                navigateTo(action.href, action.target);
+                break;
+            case ACTION_TYPES.HANDLER:
+                result = actionHandlers.get(action.handler)(notification, action.args);
+                break;
+            case ACTION_TYPES.DOTNET:
+                result = dotNetReferences.get(action.dotnet).invokeMethodAsync(action.method, id, action.id, action.args);
+                break;
+        }
+    } catch (error) {
+        console.error(`Notification action '${action.label}' failed:`, error);
+        return Promise.resolve(false);
+    }
+    
+    dispatchEvent('devqualx-notification-action', { id, actionId });
+    
+    if (action.dismissOnClick) {
+        markAsRead(id);
+        dismiss(id);
+    }
+    
+    return Promise.resolve(result)
+        .then(() => true)
+        .catch(error => {
+            console.error(`Notification action '${action.label}' failed:`, error);
+            return false;
+        });
+}
+
+/**
+ * Dismiss a notification (remove from active toasts, but keep in tray)
+ */
+function dismiss(id) {
+    const notification = notifications.find(n => n.id === id);
+    if (notification) {
+        notification.dismissed = true;
+        touch(notification);
+        saveToStorage();
+        
+        removeFromActiveToasts(id);
+        dispatchEvent('devqualx-notification-dismissed', { id });
+    }
+}
+
+/**
+ * Remove a notification completely (from tray too)
+ */
+function remove(id) {
+    const index = notifications.findIndex(n => n.id === id);
+    if (index > -1) {
+        // Stop progress timer if exists
+        stopProgressTimer(id);
+        progressControllers.delete(id);
+        
+        // Record the removal so other tabs drop it instead of merging it back
+        tombstones[id] = Date.now();
+        notifications.splice(index, 1);
+        saveToStorage();
+        
+        removeFromActiveToasts(id);
+        dispatchEvent('devqualx-notification-removed', { id });
+    }
+}
+
+/**
+ * Clear all notifications
+ */
+function clearAll() {
+    // Notifications other tabs added but this tab has not seen yet are tombstoned on the next write
+    clearedAt = Date.now();
+    
+    // Stop all progress timers
+    progressIntervals.forEach((intervalId) => {
+        clearInterval(intervalId);
+    });
+    progressIntervals.clear();
+    progressControllers.clear();
+    
+    const now = Date.now();
+    notifications.forEach(n => {
+        tombstones[n.id] = now;
+    });
+    
+    notifications = [];
+    resetToasts();
+    saveToStorage();
+    
+    dispatchEvent('devqualx-notifications-cleared', {});
+}
+
+/**
+ * Mark notification as read
+ */
+function markAsRead(id) {
+    const notification = notifications.find(n => n.id === id);
+    if (notification) {
+        notification.read = true;
+        touch(notification);
+        saveToStorage();
+        dispatchEvent('devqualx-notification-read', { id });
+        
+        // Report read state back to the server
+        if (notification.serverId) {
+            acknowledge([notification.serverId]);
+        }
+    }
+}
+
+/**
+ * Parse a filter date (timestamp, Date or ISO string) to epoch milliseconds
+ */
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Normalize a single value or array filter field to an array (or null for "any")
+ */
+function toFilterList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const list = Array.isArray(value) ? value : [value];
+    return list.length > 0 ? list : null;
+}
+
+/**
+ * Build a predicate from a filter
+ * 
+ * Filter fields (all optional, combined with AND):
+ * - level / levels: level or array of levels
+ * - type / types: type or array of types
+ * - read: true for read only, false for unread only
+ * - from / to: date range (timestamp, Date or ISO string), inclusive
+ * - text: case-insensitive search over title and message
+ */
+function createPredicate(filter) {
+    filter = filter || {};
+    const levels = toFilterList(filter.levels !== undefined ? filter.levels : filter.level);
+    const types = toFilterList(filter.types !== undefined ? filter.types : filter.type);
+    const from = toTimestamp(filter.from);
+    const to = toTimestamp(filter.to);
+    const text = typeof filter.text === 'string' ? filter.text.trim().toLowerCase() : '';
+    
+    return (n) => {
+        if (levels && !levels.includes(n.level)) return false;
+        if (types && !types.includes(n.type)) return false;
+        if (typeof filter.read === 'boolean' && n.read !== filter.read) return false;
+        if (from !== null && n.timestamp < from) return false;
+        if (to !== null && n.timestamp > to) return false;
+        if (text && !`${n.title}\n${n.message}`.toLowerCase().includes(text)) return false;
+        return true;
+    };
+}
+
+/**
+ * Query notifications by filter (sorted by timestamp desc)
+ */
+function query(filter) {
+    return getAll().filter(createPredicate(filter));
+}
+
+/**
+ * Mark every notification matching a filter as read; returns the number marked
+ */
+function markReadWhere(filter) {
+    const predicate = createPredicate(filter);
+    const unread = notifications.filter(n => !n.read && predicate(n));
+    if (unread.length === 0) return 0;
+    
+    unread.forEach(notification => {
+        notification.read = true;
+        touch(notification);
+    });
+    saveToStorage();
+    
+    unread.forEach(notification => dispatchEvent('devqualx-notification-read', { id: notification.id }));
+    
+    // Report read state back to the server
+    const serverIds = unread.filter(n => n.serverId).map(n => n.serverId);
+    if (serverIds.length > 0) {
+        acknowledge(serverIds);
+    }
+    
+    return unread.length;
+}
+
+/**
+ * Mark every notification as read
+ */
+function markAllAsRead() {
+    return markReadWhere({});
+}
+
+/**
+ * Remove every notification matching a filter; returns the number removed
+ */
+function removeWhere(filter) {
+    const predicate = createPredicate(filter);
+    const matches = notifications.filter(predicate);
+    if (matches.length === 0) return 0;
+    
+    const now = Date.now();
+    matches.forEach(notification => {
+        stopProgressTimer(notification.id);
+        progressControllers.delete(notification.id);
+        tombstones[notification.id] = now;
+    });
+    
+    const removedIds = new Set(matches.map(n => n.id));
+    notifications = notifications.filter(n => !removedIds.has(n.id));
+    saveToStorage();
+    
+    matches.forEach(notification => {
+        removeFromActiveToasts(notification.id);
+        dispatchEvent('devqualx-notification-removed', { id: notification.id });
+    });
+    
+    return matches.length;
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function toCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export notification history (optionally filtered) as 'json' or 'csv'
+ */
+function exportHistory(format, filter) {
+    const rows = query(filter).map(n => ({
+        id: n.id,
+        timestamp: new Date(n.timestamp).toISOString(),
+        level: n.level,
+        type: n.type,
+        title: n.title,
+        message: n.message,
+        read: n.read,
+        dismissed: n.dismissed,
+        count: n.count || 1,
+        outcome: n.outcome || null,
+        href: n.href || null,
+        serverId: n.serverId || null
+    }));
+    
+    if (format === 'csv') {
+        const columns = ['id', 'timestamp', 'level', 'type', 'title', 'message', 'read', 'dismissed', 'count', 'outcome', 'href', 'serverId'];
+        const lines = [columns.join(',')].concat(rows.map(row => columns.map(c => toCsvValue(row[c])).join(',')));
+        return lines.join('\r\n');
+    }
+    
+    return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Download notification history as a file (for attaching to bug reports)
+ */
+function downloadHistory(format, filter) {
+    const csv = format === 'csv';
+    const blob = new Blob([exportHistory(csv ? 'csv' : 'json', filter)], {
+        type: csv ? 'text/csv' : 'application/json'
+    });
+    
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `devqualx-notifications-${new Date().toISOString().slice(0, 10)}.${csv ? 'csv' : 'json'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Get all notifications (sorted by timestamp desc)
+ */
+function getAll() {
+    return notifications.slice().sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Get active (non-dismissed) notifications for toast rendering
+ */
+function getActive() {
+    return notifications
+        .filter(n => activeToasts.includes(n.id) && !n.dismissed)
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Get the number of toasts waiting for a free slot
+ */
+function getQueuedCount() {
+    return toastQueue.length;
+}
+
+/**
+ * Get unread notification count
+ */
+function getUnreadCount() {
+    return notifications.filter(n => !n.read).length;
+}
+
+/**
+ * Get notification by ID
+ */
+function getById(id) {
+    return notifications.find(n => n.id === id);
+}
+
+/**
+ * Flatten a notification into the shape the Blazor components render
+ * (display strings are formatted here so the components stay free of formatting rules)
+ */
+function toView(notification) {
+    const isProgress = notification.type === TYPES.PROGRESS;
     
-    const TYPES = {
-        STANDARD: 'standard',
-        PROGRESS: 'progress'
+    return {
+        id: notification.id,
+        title: notification.title,
+        count: notification.count || 1,
+        message: notification.message || '',
+        level: notification.level,
+        type: notification.type,
+        timestamp: notification.timestamp,
+        read: notification.read === true,
+        dismissible: notification.dismissible !== false,
+        timeout: notification.timeout || 0,
+        elapsedMs: notification.elapsedMs || 0,
+        percent: typeof notification.percent === 'number' ? notification.percent : null,
+        currentStep: notification.currentStep || null,
+        stepIndex: typeof notification.stepIndex === 'number' ? notification.stepIndex : null,
+        stepCount: (notification.steps || []).length,
+        cancellable: isProgress && notification.cancellable === true,
+        href: notification.href || null,
+        actions: getActions(notification.id),
+        relativeTime: formatRelativeTime(notification.timestamp),
+        elapsedTime: isProgress ? formatElapsedTime(notification.elapsedMs || 0) : '',
+        remainingTime: isProgress && typeof notification.etaMs === 'number' ? formatElapsedTime(notification.etaMs) : ''
     };
+}
+
+/**
+ * Visible toasts, ready to render
+ */
+function getActiveViews() {
+    return getActive().map(toView);
+}
+
+/**
+ * Notifications matching a filter (see query()), ready to render
+ */
+function queryViews(filter) {
+    return query(filter).map(toView);
+}
+
+/**
+ * Parse a server timestamp (epoch milliseconds or ISO 8601 string)
+ */
+function parseServerTimestamp(value) {
+    if (typeof value === 'number') return value;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? Date.now() : parsed;
+}
+
+/**
+ * Ingest a single server-originated notification
+ * - Deduplicated by server ID (the local ID is derived from it, so every tab agrees)
+ * - Re-ingesting an existing notification only updates its read state
+ * - Notifications removed locally are not brought back
+ * 
+ * Expected shape: { id, title, message, level, timestamp, read, href, timeout }
+ */
+function ingest(serverNotification) {
+    if (!serverNotification || serverNotification.id === undefined || serverNotification.id === null) {
+        console.error('Server notification is missing an id:', serverNotification);
+        return null;
+    }
     
-    let notifications = [];
-    let activeToasts = [];
-    let progressIntervals = new Map(); // Track progress timers
-    
-    /**
-     * Generate a unique ID for notifications
-     */
-    function generateId() {
-        return `notif-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    }
-    
-    /**
-     * Load notifications from localStorage
-     */
-    function loadFromStorage() {
-        try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (stored) {
-                notifications = JSON.parse(stored);
-                cleanup();
-            }
-        } catch (error) {
-            console.error('Failed to load notifications from localStorage:', error);
-            notifications = [];
-        }
+    const serverId = String(serverNotification.id);
+    const id = `${SERVER_ID_PREFIX}${serverId}`;
+    
+    if (tombstones[id]) {
+        return null;
     }
     
-    /**
-     * Save notifications to localStorage
-     */
-    function saveToStorage() {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(notifications));
-        } catch (error) {
-            console.error('Failed to save notifications to localStorage:', error);
+    const existing = notifications.find(n => n.id === id);
+    if (existing) {
+        if (serverNotification.read && !existing.read) {
+            existing.read = true;
+            touch(existing);
+            saveToStorage();
+            dispatchEvent('devqualx-notification-read', { id });
         }
+        return id;
     }
     
-    /**
-     * Clean up old notifications
-     * - Remove notifications older than 7 days
-     * - Keep only last 100 notifications
-     */
-    function cleanup() {
-        const now = Date.now();
-        
-        // Remove old notifications
-        notifications = notifications.filter(n => (now - n.timestamp) < MAX_AGE_MS);
-        
-        // Keep only last 100 notifications (sorted by timestamp desc)
-        if (notifications.length > MAX_NOTIFICATIONS) {
-            notifications.sort((a, b) => b.timestamp - a.timestamp);
-            notifications = notifications.slice(0, MAX_NOTIFICATIONS);
-        }
-        
-        saveToStorage();
+    const read = serverNotification.read === true;
+    const timestamp = serverNotification.timestamp !== undefined
+        ? parseServerTimestamp(serverNotification.timestamp)
+        : Date.now();
+    
+    return addNotification({
+        id,
+        serverId,
+        source: 'server',
+        title: serverNotification.title || 'Notification',
+        message: serverNotification.message || '',
+        level: Object.values(LEVELS).includes(serverNotification.level) ? serverNotification.level : LEVELS.INFO,
+        type: TYPES.STANDARD,
+        timestamp,
+        read,
+        dismissed: read, // Already-read notifications go straight to the tray
+        timeout: serverNotification.timeout !== undefined ? serverNotification.timeout : DEFAULT_TIMEOUT_MS,
+        dismissible: true,
+        href: serverNotification.href || null,
+        actions: normalizeActions(id, serverNotification.actions)
+    });
+}
+
+/**
+ * Ingest a server payload: a single notification, an array of them,
+ * or an envelope of the form { notifications: [...] }
+ */
+function ingestPayload(payload) {
+    if (Array.isArray(payload)) {
+        return payload.map(ingest).filter(id => id !== null);
+    }
+    if (payload && Array.isArray(payload.notifications)) {
+        return ingestPayload(payload.notifications);
+    }
+    const id = ingest(payload);
+    return id !== null ? [id] : [];
+}
+
+/**
+ * Send read acknowledgements to the connected server adapter
+ * IDs are kept pending until the adapter confirms them, and retried on reconnect.
+ */
+function acknowledge(serverIds) {
+    serverIds.forEach(serverId => pendingAcks.add(serverId));
+    flushAcknowledgements();
+}
+
+/**
+ * Flush pending acknowledgements through the connected adapter
+ * Without a transport, offline, or when sending fails, they go into the offline queue to be sent
+ * once a transport is connected and online (possibly on a later page).
+ */
+function flushAcknowledgements() {
+    if (pendingAcks.size === 0) {
+        return Promise.resolve();
     }
     
-    /**
-     * Dispatch custom event for Blazor components
-     */
-    function dispatchEvent(eventName, detail) {
-        window.dispatchEvent(new CustomEvent(eventName, { detail }));
+    const serverIds = Array.from(pendingAcks);
+    if (!serverAdapter || !serverAdapter.acknowledge || !isOnline()) {
+        queueAcknowledgements(serverIds);
+        return Promise.resolve();
     }
     
-    /**
-     * Format relative time (just now, 5m ago, 1h ago, etc.)
-     */
-    function formatRelativeTime(timestamp) {
-        const now = Date.now();
-        const diff = now - timestamp;
-        
-        const seconds = Math.floor(diff / 1000);
-        if (seconds < 10) return 'just now';
-        if (seconds < 60) return `${seconds}s ago`;
-        
-        const minutes = Math.floor(seconds / 60);
-        if (minutes < 60) return `${minutes}m ago`;
-        
-        const hours = Math.floor(minutes / 60);
-        if (hours < 24) return `${hours}h ago`;
-        
-        const days = Math.floor(hours / 24);
-        if (days < 7) return `${days}d ago`;
-        
-        return new Date(timestamp).toLocaleDateString();
+    return sendAcknowledgements(serverIds)
+        .catch(error => {
+            console.error('Failed to acknowledge server notifications:', error);
+            queueAcknowledgements(serverIds);
+        });
+}
+
+/**
+ * Send acknowledgements through the connected adapter, rejecting if that fails
+ */
+function sendAcknowledgements(serverIds) {
+    return Promise.resolve()
+        .then(() => serverAdapter.acknowledge(serverIds))
+        .then(() => {
+            serverIds.forEach(serverId => pendingAcks.delete(serverId));
+        });
+}
+
+/**
+ * Queue acknowledgements for replay, together with those already queued (possibly before a reload)
+ */
+function queueAcknowledgements(serverIds) {
+    const queued = getQueue().find(action => action.key === ACK_QUEUE_TYPE);
+    const ids = new Set([...(queued ? queued.payload : []), ...serverIds]);
+    queueAction(ACK_QUEUE_TYPE, Array.from(ids), { key: ACK_QUEUE_TYPE });
+}
+
+/**
+ * Replay queued acknowledgements through the connected adapter
+ */
+function replayAcknowledgements(serverIds) {
+    serverIds.forEach(serverId => pendingAcks.add(serverId));
+    return sendAcknowledgements(Array.from(pendingAcks));
+}
+
+/**
+ * Connect a server transport adapter
+ * 
+ * An adapter is an object with:
+ * - start({ receive, error }) - begin delivering payloads to receive()
+ * - stop() - close the transport
+ * - acknowledge(serverIds) - optional, report read state (may return a Promise)
+ */
+function connect(adapter) {
+    disconnect();
+    
+    serverAdapter = adapter;
+    adapter.start({
+        receive: ingestPayload,
+        error: (error) => console.error(`Notification transport '${adapter.name || 'custom'}' error:`, error)
+    });
+    
+    // Queued acknowledgements can only be sent through a transport; until one is connected they stay queued
+    if (adapter.acknowledge) {
+        registerReplayHandler(ACK_QUEUE_TYPE, replayAcknowledgements);
+    }
+    flushAcknowledgements();
+}
+
+/**
+ * Disconnect the current server transport adapter
+ */
+function disconnect() {
+    unregisterReplayHandler(ACK_QUEUE_TYPE);
+    feedUrl = null;
+    if (serverAdapter) {
+        serverAdapter.stop();
+        serverAdapter = null;
     }
+}
+
+/**
+ * Poll the notification feed rendered into the page (NotificationEndpoints), following it when the
+ * selected organization changes and disconnecting when there is none (signed out)
+ * Adapters connected through connect() are left alone.
+ */
+function connectFeed() {
+    const meta = document.querySelector(`meta[name="${FEED_META_NAME}"]`);
+    const url = meta ? meta.getAttribute('content') : null;
     
-    /**
-     * Format elapsed time (00:05, 01:23, etc.)
-     */
-    function formatElapsedTime(ms) {
-        const totalSeconds = Math.floor(ms / 1000);
-        const minutes = Math.floor(totalSeconds / 60);
-        const seconds = totalSeconds % 60;
-        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    if (url === feedUrl || (serverAdapter && feedUrl === null)) {
+        return;
     }
     
-    /**
-     * Add notification to active toasts queue
-     */
-    function addToActiveToasts(id) {
-        if (!activeToasts.includes(id)) {
-            activeToasts.push(id);
-            
-            // If we exceed max toasts, queue will be processed as toasts dismiss
-            if (activeToasts.length > MAX_ACTIVE_TOASTS) {
-                // Keep only the last MAX_ACTIVE_TOASTS
-                activeToasts = activeToasts.slice(-MAX_ACTIVE_TOASTS);
-            }
-        }
+    if (!url) {
+        disconnect();
+        return;
     }
     
-    /**
-     * Remove notification from active toasts
-     */
-    function removeFromActiveToasts(id) {
-        const index = activeToasts.indexOf(id);
-        if (index > -1) {
-            activeToasts.splice(index, 1);
+    connect(createPollingAdapter(url, { ackUrl: `${url}/ack` }));
+    feedUrl = url;
+}
+
+/**
+ * POST acknowledged server IDs to an endpoint as { ids: [...] }
+ */
+function postAcknowledgements(ackUrl, serverIds, fetchFn) {
+    return fetchFn(ackUrl, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: serverIds })
+    }).then(response => {
+        if (!response.ok) {
+            throw new Error(`Acknowledgement failed with status ${response.status}`);
+        }
+    });
+}
+
+/**
+ * Server-Sent Events adapter
+ * Each message's data is a JSON payload; acknowledgements are POSTed to ackUrl.
+ */
+function createEventSourceAdapter(url, options = {}) {
+    const fetchFn = options.fetch || window.fetch.bind(window);
+    let source = null;
+    
+    return {
+        name: 'sse',
+        start(handlers) {
+            source = new EventSource(url, { withCredentials: options.withCredentials === true });
+            source.onmessage = (e) => {
+                try {
+                    handlers.receive(JSON.parse(e.data));
+                } catch (error) {
+                    handlers.error(error);
+                }
+            };
+            // EventSource reconnects on its own
+            source.onerror = () => handlers.error(new Error('Event stream interrupted'));
+        },
+        stop() {
+            if (source) {
+                source.close();
+                source = null;
+            }
+        },
+        acknowledge(serverIds) {
+            if (!options.ackUrl) return Promise.resolve();
+            return postAcknowledgements(options.ackUrl, serverIds, fetchFn);
         }
-    }
+    };
+}
+
+/**
+ * WebSocket adapter
+ * Incoming messages are JSON payloads; acknowledgements are sent as
+ * { type: 'ack', ids: [...] } over the socket. Reconnects after a delay when closed.
+ */
+function createWebSocketAdapter(url, options = {}) {
+    const reconnectDelayMs = options.reconnectDelayMs || RECONNECT_DELAY_MS;
+    let socket = null;
+    let reconnectTimer = null;
+    let stopped = true;
     
-    /**
-     * Show a standard notification
-     */
-    function show(options) {
-        const notification = {
-            id: generateId(),
-            title: options.title || 'Notification',
-            message: options.message || '',
-            level: options.level || LEVELS.INFO,
-            type: TYPES.STANDARD,
-            timestamp: Date.now(),
-            read: false,
-            dismissed: false,
-            timeout: options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT_MS,
-            dismissible: options.dismissible !== undefined ? options.dismissible : true
+    function open(handlers) {
+        socket = new WebSocket(url);
+        socket.onmessage = (e) => {
+            try {
+                handlers.receive(JSON.parse(e.data));
+            } catch (error) {
+                handlers.error(error);
+            }
         };
-        
-        notifications.unshift(notification); // Add to beginning (newest first)
-        saveToStorage();
-        
-        addToActiveToasts(notification.id);
-        dispatchEvent('devqualx-notification-added', notification);
-        
-        // Auto-dismiss after timeout
-        if (notification.timeout > 0) {
-            setTimeout(() => {
-                dismiss(notification.id);
-            }, notification.timeout);
-        }
-        
-        return notification.id;
-    }
-    
-    /**
-     * Show a progress notification
-     */
-    function showProgress(options) {
-        const notification = {
-            id: generateId(),
-            title: options.title || 'Processing...',
-            message: options.message || 'Please wait...',
-            level: LEVELS.PRIMARY,
-            type: TYPES.PROGRESS,
-            timestamp: Date.now(),
-            read: false,
-            dismissed: false,
-            timeout: 0, // Progress notifications don't auto-dismiss
-            dismissible: false, // Can't manually dismiss while in progress
-            elapsedMs: 0,
-            startTime: Date.now()
+        socket.onopen = () => flushAcknowledgements();
+        socket.onerror = () => handlers.error(new Error('WebSocket error'));
+        socket.onclose = () => {
+            socket = null;
+            if (!stopped) {
+                reconnectTimer = setTimeout(() => open(handlers), reconnectDelayMs);
+            }
         };
-        
-        notifications.unshift(notification);
-        saveToStorage();
-        
-        addToActiveToasts(notification.id);
-        dispatchEvent('devqualx-notification-added', notification);
-        
-        // Start elapsed time counter
-        const intervalId = setInterval(() => {
-            updateProgress(notification.id, Date.now() - notification.startTime);
-        }, 1000);
-        
-        progressIntervals.set(notification.id, intervalId);
-        
-        return notification.id;
     }
     
-    /**
-     * Update progress notification elapsed time
-     */
-    function updateProgress(id, elapsedMs) {
-        const notification = notifications.find(n => n.id === id);
-        if (notification && notification.type === TYPES.PROGRESS) {
-            notification.elapsedMs = elapsedMs;
-            saveToStorage();
-            dispatchEvent('devqualx-notification-progress-updated', { id, elapsedMs });
+    return {
+        name: 'websocket',
+        start(handlers) {
+            stopped = false;
+            open(handlers);
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            if (socket) {
+                socket.close();
+                socket = null;
+            }
+        },
+        acknowledge(serverIds) {
+            if (!socket || socket.readyState !== WebSocket.OPEN) {
+                return Promise.reject(new Error('WebSocket is not open'));
+            }
+            socket.send(JSON.stringify({ type: 'ack', ids: serverIds }));
+            return Promise.resolve();
         }
-    }
+    };
+}
+
+/**
+ * Polling adapter
+ * GETs url every intervalMs and ingests the JSON response; acknowledgements are POSTed to ackUrl.
+ * Each poll passes ?since=<cursor>, taken from the server's own clock so skew with the client's
+ * can't drop or repeat notifications: the envelope's cursor ({ notifications, cursor }) when it
+ * has one, otherwise the newest timestamp received. Repeats at the cursor are deduplicated by ID.
+ * The next poll is scheduled once the previous one settles. Pass options.fetch to point it at a mock server.
+ */
+function createPollingAdapter(url, options = {}) {
+    const fetchFn = options.fetch || window.fetch.bind(window);
+    const intervalMs = options.intervalMs || DEFAULT_POLL_INTERVAL_MS;
+    let timer = null;
+    let controller = null;
+    let cursor = null;
     
-    /**
-     * Complete a progress notification
-     */
-    function completeProgress(id, success, message, href) {
-        const notification = notifications.find(n => n.id === id);
-        if (!notification || notification.type !== TYPES.PROGRESS) {
-            return;
+    function poll(handlers) {
+        const requestUrl = new URL(url, window.location.href);
+        if (cursor !== null) {
+            requestUrl.searchParams.set('since', String(cursor));
         }
         
-        // Stop the elapsed time counter
-        const intervalId = progressIntervals.get(id);
-        if (intervalId) {
-            clearInterval(intervalId);
-            progressIntervals.delete(id);
-        }
-        
-        // Transform to standard notification
-        notification.type = TYPES.STANDARD;
-        notification.level = success ? LEVELS.SUCCESS : LEVELS.DANGER;
-        notification.title = success ? (notification.title.replace('Processing', 'Complete')) : 'Failed';
-        notification.message = message || notification.message;
-        notification.dismissible = true;
-        notification.timeout = 5000; // Auto-dismiss after 5 seconds
-        notification.href = href || null;
-        
-        saveToStorage();
-        dispatchEvent('devqualx-notification-progress-completed', notification);
+        const current = new AbortController();
+        controller = current;
         
-        // Auto-dismiss after timeout
-        setTimeout(() => {
-            dismiss(id);
-        }, notification.timeout);
+        return fetchFn(requestUrl.toString(), { credentials: 'same-origin', signal: current.signal })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Polling failed with status ${response.status}`);
+                }
+                return response.status === 204 ? [] : response.json();
+            })
+            .then(payload => {
+                if (current.signal.aborted) return;
+                cursor = getPollCursor(payload, cursor);
+                handlers.receive(payload);
+            })
+            .catch(error => {
+                if (!current.signal.aborted) {
+                    handlers.error(error);
+                }
+            })
+            .finally(() => {
+                if (!current.signal.aborted) {
+                    timer = setTimeout(() => poll(handlers), intervalMs);
+                }
+            });
     }
     
-    /**
-     * Dismiss a notification (remove from active toasts, but keep in tray)
-     */
-    function dismiss(id) {
-        const notification = notifications.find(n => n.id === id);
-        if (notification) {
-            notification.dismissed = true;
-            saveToStorage();
-            
-            removeFromActiveToasts(id);
-            dispatchEvent('devqualx-notification-dismissed', { id });
+    return {
+        name: 'polling',
+        start(handlers) {
+            poll(handlers);
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+            if (controller) {
+                controller.abort();
+                controller = null;
+            }
+        },
+        acknowledge(serverIds) {
+            if (!options.ackUrl) return Promise.resolve();
+            return postAcknowledgements(options.ackUrl, serverIds, fetchFn);
         }
+    };
+}
+
+/**
+ * The cursor for the next poll: the envelope's cursor, else the newest server timestamp
+ * in the payload, else the previous cursor (nothing new arrived)
+ */
+function getPollCursor(payload, previous) {
+    if (payload && !Array.isArray(payload) && payload.cursor !== undefined && payload.cursor !== null) {
+        return payload.cursor;
     }
     
-    /**
-     * Remove a notification completely (from tray too)
-     */
-    function remove(id) {
-        const index = notifications.findIndex(n => n.id === id);
-        if (index > -1) {
-            const notification = notifications[index];
-            
-            // Stop progress timer if exists
-            const intervalId = progressIntervals.get(id);
-            if (intervalId) {
-                clearInterval(intervalId);
-                progressIntervals.delete(id);
+    const items = Array.isArray(payload)
+        ? payload
+        : payload && Array.isArray(payload.notifications) ? payload.notifications : [payload];
+    const timestamps = items
+        .filter(item => item && item.timestamp !== undefined && item.timestamp !== null)
+        .map(item => ({ raw: item.timestamp, time: parseServerTimestamp(item.timestamp) }));
+    if (timestamps.length === 0) {
+        return previous;
+    }
+    
+    // Sent back as the server wrote it, so no client-side conversion can shift it
+    return timestamps.reduce((newest, item) => item.time > newest.time ? item : newest).raw;
+}
+
+/**
+ * Default preferences: desktop notifications are opt-in,
+ * and only for outcomes worth interrupting for
+ */
+function getDefaultPreferences() {
+    return {
+        desktop: {
+            enabled: false,
+            onlyWhenHidden: true, // Skip desktop notifications while the tab is visible
+            levels: {
+                [LEVELS.PRIMARY]: false,
+                [LEVELS.SECONDARY]: false,
+                [LEVELS.SUCCESS]: true,
+                [LEVELS.DANGER]: true,
+                [LEVELS.WARNING]: true,
+                [LEVELS.INFO]: false
             }
-            
-            notifications.splice(index, 1);
-            saveToStorage();
-            
-            removeFromActiveToasts(id);
-            dispatchEvent('devqualx-notification-removed', { id });
-        }
+        },
+        badge: {
+            title: true,
+            favicon: true
+        },
+        retention: {
+            maxNotifications: DEFAULT_MAX_NOTIFICATIONS,
+            maxAgeDays: DEFAULT_MAX_AGE_DAYS
+        },
+        storage: STORAGE_BACKENDS.LOCAL_STORAGE
+    };
+}
+
+/**
+ * Fill in and sanitize preferences (stored or partial updates merged over the current ones)
+ */
+function resolvePreferences(base, update) {
+    const retention = { ...base.retention, ...update.retention };
+    const maxNotifications = Math.floor(Number(retention.maxNotifications));
+    const maxAgeDays = Number(retention.maxAgeDays);
+    
+    return {
+        desktop: {
+            ...base.desktop,
+            ...update.desktop,
+            levels: { ...base.desktop.levels, ...(update.desktop && update.desktop.levels) }
+        },
+        badge: { ...base.badge, ...update.badge },
+        retention: {
+            maxNotifications: maxNotifications >= 1
+                ? Math.min(maxNotifications, MAX_NOTIFICATIONS_LIMIT)
+                : base.retention.maxNotifications,
+            maxAgeDays: maxAgeDays > 0 ? maxAgeDays : base.retention.maxAgeDays
+        },
+        storage: Object.values(STORAGE_BACKENDS).includes(update.storage) ? update.storage : base.storage
+    };
+}
+
+/**
+ * Get notification preferences from localStorage
+ * Cached, since retention is checked on every merge; other tabs' changes clear the cache.
+ */
+function getPreferences() {
+    if (preferencesCache) {
+        return preferencesCache;
+    }
+    
+    const defaults = getDefaultPreferences();
+    try {
+        const stored = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY) || '{}');
+        preferencesCache = resolvePreferences(defaults, stored);
+    } catch (error) {
+        console.error('Failed to load notification preferences from localStorage:', error);
+        preferencesCache = defaults;
+    }
+    return preferencesCache;
+}
+
+/**
+ * Update notification preferences (partial updates are merged)
+ */
+function setPreferences(update) {
+    const next = resolvePreferences(getPreferences(), update);
+    preferencesCache = next;
+    
+    try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+        console.error('Failed to save notification preferences to localStorage:', error);
+    }
+    
+    badgeCount = null; // Force the badge to redraw with the new settings
+    updateUnreadBadge();
+    dispatchEvent('devqualx-notification-preferences-changed', next);
+    
+    return next;
+}
+
+/**
+ * Current desktop notification permission: 'granted', 'denied', 'default' or 'unsupported'
+ */
+function getDesktopPermission() {
+    return 'Notification' in window ? window.Notification.permission : 'unsupported';
+}
+
+/**
+ * Ask for desktop notification permission and enable desktop notifications if granted
+ * Must be called from a user gesture (e.g. a settings toggle click).
+ */
+function enableDesktopNotifications() {
+    if (getDesktopPermission() === 'unsupported') {
+        return Promise.resolve('unsupported');
     }
     
-    /**
-     * Clear all notifications
-     */
-    function clearAll() {
-        // Stop all progress timers
-        progressIntervals.forEach((intervalId) => {
-            clearInterval(intervalId);
+    return Promise.resolve(window.Notification.requestPermission())
+        .then(permission => {
+            setPreferences({ desktop: { enabled: permission === 'granted' } });
+            return permission;
+        });
+}
+
+/**
+ * Turn desktop notifications off (the browser permission itself stays as is)
+ */
+function disableDesktopNotifications() {
+    setPreferences({ desktop: { enabled: false } });
+}
+
+/**
+ * Show a desktop notification if the user opted in for this level
+ */
+function notifyDesktop(notification) {
+    if (getDesktopPermission() !== 'granted') return;
+    
+    const preferences = getPreferences().desktop;
+    if (!preferences.enabled || !preferences.levels[notification.level]) return;
+    if (preferences.onlyWhenHidden && document.visibilityState === 'visible') return;
+    
+    try {
+        const favicon = document.querySelector('link[rel="icon"]');
+        const desktopNotification = new window.Notification(notification.title, {
+            body: notification.message,
+            tag: notification.id, // Other tabs showing the same notification replace it
+            icon: originalFaviconHref || (favicon && favicon.href) || undefined
         });
-        progressIntervals.clear();
-        
-        notifications = [];
-        activeToasts = [];
-        saveToStorage();
         
-        dispatchEvent('devqualx-notifications-cleared', {});
+        desktopNotification.onclick = () => {
+            window.focus();
+            markAsRead(notification.id);
+            if (notification.href) {
+                navigateTo(notification.href);
+            }
+            desktopNotification.close();
+        };
+    } catch (error) {
+        // Some browsers (Android Chrome) only allow notifications from a service worker
+        console.error('Failed to show desktop notification:', error);
     }
+}
+
+/**
+ * Strip a previously applied "(3) " unread prefix from a title
+ */
+function stripTitleBadge(title) {
+    return title.replace(/^\(\d+\+?\) /, '');
+}
+
+/**
+ * Apply the unread count to the document title
+ */
+function applyTitleBadge(count, enabled) {
+    const baseTitle = stripTitleBadge(document.title);
+    const title = enabled && count > 0
+        ? `(${count > 99 ? '99+' : count}) ${baseTitle}`
+        : baseTitle;
     
-    /**
-     * Mark notification as read
-     */
-    function markAsRead(id) {
-        const notification = notifications.find(n => n.id === id);
-        if (notification) {
-            notification.read = true;
-            saveToStorage();
-            dispatchEvent('devqualx-notification-read', { id });
-        }
+    if (document.title !== title) {
+        document.title = title;
     }
+}
+
+/**
+ * Draw the unread count over the original favicon
+ */
+function applyFaviconBadge(count, enabled) {
+    const favicon = document.querySelector('link[rel="icon"]');
+    if (!favicon) return;
     
-    /**
-     * Get all notifications (sorted by timestamp desc)
-     */
-    function getAll() {
-        return notifications.slice().sort((a, b) => b.timestamp - a.timestamp);
+    if (originalFaviconHref === null) {
+        originalFaviconHref = favicon.href;
     }
     
-    /**
-     * Get active (non-dismissed) notifications for toast rendering
-     */
-    function getActive() {
-        return notifications
-            .filter(n => !n.dismissed)
-            .sort((a, b) => b.timestamp - a.timestamp)
-            .slice(0, MAX_ACTIVE_TOASTS);
+    if (!enabled || count === 0) {
+        favicon.href = originalFaviconHref;
+        return;
+    }
+    
+    const image = new Image();
+    image.onload = () => {
+        // A newer count may have been drawn while the image loaded
+        if (badgeCount !== count) return;
+        
+        const size = 32;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, size, size);
+        
+        context.beginPath();
+        context.arc(size * 0.7, size * 0.3, size * 0.3, 0, 2 * Math.PI);
+        context.fillStyle = '#ef4444';
+        context.fill();
+        
+        context.fillStyle = '#ffffff';
+        context.font = `bold ${size * 0.4}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(count > 9 ? '9+' : String(count), size * 0.7, size * 0.32);
+        
+        favicon.href = canvas.toDataURL('image/png');
+    };
+    image.src = originalFaviconHref;
+}
+
+/**
+ * Update the tab title and favicon badge from getUnreadCount()
+ */
+function updateUnreadBadge() {
+    const count = getUnreadCount();
+    if (count === badgeCount) return;
+    
+    badgeCount = count;
+    const preferences = getPreferences().badge;
+    applyTitleBadge(count, preferences.title);
+    applyFaviconBadge(count, preferences.favicon);
+}
+
+/**
+ * Pick up preference changes made in other tabs
+ */
+function handlePreferencesStorageEvent(e) {
+    if (e.storageArea !== localStorage) return;
+    if (e.key !== null && e.key !== PREFERENCES_STORAGE_KEY) return;
+    
+    preferencesCache = null;
+    const preferences = getPreferences();
+    
+    // The other tab already moved the history, so just follow it
+    if (!storageDegraded && storageAdapter && storageAdapter.name !== preferences.storage) {
+        attachStorage(createStorageAdapter(preferences.storage));
+        syncFromStorage();
     }
     
-    /**
-     * Get unread notification count
-     */
-    function getUnreadCount() {
-        return notifications.filter(n => !n.read).length;
+    badgeCount = null;
+    cleanup(); // Apply retention changes (also refreshes the badge)
+    dispatchEvent('devqualx-notification-preferences-changed', preferences);
+}
+
+/**
+ * Write pending changes before the page goes away (hidden tabs may be discarded)
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+        flushStorage();
     }
+}
+
+/**
+ * Re-apply the title badge when Blazor replaces the title (PageTitle on navigation)
+ */
+function observeTitle() {
+    if (titleObserver || !document.head) return;
     
-    /**
-     * Get notification by ID
-     */
-    function getById(id) {
-        return notifications.find(n => n.id === id);
+    titleObserver = new MutationObserver(() => {
+        applyTitleBadge(badgeCount || 0, getPreferences().badge.title);
+    });
+    titleObserver.observe(document.head, { childList: true, subtree: true, characterData: true });
+}
+
+/**
+ * Initialize the notification system
+ */
+function init() {
+    // Keep in sync with other tabs (registered once, init runs on every navigation)
+    if (!syncInitialized) {
+        window.addEventListener('storage', handlePreferencesStorageEvent);
+        window.addEventListener('pagehide', flushStorage);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        syncInitialized = true;
     }
     
-    /**
-     * Initialize the notification system
-     */
-    function init() {
-        loadFromStorage();
+    observeTitle();
+    
+    return loadFromStorage().then(() => {
+        cleanup();
         
-        // Re-render active toasts on page load
-        const active = getActive();
+        // Re-render active toasts on page load (oldest first, so overflow is queued in order)
+        const active = notifications
+            .filter(n => !n.dismissed)
+            .sort((a, b) => a.timestamp - b.timestamp);
         active.forEach(notification => {
             addToActiveToasts(notification.id);
             dispatchEvent('devqualx-notification-added', notification);
             
             // Restart progress timers
             if (notification.type === TYPES.PROGRESS) {
-                const intervalId = setInterval(() => {
-                    updateProgress(notification.id, Date.now() - notification.startTime);
-                }, 1000);
-                progressIntervals.set(notification.id, intervalId);
+                startProgressTimer(notification);
             }
         });
+        
+        updateUnreadBadge();
+        
+        // After loading, so the feed's notifications are deduplicated against stored ones
+        connectFeed();
+    }).finally(resolveReady);
+}
+
+/**
+ * Resolves once the stored notifications have first been loaded, so other modules can look up
+ * notifications that earlier pages created
+ */
+function ready() {
+    return readyPromise;
+}
+
+// Pick the preferred backend before anything can be shown or saved
+attachStorage(createStorageAdapter(getPreferences().storage));
+
+// Initialize on page load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Reinitialize after Blazor enhanced navigation
+if (window.Blazor) {
+    window.Blazor.addEventListener('enhancednavigation', init);
+}
+
+registerCommand([
+    {
+        id: 'notifications.mark-all-read',
+        title: 'Mark all notifications as read',
+        keywords: ['notifications', 'unread'],
+        when: () => getUnreadCount() > 0,
+        run: () => markAllAsRead()
+    },
+    {
+        id: 'notifications.clear',
+        title: 'Clear notifications',
+        keywords: ['notifications', 'remove', 'history'],
+        when: () => notifications.length > 0,
+        run: () => clearAll()
     }
-    
-    // Initialize on page load
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
-    }
-    
-    // Reinitialize after Blazor enhanced navigation
-    if (window.Blazor) {
-        window.Blazor.addEventListener('enhancednavigation', init);
-    }
-    
-    // Expose public API
-    window.DevQualX = window.DevQualX || {};
-    window.DevQualX.notifications = {
-        show,
-        showProgress,
-        updateProgress,
-        completeProgress,
-        dismiss,
-        remove,
-        clearAll,
-        markAsRead,
-        getAll,
-        getActive,
-        getUnreadCount,
-        getById,
-        formatRelativeTime,
-        formatElapsedTime,
-        init,
-        LEVELS,
-        TYPES
-    };
-})();
+]);
+
+// Transport and storage adapter factories
+const adapters = {
+    eventSource: createEventSourceAdapter,
+    webSocket: createWebSocketAdapter,
+    polling: createPollingAdapter
+};
+
+const storage = {
+    localStorage: createLocalStorageAdapter,
+    indexedDB: createIndexedDbAdapter,
+    memory: createMemoryAdapter
+};
+
+// ES module API
+export {
+    show,
+    showProgress,
+    updateProgress,
+    setProgress,
+    completeProgress,
+    cancelProgress,
+    getSignal,
+    dismiss,
+    remove,
+    clearAll,
+    markAsRead,
+    markAllAsRead,
+    markReadWhere,
+    removeWhere,
+    query,
+    exportHistory,
+    downloadHistory,
+    getAll,
+    getActive,
+    getQueuedCount,
+    getUnreadCount,
+    getById,
+    toView,
+    getActiveViews,
+    queryViews,
+    getPreferences,
+    setPreferences,
+    getSyncState,
+    mergeSyncState,
+    getRetention,
+    setRetention,
+    getStorageInfo,
+    setStorageBackend,
+    useStorage,
+    flushStorage as flush,
+    getDesktopPermission,
+    enableDesktopNotifications,
+    disableDesktopNotifications,
+    getActions,
+    invokeAction,
+    registerAction,
+    unregisterAction,
+    registerDotNetReference,
+    unregisterDotNetReference,
+    formatRelativeTime,
+    formatElapsedTime,
+    ingestPayload as ingest,
+    connect,
+    disconnect,
+    adapters,
+    storage,
+    init,
+    ready,
+    LEVELS,
+    TYPES,
+    OUTCOMES,
+    ACTION_TYPES,
+    STORAGE_BACKENDS
+};
+
+// Global API (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.notifications = api;
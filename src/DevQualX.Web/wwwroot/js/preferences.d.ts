@@ -0,0 +1,36 @@
+/**
+ * Type declarations for preferences.js
+ *
+ * The module's named exports; window.DevQualX.preferences exposes the same members. Built-in sections: 'theme', 'notifications', 'notificationHistory', 'tabOrder', 'sidebar'.
+ */
+
+export interface PreferenceSection<T = unknown> {
+    /** Current value, as stored in the synced document */
+    read(): T;
+    /** Apply a value from the document (another device, tab or organization) */
+    apply(value: T): void;
+    /** Combine two copies; without it the most recently changed copy wins */
+    merge?(local: T, remote: T): T;
+    /** Events dispatched on window when the value changes locally */
+    events?: string[];
+}
+
+export interface SyncStatus {
+    /** false without a signed-in user and selected organization */
+    enabled: boolean;
+    installationId: string | null;
+    /** Server version the local document was last merged with */
+    version: number;
+    /** Local changes not yet saved to the server */
+    pending: boolean;
+    /** Whether the server can be reached (see connectivity.js) */
+    online: boolean;
+}
+
+/** Add a section to the synced document */
+export function registerSection<T>(name: string, section: PreferenceSection<T>): void;
+/** A section's value */
+export function get<T = unknown>(name: string): T | undefined;
+/** Sync with the server now; resolves when done (failures are retried later) */
+export function sync(): Promise<void>;
+export function getSyncStatus(): SyncStatus;
@@ -0,0 +1,473 @@
+/**
+ * Client Preferences
+ *
+ * Collects the user's UI settings in one place and syncs them to the server per organization:
+ * - theme: the theme.js preference
+ * - notifications: notification preferences (except the device-specific storage backend)
+ * - notificationHistory: which notifications were read, dismissed or removed (not the notifications)
+ * - tabOrder: the tabs.js tab orders
+ * - sidebar: the sidebar's collapsed state, width and collapsed groups (sidebar.js)
+ * Other modules can add their own sections with registerSection().
+ *
+ * Offline-first: every change is written to localStorage straight away (one document per
+ * user and organization) and synced to /api/preferences when the browser is online.
+ * theme-init.js reads the same document, so the organization's theme still applies before
+ * first paint.
+ *
+ * Conflicts: each section carries the time it last changed. Saves send the server version
+ * they were merged from; if another device saved first the server answers 409 with its copy,
+ * sections are merged (newest change wins, notification read state is unioned) and the save
+ * is retried.
+ *
+ * Without a signed-in user and selected organization (no scope meta tag) nothing is synced
+ * and settings stay in their modules' own storage, as before.
+ *
+ * Changes made while the server can't be reached are queued in the offline queue
+ * (connectivity.js) and synced as soon as the connection is back.
+ *
+ * ES module, also exposed as window.DevQualX.preferences for non-module scripts.
+ */
+
+import { getTheme, setTheme } from './theme.js';
+import {
+    getPreferences as getNotificationPreferences,
+    setPreferences as setNotificationPreferences,
+    getSyncState as getNotificationReadState,
+    mergeSyncState as mergeNotificationReadState
+} from './notifications.js';
+import { getTabOrders, setTabOrders } from './tabs.js';
+import { getState as getSidebarState, setState as setSidebarState } from './sidebar.js';
+import { STATUS, isOnline, subscribe, queueAction, registerReplayHandler } from './connectivity.js';
+import * as api from './preferences.js';
+
+const STORAGE_PREFIX = 'devqualx-preferences';
+const SCOPE_META_NAME = 'devqualx-preferences-scope';
+const ENDPOINT = '/api/preferences';
+const SYNC_DEBOUNCE_MS = 5000;
+const PULL_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_CONFLICT_RETRIES = 3;
+const SYNC_QUEUE_TYPE = 'preferences.sync'; // Offline queue action (connectivity.js), per scope
+
+// Registered sections by name: { read(), apply(value), merge?(local, remote), events }
+const sections = new Map();
+
+let scope = null; // { userId, installationId, key }
+let state = null; // { version, pending, sections: { name: { value, updatedAt } } }
+let applying = false;
+let syncTimer = null;
+let syncing = Promise.resolve();
+let initialized = false;
+
+/**
+ * Read the signed-in user and selected organization rendered by App.razor ("userId:installationId")
+ */
+function readScope() {
+    const meta = document.querySelector(`meta[name="${SCOPE_META_NAME}"]`);
+    const content = meta ? meta.getAttribute('content') : '';
+    const [userId, installationId] = (content || '').split(':');
+
+    if (!userId || !installationId) {
+        return null;
+    }
+    return { userId, installationId, key: `${STORAGE_PREFIX}:${userId}:${installationId}` };
+}
+
+/**
+ * Load the organization's document from localStorage
+ */
+function loadLocal() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(scope.key) || 'null');
+        if (stored && typeof stored === 'object' && stored.sections) {
+            return { version: stored.version || 0, pending: !!stored.pending, sections: stored.sections };
+        }
+    } catch (error) {
+        console.error('Failed to load preferences from localStorage:', error);
+    }
+    return { version: 0, pending: false, sections: {} };
+}
+
+/**
+ * Write the organization's document to localStorage
+ */
+function saveLocal() {
+    try {
+        localStorage.setItem(scope.key, JSON.stringify(state));
+    } catch (error) {
+        console.error('Failed to save preferences to localStorage:', error);
+    }
+}
+
+/**
+ * JSON with object keys sorted, so copies that went through different code paths compare equal
+ */
+function stableStringify(value) {
+    return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.keys(v).sort().reduce((sorted, k) => { sorted[k] = v[k]; return sorted; }, {})
+        : v));
+}
+
+/**
+ * Whether two section values are the same
+ */
+function isSameValue(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Apply a section value without recording the resulting change events as local edits
+ */
+function applySection(name, value) {
+    const section = sections.get(name);
+    if (!section || value === undefined) return;
+
+    applying = true;
+    try {
+        section.apply(value);
+    } catch (error) {
+        console.error(`Failed to apply ${name} preferences:`, error);
+    } finally {
+        applying = false;
+    }
+}
+
+/**
+ * Record the current value of a section after it changed locally
+ */
+function captureSection(name) {
+    if (!state || applying) return;
+
+    const section = sections.get(name);
+    const value = section.read();
+    const stored = state.sections[name];
+    if (stored && isSameValue(stored.value, value)) return;
+
+    state.sections[name] = { value, updatedAt: Date.now() };
+    state.pending = true;
+    saveLocal();
+    scheduleSync();
+}
+
+/**
+ * Bring a section in line with the document: apply the stored value, or record the
+ * current one (with no timestamp, so any synced value wins) if there is none yet
+ */
+function initSection(name) {
+    const section = sections.get(name);
+    const stored = state.sections[name];
+
+    if (stored) {
+        if (!isSameValue(section.read(), stored.value)) {
+            applySection(name, stored.value);
+        }
+    } else {
+        state.sections[name] = { value: section.read(), updatedAt: 0 };
+        state.pending = true;
+    }
+}
+
+/**
+ * Add a section to the document
+ * handlers: { read() -> value, apply(value), merge?(local, remote) -> value, events?: string[] }
+ * Each event (dispatched on window) marks the section as changed.
+ */
+function registerSection(name, handlers) {
+    if (sections.has(name)) {
+        console.error(`Preference section already registered: ${name}`);
+        return;
+    }
+
+    sections.set(name, { events: [], ...handlers });
+    (handlers.events || []).forEach(eventName => {
+        window.addEventListener(eventName, () => captureSection(name));
+    });
+
+    if (state) {
+        initSection(name);
+        saveLocal();
+        scheduleSync();
+    }
+}
+
+/**
+ * Merge a server copy into the local document
+ * Returns whether the merged document still differs from the server copy.
+ */
+function mergeRemote(remote) {
+    const remoteSections = (remote.document && remote.document.sections) || {};
+    let differs = false;
+
+    const names = new Set([...Object.keys(state.sections), ...Object.keys(remoteSections)]);
+    names.forEach(name => {
+        const local = state.sections[name];
+        const incoming = remoteSections[name];
+        const section = sections.get(name);
+
+        if (!incoming) {
+            differs = true;
+            return;
+        }
+        if (!local) {
+            state.sections[name] = incoming;
+            applySection(name, incoming.value);
+            return;
+        }
+
+        let merged;
+        if (section && section.merge) {
+            merged = {
+                value: section.merge(local.value, incoming.value),
+                updatedAt: Math.max(local.updatedAt, incoming.updatedAt)
+            };
+        } else {
+            merged = local.updatedAt > incoming.updatedAt ? local : incoming;
+        }
+
+        if (!isSameValue(merged.value, local.value)) {
+            applySection(name, merged.value);
+        }
+        if (!isSameValue(merged.value, incoming.value)) {
+            differs = true;
+        }
+        state.sections[name] = merged;
+    });
+
+    state.version = remote.version;
+    state.pending = differs;
+    saveLocal();
+    return differs;
+}
+
+/**
+ * Send a request to the preferences endpoint, resolving to { status, body }
+ */
+function request(method, body) {
+    return fetch(`${ENDPOINT}/${encodeURIComponent(scope.installationId)}`, {
+        method,
+        credentials: 'same-origin',
+        // Lets a save finish while the page is being hidden or closed (keepalive bodies are capped at 64 KB)
+        keepalive: method === 'PUT' && document.visibilityState === 'hidden',
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    }).then(response => {
+        const json = response.headers.get('content-type')?.includes('json') ? response.json() : Promise.resolve(null);
+        return json.then(data => ({ status: response.status, body: data }));
+    });
+}
+
+/**
+ * Save pending changes, merging and retrying when another device saved first
+ */
+function push(attempt = 0) {
+    return request('PUT', { version: state.version, document: { sections: state.sections } }).then(({ status, body }) => {
+        if (status === 200) {
+            state.version = body.version;
+            state.pending = false;
+            saveLocal();
+            return;
+        }
+        if (status === 409 && body && attempt < MAX_CONFLICT_RETRIES) {
+            return mergeRemote(body) ? push(attempt + 1) : undefined;
+        }
+        throw new Error(`Preferences sync failed with status ${status}`);
+    });
+}
+
+/**
+ * Fetch the server copy and merge it
+ */
+function pull() {
+    return request('GET').then(({ status, body }) => {
+        if (status !== 200) {
+            throw new Error(`Preferences sync failed with status ${status}`);
+        }
+        if (mergeRemote(body)) {
+            return push();
+        }
+    });
+}
+
+/**
+ * Sync with the server now (pull first, so a stale document never overwrites newer changes)
+ * Failures keep the local document pending; the next change, reconnect or interval retries.
+ */
+function sync() {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+
+    if (!scope || !state) {
+        return Promise.resolve();
+    }
+
+    syncing = syncing
+        .then(() => {
+            if (!isOnline()) {
+                if (state.pending) {
+                    queueAction(getSyncQueueType(), null, { key: getSyncQueueType() });
+                }
+                return;
+            }
+            return state.pending && state.version > 0 ? push() : pull();
+        })
+        .catch(error => console.warn('Preferences sync deferred:', error.message));
+
+    return syncing;
+}
+
+/**
+ * Schedule a sync shortly after changes (bursts of changes are sent once)
+ */
+function scheduleSync() {
+    if (syncTimer === null) {
+        syncTimer = setTimeout(sync, SYNC_DEBOUNCE_MS);
+    }
+}
+
+/**
+ * Follow syncs made by other tabs of the same organization
+ */
+function handleStorageEvent(e) {
+    if (e.storageArea !== localStorage || e.key !== scope.key || !e.newValue) return;
+
+    const previous = state.sections;
+    state = loadLocal();
+    Object.entries(state.sections).forEach(([name, section]) => {
+        if (!previous[name] || !isSameValue(previous[name].value, section.value)) {
+            applySection(name, section.value);
+        }
+    });
+}
+
+/**
+ * Send pending changes before the page goes away, and pick up other devices' changes on return
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+        if (state && state.pending) sync();
+    } else {
+        sync();
+    }
+}
+
+/**
+ * Offline queue action type of the page's scope (other organizations' syncs wait for their own pages)
+ */
+function getSyncQueueType() {
+    return `${SYNC_QUEUE_TYPE}:${scope.key}`;
+}
+
+/**
+ * Replay a queued sync; it stays queued while changes are still pending
+ */
+function replaySync() {
+    return sync().then(() => {
+        if (state.pending) {
+            throw new Error('Preferences are still waiting to sync');
+        }
+    });
+}
+
+/**
+ * Get a section's current value (for modules without their own storage)
+ */
+function get(name) {
+    if (state && state.sections[name]) {
+        return state.sections[name].value;
+    }
+    const section = sections.get(name);
+    return section ? section.read() : undefined;
+}
+
+/**
+ * Describe the sync state (for settings UIs)
+ */
+function getSyncStatus() {
+    return {
+        enabled: !!scope,
+        installationId: scope ? scope.installationId : null,
+        version: state ? state.version : 0,
+        pending: !!(state && state.pending),
+        online: isOnline()
+    };
+}
+
+/**
+ * Start syncing for the scope rendered into the page
+ */
+function init() {
+    if (initialized) return;
+    initialized = true;
+
+    scope = readScope();
+    if (!scope) return;
+
+    state = loadLocal();
+    sections.forEach((section, name) => initSection(name));
+    saveLocal();
+
+    window.addEventListener('storage', handleStorageEvent);
+    subscribe(({ status }) => {
+        if (status === STATUS.ONLINE) sync();
+    });
+    registerReplayHandler(getSyncQueueType(), replaySync);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    setInterval(() => {
+        if (document.visibilityState === 'visible') sync();
+    }, PULL_INTERVAL_MS);
+
+    sync();
+}
+
+// Built-in sections
+registerSection('theme', {
+    read: () => getTheme(),
+    apply: value => setTheme(value),
+    events: ['themechange']
+});
+
+registerSection('notifications', {
+    read: () => {
+        // The storage backend depends on what the device supports, so it isn't synced
+        const { storage, ...preferences } = getNotificationPreferences();
+        return preferences;
+    },
+    apply: value => setNotificationPreferences(value),
+    events: ['devqualx-notification-preferences-changed']
+});
+
+registerSection('notificationHistory', {
+    read: () => getNotificationReadState(),
+    apply: value => mergeNotificationReadState(value),
+    merge: (local, remote) => {
+        mergeNotificationReadState(remote);
+        return getNotificationReadState();
+    },
+    events: ['devqualx-notifications-persisted']
+});
+
+registerSection('tabOrder', {
+    read: () => getTabOrders(),
+    apply: value => setTabOrders(value),
+    events: ['devqualx-tab-order-changed']
+});
+
+registerSection('sidebar', {
+    read: () => getSidebarState(),
+    apply: value => setSidebarState(value),
+    events: ['devqualx-sidebar-changed']
+});
+
+// Initialize immediately
+init();
+
+// ES module API
+export {
+    registerSection,
+    get,
+    sync,
+    getSyncStatus
+};
+
+// Global API (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.preferences = api;
@@ -0,0 +1,68 @@
+/**
+ * Type declarations for shortcuts.js
+ *
+ * The module's named exports; window.DevQualX.shortcuts exposes the same members.
+ */
+
+export const SCOPES: {
+    GLOBAL: 'global';
+    PAGE: 'page';
+};
+
+/**
+ * 'global', 'page' (dropped on the next navigation) or the name of a component scope,
+ * active while focus is inside an element with a matching data-shortcut-scope attribute
+ */
+export type ShortcutScope = 'global' | 'page' | (string & {});
+
+export interface ShortcutDefinition {
+    /** "mod+k", "shift+d", "?", or a sequence such as "g r"; an array gives alternatives */
+    keys: string | string[];
+    /** Called with the keydown event; return false to let the key through to the next match */
+    run: (event: KeyboardEvent) => unknown;
+    /** Shown in the help dialog */
+    description?: string;
+    /** Defaults to "<scope>:<keys>"; registering the same ID again replaces the shortcut */
+    id?: string;
+    /** Heading in the help dialog (default 'General') */
+    group?: string;
+    /** Default 'global' */
+    scope?: ShortcutScope;
+    /** Also fire while typing in an input, textarea, select or contenteditable element */
+    allowInInputs?: boolean;
+    /** Default true */
+    preventDefault?: boolean;
+    /** The shortcut is ignored while this returns false */
+    when?: () => boolean;
+    /** Replace a shortcut with the same keys in the same scope instead of refusing to register */
+    override?: boolean;
+}
+
+export interface Shortcut {
+    id: string;
+    keys: string[];
+    /** The keys as the user presses them, e.g. "Ctrl+K" or "G then R" */
+    label: string;
+    description: string;
+    group: string;
+    scope: ShortcutScope;
+}
+
+export interface ShortcutConflict {
+    /** 'duplicate': the same keys; 'prefix': the keys start a longer sequence */
+    type: 'duplicate' | 'prefix';
+    keys: string;
+    scope: ShortcutScope;
+    ids: [string, string];
+}
+
+/** Register shortcuts; returns a function that unregisters them */
+export function register(shortcuts: ShortcutDefinition | ShortcutDefinition[]): () => void;
+export function unregister(id: string): boolean;
+export function getShortcuts(): Shortcut[];
+export function getConflicts(): ShortcutConflict[];
+/** "Ctrl+K" ("⌘K" on macOS), "G then R" */
+export function formatShortcut(keys: string): string;
+
+export function showHelp(): boolean;
+export function hideHelp(): void;
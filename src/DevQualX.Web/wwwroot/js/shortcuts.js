@@ -0,0 +1,542 @@
+/**
+ * Keyboard Shortcuts
+ *
+ * One keydown listener for the app's shortcuts, registered by the modules that own them:
+ * - Keys are combinations ("mod+k", "shift+d", "?", "escape") or sequences of them separated
+ *   by spaces ("g r": press G, then R within a second). "mod" is Cmd on macOS and Ctrl elsewhere.
+ * - Scopes: 'global' shortcuts always apply; 'page' shortcuts are dropped on the next (enhanced)
+ *   navigation; any other scope name applies while focus is inside an element with a matching
+ *   data-shortcut-scope attribute (e.g. scope 'tabs' for Tabs.razor's tab list). The innermost
+ *   focused scope wins over the page, and the page over global.
+ * - Shortcuts don't fire while typing in inputs, textareas, selects or contenteditable elements,
+ *   unless registered with allowInInputs.
+ * - Registering keys a shortcut in the same scope already has is refused (unless override is set);
+ *   keys that start another sequence in the same scope are allowed but reported. getConflicts()
+ *   lists both.
+ *
+ * "?" opens a help dialog ([data-shortcut-help], ShortcutHelp.razor) listing the registered shortcuts.
+ */
+
+import * as api from './shortcuts.js';
+
+const SEQUENCE_TIMEOUT_MS = 1000;
+const SCOPES = {
+    GLOBAL: 'global',
+    PAGE: 'page'
+};
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+const KEY_ALIASES = {
+    esc: 'escape',
+    del: 'delete',
+    space: ' ',
+    spacebar: ' ',
+    return: 'enter',
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+    plus: '+',
+    cmd: 'meta',
+    command: 'meta',
+    control: 'ctrl',
+    option: 'alt'
+};
+const KEY_LABELS = {
+    ' ': 'Space',
+    escape: 'Esc',
+    arrowup: '↑',
+    arrowdown: '↓',
+    arrowleft: '←',
+    arrowright: '→'
+};
+
+const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+let shortcuts = new Map(); // ID -> shortcut, in registration order
+let pending = []; // Strokes of a sequence typed so far
+let pendingTimer = null;
+let initialized = false;
+
+/**
+ * Parse one combination ("ctrl+shift+k", "mod+/", "?") into its normalized form, e.g. "ctrl+shift+k".
+ * Shift is dropped for keys that are not letters: "?" is already shift+/ on the keyboard that typed it.
+ */
+function parseStroke(combination) {
+    const parts = combination.toLowerCase().split('+');
+    // A trailing "+" is the plus key itself ("ctrl++")
+    if (parts.length > 1 && parts[parts.length - 1] === '') {
+        parts.splice(-2, 2, '+');
+    }
+
+    const modifiers = new Set();
+    let key = null;
+    for (const raw of parts) {
+        const part = KEY_ALIASES[raw] ?? raw;
+        if (part === 'mod') {
+            modifiers.add(isMac ? 'meta' : 'ctrl');
+        } else if (MODIFIERS.includes(part)) {
+            modifiers.add(part);
+        } else if (key === null && part !== '') {
+            key = part;
+        } else {
+            return null;
+        }
+    }
+    if (key === null) return null;
+
+    return toStroke(modifiers, key);
+}
+
+function toStroke(modifiers, key) {
+    if (key.length === 1 && key.toLowerCase() === key.toUpperCase()) {
+        modifiers.delete('shift');
+    }
+    return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+/**
+ * Parse keys ("g r", "mod+k") into strokes; null when they can't be parsed
+ */
+function parseKeys(keys) {
+    if (typeof keys !== 'string' || !keys.trim()) return null;
+
+    // A lone "space" key is written as "space"; spaces separate the strokes of a sequence
+    const strokes = keys.trim().split(/\s+/).map(parseStroke);
+    return strokes.includes(null) ? null : strokes;
+}
+
+function getEventStroke(e) {
+    if (!e.key || e.key === 'Dead' || MODIFIERS.includes(KEY_ALIASES[e.key.toLowerCase()] ?? e.key.toLowerCase())) {
+        return null;
+    }
+
+    const modifiers = new Set();
+    if (e.ctrlKey) modifiers.add('ctrl');
+    if (e.altKey) modifiers.add('alt');
+    if (e.shiftKey) modifiers.add('shift');
+    if (e.metaKey) modifiers.add('meta');
+    return toStroke(modifiers, e.key.toLowerCase());
+}
+
+/**
+ * Show keys the way the user presses them: "Ctrl+K" ("⌘K" on macOS), "G then R"
+ */
+function formatShortcut(keys) {
+    const strokes = parseKeys(keys);
+    if (!strokes) return typeof keys === 'string' ? keys : '';
+
+    return strokes.map(formatStroke).join(' then ');
+}
+
+function formatStroke(stroke) {
+    const parts = stroke.split('+');
+    const key = stroke.endsWith('++') ? '+' : parts.pop();
+    const label = KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1));
+
+    if (isMac) {
+        const symbols = { ctrl: '⌃', alt: '⌥', shift: '⇧', meta: '⌘' };
+        return parts.filter(part => symbols[part]).map(part => symbols[part]).join('') + label;
+    }
+    const names = { ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift', meta: 'Win' };
+    return [...parts.filter(part => names[part]).map(part => names[part]), label].join('+');
+}
+
+function sameStrokes(a, b) {
+    return a.length === b.length && a.every((stroke, index) => stroke === b[index]);
+}
+
+function startsWith(strokes, prefix) {
+    return prefix.length < strokes.length && prefix.every((stroke, index) => stroke === strokes[index]);
+}
+
+/**
+ * Register one or more shortcuts; returns a function that unregisters them.
+ * shortcut: { keys, run(event), description, id?, group?, scope?, allowInInputs?, preventDefault?, when?(), override? }
+ * keys may be an array of alternatives. run() returning false lets the key through to the next match.
+ */
+function register(definitions) {
+    const added = [];
+
+    for (const definition of Array.isArray(definitions) ? definitions : [definitions]) {
+        const alternatives = Array.isArray(definition?.keys) ? definition.keys : [definition?.keys];
+        const sequences = alternatives.map(parseKeys);
+        if (!definition || sequences.length === 0 || sequences.includes(null)) {
+            console.error('Invalid shortcut keys:', definition?.keys);
+            continue;
+        }
+        if (typeof definition.run !== 'function') {
+            console.error(`Invalid shortcut ${alternatives.join(', ')}: run is required`);
+            continue;
+        }
+
+        const scope = definition.scope || SCOPES.GLOBAL;
+        const shortcut = {
+            id: definition.id || `${scope}:${alternatives.join(',')}`,
+            keys: alternatives,
+            sequences,
+            description: definition.description || '',
+            group: definition.group || 'General',
+            scope,
+            allowInInputs: definition.allowInInputs === true,
+            preventDefault: definition.preventDefault !== false,
+            when: typeof definition.when === 'function' ? definition.when : null,
+            run: definition.run
+        };
+
+        // Registering an ID again replaces that shortcut; the default ID doesn't count
+        const replacing = definition.id ? shortcuts.get(definition.id) : null;
+        const conflicts = findConflicts(shortcut, replacing);
+        const duplicates = conflicts.filter(conflict => conflict.type === 'duplicate');
+        if (duplicates.length > 0 && !definition.override) {
+            console.error(`Shortcut ${shortcut.keys.join(', ')} (${shortcut.id}) conflicts with ${duplicates.map(conflict => conflict.ids[0]).join(', ')} in scope ${scope}; pass override: true to replace it`);
+            continue;
+        }
+        duplicates.forEach(conflict => shortcuts.delete(conflict.ids[0]));
+
+        conflicts
+            .filter(conflict => conflict.type === 'prefix')
+            .forEach(conflict => console.warn(`Shortcut ${conflict.keys} (${conflict.ids.join(' / ')}) starts another sequence in scope ${scope}; it fires after a pause`));
+
+        shortcuts.set(shortcut.id, shortcut);
+        added.push(shortcut);
+    }
+
+    renderHelp();
+
+    // Only remove what this call added, not a later replacement
+    return () => {
+        added.forEach(shortcut => {
+            if (shortcuts.get(shortcut.id) === shortcut) {
+                shortcuts.delete(shortcut.id);
+            }
+        });
+        renderHelp();
+    };
+}
+
+/**
+ * Remove a shortcut by ID
+ */
+function unregister(id) {
+    const removed = shortcuts.delete(id);
+    renderHelp();
+    return removed;
+}
+
+/**
+ * Conflicts between a shortcut and the others registered in its scope (except the one it replaces):
+ * [{ type: 'duplicate' | 'prefix', keys, scope, ids: [other, shortcut] }]
+ */
+function findConflicts(shortcut, replacing = null) {
+    const conflicts = [];
+
+    shortcuts.forEach(other => {
+        if (other === shortcut || other === replacing || other.scope !== shortcut.scope) return;
+
+        for (const sequence of shortcut.sequences) {
+            for (const otherSequence of other.sequences) {
+                if (sameStrokes(sequence, otherSequence)) {
+                    conflicts.push({ type: 'duplicate', keys: sequence.join(' '), scope: shortcut.scope, ids: [other.id, shortcut.id] });
+                } else if (startsWith(sequence, otherSequence) || startsWith(otherSequence, sequence)) {
+                    const shorter = sequence.length < otherSequence.length ? sequence : otherSequence;
+                    conflicts.push({ type: 'prefix', keys: shorter.join(' '), scope: shortcut.scope, ids: [other.id, shortcut.id] });
+                }
+            }
+        }
+    });
+
+    return conflicts;
+}
+
+/**
+ * Every conflict between registered shortcuts
+ */
+function getConflicts() {
+    const seen = new Set();
+    const conflicts = [];
+
+    shortcuts.forEach(shortcut => {
+        findConflicts(shortcut).forEach(conflict => {
+            const key = `${conflict.type}:${conflict.keys}:${[...conflict.ids].sort().join(',')}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                conflicts.push(conflict);
+            }
+        });
+    });
+
+    return conflicts;
+}
+
+/**
+ * Registered shortcuts: [{ id, keys, label, description, group, scope }]
+ */
+function getShortcuts() {
+    return Array.from(shortcuts.values(), ({ id, keys, description, group, scope }) => ({
+        id,
+        keys,
+        label: keys.map(formatShortcut).join(' or '),
+        description,
+        group,
+        scope
+    }));
+}
+
+function isEditable(element) {
+    if (!element?.closest) return false;
+    if (element.isContentEditable) return true;
+
+    const field = element.closest('input, textarea, select');
+    if (!field) return false;
+    // Checkboxes, radios and buttons don't take text
+    return field.tagName !== 'INPUT' || !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(field.type);
+}
+
+/**
+ * The component scopes focus is in, innermost first
+ */
+function getFocusedScopes(target) {
+    const scopes = [];
+    let element = target?.closest?.('[data-shortcut-scope]');
+    while (element) {
+        scopes.push(element.getAttribute('data-shortcut-scope'));
+        element = element.parentElement?.closest('[data-shortcut-scope]');
+    }
+    return scopes;
+}
+
+/**
+ * Shortcuts that apply to a key event's target, highest priority first
+ */
+function getCandidates(target) {
+    const order = [...getFocusedScopes(target), SCOPES.PAGE, SCOPES.GLOBAL];
+    const typing = isEditable(target);
+
+    return Array.from(shortcuts.values())
+        .filter(shortcut => order.includes(shortcut.scope))
+        .filter(shortcut => !typing || shortcut.allowInInputs)
+        .filter(shortcut => {
+            if (!shortcut.when) return true;
+            try {
+                return shortcut.when() !== false;
+            } catch (error) {
+                console.error(`Shortcut ${shortcut.id} availability check failed:`, error);
+                return false;
+            }
+        })
+        .sort((a, b) => order.indexOf(a.scope) - order.indexOf(b.scope));
+}
+
+function matchSequence(candidates, strokes) {
+    return {
+        exact: candidates.filter(shortcut => shortcut.sequences.some(sequence => sameStrokes(sequence, strokes))),
+        longer: candidates.filter(shortcut => shortcut.sequences.some(sequence => startsWith(sequence, strokes)))
+    };
+}
+
+/**
+ * Run the first matching shortcut that handles the event; returns whether one did
+ */
+function runFirst(matches, e) {
+    for (const shortcut of matches) {
+        try {
+            if (shortcut.run(e) === false) continue;
+        } catch (error) {
+            console.error(`Shortcut ${shortcut.id} failed:`, error);
+        }
+        if (shortcut.preventDefault) {
+            e.preventDefault();
+        }
+        return true;
+    }
+    return false;
+}
+
+function resetSequence() {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
+    pending = [];
+}
+
+function handleKeydown(e) {
+    if (e.defaultPrevented || e.isComposing) return;
+
+    const stroke = getEventStroke(e);
+    if (!stroke) return;
+
+    const candidates = getCandidates(e.target);
+    let strokes = [...pending, stroke];
+    let matches = matchSequence(candidates, strokes);
+
+    // Not a continuation: this key may start something new
+    if (pending.length > 0 && matches.exact.length === 0 && matches.longer.length === 0) {
+        strokes = [stroke];
+        matches = matchSequence(candidates, strokes);
+    }
+
+    resetSequence();
+
+    if (matches.longer.length > 0) {
+        // Wait for the rest of the sequence; a shortcut for what was typed so far fires after a pause
+        e.preventDefault();
+        pending = strokes;
+        pendingTimer = setTimeout(() => {
+            resetSequence();
+            runFirst(matches.exact, e);
+        }, SEQUENCE_TIMEOUT_MS);
+        return;
+    }
+
+    runFirst(matches.exact, e);
+}
+
+function getHelpDialog() {
+    return document.querySelector('[data-shortcut-help]');
+}
+
+/**
+ * Fill the help dialog's list from the registered shortcuts, by group
+ */
+function renderHelp() {
+    const list = getHelpDialog()?.querySelector('[data-shortcut-help-list]');
+    if (!list) return;
+
+    const groups = new Map();
+    getShortcuts().forEach(shortcut => {
+        if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+        groups.get(shortcut.group).push(shortcut);
+    });
+
+    list.replaceChildren(...Array.from(groups, ([group, entries]) => {
+        const section = document.createElement('section');
+        section.className = 'shortcut-help__group';
+
+        const heading = document.createElement('h3');
+        heading.className = 'shortcut-help__group-title';
+        heading.textContent = group;
+
+        const definitions = document.createElement('dl');
+        definitions.className = 'shortcut-help__list';
+        entries.forEach(shortcut => {
+            const keys = document.createElement('dt');
+            keys.className = 'shortcut-help__keys';
+            shortcut.keys.forEach((alternative, index) => {
+                if (index > 0) keys.append(' or ');
+                formatShortcut(alternative).split(' then ').forEach((stroke, strokeIndex) => {
+                    if (strokeIndex > 0) keys.append(' then ');
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = stroke;
+                    keys.append(kbd);
+                });
+            });
+
+            const description = document.createElement('dd');
+            description.className = 'shortcut-help__description';
+            description.textContent = shortcut.description;
+            if (shortcut.scope !== SCOPES.GLOBAL && shortcut.scope !== SCOPES.PAGE) {
+                const scope = document.createElement('span');
+                scope.className = 'shortcut-help__scope';
+                scope.textContent = ` (in ${shortcut.scope})`;
+                description.append(scope);
+            }
+
+            definitions.append(keys, description);
+        });
+
+        section.append(heading, definitions);
+        return section;
+    }));
+}
+
+/**
+ * Open the help dialog listing every shortcut
+ */
+function showHelp() {
+    const dialog = getHelpDialog();
+    if (!dialog) return false;
+
+    renderHelp();
+    if (!dialog.open) {
+        dialog.showModal();
+    }
+    return true;
+}
+
+function hideHelp() {
+    const dialog = getHelpDialog();
+    if (dialog?.open) {
+        dialog.close();
+    }
+}
+
+function handleHelpClick(e) {
+    if (e.target.closest('[data-shortcut-help-open]')) {
+        e.preventDefault();
+        showHelp();
+    } else if (e.target.closest('[data-shortcut-help-close]') || e.target.matches?.('[data-shortcut-help]')) {
+        // The close button, or the backdrop (a click on the dialog itself)
+        hideHelp();
+    }
+}
+
+/**
+ * Page shortcuts belong to the page that registered them
+ */
+function handleEnhancedLoad() {
+    resetSequence();
+    shortcuts.forEach((shortcut, id) => {
+        if (shortcut.scope === SCOPES.PAGE) {
+            shortcuts.delete(id);
+        }
+    });
+    renderHelp();
+}
+
+/**
+ * Start listening (runs on load)
+ */
+function init() {
+    if (initialized) return;
+    initialized = true;
+
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('click', handleHelpClick);
+    // A sequence doesn't continue in another window
+    window.addEventListener('blur', resetSequence);
+
+    if (window.Blazor) {
+        window.Blazor.addEventListener('enhancedload', handleEnhancedLoad);
+    }
+
+    renderHelp();
+}
+
+register({
+    id: 'shortcuts.help',
+    keys: '?',
+    description: 'Show keyboard shortcuts',
+    run: () => (getHelpDialog()?.open ? hideHelp() : showHelp())
+});
+
+// Initialize immediately
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// ES module API
+export {
+    SCOPES,
+    register,
+    unregister,
+    getShortcuts,
+    getConflicts,
+    formatShortcut,
+    showHelp,
+    hideHelp
+};
+
+// Global API (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.shortcuts = api;
@@ -0,0 +1,36 @@
+/**
+ * Type declarations for sidebar.js
+ *
+ * The module's named exports; window.DevQualX.sidebar exposes the same members.
+ */
+
+export interface SidebarState {
+    /** Whether the desktop sidebar is collapsed to its icon rail */
+    collapsed: boolean;
+    /** Width in pixels, or null for the default width */
+    width: number | null;
+    /** Collapsed navigation groups by data-sidebar-group key (expanded groups are left out) */
+    groups: Record<string, false>;
+}
+
+/** Bind the [data-sidebar] element on the page */
+export function init(): void;
+export function open(): void;
+export function close(): void;
+export function toggle(): void;
+/** Unbind listeners and reset state (before the DOM is replaced) */
+export function cleanup(): void;
+/** Whether the desktop sidebar is collapsed to its icon rail */
+export function isCollapsed(): boolean;
+/** Collapse the desktop sidebar to its icon rail, or expand it again (remembered) */
+export function setCollapsed(collapsed: boolean): void;
+/** Resize the desktop sidebar in pixels, clamped to 200-480; null restores the default width */
+export function setWidth(width: number | null): void;
+/** Expand or collapse a nested navigation group by its data-sidebar-group key; omit expanded to toggle */
+export function toggleGroup(key: string, expanded?: boolean): void;
+/** Highlight the link of the current page (runs on init and after enhanced navigation) */
+export function updateActiveRoute(): void;
+/** The stored state (what preferences.js syncs) */
+export function getState(): SidebarState;
+/** Replace the stored state, e.g. synced from another device, and apply it to the page */
+export function setState(state: SidebarState): void;
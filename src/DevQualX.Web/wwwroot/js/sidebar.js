@@ -1,140 +1,502 @@
-(function() {
-    'use strict';
-    
-    let sidebar = null;
-    let toggleButton = null;
-    let overlay = null;
-    let content = null;
-    let isOpen = false;
-    
-    function initSidebar() {
-        // Find sidebar elements
-        sidebar = document.querySelector('[data-sidebar]');
-        if (!sidebar) return;
-        
-        toggleButton = sidebar.querySelector('[data-sidebar-toggle]');
-        overlay = sidebar.querySelector('[data-sidebar-overlay]');
-        content = sidebar.querySelector('.sidebar__content');
-        
-        if (!toggleButton || !overlay || !content) return;
-        
-        // Set up event listeners
-        toggleButton.addEventListener('click', handleToggle);
-        overlay.addEventListener('click', closeSidebar);
-        
-        // Close on Escape key
-        document.addEventListener('keydown', handleKeydown);
-        
-        // Close on navigation link click (only on mobile)
-        const navLinks = sidebar.querySelectorAll('.sidebar__nav-link');
-        navLinks.forEach(link => {
-            link.addEventListener('click', handleNavLinkClick);
-        });
+/**
+ * Sidebar
+ *
+ * Enhances the server-rendered [data-sidebar]:
+ * - Mobile: the hamburger opens the sidebar as a drawer over the page
+ * - Desktop: collapse to an icon rail, and drag (or use the arrow keys on) the edge to resize
+ * - Nested navigation groups expand and collapse
+ * - Highlights the current page's link, also after enhanced navigation
+ * - Escape closes the mobile drawer (registered with shortcuts.js)
+ *
+ * Mobile and desktop are split at --breakpoint-sm (styles/core/variables.css), the breakpoint
+ * Sidebar.razor.css and MainLayout.razor.css use.
+ *
+ * The collapsed state, width and collapsed groups are kept in localStorage and mirrored into a
+ * cookie, so the server renders them (see SidebarStateService) and nothing changes after load.
+ * preferences.js syncs them to other devices (getState/setState, devqualx-sidebar-changed).
+ */
+
+import { register as registerShortcut } from './shortcuts.js';
+import * as api from './sidebar.js';
+
+const STORAGE_KEY = 'devqualx-sidebar';
+const COOKIE_NAME = 'devqualx-sidebar'; // Read by SidebarStateService
+const COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+const DEFAULT_WIDTH = 280;
+const MIN_WIDTH = 200; // SidebarStateService.MinWidth
+const MAX_WIDTH = 480; // SidebarStateService.MaxWidth
+const RESIZE_STEP = 16;
+
+let sidebar = null;
+let toggleButton = null;
+let overlay = null;
+let content = null;
+let isOpen = false;
+
+// Aborts the listeners added by initSidebar
+let controller = null;
+let desktopQuery = null;
+
+/**
+ * Media query matching the desktop layout, from the --breakpoint-sm token
+ */
+function getDesktopQuery() {
+    if (!desktopQuery) {
+        const breakpoint = getComputedStyle(document.documentElement).getPropertyValue('--breakpoint-sm').trim() || '640px';
+        desktopQuery = window.matchMedia(`(min-width: ${breakpoint})`);
     }
-    
-    function handleToggle(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        if (isOpen) {
-            closeSidebar();
-        } else {
-            openSidebar();
-        }
+    return desktopQuery;
+}
+
+/**
+ * Stored state: { collapsed, width, groups: { [group key]: expanded } }
+ */
+function loadState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            collapsed: state.collapsed === true,
+            width: typeof state.width === 'number' ? state.width : null,
+            groups: state.groups && typeof state.groups === 'object' ? state.groups : {}
+        };
+    } catch (error) {
+        console.error('Failed to load sidebar state from localStorage:', error);
+        return { collapsed: false, width: null, groups: {} };
     }
-    
-    function openSidebar() {
-        isOpen = true;
-        content.classList.add('sidebar__content--mobile-open');
-        overlay.classList.add('sidebar__overlay--visible');
-        toggleButton.setAttribute('aria-expanded', 'true');
-        toggleButton.setAttribute('aria-label', 'Close menu');
-        
-        // Update icon to X mark
-        const icon = toggleButton.querySelector('svg');
-        if (icon) {
-            icon.innerHTML = '<path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" />';
-        }
-        
-        // Prevent body scroll on mobile
-        document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Update the stored state and mirror it into the cookie
+ */
+function saveState(changes) {
+    const state = { ...loadState(), ...changes };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Failed to save sidebar state to localStorage:', error);
     }
-    
-    function closeSidebar() {
-        isOpen = false;
-        content.classList.remove('sidebar__content--mobile-open');
-        overlay.classList.remove('sidebar__overlay--visible');
-        toggleButton.setAttribute('aria-expanded', 'false');
-        toggleButton.setAttribute('aria-label', 'Open menu');
-        
-        // Update icon to hamburger
-        const icon = toggleButton.querySelector('svg');
-        if (icon) {
-            icon.innerHTML = '<path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M3.75 12h16.5m-16.5 5.25h16.5" />';
-        }
-        
-        // Restore body scroll
-        document.body.style.overflow = '';
+
+    const secure = window.location.protocol === 'https:' ? '; secure' : '';
+    document.cookie = `${COOKIE_NAME}=${toCookieValue(state)}; path=/; max-age=${COOKIE_MAX_AGE_SECONDS}; samesite=lax${secure}`;
+
+    window.dispatchEvent(new CustomEvent('devqualx-sidebar-changed', { detail: state }));
+}
+
+/**
+ * Cookie form of the state: "collapsed:width:collapsed groups", e.g. "1:320:reports|settings"
+ */
+function toCookieValue(state) {
+    const groups = Object.keys(state.groups)
+        .filter(key => state.groups[key] === false)
+        .sort()
+        .map(encodeURIComponent)
+        .join('|');
+    return `${state.collapsed ? 1 : 0}:${state.width ?? ''}:${groups}`;
+}
+
+/**
+ * The cookie the page was rendered from, or null
+ */
+function readCookie() {
+    const prefix = `${COOKIE_NAME}=`;
+    const cookie = document.cookie.split('; ').find(c => c.startsWith(prefix));
+    return cookie ? cookie.slice(prefix.length) : null;
+}
+
+function initSidebar() {
+    // Find sidebar elements
+    sidebar = document.querySelector('[data-sidebar]');
+    if (!sidebar) return;
+
+    toggleButton = sidebar.querySelector('[data-sidebar-toggle]');
+    overlay = sidebar.querySelector('[data-sidebar-overlay]');
+    content = sidebar.querySelector('.sidebar__content');
+
+    if (!toggleButton || !overlay || !content) return;
+
+    controller = new AbortController();
+    const { signal } = controller;
+
+    // Set up event listeners
+    toggleButton.addEventListener('click', handleToggle, { signal });
+    overlay.addEventListener('click', closeSidebar, { signal });
+    sidebar.addEventListener('click', handleSidebarClick, { signal });
+
+    // Leaving the mobile layout closes the drawer
+    getDesktopQuery().addEventListener('change', handleBreakpointChange, { signal });
+
+    initResizer(signal);
+    restoreState();
+    updateActiveRoute();
+}
+
+/**
+ * The server renders what the cookie carries, and starts the sidebar collapsed when Sidebar.razor's
+ * IsExpanded is false. Only a missing or outdated cookie needs the stored state applied here (which
+ * never expands a sidebar rendered collapsed), and is then written again for the next page.
+ */
+function restoreState() {
+    const state = loadState();
+    const rendered = readCookie() === toCookieValue(state);
+
+    applyCollapsed(isCollapsed() || (!rendered && state.collapsed));
+    if (rendered) return;
+
+    applyWidth(state.width);
+    sidebar.querySelectorAll('[data-sidebar-group]').forEach(header => {
+        const expanded = state.groups[header.getAttribute('data-sidebar-group')];
+        applyGroupExpanded(header, expanded !== false);
+    });
+    saveState({});
+}
+
+function handleToggle(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    toggleSidebar();
+}
+
+function toggleSidebar() {
+    if (isOpen) {
+        closeSidebar();
+    } else {
+        openSidebar();
     }
-    
-    function handleKeydown(e) {
-        if (e.key === 'Escape' && isOpen) {
-            closeSidebar();
-        }
+}
+
+/**
+ * Show one of the icons Sidebar.razor renders in <template data-sidebar-icon> in the hamburger button
+ */
+function setToggleIcon(name) {
+    const template = sidebar.querySelector(`template[data-sidebar-icon="${name}"]`);
+    const icon = toggleButton.querySelector('svg');
+    if (template && icon) {
+        icon.replaceWith(template.content.cloneNode(true));
     }
-    
-    function handleNavLinkClick() {
-        // Close sidebar on mobile when clicking a nav link
-        if (window.innerWidth < 641 && isOpen) {
-            closeSidebar();
-        }
+}
+
+function openSidebar() {
+    if (!sidebar) return;
+
+    isOpen = true;
+    content.classList.add('sidebar__content--mobile-open');
+    overlay.classList.add('sidebar__overlay--visible');
+    toggleButton.setAttribute('aria-expanded', 'true');
+    toggleButton.setAttribute('aria-label', 'Close menu');
+    setToggleIcon('close');
+
+    // Prevent body scroll on mobile
+    document.body.style.overflow = 'hidden';
+}
+
+function closeSidebar() {
+    if (!sidebar) return;
+
+    isOpen = false;
+    content.classList.remove('sidebar__content--mobile-open');
+    overlay.classList.remove('sidebar__overlay--visible');
+    toggleButton.setAttribute('aria-expanded', 'false');
+    toggleButton.setAttribute('aria-label', 'Open menu');
+    setToggleIcon('open');
+
+    // Restore body scroll
+    document.body.style.overflow = '';
+}
+
+function handleBreakpointChange(e) {
+    if (e.matches && isOpen) {
+        closeSidebar();
     }
-    
-    function cleanup() {
-        if (toggleButton) {
-            toggleButton.removeEventListener('click', handleToggle);
-        }
-        if (overlay) {
-            overlay.removeEventListener('click', closeSidebar);
+}
+
+/**
+ * Delegated clicks: nav links, group headers and the collapse button
+ */
+function handleSidebarClick(e) {
+    const group = e.target.closest('[data-sidebar-group]');
+    if (group) {
+        toggleGroup(group.getAttribute('data-sidebar-group'));
+        return;
+    }
+
+    if (e.target.closest('[data-sidebar-collapse]')) {
+        setCollapsed(!isCollapsed());
+        return;
+    }
+
+    // Close sidebar on mobile when clicking a nav link
+    if (e.target.closest('.sidebar__nav-link') && isOpen && !getDesktopQuery().matches) {
+        closeSidebar();
+    }
+}
+
+/**
+ * Whether the desktop sidebar is collapsed to its icon rail
+ */
+function isCollapsed() {
+    return sidebar ? sidebar.classList.contains('sidebar--collapsed') : loadState().collapsed;
+}
+
+function applyCollapsed(collapsed) {
+    sidebar.classList.toggle('sidebar--collapsed', collapsed);
+    sidebar.classList.toggle('sidebar--expanded', !collapsed);
+
+    const button = sidebar.querySelector('[data-sidebar-collapse]');
+    if (button) {
+        button.setAttribute('aria-expanded', String(!collapsed));
+        button.setAttribute('aria-label', collapsed ? 'Expand sidebar' : 'Collapse sidebar');
+    }
+
+    // The rail shows only icons, so name the links in tooltips
+    sidebar.querySelectorAll('.sidebar__nav-link, .sidebar__nav-group-header').forEach(link => {
+        const label = link.querySelector('.sidebar__nav-label')?.textContent.trim();
+        if (collapsed && label) {
+            link.setAttribute('title', label);
+        } else {
+            link.removeAttribute('title');
         }
-        document.removeEventListener('keydown', handleKeydown);
-        
-        // Restore body scroll if sidebar was open
-        if (isOpen) {
-            document.body.style.overflow = '';
+    });
+}
+
+/**
+ * Collapse the desktop sidebar to its icon rail, or expand it again
+ */
+function setCollapsed(collapsed) {
+    if (!sidebar) return;
+
+    applyCollapsed(collapsed);
+    saveState({ collapsed });
+}
+
+function applyWidth(width) {
+    const resizer = sidebar.querySelector('[data-sidebar-resizer]');
+    if (width === null) {
+        sidebar.style.removeProperty('--sidebar-width');
+    } else {
+        sidebar.style.setProperty('--sidebar-width', `${width}px`);
+    }
+    resizer?.setAttribute('aria-valuenow', String(width ?? DEFAULT_WIDTH));
+}
+
+/**
+ * Resize the desktop sidebar (clamped to its minimum and maximum); null restores the default width
+ */
+function setWidth(width) {
+    if (!sidebar) return;
+
+    const clamped = width === null ? null : Math.round(Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, width)));
+    applyWidth(clamped);
+    saveState({ width: clamped });
+}
+
+/**
+ * Drag the resizer, or focus it and use the arrow keys; double-click restores the default width
+ */
+function initResizer(signal) {
+    const resizer = sidebar.querySelector('[data-sidebar-resizer]');
+    if (!resizer) return;
+
+    let dragging = false;
+
+    resizer.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || isCollapsed()) return;
+        e.preventDefault();
+        dragging = true;
+        resizer.setPointerCapture(e.pointerId);
+        sidebar.classList.add('sidebar--resizing');
+    }, { signal });
+
+    resizer.addEventListener('pointermove', (e) => {
+        if (!dragging) return;
+        const width = Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, e.clientX - content.getBoundingClientRect().left));
+        applyWidth(Math.round(width));
+    }, { signal });
+
+    const endDrag = () => {
+        if (!dragging) return;
+        dragging = false;
+        sidebar.classList.remove('sidebar--resizing');
+        setWidth(Number(resizer.getAttribute('aria-valuenow')));
+    };
+    resizer.addEventListener('pointerup', endDrag, { signal });
+    resizer.addEventListener('pointercancel', endDrag, { signal });
+
+    resizer.addEventListener('dblclick', () => setWidth(null), { signal });
+
+    resizer.addEventListener('keydown', (e) => {
+        if (isCollapsed()) return;
+
+        const current = Number(resizer.getAttribute('aria-valuenow')) || DEFAULT_WIDTH;
+        const widths = {
+            ArrowLeft: current - RESIZE_STEP,
+            ArrowRight: current + RESIZE_STEP,
+            Home: MIN_WIDTH,
+            End: MAX_WIDTH
+        };
+        if (e.key in widths) {
+            e.preventDefault();
+            setWidth(widths[e.key]);
         }
-        
-        // Reset state
-        sidebar = null;
-        toggleButton = null;
-        overlay = null;
-        content = null;
-        isOpen = false;
+    }, { signal });
+}
+
+function applyGroupExpanded(header, expanded) {
+    header.setAttribute('aria-expanded', String(expanded));
+    const children = document.getElementById(header.getAttribute('aria-controls'));
+    if (children) {
+        children.hidden = !expanded;
     }
-    
-    // Initialize immediately
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initSidebar);
+}
+
+/**
+ * Expand or collapse a nested navigation group (by its data-sidebar-group key); omit expanded to toggle
+ */
+function toggleGroup(key, expanded) {
+    const header = sidebar?.querySelector(`[data-sidebar-group="${CSS.escape(key)}"]`);
+    if (!header) return;
+
+    const next = expanded ?? header.getAttribute('aria-expanded') !== 'true';
+    applyGroupExpanded(header, next);
+
+    const { groups } = loadState();
+    if (next) {
+        delete groups[key];
     } else {
-        initSidebar();
+        groups[key] = false;
     }
-    
-    // Reinitialize after Blazor enhanced navigation
-    if (window.Blazor) {
-        window.Blazor.addEventListener('enhancednavigation', function() {
-            cleanup();
-            // Wait a tick for DOM to update
-            setTimeout(initSidebar, 0);
-        });
+    saveState({ groups });
+}
+
+/**
+ * Stored state: { collapsed, width, groups: { [group key]: false } } (for preferences.js)
+ */
+function getState() {
+    const { collapsed, width, groups } = loadState();
+    return { collapsed, width, groups: { ...groups } };
+}
+
+/**
+ * Replace the stored state (e.g. synced from another device) and apply it to the sidebar on the page
+ */
+function setState(state) {
+    const width = typeof state?.width === 'number'
+        ? Math.round(Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, state.width)))
+        : null;
+    const groups = Object.fromEntries(Object.entries(state?.groups || {})
+        .filter(([, expanded]) => expanded === false));
+    const next = { collapsed: state?.collapsed === true, width, groups };
+    saveState(next);
+
+    if (!sidebar) return;
+
+    applyCollapsed(next.collapsed);
+    applyWidth(next.width);
+    sidebar.querySelectorAll('[data-sidebar-group]').forEach(header => {
+        applyGroupExpanded(header, groups[header.getAttribute('data-sidebar-group')] !== false);
+    });
+    updateActiveRoute();
+}
+
+/**
+ * Whether a nav link's href matches the current path (data-sidebar-match: exact or prefix)
+ */
+function isCurrentLink(link, exact) {
+    const path = window.location.pathname.replace(/\/$/, '');
+    const href = new URL(link.href, document.baseURI).pathname.replace(/\/$/, '');
+    return exact ? path === href : path === href || path.startsWith(`${href}/`);
+}
+
+/**
+ * Highlight the current page's link and its groups, expanding collapsed groups that contain it
+ * (without changing their stored state)
+ */
+function updateActiveRoute() {
+    if (!sidebar) return;
+
+    sidebar.querySelectorAll('.sidebar__nav-item').forEach(item => {
+        const link = item.querySelector('.sidebar__nav-link');
+        if (!link) return;
+
+        const current = isCurrentLink(link, item.getAttribute('data-sidebar-match') === 'exact');
+        item.classList.toggle('sidebar__nav-item--active', current);
+        if (current) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+
+    sidebar.querySelectorAll('.sidebar__nav-group').forEach(group => {
+        const active = group.querySelector('.sidebar__nav-item--active') !== null;
+        group.classList.toggle('sidebar__nav-group--active', active);
+
+        const header = group.querySelector(':scope > [data-sidebar-group]');
+        if (active && header) {
+            applyGroupExpanded(header, true);
+        }
+    });
+}
+
+function cleanup() {
+    controller?.abort();
+    controller = null;
+
+    // Restore body scroll if sidebar was open
+    if (isOpen) {
+        document.body.style.overflow = '';
     }
-    
-    // Expose API
-    window.DevQualX = window.DevQualX || {};
-    window.DevQualX.sidebar = {
-        init: initSidebar,
-        open: openSidebar,
-        close: closeSidebar,
-        toggle: handleToggle,
-        cleanup: cleanup
-    };
-})();
+
+    // Reset state
+    sidebar = null;
+    toggleButton = null;
+    overlay = null;
+    content = null;
+    isOpen = false;
+}
+
+// Also while typing in the drawer's fields
+registerShortcut({
+    id: 'sidebar.close',
+    keys: 'escape',
+    description: 'Close the menu',
+    group: 'Navigation',
+    allowInInputs: true,
+    when: () => isOpen,
+    run: closeSidebar
+});
+
+// Initialize immediately
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSidebar);
+} else {
+    initSidebar();
+}
+
+// Reinitialize after Blazor enhanced navigation (which also resets what the server doesn't render)
+if (window.Blazor) {
+    window.Blazor.addEventListener('enhancedload', function() {
+        cleanup();
+        initSidebar();
+    });
+}
+
+// ES module API
+export {
+    initSidebar as init,
+    openSidebar as open,
+    closeSidebar as close,
+    toggleSidebar as toggle,
+    cleanup,
+    isCollapsed,
+    setCollapsed,
+    setWidth,
+    toggleGroup,
+    updateActiveRoute,
+    getState,
+    setState
+};
+
+// Global API (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.sidebar = api;
@@ -0,0 +1,48 @@
+/**
+ * Type declarations for tabs.js
+ *
+ * The module's named exports; window.DevQualX.tabs exposes the same members.
+ */
+
+/** Detail of the `tabchange` event dispatched on a [data-tabs] container */
+export interface TabChangeDetail {
+    /** The tab set's data-tabs value, or null if it is unnamed */
+    name: string | null;
+    tabId: string | null;
+    panelId: string | null;
+    previousTabId: string | null;
+    previousPanelId: string | null;
+    /** Whether the panel is shown for the first time */
+    firstActivation: boolean;
+}
+
+/** Enhance every [data-tabs] container on the page (static ones already enhanced are refreshed) */
+export function init(): void;
+/** Select a tab by its tab or panel element or id; returns whether a tab was found */
+export function activate(target: string | HTMLElement): boolean;
+
+/** Detail of the cancelable `tabclose` event dispatched before a closable tab is removed */
+export interface TabCloseDetail {
+    name: string | null;
+    tabId: string | null;
+    panelId: string | null;
+}
+
+/** Detail of the `tabreorder` event dispatched when a reorderable tab set's order changes (or, for an interactive one, should) */
+export interface TabReorderDetail {
+    name: string;
+    /** Panel ids in their new order */
+    order: string[];
+}
+
+/**
+ * Close a closable tab and its panel; returns false if it isn't closable or a tabclose listener cancelled it.
+ * An interactive tab set's tabs are left to its component, which removes them on tabclose.
+ */
+export function close(tab: HTMLElement): boolean;
+/** Move a tab of a reorderable tab set to an index in its list (an interactive one through tabreorder); returns whether it moved */
+export function move(tab: HTMLElement, index: number): boolean;
+/** Stored tab orders by tab set name (panel ids) */
+export function getTabOrders(): Record<string, string[]>;
+/** Replace the stored tab orders and apply them to the page */
+export function setTabOrders(orders: Record<string, string[]>): void;
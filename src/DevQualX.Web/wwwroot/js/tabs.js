@@ -1,174 +1,793 @@
 /**
  * Tabs Progressive Enhancement
- * 
+ *
  * Enhances static tabs with JavaScript functionality:
  * - Click handling to switch tabs without page reload
- * - Keyboard navigation (Arrow keys, Home, End)
+ * - Keyboard navigation (Arrow keys along the tab list's aria-orientation, Home, End)
  * - URL hash support for deep linking
+ * - Lazy panels that load their content on first activation
+ * - Closable tabs (click the close icon or press Delete)
+ * - Drag-and-drop reordering (Ctrl+Shift+Arrow from the keyboard), remembered per user
+ * - Delete and Ctrl+Shift+Arrow are registered with shortcuts.js, scoped to the focused tab list
+ * - Scroll buttons when the tabs don't fit
  * - Works without JavaScript (degrades gracefully to anchor links)
+ *
+ * Deep linking: a named tab set (data-tabs="settings") keeps its selected panel in the hash as
+ * name=panelId pairs, e.g. #settings=settings-billing&history=history-week, so several tab sets
+ * (nested ones included) can be linked at the same time. A plain #panelId, as the no-JS anchor
+ * links produce, still selects that panel. Unnamed tab sets don't write to the URL.
+ *
+ * Lazy panels (data-tab-src="/url") fetch their HTML the first time they are shown.
+ *
+ * Every switch dispatches a bubbling `tabchange` event on the tab set, with
+ * { name, tabId, panelId, previousTabId, previousPanelId, firstActivation } as its detail;
+ * interactive components receive it through @ontabchange (see TabChangeEventArgs).
+ *
+ * Closing dispatches a cancelable `tabclose` event first; cancel it to keep the tab. Reorderable
+ * tab sets (data-tabs-reorderable) must be named: their order is stored by name in localStorage
+ * and synced with the user's preferences, and every change dispatches a `tabreorder` event with
+ * { name, order } (panel ids) as its detail.
+ *
+ * Tab sets rendered by an interactive component (data-tabs-interactive) belong to Blazor's
+ * renderer, so the script never removes or moves their tabs: the component receives tabclose
+ * and tabreorder (@ontabclose, @ontabreorder) and renders the change itself. Static tab sets are
+ * changed in place, and their order is applied again after enhanced navigation patches the page.
  */
 
-(function() {
-    'use strict';
-
-    /**
-     * Initialize tabs functionality
-     */
-    function initTabs() {
-        const tabContainers = document.querySelectorAll('[data-tabs]');
-        
-        tabContainers.forEach(container => {
-            const tabs = container.querySelectorAll('[role="tab"]');
-            const panels = container.querySelectorAll('[role="tabpanel"]');
-            
-            if (tabs.length === 0 || panels.length === 0) return;
-            
-            // Activate tab based on URL hash on page load
-            const hash = window.location.hash;
-            if (hash) {
-                const targetPanel = container.querySelector(hash);
-                if (targetPanel) {
-                    const targetTab = container.querySelector(`[aria-controls="${hash.substring(1)}"]`);
-                    if (targetTab) {
-                        activateTab(targetTab, tabs, panels);
-                    }
-                }
+import { register as registerShortcut } from './shortcuts.js';
+import * as api from './tabs.js';
+
+// Tab sets already enhanced (initTabs runs again after every enhanced navigation)
+const initializedContainers = new WeakSet();
+
+// Panels that have been shown at least once
+const activatedPanels = new WeakSet();
+
+const ORDER_STORAGE_KEY = 'devqualx-tab-order';
+const SCROLL_STEP = 0.8;
+
+// Tab lists watched for overflow
+const overflowLists = new Set();
+const resizeObserver = typeof ResizeObserver === 'function'
+    ? new ResizeObserver(entries => entries.forEach(entry => updateOverflow(getContainer(entry.target))))
+    : null;
+
+// Tab being dragged: { tab, container, order, drop: { target, before } }
+let dragState = null;
+
+/**
+ * The tab set an element belongs to
+ */
+function getContainer(element) {
+    return element.closest('[data-tabs]');
+}
+
+/**
+ * Tabs of a tab set, leaving out those of tab sets nested in its panels
+ */
+function getTabs(container) {
+    return Array.from(container.querySelectorAll('[role="tab"]'))
+        .filter(tab => getContainer(tab) === container);
+}
+
+/**
+ * Panels of a tab set, leaving out those of tab sets nested in its panels
+ */
+function getPanels(container) {
+    return Array.from(container.querySelectorAll('[role="tabpanel"]'))
+        .filter(panel => getContainer(panel) === container);
+}
+
+/**
+ * The tab list of a tab set
+ */
+function getTablist(container) {
+    return Array.from(container.querySelectorAll('[role="tablist"]'))
+        .find(list => getContainer(list) === container) || null;
+}
+
+/**
+ * Whether a tab set is rendered by an interactive component, which owns its tabs
+ */
+function isInteractive(container) {
+    return container.hasAttribute('data-tabs-interactive');
+}
+
+/**
+ * Panel ids of a tab set's tabs, in their current order
+ */
+function getOrder(container) {
+    return getTabs(container).map(tab => tab.getAttribute('aria-controls'));
+}
+
+/**
+ * Whether a tab set's tabs run top to bottom
+ */
+function isVertical(container) {
+    return getTablist(container)?.getAttribute('aria-orientation') === 'vertical';
+}
+
+/**
+ * The tab that controls a panel
+ */
+function getTabForPanel(container, panelId) {
+    return getTabs(container).find(tab => tab.getAttribute('aria-controls') === panelId) || null;
+}
+
+/**
+ * Read the hash: name=panelId pairs, or a single panel id
+ */
+function readHash() {
+    const hash = window.location.hash.substring(1);
+    if (hash.includes('=')) {
+        return { selections: new URLSearchParams(hash), panelId: null };
+    }
+    return { selections: new URLSearchParams(), panelId: hash ? decodeURIComponent(hash) : null };
+}
+
+/**
+ * Record a named tab set's selected panel in the hash, keeping the other tab sets' selections
+ */
+function writeHash(container, panelId) {
+    const name = container.getAttribute('data-tabs');
+    if (!name) return;
+
+    const { selections } = readHash();
+    selections.set(name, panelId);
+
+    // Replace rather than push, and keep Blazor's history state
+    history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}#${selections}`);
+}
+
+/**
+ * Show the panels a tab set is nested in, so selecting a nested tab makes it visible
+ */
+function revealAncestors(container) {
+    const parentPanel = container.parentElement?.closest('[role="tabpanel"]');
+    if (!parentPanel) return;
+
+    const parentContainer = getContainer(parentPanel);
+    const parentTab = parentContainer ? getTabForPanel(parentContainer, parentPanel.id) : null;
+    if (parentTab && parentTab.getAttribute('aria-selected') !== 'true') {
+        activateTab(parentTab, { updateHash: true });
+    } else if (parentContainer) {
+        revealAncestors(parentContainer);
+    }
+}
+
+/**
+ * Fetch a lazy panel's content the first time it is shown
+ */
+function loadPanel(panel) {
+    const src = panel.getAttribute('data-tab-src');
+    if (!src || panel.hasAttribute('data-tab-loaded') || panel.getAttribute('aria-busy') === 'true') return;
+
+    // Panels are filled with the response's HTML, so only the app's own pages can be loaded
+    const url = new URL(src, window.location.href);
+    if (url.origin !== window.location.origin) {
+        console.error(`Tab panel source must be same-origin: ${src}`);
+        return;
+    }
+
+    panel.setAttribute('aria-busy', 'true');
+    fetch(url, { credentials: 'same-origin', headers: { Accept: 'text/html' } })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Loading tab panel failed with status ${response.status}`);
             }
-            
-            // Click event handlers
-            tabs.forEach(tab => {
-                tab.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    activateTab(tab, tabs, panels);
-                    
-                    // Update URL hash without scrolling
-                    const panelId = tab.getAttribute('aria-controls');
-                    if (panelId) {
-                        history.replaceState(null, '', `#${panelId}`);
-                    }
-                });
-            });
-            
-            // Keyboard navigation
-            container.querySelector('[role="tablist"]')?.addEventListener('keydown', (e) => {
-                const currentTab = document.activeElement;
-                
-                // Only handle keyboard if focus is on a tab
-                if (!currentTab.matches('[role="tab"]')) return;
-                
-                const tabsArray = Array.from(tabs);
-                const currentIndex = tabsArray.indexOf(currentTab);
-                let targetTab = null;
-                
-                switch (e.key) {
-                    case 'ArrowLeft':
-                    case 'ArrowUp':
-                        e.preventDefault();
-                        targetTab = tabsArray[currentIndex - 1] || tabsArray[tabsArray.length - 1];
-                        break;
-                    case 'ArrowRight':
-                    case 'ArrowDown':
-                        e.preventDefault();
-                        targetTab = tabsArray[currentIndex + 1] || tabsArray[0];
-                        break;
-                    case 'Home':
-                        e.preventDefault();
-                        targetTab = tabsArray[0];
-                        break;
-                    case 'End':
-                        e.preventDefault();
-                        targetTab = tabsArray[tabsArray.length - 1];
-                        break;
-                    default:
-                        return;
-                }
-                
-                if (targetTab) {
-                    activateTab(targetTab, tabs, panels);
-                    targetTab.focus();
-                    
-                    // Update URL hash
-                    const panelId = targetTab.getAttribute('aria-controls');
-                    if (panelId) {
-                        history.replaceState(null, '', `#${panelId}`);
-                    }
-                }
-            });
+            return response.text();
+        })
+        .then(html => {
+            panel.innerHTML = html;
+            panel.setAttribute('data-tab-loaded', '');
+            panel.dispatchEvent(new CustomEvent('tabload', { bubbles: true, detail: { panelId: panel.id } }));
+        })
+        .catch(error => {
+            console.error('Failed to load tab panel:', error);
+            showLoadError(panel);
+            panel.dispatchEvent(new CustomEvent('tabload', { bubbles: true, detail: { panelId: panel.id, error: error.message } }));
+        })
+        .finally(() => {
+            panel.removeAttribute('aria-busy');
         });
+}
+
+/**
+ * Replace a lazy panel's content with an error and a retry button
+ */
+function showLoadError(panel) {
+    const message = document.createElement('p');
+    message.className = 'tabs__error';
+    message.textContent = "This tab couldn't be loaded.";
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'tabs__retry';
+    retry.textContent = 'Try again';
+    retry.addEventListener('click', () => loadPanel(panel), { once: true });
+
+    panel.replaceChildren(message, retry);
+}
+
+/**
+ * Activate a specific tab and its corresponding panel
+ * options: { updateHash } records a named tab set's selection in the URL
+ */
+function activateTab(selectedTab, options = {}) {
+    const container = getContainer(selectedTab);
+    if (!container) return;
+
+    const allTabs = getTabs(container);
+    const allPanels = getPanels(container);
+    const selectedPanelId = selectedTab.getAttribute('aria-controls');
+    const previousTab = allTabs.find(tab => tab.getAttribute('aria-selected') === 'true') || null;
+
+    // Deactivate all tabs
+    allTabs.forEach(tab => {
+        tab.setAttribute('aria-selected', 'false');
+        tab.setAttribute('tabindex', '-1');
+        tab.classList.remove('tabs__button--active');
+    });
+
+    // Hide all panels
+    allPanels.forEach(panel => {
+        panel.setAttribute('hidden', '');
+        panel.classList.remove('tabs__panel--active');
+    });
+
+    // Activate selected tab
+    selectedTab.setAttribute('aria-selected', 'true');
+    selectedTab.setAttribute('tabindex', '0');
+    selectedTab.classList.add('tabs__button--active');
+
+    // Show selected panel
+    const selectedPanel = document.getElementById(selectedPanelId);
+    if (selectedPanel) {
+        selectedPanel.removeAttribute('hidden');
+        selectedPanel.classList.add('tabs__panel--active');
+        loadPanel(selectedPanel);
     }
-    
-    /**
-     * Activate a specific tab and its corresponding panel
-     */
-    function activateTab(selectedTab, allTabs, allPanels) {
-        const selectedPanelId = selectedTab.getAttribute('aria-controls');
-        
-        // Deactivate all tabs
-        allTabs.forEach(tab => {
-            tab.setAttribute('aria-selected', 'false');
-            tab.setAttribute('tabindex', '-1');
-            tab.classList.remove('tabs__button--active');
-        });
-        
-        // Hide all panels
-        allPanels.forEach(panel => {
-            panel.setAttribute('hidden', '');
-            panel.classList.remove('tabs__panel--active');
-        });
-        
-        // Activate selected tab
-        selectedTab.setAttribute('aria-selected', 'true');
-        selectedTab.setAttribute('tabindex', '0');
-        selectedTab.classList.add('tabs__button--active');
-        
-        // Show selected panel
-        const selectedPanel = document.getElementById(selectedPanelId);
-        if (selectedPanel) {
-            selectedPanel.removeAttribute('hidden');
-            selectedPanel.classList.add('tabs__panel--active');
+
+    if (options.updateHash && selectedPanelId) {
+        writeHash(container, selectedPanelId);
+    }
+
+    // Keep the selected tab in view when the tabs overflow
+    const tablist = getTablist(container);
+    if (tablist && tablist.scrollWidth > tablist.clientWidth) {
+        selectedTab.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    revealAncestors(container);
+
+    if (previousTab === selectedTab) return;
+
+    const firstActivation = !!selectedPanel && !activatedPanels.has(selectedPanel);
+    if (selectedPanel) {
+        activatedPanels.add(selectedPanel);
+    }
+
+    container.dispatchEvent(new CustomEvent('tabchange', {
+        bubbles: true,
+        detail: {
+            name: container.getAttribute('data-tabs') || null,
+            tabId: selectedTab.id || null,
+            panelId: selectedPanelId,
+            previousTabId: previousTab ? previousTab.id || null : null,
+            previousPanelId: previousTab ? previousTab.getAttribute('aria-controls') : null,
+            firstActivation
         }
+    }));
+}
+
+/**
+ * Close a closable tab and its panel, selecting a neighbour if it was selected
+ * Returns whether the tab was closed (a tabclose listener can cancel it).
+ */
+function closeTab(tab) {
+    const container = getContainer(tab);
+    if (!container || !tab.hasAttribute('data-tab-closable')) return false;
+
+    const panelId = tab.getAttribute('aria-controls');
+    const allowed = container.dispatchEvent(new CustomEvent('tabclose', {
+        bubbles: true,
+        cancelable: true,
+        detail: { name: container.getAttribute('data-tabs') || null, tabId: tab.id || null, panelId }
+    }));
+    if (!allowed) return false;
+
+    const tabs = getTabs(container);
+    const index = tabs.indexOf(tab);
+    const neighbour = tabs[index + 1] || tabs[index - 1] || null;
+    const wasSelected = tab.getAttribute('aria-selected') === 'true';
+    const hadFocus = tab.contains(document.activeElement);
+
+    // An interactive component removes the tab when it handles tabclose
+    if (!isInteractive(container)) {
+        tab.remove();
+        document.getElementById(panelId)?.remove();
     }
-    
-    /**
-     * Handle hash changes (browser back/forward)
-     */
-    function handleHashChange() {
-        const hash = window.location.hash;
-        if (!hash) return;
-        
-        const targetPanel = document.querySelector(hash);
-        if (!targetPanel || targetPanel.getAttribute('role') !== 'tabpanel') return;
-        
-        const container = targetPanel.closest('[data-tabs]');
-        if (!container) return;
-        
-        const tabs = container.querySelectorAll('[role="tab"]');
-        const panels = container.querySelectorAll('[role="tabpanel"]');
-        const targetTab = container.querySelector(`[aria-controls="${hash.substring(1)}"]`);
-        
-        if (targetTab) {
-            activateTab(targetTab, tabs, panels);
+
+    if (neighbour) {
+        if (wasSelected) {
+            activateTab(neighbour, { updateHash: true });
+        }
+        if (hadFocus) {
+            neighbour.focus();
         }
     }
-    
-    // Initialize on DOM ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initTabs);
-    } else {
-        initTabs();
-    }
-    
-    // Handle hash changes (back/forward navigation)
-    window.addEventListener('hashchange', handleHashChange);
-    
-    // Reinitialize after Blazor enhanced navigation
-    if (window.Blazor) {
-        window.Blazor.addEventListener('enhancednavigation', initTabs);
-    }
-    
-    // Expose API for manual initialization
-    window.DevQualX = window.DevQualX || {};
-    window.DevQualX.tabs = {
-        init: initTabs
+
+    updateOverflow(container);
+    return true;
+}
+
+/**
+ * Stored tab orders: { [tab set name]: panel ids }
+ */
+function getTabOrders() {
+    try {
+        const orders = JSON.parse(localStorage.getItem(ORDER_STORAGE_KEY) || '{}');
+        return orders && typeof orders === 'object' ? orders : {};
+    } catch (error) {
+        console.error('Failed to load tab order from localStorage:', error);
+        return {};
+    }
+}
+
+/**
+ * Replace the stored tab orders (e.g. synced from another device) and apply them
+ */
+function setTabOrders(orders) {
+    try {
+        localStorage.setItem(ORDER_STORAGE_KEY, JSON.stringify(orders || {}));
+    } catch (error) {
+        console.error('Failed to save tab order to localStorage:', error);
+    }
+    document.querySelectorAll('[data-tabs-reorderable]').forEach(applyOrder);
+}
+
+/**
+ * Put a reorderable tab set's tabs in their stored order (tabs not in it keep their place after)
+ */
+function applyOrder(container) {
+    const name = container.getAttribute('data-tabs');
+    const stored = name ? getTabOrders()[name] : null;
+    if (!Array.isArray(stored)) return;
+
+    const current = getOrder(container);
+    const rank = panelId => {
+        const index = stored.indexOf(panelId);
+        return index === -1 ? stored.length + current.indexOf(panelId) : index;
     };
-})();
+    const order = current.slice().sort((a, b) => rank(a) - rank(b));
+    if (order.join() === current.join()) return;
+
+    if (isInteractive(container)) {
+        container.dispatchEvent(new CustomEvent('tabreorder', { bubbles: true, detail: { name, order } }));
+    } else {
+        renderOrder(container, order);
+    }
+}
+
+/**
+ * Move a static tab set's tabs into an order
+ */
+function renderOrder(container, order) {
+    const tablist = getTablist(container);
+    if (!tablist) return;
+
+    getTabs(container)
+        .sort((a, b) => order.indexOf(a.getAttribute('aria-controls')) - order.indexOf(b.getAttribute('aria-controls')))
+        .forEach(tab => tablist.appendChild(tab));
+}
+
+/**
+ * Store a reorderable tab set's order and announce it (an interactive component renders it then)
+ */
+function saveOrder(container, order) {
+    const name = container.getAttribute('data-tabs');
+    if (!name) return;
+
+    const orders = getTabOrders();
+    orders[name] = order;
+    try {
+        localStorage.setItem(ORDER_STORAGE_KEY, JSON.stringify(orders));
+    } catch (error) {
+        console.error('Failed to save tab order to localStorage:', error);
+    }
+
+    container.dispatchEvent(new CustomEvent('tabreorder', { bubbles: true, detail: { name, order } }));
+    window.dispatchEvent(new CustomEvent('devqualx-tab-order-changed', { detail: { name, order } }));
+}
+
+/**
+ * Move a tab of a reorderable tab set to a position in its list
+ */
+function moveTab(tab, index) {
+    const container = getContainer(tab);
+    const tablist = container ? getTablist(container) : null;
+    if (!tablist || !container.hasAttribute('data-tabs-reorderable')) return false;
+
+    const others = getTabs(container).filter(other => other !== tab);
+    const target = Math.max(0, Math.min(index, others.length));
+    if (getTabs(container).indexOf(tab) === target) return false;
+
+    if (!isInteractive(container)) {
+        tablist.insertBefore(tab, others[target] || null);
+    }
+
+    const order = others.map(other => other.getAttribute('aria-controls'));
+    order.splice(target, 0, tab.getAttribute('aria-controls'));
+    saveOrder(container, order);
+    return true;
+}
+
+/**
+ * Where a dragged tab would land in an interactive tab set: its order after the drop
+ */
+function getDropOrder(state) {
+    const panelId = state.tab.getAttribute('aria-controls');
+    const order = getOrder(state.container).filter(id => id !== panelId);
+    if (!state.drop) return null;
+
+    const targetIndex = order.indexOf(state.drop.target.getAttribute('aria-controls'));
+    order.splice(state.drop.before ? targetIndex : targetIndex + 1, 0, panelId);
+    return order;
+}
+
+/**
+ * Mark where a dragged tab would land in an interactive tab set (or clear the mark)
+ */
+function showDropTarget(container, drop) {
+    getTabs(container).forEach(tab => {
+        tab.classList.toggle('tabs__button--drop-before', !!drop && drop.target === tab && drop.before);
+        tab.classList.toggle('tabs__button--drop-after', !!drop && drop.target === tab && !drop.before);
+    });
+}
+
+/**
+ * Show the scroll buttons of a horizontal tab set whose tabs don't fit
+ */
+function updateOverflow(container) {
+    if (!container) return;
+
+    const tablist = getTablist(container);
+    const buttons = Array.from(container.querySelectorAll('.tabs__scroll'))
+        .filter(button => getContainer(button) === container);
+    if (!tablist || buttons.length === 0) return;
+
+    const overflowing = !isVertical(container) && tablist.scrollWidth > tablist.clientWidth + 1;
+    buttons.forEach(button => {
+        const atEnd = button.classList.contains('tabs__scroll--prev')
+            ? tablist.scrollLeft <= 0
+            : tablist.scrollLeft + tablist.clientWidth >= tablist.scrollWidth - 1;
+        button.hidden = !overflowing || atEnd;
+    });
+}
+
+/**
+ * Wire up a tab set's scroll buttons and watch its size
+ */
+function initOverflow(container) {
+    const tablist = getTablist(container);
+    if (!tablist) return;
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.tabs__scroll');
+        if (!button || getContainer(button) !== container) return;
+
+        const direction = button.classList.contains('tabs__scroll--prev') ? -1 : 1;
+        tablist.scrollBy({ left: direction * tablist.clientWidth * SCROLL_STEP, behavior: 'smooth' });
+    });
+    tablist.addEventListener('scroll', () => updateOverflow(container), { passive: true });
+
+    if (resizeObserver) {
+        resizeObserver.observe(tablist);
+        overflowLists.add(tablist);
+    }
+    updateOverflow(container);
+}
+
+/**
+ * Wire up drag-and-drop reordering
+ */
+function initReorder(container) {
+    const tablist = getTablist(container);
+    if (!tablist) return;
+
+    applyOrder(container);
+    getTabs(container).forEach(tab => tab.setAttribute('draggable', 'true'));
+
+    tablist.addEventListener('dragstart', (e) => {
+        const tab = e.target.closest('[role="tab"]');
+        if (!tab || getContainer(tab) !== container) return;
+
+        dragState = { tab, container, order: getOrder(container).join(), drop: null };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', tab.id);
+        tab.classList.add('tabs__button--dragging');
+    });
+
+    tablist.addEventListener('dragover', (e) => {
+        if (!dragState || dragState.container !== container) return;
+        e.preventDefault();
+
+        const target = e.target.closest('[role="tab"]');
+        if (!target || target === dragState.tab || getContainer(target) !== container) return;
+
+        const rect = target.getBoundingClientRect();
+        const before = isVertical(container)
+            ? e.clientY < rect.top + rect.height / 2
+            : e.clientX < rect.left + rect.width / 2;
+
+        // Static tabs move as they are dragged; an interactive tab set only shows where the tab would land
+        if (isInteractive(container)) {
+            dragState.drop = { target, before };
+            showDropTarget(container, dragState.drop);
+        } else {
+            tablist.insertBefore(dragState.tab, before ? target : target.nextSibling);
+        }
+    });
+
+    tablist.addEventListener('drop', (e) => {
+        if (dragState && dragState.container === container) {
+            e.preventDefault();
+        }
+    });
+
+    tablist.addEventListener('dragend', () => {
+        if (!dragState || dragState.container !== container) return;
+
+        dragState.tab.classList.remove('tabs__button--dragging');
+        showDropTarget(container, null);
+
+        const order = isInteractive(container) ? getDropOrder(dragState) : getOrder(container);
+        if (order && order.join() !== dragState.order) {
+            saveOrder(container, order);
+        }
+        dragState = null;
+    });
+}
+
+/**
+ * Select the panels named in the hash within one tab set
+ */
+function applyHash(container) {
+    const { selections, panelId } = readHash();
+    const name = container.getAttribute('data-tabs');
+    const targetPanelId = (name && selections.get(name)) || panelId;
+    if (!targetPanelId) return;
+
+    const targetTab = getTabForPanel(container, targetPanelId);
+    if (targetTab && targetTab.getAttribute('aria-selected') !== 'true') {
+        activateTab(targetTab);
+    }
+}
+
+/**
+ * Enhance one tab set
+ */
+function initContainer(container) {
+    const tabs = getTabs(container);
+    const panels = getPanels(container);
+
+    if (tabs.length === 0 || panels.length === 0) return;
+
+    initializedContainers.add(container);
+    container.setAttribute('data-tabs-enhanced', '');
+
+    // Panels rendered as active count as shown; a lazy one still needs its content
+    panels.filter(panel => !panel.hasAttribute('hidden')).forEach(panel => {
+        activatedPanels.add(panel);
+        loadPanel(panel);
+    });
+
+    // Activate tab based on URL hash on page load
+    applyHash(container);
+
+    // Click event handlers (tabs added later are handled too)
+    container.addEventListener('click', (e) => {
+        const tab = e.target.closest('[role="tab"]');
+        if (!tab || getContainer(tab) !== container) return;
+
+        e.preventDefault();
+        if (e.target.closest('[data-tab-close]')) {
+            closeTab(tab);
+        } else {
+            activateTab(tab, { updateHash: true });
+        }
+    });
+
+    // Keyboard navigation
+    const tablist = getTablist(container);
+    tablist?.addEventListener('keydown', (e) => {
+        const currentTab = document.activeElement;
+
+        // Only handle keyboard if focus is on a tab; modified keys are shortcuts (see below)
+        if (!currentTab.matches('[role="tab"]') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const tabsArray = getTabs(container);
+        const currentIndex = tabsArray.indexOf(currentTab);
+        const vertical = isVertical(container);
+        const previousKey = vertical ? 'ArrowUp' : 'ArrowLeft';
+        const nextKey = vertical ? 'ArrowDown' : 'ArrowRight';
+        let targetTab = null;
+
+        switch (e.key) {
+            case previousKey:
+                e.preventDefault();
+                targetTab = tabsArray[currentIndex - 1] || tabsArray[tabsArray.length - 1];
+                break;
+            case nextKey:
+                e.preventDefault();
+                targetTab = tabsArray[currentIndex + 1] || tabsArray[0];
+                break;
+            case 'Home':
+                e.preventDefault();
+                targetTab = tabsArray[0];
+                break;
+            case 'End':
+                e.preventDefault();
+                targetTab = tabsArray[tabsArray.length - 1];
+                break;
+            default:
+                return;
+        }
+
+        if (targetTab) {
+            activateTab(targetTab, { updateHash: true });
+            targetTab.focus();
+        }
+    });
+
+    if (container.hasAttribute('data-tabs-reorderable')) {
+        initReorder(container);
+    }
+    initOverflow(container);
+}
+
+/**
+ * Restore what enhanced navigation took back from a static tab set it patched: the markers the
+ * script adds, the stored order and the selection in the hash
+ */
+function refreshContainer(container) {
+    container.setAttribute('data-tabs-enhanced', '');
+
+    if (container.hasAttribute('data-tabs-reorderable')) {
+        getTabs(container).forEach(tab => tab.setAttribute('draggable', 'true'));
+        applyOrder(container);
+    }
+    applyHash(container);
+    updateOverflow(container);
+}
+
+/**
+ * Initialize tabs functionality
+ * Safe to call again: tab sets that are already enhanced are only refreshed.
+ */
+function initTabs() {
+    const tabContainers = document.querySelectorAll('[data-tabs]');
+
+    // Stop watching tab lists that enhanced navigation removed
+    overflowLists.forEach(list => {
+        if (!list.isConnected) {
+            resizeObserver.unobserve(list);
+            overflowLists.delete(list);
+        }
+    });
+
+    tabContainers.forEach(container => {
+        if (!initializedContainers.has(container)) {
+            initContainer(container);
+        } else if (!isInteractive(container)) {
+            refreshContainer(container);
+        }
+    });
+}
+
+/**
+ * Handle hash changes (browser back/forward)
+ */
+function handleHashChange() {
+    document.querySelectorAll('[data-tabs]').forEach(applyHash);
+}
+
+/**
+ * Select a tab from script, by tab or panel element or id
+ */
+function activate(target) {
+    const element = typeof target === 'string' ? document.getElementById(target) : target;
+    if (!element) return false;
+
+    const tab = element.getAttribute('role') === 'tabpanel'
+        ? getTabForPanel(getContainer(element), element.id)
+        : element;
+    if (!tab || tab.getAttribute('role') !== 'tab') return false;
+
+    activateTab(tab, { updateHash: true });
+    return true;
+}
+
+/**
+ * Move the focused tab one place along its tab list, for the arrow key that matches the orientation
+ * (returning false leaves the other arrow key alone)
+ */
+function moveFocusedTab(e, step) {
+    const tab = e.target.closest('[role="tab"]');
+    const container = tab ? getContainer(tab) : null;
+    if (!container?.hasAttribute('data-tabs-reorderable')) return false;
+
+    const vertical = isVertical(container);
+    if (e.key !== (vertical ? (step < 0 ? 'ArrowUp' : 'ArrowDown') : (step < 0 ? 'ArrowLeft' : 'ArrowRight'))) {
+        return false;
+    }
+
+    moveTab(tab, getTabs(container).indexOf(tab) + step);
+    tab.focus();
+}
+
+// Apply while focus is in a tab list (data-shortcut-scope="tabs")
+registerShortcut([
+    {
+        id: 'tabs.close',
+        keys: 'delete',
+        description: 'Close the tab',
+        group: 'Tabs',
+        scope: 'tabs',
+        run: (e) => {
+            const tab = e.target.closest('[role="tab"]');
+            if (!tab?.hasAttribute('data-tab-closable')) return false;
+            closeTab(tab);
+        }
+    },
+    {
+        id: 'tabs.move-back',
+        keys: ['ctrl+shift+arrowleft', 'ctrl+shift+arrowup'],
+        description: 'Move the tab back',
+        group: 'Tabs',
+        scope: 'tabs',
+        run: (e) => moveFocusedTab(e, -1)
+    },
+    {
+        id: 'tabs.move-forward',
+        keys: ['ctrl+shift+arrowright', 'ctrl+shift+arrowdown'],
+        description: 'Move the tab forward',
+        group: 'Tabs',
+        scope: 'tabs',
+        run: (e) => moveFocusedTab(e, 1)
+    }
+]);
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initTabs);
+} else {
+    initTabs();
+}
+
+// Handle hash changes (back/forward navigation)
+window.addEventListener('hashchange', handleHashChange);
+
+if (window.Blazor) {
+    // Enhance tab sets added by enhanced navigation
+    window.Blazor.addEventListener('enhancedload', initTabs);
+
+    // Lets interactive components handle @ontabchange, @ontabclose and @ontabreorder
+    ['tabchange', 'tabclose', 'tabreorder'].forEach(type => window.Blazor.registerCustomEventType?.(type, {
+        createEventArgs: e => ({ ...e.detail })
+    }));
+}
+
+// ES module API
+export {
+    initTabs as init,
+    activate,
+    closeTab as close,
+    moveTab as move,
+    getTabOrders,
+    setTabOrders
+};
+
+// Global API for manual initialization (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.tabs = api;
@@ -0,0 +1,81 @@
+/**
+ * Theme bootstrap
+ *
+ * Classic (render-blocking) script loaded in <head> that applies the stored theme
+ * before first paint. The theme.js module takes over once the page has parsed.
+ *
+ * Registered themes live in theme.js, so the tokens come from the theme it applied
+ * last (cached in localStorage). Without a matching cache only the built-in light and
+ * dark schemes are applied.
+ *
+ * When the page names a preferences scope (signed in, organization selected), the theme
+ * synced for that organization by preferences.js takes precedence over the device's.
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'devqualx-theme';
+    const APPLIED_STORAGE_KEY = 'devqualx-theme-applied';
+    const PREFERENCES_STORAGE_PREFIX = 'devqualx-preferences';
+
+    let theme = 'system';
+    let applied = null;
+    try {
+        theme = localStorage.getItem(STORAGE_KEY) || 'system';
+        
+        const scope = document.querySelector('meta[name="devqualx-preferences-scope"]');
+        if (scope) {
+            const preferences = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_PREFIX + ':' + scope.getAttribute('content')) || 'null');
+            if (preferences && preferences.sections && preferences.sections.theme) {
+                theme = preferences.sections.theme.value || theme;
+            }
+        }
+        
+        applied = JSON.parse(localStorage.getItem(APPLIED_STORAGE_KEY) || 'null');
+    } catch (error) {
+        // Storage disabled or cache unreadable: fall back to the system preference
+    }
+
+    const forcedColors = window.matchMedia('(forced-colors: active)').matches;
+    const scheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+
+    // Resolve 'system' the way theme.js does
+    if (theme === 'system') {
+        theme = window.matchMedia('(prefers-contrast: more)').matches && !forcedColors ? 'high-contrast' : scheme;
+    }
+
+    const root = document.documentElement;
+
+    // The server renders the theme from the cookie theme.js writes; replace it if it's stale
+    root.classList.remove('light', 'dark');
+
+    if (applied && applied.name === theme) {
+        root.classList.add(applied.scheme);
+        root.setAttribute('data-theme', theme);
+        root.style.setProperty('color-scheme', applied.scheme);
+        if (!forcedColors) {
+            Object.keys(applied.tokens || {}).forEach(function(property) {
+                root.style.setProperty(property, applied.tokens[property]);
+            });
+        }
+        setThemeColor(applied.themeColor);
+        return;
+    }
+
+    if (theme !== 'light' && theme !== 'dark') {
+        theme = scheme;
+    }
+
+    root.classList.add(theme);
+    root.setAttribute('data-theme', theme);
+    root.style.setProperty('color-scheme', theme);
+    setThemeColor(theme === 'dark' ? '#1f2937' : '#ffffff');
+
+    function setThemeColor(color) {
+        const meta = document.createElement('meta');
+        meta.setAttribute('name', 'theme-color');
+        meta.setAttribute('content', color || '#ffffff');
+        document.head.appendChild(meta);
+    }
+})();
@@ -0,0 +1,54 @@
+/**
+ * Type declarations for theme.js
+ *
+ * The module's named exports; window.DevQualX.theme exposes the same members, plus the older
+ * get/set/getEffective/register/unregister/list names.
+ */
+
+/** A registered theme name, or 'system' to follow the OS preferences */
+export type Theme = string;
+export type ColorScheme = 'light' | 'dark';
+
+export const THEMES: {
+    readonly LIGHT: 'light';
+    readonly DARK: 'dark';
+    readonly DIMMED: 'dimmed';
+    readonly HIGH_CONTRAST: 'high-contrast';
+    readonly SYSTEM: 'system';
+};
+
+export interface ThemeDefinition {
+    label?: string;
+    /** Base color scheme; defaults to 'light' */
+    scheme?: ColorScheme;
+    /** Meta theme-color; defaults to the computed --color-background */
+    themeColor?: string;
+    /** 'more' marks a theme meant for prefers-contrast: more */
+    contrast?: 'more';
+    /** CSS custom-property overrides, e.g. { '--color-primary': '#0f766e' } */
+    tokens?: Record<string, string>;
+}
+
+export interface ThemeOption {
+    name: Theme;
+    label: string;
+    /** null for 'system' */
+    scheme: ColorScheme | null;
+    contrast: 'more' | null;
+}
+
+/** Stored preference, 'system' when none (or an unregistered theme) is stored */
+export function getTheme(): Theme;
+/** Store and apply a registered theme or 'system'; dispatches 'themechange' on window */
+export function setTheme(theme: Theme): void;
+/**
+ * Resolve a theme ('system' follows prefers-contrast and prefers-color-scheme);
+ * defaults to the stored theme
+ */
+export function getEffectiveTheme(theme?: Theme): Theme;
+/** Register or replace a theme; dispatches 'themeregistrychange' on window */
+export function registerTheme(name: string, definition?: ThemeDefinition): boolean;
+/** Remove a theme (not light or dark); dispatches 'themeregistrychange' on window */
+export function unregisterTheme(name: string): boolean;
+/** Themes to offer in a picker, 'system' first */
+export function getThemes(): ThemeOption[];
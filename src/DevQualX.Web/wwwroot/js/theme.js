@@ -1,122 +1,413 @@
 /**
  * Theme Switcher
- * 
- * Manages light/dark/system theme preferences:
+ *
+ * Manages theme preferences:
+ * - Theme registry: named themes are sets of CSS custom-property overrides on top of
+ *   styles/core/variables.css (light, dark, dimmed and high-contrast are built in)
  * - Reads theme from localStorage
- * - Applies theme to document
- * - Listens for system preference changes
- * - Provides API for theme switching
- */
-
-(function() {
-    'use strict';
-    
-    const STORAGE_KEY = 'devqualx-theme';
-    const THEMES = {
-        LIGHT: 'light',
-        DARK: 'dark',
-        SYSTEM: 'system'
-    };
-    
-    /**
-     * Get the current theme from localStorage or default to system
-     */
-    function getStoredTheme() {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        return stored && Object.values(THEMES).includes(stored) ? stored : THEMES.SYSTEM;
-    }
-    
-    /**
-     * Get the system theme preference
-     */
-    function getSystemTheme() {
-        return window.matchMedia('(prefers-color-scheme: dark)').matches ? THEMES.DARK : THEMES.LIGHT;
-    }
-    
-    /**
-     * Get the effective theme (resolves 'system' to actual theme)
-     */
-    function getEffectiveTheme(theme) {
-        return theme === THEMES.SYSTEM ? getSystemTheme() : theme;
-    }
-    
-    /**
-     * Apply theme to document
-     */
-    function applyTheme(theme) {
-        const effectiveTheme = getEffectiveTheme(theme);
-        
-        // Update document class
-        document.documentElement.classList.remove(THEMES.LIGHT, THEMES.DARK);
-        document.documentElement.classList.add(effectiveTheme);
-        
-        // Update data attribute for CSS targeting
-        document.documentElement.setAttribute('data-theme', effectiveTheme);
-        
-        // Update meta theme-color for mobile browsers
-        const metaThemeColor = document.querySelector('meta[name="theme-color"]');
-        if (metaThemeColor) {
-            metaThemeColor.setAttribute('content', effectiveTheme === THEMES.DARK ? '#1f2937' : '#ffffff');
-        }
+ * - Applies theme tokens, color scheme and meta theme-color to the document
+ * - Mirrors the theme into a cookie so the server renders the right data-theme on <html>
+ * - Listens for system preference changes (color scheme, contrast, forced colors)
+ * - Animates theme switches with the View Transitions API where available
+ * - Provides API for theme switching (ES module, plus the window.DevQualX.theme facade)
+ * - Adds theme actions to the command palette (commands.js)
+ *
+ * Modules run after parsing, so theme-init.js applies the stored theme before first paint.
+ * The last applied theme is cached in localStorage so that it can do so for themes
+ * registered at runtime too.
+ */
+
+import { register as registerCommand } from './commands.js';
+import * as api from './theme.js';
+
+const STORAGE_KEY = 'devqualx-theme';
+const APPLIED_STORAGE_KEY = 'devqualx-theme-applied';
+const PREFERENCES_STORAGE_PREFIX = 'devqualx-preferences';
+const COOKIE_NAME = 'devqualx-theme'; // Read by ThemeHintService
+const COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+const SWITCHING_CLASS = 'theme-switching';
+const THEMES = {
+    LIGHT: 'light',
+    DARK: 'dark',
+    DIMMED: 'dimmed',
+    HIGH_CONTRAST: 'high-contrast',
+    SYSTEM: 'system'
+};
+const SCHEMES = ['light', 'dark'];
+
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+const forcedColorsQuery = window.matchMedia('(forced-colors: active)');
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// Registered themes by name, in registration order
+const themes = new Map();
+let initialized = false;
+
+/**
+ * Register a named theme, replacing any theme with the same name.
+ * definition: { label, scheme: 'light' | 'dark', themeColor?, contrast?: 'more', tokens? }
+ * tokens maps CSS custom properties ('--color-primary') to values.
+ */
+function registerTheme(name, definition = {}) {
+    if (typeof name !== 'string' || !name || name === THEMES.SYSTEM) {
+        console.error(`Invalid theme name: ${name}`);
+        return false;
     }
-    
-    /**
-     * Set theme preference
-     */
-    function setTheme(theme) {
-        if (!Object.values(THEMES).includes(theme)) {
-            console.error(`Invalid theme: ${theme}`);
-            return;
+
+    const tokens = {};
+    for (const [property, value] of Object.entries(definition.tokens || {})) {
+        if (!property.startsWith('--')) {
+            console.error(`Invalid token for theme ${name}: ${property} is not a custom property`);
+            return false;
         }
-        
-        localStorage.setItem(STORAGE_KEY, theme);
-        applyTheme(theme);
-        
-        // Dispatch custom event for UI updates
-        window.dispatchEvent(new CustomEvent('themechange', { 
-            detail: { 
-                theme, 
-                effectiveTheme: getEffectiveTheme(theme) 
-            } 
+        tokens[property] = String(value);
+    }
+
+    themes.set(name, {
+        name,
+        label: definition.label || name,
+        scheme: SCHEMES.includes(definition.scheme) ? definition.scheme : THEMES.LIGHT,
+        themeColor: definition.themeColor || null,
+        contrast: definition.contrast === 'more' ? 'more' : null,
+        tokens
+    });
+
+    // Re-apply when the current theme changed, or was stored before it was registered
+    if (initialized && (getEffectiveTheme() === name || localStorage.getItem(STORAGE_KEY) === name)) {
+        applyTheme(getStoredTheme());
+    }
+    dispatchRegistryChange();
+    return true;
+}
+
+/**
+ * Remove a registered theme. Built-in light and dark themes can't be removed.
+ */
+function unregisterTheme(name) {
+    if (name === THEMES.LIGHT || name === THEMES.DARK || !themes.delete(name)) {
+        return false;
+    }
+
+    if (localStorage.getItem(STORAGE_KEY) === name) {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+    applyTheme(getStoredTheme());
+    dispatchRegistryChange();
+    return true;
+}
+
+/**
+ * List the themes the user can pick, 'system' first
+ */
+function getThemes() {
+    return [
+        { name: THEMES.SYSTEM, label: 'System', scheme: null, contrast: null },
+        ...Array.from(themes.values(), ({ name, label, scheme, contrast }) => ({ name, label, scheme, contrast }))
+    ];
+}
+
+/**
+ * Get the current theme from localStorage or default to system
+ */
+function getStoredTheme() {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored && themes.has(stored) ? stored : THEMES.SYSTEM;
+}
+
+/**
+ * Get the system theme preference (high contrast when the user asks for more contrast)
+ */
+function getSystemTheme() {
+    if (contrastQuery.matches && !forcedColorsQuery.matches && themes.has(THEMES.HIGH_CONTRAST)) {
+        return THEMES.HIGH_CONTRAST;
+    }
+    return colorSchemeQuery.matches ? THEMES.DARK : THEMES.LIGHT;
+}
+
+/**
+ * Get the effective theme (resolves 'system' to actual theme), for the stored theme by default
+ */
+function getEffectiveTheme(theme = getStoredTheme()) {
+    return theme === THEMES.SYSTEM || !themes.has(theme) ? getSystemTheme() : theme;
+}
+
+/**
+ * Apply theme to document
+ */
+function applyTheme(theme) {
+    const effectiveTheme = getEffectiveTheme(theme);
+    const definition = themes.get(effectiveTheme);
+    const root = document.documentElement;
+
+    // Update document class (the color scheme, so .dark rules apply to dark custom themes)
+    root.classList.remove(...SCHEMES);
+    root.classList.add(definition.scheme);
+
+    // Update data attribute for CSS targeting
+    root.setAttribute('data-theme', effectiveTheme);
+
+    // Forced colors replace the palette, so only the scheme is applied
+    const tokens = forcedColorsQuery.matches ? {} : definition.tokens;
+    applyTokens(tokens, definition.scheme);
+
+    // Update meta theme-color for mobile browsers
+    const themeColor = definition.themeColor || getComputedStyle(root).getPropertyValue('--color-background').trim();
+    setMetaThemeColor(themeColor);
+
+    writeThemeCookie(theme, effectiveTheme, definition.scheme);
+
+    try {
+        localStorage.setItem(APPLIED_STORAGE_KEY, JSON.stringify({
+            name: effectiveTheme,
+            scheme: definition.scheme,
+            themeColor,
+            tokens
         }));
+    } catch (error) {
+        // Storage full or disabled: theme-init.js falls back to the built-in themes
+    }
+}
+
+/**
+ * Replace the custom properties set on the root element by the previous theme
+ */
+function applyTokens(tokens, scheme) {
+    const style = document.documentElement.style;
+
+    for (const property of Array.from(style)) {
+        if (property.startsWith('--')) {
+            style.removeProperty(property);
+        }
+    }
+    for (const [property, value] of Object.entries(tokens)) {
+        style.setProperty(property, value);
+    }
+    style.setProperty('color-scheme', scheme);
+}
+
+/**
+ * Mirror the theme into a cookie ("preference:effective:scheme") for server rendering
+ */
+function writeThemeCookie(theme, effectiveTheme, scheme) {
+    const value = `${theme}:${effectiveTheme}:${scheme}`;
+    const secure = window.location.protocol === 'https:' ? '; secure' : '';
+
+    // The server only accepts simple names; for anything else let theme-init.js decide alone
+    if (!/^[a-z0-9-]+:[a-z0-9-]+:(light|dark)$/.test(value)) {
+        document.cookie = `${COOKIE_NAME}=; path=/; max-age=0; samesite=lax${secure}`;
+        return;
+    }
+    document.cookie = `${COOKIE_NAME}=${value}; path=/; max-age=${COOKIE_MAX_AGE_SECONDS}; samesite=lax${secure}`;
+}
+
+/**
+ * Run a theme update as a single visual change
+ * Color transitions are suspended while the theme swaps, so components don't fade at
+ * different speeds; where supported, a view transition cross-fades the whole page instead.
+ */
+function transitionTheme(update) {
+    const root = document.documentElement;
+    root.classList.add(SWITCHING_CLASS);
+
+    if (!document.startViewTransition || reducedMotionQuery.matches) {
+        update();
+        // Two frames: the new colors must be painted before transitions come back
+        requestAnimationFrame(() => requestAnimationFrame(() => root.classList.remove(SWITCHING_CLASS)));
+        return;
+    }
+
+    const transition = document.startViewTransition(update);
+    transition.finished.finally(() => root.classList.remove(SWITCHING_CLASS));
+}
+
+/**
+ * Set the meta theme-color, creating the element if the page has none
+ */
+function setMetaThemeColor(color) {
+    let meta = document.querySelector('meta[name="theme-color"]');
+    if (!meta) {
+        meta = document.createElement('meta');
+        meta.setAttribute('name', 'theme-color');
+        document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', color || '#ffffff');
+}
+
+/**
+ * Set theme preference
+ */
+function setTheme(theme) {
+    if (theme !== THEMES.SYSTEM && !themes.has(theme)) {
+        console.error(`Invalid theme: ${theme}`);
+        return;
+    }
+
+    localStorage.setItem(STORAGE_KEY, theme);
+    transitionTheme(() => applyTheme(theme));
+    dispatchThemeChange(theme);
+}
+
+/**
+ * Dispatch custom event for UI updates
+ */
+function dispatchThemeChange(theme) {
+    window.dispatchEvent(new CustomEvent('themechange', {
+        detail: {
+            theme,
+            effectiveTheme: getEffectiveTheme(theme)
+        }
+    }));
+}
+
+/**
+ * Let theme pickers refresh their list
+ */
+function dispatchRegistryChange() {
+    window.dispatchEvent(new CustomEvent('themeregistrychange', {
+        detail: { themes: getThemes() }
+    }));
+}
+
+/**
+ * Re-apply when a system preference changes and the user follows the system
+ */
+function handleSystemChange() {
+    const currentTheme = getStoredTheme();
+    transitionTheme(() => applyTheme(currentTheme));
+    if (currentTheme === THEMES.SYSTEM) {
+        dispatchThemeChange(THEMES.SYSTEM);
     }
-    
-    /**
-     * Initialize theme on page load
-     */
-    function initTheme() {
-        const theme = getStoredTheme();
-        applyTheme(theme);
-        
-        // Listen for system theme changes
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            const currentTheme = getStoredTheme();
-            if (currentTheme === THEMES.SYSTEM) {
-                applyTheme(THEMES.SYSTEM);
-                window.dispatchEvent(new CustomEvent('themechange', { 
-                    detail: { 
-                        theme: THEMES.SYSTEM, 
-                        effectiveTheme: e.matches ? THEMES.DARK : THEMES.LIGHT 
-                    } 
-                }));
-            }
-        });
-    }
-    
-    // Initialize immediately (before DOM ready) to prevent flash
-    initTheme();
-    
-    // Reinitialize after Blazor enhanced navigation
+}
+
+/**
+ * Theme synced for the page's organization by preferences.js (applied by theme-init.js too),
+ * or null when the page has no preferences scope
+ */
+function getScopedTheme() {
+    const scope = document.querySelector('meta[name="devqualx-preferences-scope"]');
+    if (!scope) return null;
+
+    try {
+        const preferences = JSON.parse(localStorage.getItem(`${PREFERENCES_STORAGE_PREFIX}:${scope.getAttribute('content')}`) || 'null');
+        return preferences && preferences.sections && preferences.sections.theme ? preferences.sections.theme.value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Apply the stored theme to the document
+ */
+function refreshTheme() {
+    // After switching organization, follow its synced theme rather than undoing what theme-init.js applied
+    const scopedTheme = getScopedTheme();
+    if (scopedTheme && scopedTheme !== localStorage.getItem(STORAGE_KEY)) {
+        localStorage.setItem(STORAGE_KEY, scopedTheme);
+    }
+
+    // A stored theme that isn't registered yet keeps what theme-init.js applied
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored || stored === THEMES.SYSTEM || themes.has(stored)) {
+        applyTheme(getStoredTheme());
+    }
+}
+
+/**
+ * Initialize theme on page load (once per document)
+ */
+function initTheme() {
+    if (initialized) return;
+    initialized = true;
+
+    refreshTheme();
+
+    // Listen for system theme changes
+    colorSchemeQuery.addEventListener('change', handleSystemChange);
+    contrastQuery.addEventListener('change', handleSystemChange);
+    forcedColorsQuery.addEventListener('change', handleSystemChange);
+
+    // Enhanced navigation patches <html> from the server's render, so re-apply the theme
     if (window.Blazor) {
-        window.Blazor.addEventListener('enhancednavigation', initTheme);
-    }
-    
-    // Expose API
-    window.DevQualX = window.DevQualX || {};
-    window.DevQualX.theme = {
-        get: getStoredTheme,
-        set: setTheme,
-        getEffective: () => getEffectiveTheme(getStoredTheme()),
-        THEMES
-    };
-})();
+        window.Blazor.addEventListener('enhancednavigation', refreshTheme);
+    }
+}
+
+// Built-in themes; light and dark use the variables.css values as they are
+registerTheme(THEMES.LIGHT, { label: 'Light', scheme: 'light', themeColor: '#ffffff' });
+registerTheme(THEMES.DARK, { label: 'Dark', scheme: 'dark', themeColor: '#1f2937' });
+registerTheme(THEMES.DIMMED, {
+    label: 'Dimmed',
+    scheme: 'dark',
+    themeColor: '#22272e',
+    tokens: {
+        '--color-text': '#adbac7',
+        '--color-text-muted': '#768390',
+        '--color-text-light': '#636e7b',
+        '--color-background': '#22272e',
+        '--color-background-alt': '#2d333b',
+        '--color-border': '#444c56',
+        '--color-border-light': '#373e47'
+    }
+});
+registerTheme(THEMES.HIGH_CONTRAST, {
+    label: 'High contrast',
+    scheme: 'light',
+    themeColor: '#ffffff',
+    contrast: 'more',
+    tokens: {
+        '--color-primary': '#3730a3',
+        '--color-primary-hover': '#312e81',
+        '--color-primary-active': '#1e1b4b',
+        '--color-text': '#000000',
+        '--color-text-muted': '#1f2937',
+        '--color-text-light': '#374151',
+        '--color-background': '#ffffff',
+        '--color-background-alt': '#ffffff',
+        '--color-border': '#000000',
+        '--color-border-light': '#374151'
+    }
+});
+
+// Initialize immediately (theme-init.js has already applied the theme to prevent a flash)
+initTheme();
+
+registerCommand([
+    {
+        id: 'theme.toggle-dark',
+        title: 'Toggle dark theme',
+        keywords: ['dark mode', 'light', 'appearance'],
+        run: () => setTheme(themes.get(getEffectiveTheme())?.scheme === 'dark' ? THEMES.LIGHT : THEMES.DARK)
+    },
+    {
+        id: 'theme.system',
+        title: 'Use system theme',
+        keywords: ['appearance', 'automatic'],
+        when: () => getStoredTheme() !== THEMES.SYSTEM,
+        run: () => setTheme(THEMES.SYSTEM)
+    }
+]);
+
+// ES module API
+export {
+    getStoredTheme as getTheme,
+    setTheme,
+    getEffectiveTheme,
+    registerTheme,
+    unregisterTheme,
+    getThemes,
+    THEMES
+};
+
+// Global API (kept for scripts that predate the module): the module's exports, plus the names
+// those scripts use
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.theme = {
+    ...api,
+    get: getStoredTheme,
+    set: setTheme,
+    getEffective: () => getEffectiveTheme(),
+    register: registerTheme,
+    unregister: unregisterTheme,
+    list: getThemes
+};
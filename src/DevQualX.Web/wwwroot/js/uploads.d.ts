@@ -0,0 +1,80 @@
+/**
+ * Type declarations for uploads.js
+ *
+ * The module's named exports; window.DevQualX.uploads exposes the same members.
+ */
+
+export const STATUS: {
+    QUEUED: 'queued';
+    HASHING: 'hashing';
+    UPLOADING: 'uploading';
+    VERIFYING: 'verifying';
+    DONE: 'done';
+    /** Already uploaded, or the same content is uploading already */
+    DUPLICATE: 'duplicate';
+    FAILED: 'failed';
+    CANCELLED: 'cancelled';
+};
+
+export type UploadStatus = typeof STATUS[keyof typeof STATUS];
+
+export interface UploadDestination {
+    organisation: string;
+    project: string;
+}
+
+export interface UploadedReport {
+    organisation: string;
+    project: string;
+    fileName: string;
+    fileSizeBytes: number;
+    /** SHA-256 of the stored content, as hex */
+    checksum: string;
+    /** ISO 8601 */
+    uploadedAt: string;
+}
+
+export interface Upload {
+    id: string;
+    fileName: string;
+    size: number;
+    organisation: string;
+    project: string;
+    /** SHA-256 of the content as lowercase hex, once hashed */
+    sha256: string | null;
+    status: UploadStatus;
+    /** Share of the file the server has (0-100) */
+    percent: number;
+    report: UploadedReport | null;
+    error: string | null;
+}
+
+/** An unfinished upload kept in localStorage; choosing the same file again continues it */
+export interface PendingUpload {
+    key: string;
+    uploadId: string;
+    fileName: string;
+    size: number;
+    /** The file's lastModified; a file chosen again with the same name, size and time reuses the hash */
+    lastModified: number;
+    /** SHA-256 of the content as lowercase hex */
+    sha256: string;
+    organisation: string;
+    project: string;
+    bytesSent: number;
+    notificationId: string;
+    startedAt: number;
+    heartbeatAt: number;
+}
+
+/** Upload files, each with its own progress toast; resolves (never rejects) once all have finished */
+export function uploadFiles(files: FileList | File[], destination: UploadDestination): Promise<Upload[]>;
+/** Cancel an upload, as its toast's cancel button does */
+export function cancel(id: string): void;
+/** Uploads running or queued in this page */
+export function getUploads(): Upload[];
+/** Unfinished uploads, newest first */
+export function getPending(): PendingUpload[];
+export function forgetPending(key: string): void;
+/** SHA-256 of a file's content as lowercase hex, read a slice at a time; onProgress gets the percentage hashed */
+export function hashFile(file: Blob, onProgress?: ((percent: number) => void) | null, signal?: AbortSignal | null): Promise<string>;
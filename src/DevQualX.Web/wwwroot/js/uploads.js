@@ -0,0 +1,885 @@
+/**
+ * Report Uploads
+ *
+ * Resumable, chunked uploads of report files to the selected organization (ReportUploadEndpoints).
+ * [data-upload-zone] elements (ReportUploadZone.razor) take files dropped on them or chosen with
+ * their file input, several at once, or scripts call uploadFiles(files, { organisation, project }).
+ *
+ * Each file is:
+ * 1. hashed (SHA-256, a slice at a time so the file is never read into memory whole). The hash
+ *    identifies the file: starting it again resumes the server's session, and the server reports a
+ *    duplicate when it was already uploaded. The same file chosen twice while the first is still
+ *    going is skipped without asking the server. An unfinished upload keeps its hash, so resuming
+ *    the unchanged file doesn't read it again.
+ * 2. sent in chunks, skipping the ones the server already has. A failed chunk is retried with
+ *    exponential backoff; while the connection is down (connectivity.js) the upload waits for it
+ *    to come back without using up attempts.
+ * 3. completed: the server assembles the chunks and checks them against the hash.
+ *
+ * Every upload shows as a progress toast (notifications.showProgress) whose cancel button stops it.
+ * Unfinished uploads are kept in localStorage and listed in the zone after a reload; browsers
+ * don't keep access to files across reloads, so choosing the same file again continues it.
+ */
+
+import { STATUS as CONNECTIVITY_STATUS, isOnline, subscribe, checkNow } from './connectivity.js';
+import {
+    show,
+    showProgress,
+    setProgress,
+    completeProgress,
+    cancelProgress,
+    getSignal,
+    getById,
+    ready as notificationsReady,
+    LEVELS,
+    TYPES,
+    OUTCOMES
+} from './notifications.js';
+import * as api from './uploads.js';
+
+const ENDPOINT = '/api/report-uploads';
+const PENDING_STORAGE_KEY = 'devqualx-pending-uploads';
+const PENDING_MAX_AGE_MS = 24 * 60 * 60 * 1000; // The server discards uploads idle for a day
+const HEARTBEAT_MS = 5000;
+const STALE_AFTER_MS = 15000; // An unfinished upload without a heartbeat this long is no longer running in any tab
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // UploadReport.MaxFileSizeBytes
+const HASH_SLICE_SIZE = 4 * 1024 * 1024;
+const MAX_CONCURRENT_UPLOADS = 2;
+const MAX_ATTEMPTS = 5; // Per request; time spent offline doesn't count
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+const MAX_RESTARTS = 2; // Sessions that expired, lost chunks or failed verification
+const STEPS = ['Hashing', 'Uploading', 'Verifying'];
+
+// UploadReport's allowed content types, by extension for files the browser gives no (or another) type
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    zip: 'application/zip',
+    json: 'application/json',
+    txt: 'text/plain',
+    log: 'text/plain',
+    csv: 'text/csv'
+};
+const ALLOWED_CONTENT_TYPES = new Set([...Object.values(CONTENT_TYPES), 'application/x-zip-compressed']);
+
+const STATUS = {
+    QUEUED: 'queued',
+    HASHING: 'hashing',
+    UPLOADING: 'uploading',
+    VERIFYING: 'verifying',
+    DONE: 'done',
+    DUPLICATE: 'duplicate',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+const FINISHED = new Set([STATUS.DONE, STATUS.DUPLICATE, STATUS.FAILED, STATUS.CANCELLED]);
+
+let uploads = new Map(); // Upload ID -> upload in this page
+let queue = []; // Uploads waiting for a slot
+let running = 0;
+let nextId = 1;
+let heartbeatTimer = null;
+let initialized = false;
+
+/**
+ * Upload files, resolving (never rejecting) to one result per file once all have finished
+ */
+function uploadFiles(files, destination) {
+    return Promise.all(Array.from(files || []).map(file => enqueue(file, destination || {})));
+}
+
+function enqueue(file, { organisation, project }) {
+    const upload = {
+        id: `upload-${nextId++}`,
+        file,
+        fileName: file.name,
+        size: file.size,
+        lastModified: file.lastModified,
+        contentType: getContentType(file),
+        organisation: (organisation || '').trim(),
+        project: (project || '').trim(),
+        sha256: null,
+        key: null,
+        uploadId: null,
+        status: STATUS.QUEUED,
+        bytesSent: 0,
+        report: null,
+        error: null,
+        notificationId: null,
+        signal: null,
+        resolve: null
+    };
+
+    upload.notificationId = showProgress({
+        title: `Uploading ${file.name}`,
+        message: 'Waiting to start…',
+        steps: STEPS,
+        cancellable: true
+    });
+    upload.signal = getSignal(upload.notificationId);
+
+    const done = new Promise(resolve => {
+        upload.resolve = resolve;
+    });
+
+    uploads.set(upload.id, upload);
+    queue.push(upload);
+    emit(upload);
+    pump();
+    return done;
+}
+
+/**
+ * Start queued uploads while there are free slots
+ */
+function pump() {
+    while (running < MAX_CONCURRENT_UPLOADS && queue.length > 0) {
+        const upload = queue.shift();
+        running++;
+        startHeartbeat();
+        run(upload).finally(() => {
+            running--;
+            pump();
+        });
+    }
+}
+
+async function run(upload) {
+    try {
+        upload.signal?.throwIfAborted();
+
+        const problem = validate(upload);
+        if (problem) {
+            finish(upload, STATUS.FAILED, problem);
+            return;
+        }
+
+        setStatus(upload, STATUS.HASHING);
+        setProgress(upload.notificationId, { step: 'Hashing', message: 'Computing checksum…' });
+        setHash(upload, findPendingHash(upload) || await hashUpload(upload));
+        upload.signal?.throwIfAborted();
+
+        const twin = Array.from(uploads.values()).find(other =>
+            other !== upload && other.key === upload.key && !FINISHED.has(other.status));
+        if (twin) {
+            finish(upload, STATUS.DUPLICATE, `Skipped: ${twin.fileName} has the same content and is already uploading`);
+            return;
+        }
+
+        const { report, duplicate } = await transfer(upload);
+        upload.report = report;
+        finish(upload, duplicate ? STATUS.DUPLICATE : STATUS.DONE, duplicate
+            ? `Already uploaded to ${report.organisation}/${report.project} on ${new Date(report.uploadedAt).toLocaleString()}`
+            : `Uploaded to ${report.organisation}/${report.project}`);
+    } catch (error) {
+        if (upload.signal?.aborted) {
+            finish(upload, STATUS.CANCELLED);
+        } else {
+            console.error(`Upload of ${upload.fileName} failed:`, error);
+            finish(upload, STATUS.FAILED, error.message, isRetryable(error));
+        }
+    }
+}
+
+/**
+ * Start (or resume) the server's session and send what it is missing, starting over when the
+ * session expired, lost chunks or failed verification
+ */
+async function transfer(upload) {
+    for (let restart = 0; ; restart++) {
+        setStatus(upload, STATUS.UPLOADING);
+        const session = await withRetry(upload, () => request('POST', ENDPOINT, upload.signal, {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                fileName: upload.fileName,
+                contentType: upload.contentType,
+                fileSize: upload.size,
+                sha256: upload.sha256,
+                organisation: upload.organisation,
+                project: upload.project
+            })
+        }));
+
+        upload.uploadId = session.uploadId;
+        if (session.report) {
+            return { report: session.report, duplicate: true };
+        }
+
+        try {
+            rememberPending(upload);
+            await sendChunks(upload, session);
+
+            upload.status = STATUS.VERIFYING;
+            reportProgress(upload);
+            const report = await withRetry(upload, () =>
+                request('POST', `${ENDPOINT}/${session.uploadId}/complete`, upload.signal));
+            return { report, duplicate: false };
+        } catch (error) {
+            const restartable = error.status === 404 || error.status === 409 || error.code === 'CHECKSUM_MISMATCH';
+            if (!restartable || restart >= MAX_RESTARTS || upload.signal?.aborted) {
+                throw error;
+            }
+
+            // The file may have changed on disk since it was hashed
+            if (error.code === 'CHECKSUM_MISMATCH') {
+                forgetPending(upload.key);
+                setHash(upload, await hashUpload(upload));
+            }
+        }
+    }
+}
+
+/**
+ * Send the chunks the session doesn't have yet, in order
+ */
+async function sendChunks(upload, session) {
+    const received = new Set(session.receivedChunks);
+    const chunkLength = index => Math.min(session.chunkSize, upload.size - index * session.chunkSize);
+
+    upload.bytesSent = Array.from(received).reduce((total, index) => total + chunkLength(index), 0);
+    reportProgress(upload);
+
+    for (let index = 0; index < session.chunkCount; index++) {
+        if (received.has(index)) continue;
+
+        const start = index * session.chunkSize;
+        const chunk = upload.file.slice(start, start + chunkLength(index));
+        await withRetry(upload, () => request('PUT', `${ENDPOINT}/${session.uploadId}/chunks/${index}`, upload.signal, {
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: chunk
+        }));
+
+        upload.bytesSent += chunk.size;
+        reportProgress(upload);
+        rememberPending(upload);
+    }
+}
+
+/**
+ * Send a request to the upload endpoints, resolving to the JSON body
+ * Failures reject with an Error carrying the response's status and problem code.
+ */
+async function request(method, url, signal, { headers = {}, body } = {}) {
+    const response = await fetch(url, {
+        method,
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json', ...headers },
+        body,
+        signal
+    });
+
+    // Signed out: the cookie redirect lands on the sign-in page
+    if (response.redirected) {
+        throw requestError('Signed out; sign in again to upload', 401);
+    }
+
+    const data = response.headers.get('content-type')?.includes('json') ? await response.json() : null;
+    if (!response.ok) {
+        throw requestError(data?.detail || data?.title || `Request failed (${response.status})`, response.status, data?.code);
+    }
+    return data;
+}
+
+function requestError(message, status, code = null) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+/**
+ * Network errors, timeouts, throttling and server errors are worth another try
+ */
+function isRetryable(error) {
+    return error.status === undefined || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Run a request, retrying with exponential backoff and waiting out lost connections
+ */
+async function withRetry(upload, operation) {
+    for (let attempt = 1; ; attempt++) {
+        await waitUntilOnline(upload);
+
+        try {
+            return await operation();
+        } catch (error) {
+            if (upload.signal?.aborted || !isRetryable(error)) {
+                throw error;
+            }
+
+            // Lost the connection: wait for it without using up an attempt
+            await checkNow();
+            if (!isOnline()) {
+                attempt--;
+                continue;
+            }
+
+            if (attempt >= MAX_ATTEMPTS) {
+                throw error;
+            }
+
+            const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+            setProgress(upload.notificationId, { message: `${error.message}; retrying in ${Math.ceil(delay / 1000)}s…` });
+            await sleep(delay, upload.signal);
+            reportProgress(upload);
+        }
+    }
+}
+
+/**
+ * Resolve once the server can be reached (rejects if the upload is cancelled meanwhile)
+ */
+function waitUntilOnline(upload) {
+    upload.signal?.throwIfAborted();
+    if (isOnline()) {
+        return Promise.resolve();
+    }
+
+    setProgress(upload.notificationId, { message: 'Waiting for the connection…' });
+
+    return new Promise((resolve, reject) => {
+        const unsubscribe = subscribe(state => {
+            if (state.status === CONNECTIVITY_STATUS.ONLINE) {
+                cleanup();
+                reportProgress(upload);
+                resolve();
+            }
+        });
+        const handleAbort = () => {
+            cleanup();
+            reject(upload.signal.reason);
+        };
+        const cleanup = () => {
+            unsubscribe();
+            upload.signal?.removeEventListener('abort', handleAbort);
+        };
+        upload.signal?.addEventListener('abort', handleAbort);
+    });
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', handleAbort);
+            resolve();
+        }, ms);
+        const handleAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', handleAbort, { once: true });
+    });
+}
+
+/**
+ * SHA-256 of a file's content as lowercase hex, read a slice at a time
+ * crypto.subtle only digests a whole buffer, so the hash is computed here.
+ */
+async function hashFile(file, onProgress = null, signal = null) {
+    const hash = createSha256();
+    for (let start = 0; start < file.size; start += HASH_SLICE_SIZE) {
+        signal?.throwIfAborted();
+        hash.update(new Uint8Array(await file.slice(start, start + HASH_SLICE_SIZE).arrayBuffer()));
+        onProgress?.(Math.floor(Math.min(start + HASH_SLICE_SIZE, file.size) / file.size * 100));
+    }
+    return hash.digest();
+}
+
+function hashUpload(upload) {
+    return hashFile(upload.file, percent => {
+        setProgress(upload.notificationId, { step: 'Hashing', percent, message: 'Computing checksum…' });
+    }, upload.signal);
+}
+
+/**
+ * The hash kept with an unfinished upload of the same, unmodified file
+ * Should the file have changed anyway, the server's verification fails and it is hashed again.
+ */
+function findPendingHash(upload) {
+    return getPending().find(entry =>
+        entry.sha256
+        && entry.organisation === upload.organisation
+        && entry.project === upload.project
+        && entry.fileName === upload.fileName
+        && entry.size === upload.size
+        && entry.lastModified === upload.lastModified)?.sha256 || null;
+}
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Incremental SHA-256 (FIPS 180-4): update() with the content in any number of pieces, then digest()
+ * Checked against known answers by DevQualX.Web.BrowserTests (UploadHashShould); run them after changing it.
+ */
+function createSha256() {
+    const state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Uint32Array(64);
+    const buffer = new Uint8Array(64); // A partial block carried over to the next update
+    let buffered = 0;
+    let length = 0;
+
+    const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+
+    function compress(bytes, offset) {
+        for (let i = 0; i < 16; i++, offset += 4) {
+            words[i] = (bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            words[i] = words[i - 16] + (rotate(w15, 7) ^ rotate(w15, 18) ^ (w15 >>> 3))
+                + words[i - 7] + (rotate(w2, 17) ^ rotate(w2, 19) ^ (w2 >>> 10));
+        }
+
+        let [a, b, c, d, e, f, g, h] = state;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) | 0;
+            const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        // Uint32Array stores wrap the sums to 32 bits
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+
+    function update(bytes) {
+        let offset = 0;
+        length += bytes.length;
+
+        if (buffered > 0) {
+            offset = Math.min(64 - buffered, bytes.length);
+            buffer.set(bytes.subarray(0, offset), buffered);
+            buffered += offset;
+            if (buffered < 64) return;
+            compress(buffer, 0);
+            buffered = 0;
+        }
+
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            compress(bytes, offset);
+        }
+
+        buffer.set(bytes.subarray(offset));
+        buffered = bytes.length - offset;
+    }
+
+    function digest() {
+        // Pad with a 1 bit, zeros and the length in bits, to a whole number of blocks
+        const bits = length * 8;
+        const padding = new Uint8Array((buffered < 56 ? 64 : 128) - buffered);
+        const view = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        view.setUint32(padding.length - 8, Math.floor(bits / 2 ** 32));
+        view.setUint32(padding.length - 4, bits >>> 0);
+        update(padding);
+
+        return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    return { update, digest };
+}
+
+function setHash(upload, sha256) {
+    upload.sha256 = sha256;
+    upload.key = `${upload.organisation}/${upload.project}/${sha256}`;
+}
+
+function getContentType(file) {
+    if (ALLOWED_CONTENT_TYPES.has(file.type)) return file.type;
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    return CONTENT_TYPES[extension] || file.type || 'application/octet-stream';
+}
+
+/**
+ * Checks the server makes too, so a file it would refuse is never hashed or sent
+ */
+function validate(upload) {
+    if (!upload.organisation || !upload.project) return 'Choose an organisation and project first';
+    if (upload.size === 0) return 'The file is empty';
+    if (upload.size > MAX_FILE_SIZE) return `The file is larger than ${formatBytes(MAX_FILE_SIZE)}`;
+    if (!ALLOWED_CONTENT_TYPES.has(upload.contentType)) return 'Only PDF, ZIP, JSON, CSV and text files can be uploaded';
+    return null;
+}
+
+function setStatus(upload, status) {
+    upload.status = status;
+    emit(upload);
+}
+
+/**
+ * Show how far an upload got (also restoring the toast's message after a retry or wait)
+ */
+function reportProgress(upload) {
+    if (upload.status === STATUS.UPLOADING) {
+        setProgress(upload.notificationId, {
+            step: 'Uploading',
+            percent: Math.floor(upload.bytesSent / upload.size * 100),
+            message: `${formatBytes(upload.bytesSent)} of ${formatBytes(upload.size)}`
+        });
+    } else if (upload.status === STATUS.VERIFYING) {
+        setProgress(upload.notificationId, { step: 'Verifying', percent: 100, message: 'Verifying checksum…' });
+    }
+    emit(upload);
+}
+
+/**
+ * Settle an upload: complete its toast, update the unfinished list and resolve its promise
+ * Failures that were only a matter of connection stay in the unfinished list to be resumed.
+ */
+function finish(upload, status, message, resumable = false) {
+    upload.status = status;
+
+    switch (status) {
+        case STATUS.DONE:
+        case STATUS.DUPLICATE:
+            completeProgress(upload.notificationId, OUTCOMES.SUCCESS, message);
+            break;
+        case STATUS.FAILED:
+            upload.error = message;
+            completeProgress(upload.notificationId, OUTCOMES.FAILURE, resumable
+                ? `${message}. Choose the file again to continue.`
+                : message);
+            break;
+        // Cancelled: the toast's cancel button already completed it
+    }
+
+    if (upload.key && !resumable) {
+        forgetPending(upload.key);
+    }
+
+    uploads.delete(upload.id);
+    if (running <= 1 && queue.length === 0) {
+        stopHeartbeat();
+    }
+
+    emit(upload);
+    renderPending();
+    upload.resolve(toView(upload));
+}
+
+/**
+ * Cancel an upload (the same as its toast's cancel button)
+ */
+function cancel(id) {
+    const upload = uploads.get(id);
+    if (upload) {
+        cancelProgress(upload.notificationId, 'Upload cancelled');
+    }
+}
+
+function toView(upload) {
+    return {
+        id: upload.id,
+        fileName: upload.fileName,
+        size: upload.size,
+        organisation: upload.organisation,
+        project: upload.project,
+        sha256: upload.sha256,
+        status: upload.status,
+        percent: upload.size > 0 ? Math.floor(upload.bytesSent / upload.size * 100) : 0,
+        report: upload.report,
+        error: upload.error
+    };
+}
+
+/**
+ * Uploads running or queued in this page
+ */
+function getUploads() {
+    return Array.from(uploads.values()).map(toView);
+}
+
+function emit(upload) {
+    window.dispatchEvent(new CustomEvent('devqualx-upload-changed', { detail: toView(upload) }));
+}
+
+// Unfinished uploads (localStorage, shared by tabs)
+
+function loadPending() {
+    try {
+        const pending = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY) || '{}');
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(pending)
+            .filter(([, entry]) => entry && now - entry.heartbeatAt < PENDING_MAX_AGE_MS));
+    } catch {
+        return {};
+    }
+}
+
+function savePending(pending) {
+    try {
+        localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+    } catch {
+        // Storage unavailable: the server still resumes the same file, it just isn't listed
+    }
+}
+
+function rememberPending(upload) {
+    const pending = loadPending();
+    pending[upload.key] = {
+        key: upload.key,
+        uploadId: upload.uploadId,
+        fileName: upload.fileName,
+        size: upload.size,
+        lastModified: upload.lastModified,
+        sha256: upload.sha256,
+        organisation: upload.organisation,
+        project: upload.project,
+        bytesSent: upload.bytesSent,
+        notificationId: upload.notificationId,
+        startedAt: pending[upload.key]?.startedAt || Date.now(),
+        heartbeatAt: Date.now()
+    };
+    savePending(pending);
+}
+
+/**
+ * Drop an unfinished upload from the list (the server discards its chunks after a day)
+ */
+function forgetPending(key) {
+    const pending = loadPending();
+    if (!pending[key]) return;
+    delete pending[key];
+    savePending(pending);
+    renderPending();
+}
+
+/**
+ * Unfinished uploads, newest first, whether interrupted or still running in a tab
+ */
+function getPending() {
+    return Object.values(loadPending()).sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Keep this page's unfinished uploads marked as running, so other pages don't take them for interrupted
+ */
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+        const pending = loadPending();
+        uploads.forEach(upload => {
+            if (upload.key && pending[upload.key]) {
+                pending[upload.key].heartbeatAt = Date.now();
+            }
+        });
+        savePending(pending);
+    }, HEARTBEAT_MS);
+}
+
+function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+}
+
+/**
+ * Complete the progress toasts of uploads that stopped with the page that ran them
+ */
+function recoverInterrupted() {
+    const now = Date.now();
+    getPending().forEach(entry => {
+        if (now - entry.heartbeatAt < STALE_AFTER_MS) return;
+        if (getById(entry.notificationId)?.type === TYPES.PROGRESS) {
+            completeProgress(entry.notificationId, OUTCOMES.PARTIAL, 'Interrupted. Choose the file again to continue.');
+        }
+    });
+}
+
+// Drop zones
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * List unfinished uploads that aren't running in this page in every zone
+ */
+function renderPending() {
+    const active = new Set(Array.from(uploads.values()).map(upload => upload.key));
+    const pending = getPending().filter(entry => !active.has(entry.key));
+
+    document.querySelectorAll('[data-upload-pending]').forEach(section => {
+        const list = section.querySelector('[data-upload-pending-list]');
+        if (!list) return;
+
+        list.replaceChildren(...pending.map(entry => {
+            const item = document.createElement('li');
+            item.className = 'upload-zone__pending-item';
+
+            const name = document.createElement('span');
+            name.className = 'upload-zone__pending-name';
+            name.textContent = entry.fileName;
+
+            const detail = document.createElement('span');
+            detail.className = 'upload-zone__pending-detail';
+            detail.textContent = `${entry.organisation}/${entry.project} · ` +
+                `${Math.floor(entry.bytesSent / entry.size * 100)}% of ${formatBytes(entry.size)} sent`;
+
+            const forget = document.createElement('button');
+            forget.type = 'button';
+            forget.className = 'upload-zone__pending-forget';
+            forget.dataset.uploadForget = entry.key;
+            forget.textContent = 'Forget';
+            forget.setAttribute('aria-label', `Forget ${entry.fileName}`);
+
+            item.append(name, detail, forget);
+            return item;
+        }));
+        section.hidden = pending.length === 0;
+    });
+}
+
+/**
+ * Where a zone's files go: its data-upload-organisation/-project, or its organisation and project fields
+ */
+function getDestination(zone) {
+    const read = field => (zone.dataset[`upload${field[0].toUpperCase()}${field.slice(1)}`]
+        || zone.querySelector(`[data-upload-field="${field}"]`)?.value
+        || '').trim();
+    const destination = { organisation: read('organisation'), project: read('project') };
+
+    const missing = ['organisation', 'project'].find(field => !destination[field]);
+    if (missing) {
+        show({
+            title: 'Choose where to upload',
+            message: `Enter the ${missing} before adding files`,
+            level: LEVELS.WARNING
+        });
+        zone.querySelector(`[data-upload-field="${missing}"]`)?.focus();
+        return null;
+    }
+    return destination;
+}
+
+function uploadFromZone(zone, files) {
+    if (!files || files.length === 0) return;
+    const destination = getDestination(zone);
+    if (destination) {
+        uploadFiles(files, destination);
+    }
+}
+
+function hasFiles(e) {
+    return Array.from(e.dataTransfer?.types || []).includes('Files');
+}
+
+function handleDragOver(e) {
+    const zone = e.target.closest?.('[data-upload-zone]');
+    if (!zone || !hasFiles(e)) return;
+
+    // Accept the drop (the browser would otherwise open the file)
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    zone.classList.add('upload-zone--dragover');
+}
+
+function handleDragLeave(e) {
+    const zone = e.target.closest?.('[data-upload-zone]');
+    if (zone && !zone.contains(e.relatedTarget)) {
+        zone.classList.remove('upload-zone--dragover');
+    }
+}
+
+function handleDrop(e) {
+    const zone = e.target.closest?.('[data-upload-zone]');
+    if (!zone || !hasFiles(e)) return;
+
+    e.preventDefault();
+    zone.classList.remove('upload-zone--dragover');
+    uploadFromZone(zone, e.dataTransfer.files);
+}
+
+function handleChange(e) {
+    const input = e.target.closest?.('[data-upload-input]');
+    const zone = input?.closest('[data-upload-zone]');
+    if (!zone) return;
+
+    uploadFromZone(zone, Array.from(input.files));
+    input.value = ''; // Choosing the same file again fires change again
+}
+
+function handleClick(e) {
+    const forget = e.target.closest?.('[data-upload-forget]');
+    if (forget) {
+        forgetPending(forget.dataset.uploadForget);
+    }
+}
+
+/**
+ * Start listening (runs on load; listeners are delegated, so they survive enhanced navigation)
+ */
+function init() {
+    if (initialized) return;
+    initialized = true;
+
+    document.addEventListener('dragenter', handleDragOver);
+    document.addEventListener('dragover', handleDragOver);
+    document.addEventListener('dragleave', handleDragLeave);
+    document.addEventListener('drop', handleDrop);
+    document.addEventListener('change', handleChange);
+    document.addEventListener('click', handleClick);
+
+    // Other tabs start and finish uploads too
+    window.addEventListener('storage', (e) => {
+        if (e.key === PENDING_STORAGE_KEY) renderPending();
+    });
+
+    if (window.Blazor) {
+        window.Blazor.addEventListener('enhancedload', renderPending);
+    }
+
+    // The toasts of interrupted uploads are only found once the notifications are loaded. A page
+    // that was just reloaded may still look alive; check again once its heartbeat has lapsed.
+    notificationsReady().then(() => {
+        recoverInterrupted();
+        setTimeout(recoverInterrupted, STALE_AFTER_MS);
+    });
+    renderPending();
+}
+
+// Initialize immediately
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// ES module API
+export {
+    STATUS,
+    uploadFiles,
+    cancel,
+    getUploads,
+    getPending,
+    forgetPending,
+    hashFile
+};
+
+// Global API (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.uploads = api;
@@ -0,0 +1,89 @@
+/**
+ * Type declarations for validation.js
+ *
+ * The module's named exports; window.DevQualX.validation exposes the same members.
+ */
+
+export type ValidatableField = HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement;
+
+export interface ValidatorContext {
+    field: ValidatableField;
+    form: HTMLFormElement | null;
+    /** Aborted when the field's value changes before an async check finishes */
+    signal: AbortSignal | undefined;
+    /** Submitted value of another field, referenced by name or id */
+    getValue(ref: string): string;
+}
+
+/** true (or nothing) when valid; a message, or false for the default message, when invalid */
+export type ValidatorResult = boolean | string | null | undefined;
+
+export type Validator = (value: string, param: string, context: ValidatorContext) => ValidatorResult | Promise<ValidatorResult>;
+
+export interface ValidatorOptions {
+    /** Run after the field's sync checks, debounced while typing (default false) */
+    async?: boolean;
+    /** Delay in milliseconds for async validators (default 300) */
+    debounce?: number;
+    /** Default error message */
+    message?: string;
+    /** References of the fields the rule reads, so changing them re-validates this field */
+    dependsOn?(param: string): string[];
+}
+
+/** ASP.NET Core ProblemDetails, as returned for ValidationError and other domain errors */
+export interface ProblemDetails {
+    type?: string;
+    title?: string;
+    status?: number;
+    detail?: string;
+    code?: string;
+    /** Messages by field name (matched to the form's fields by name or id, ignoring case) */
+    errors?: Record<string, string[] | string>;
+}
+
+export interface ErrorSummaryOptions {
+    /** Focus the summary (default true); otherwise its title is announced through the live region */
+    focus?: boolean;
+}
+
+/** Enhance every form on the page and watch for forms and fields added later (idempotent) */
+export function init(): void;
+/** Remove validation from one form, or from the whole page when no form is given */
+export function teardown(form?: HTMLFormElement): void;
+/** Add a validator, declared on fields as data-validate-{kebab-case name}="param" */
+export function registerValidator(name: string, validate: Validator, options?: ValidatorOptions): void;
+/** Show or clear the field's error; returns whether it is valid (async checks continue in the background) */
+export function validateField(field: ValidatableField): boolean;
+/** Validate the field including its async checks */
+export function validateFieldAsync(field: ValidatableField): Promise<boolean>;
+/** Validate every field in the form; returns whether all are valid */
+export function validateForm(form: HTMLFormElement): boolean;
+/** Validate every field in the form including async checks */
+export function validateFormAsync(form: HTMLFormElement): Promise<boolean>;
+/** Whether any async check in the form hasn't finished for the current values */
+export function isPending(form: HTMLFormElement): boolean;
+export function showFieldError(field: ValidatableField): void;
+export function clearFieldError(field: ValidatableField): void;
+/** Show the summary of the form's errors at the top of the form */
+export function showErrorSummary(form: HTMLFormElement, options?: ErrorSummaryOptions): void;
+/** Show server errors on their fields (until the value changes); returns whether any field matched */
+export function showServerErrors(
+    form: HTMLFormElement,
+    problem: ProblemDetails | Record<string, string[] | string>,
+    options?: ErrorSummaryOptions
+): boolean;
+export function clearServerErrors(form: HTMLFormElement): void;
+/** Whether a form marked data-unsaved-guard or data-draft differs from the values it was rendered with */
+export function isDirty(form: HTMLFormElement): boolean;
+/** Whether any form marked data-unsaved-guard has unsaved changes */
+export function hasUnsavedChanges(): boolean;
+/** Treat the form's current values as saved and delete its draft (after saving without a page submit) */
+export function markClean(form: HTMLFormElement): void;
+/** Put the form back to the values it was rendered with and delete its draft */
+export function discardChanges(form: HTMLFormElement): void;
+/**
+ * Save every form's values (passwords and data-draft-exclude fields left out) right before a forced
+ * reload; they are restored when the forms render again. Returns the number of forms saved.
+ */
+export function saveFormSnapshot(): number;
@@ -1,224 +1,1500 @@
 /**
  * Form Validation with Progressive Enhancement
  * Enhances HTML5 validation with custom styled error messages
+ *
+ * Beyond the browser's constraints, fields can declare validators from the registry with
+ * data-validate-{name} attributes (the attribute value is the validator's parameter):
+ *   data-validate-matches="password"            same value as another field
+ *   data-validate-required-if="plan=team"       required when another field has a (given) value
+ *   data-validate-at-least-one-of="email,phone" this field or one of the others is filled in
+ *   data-validate-remote="/api/..."             server check, async
+ * data-validate-{name}-message overrides a validator's message and data-validate-{name}-debounce
+ * an async validator's delay. Other fields are referenced by name or id.
+ *
+ * Async validators run after the field's other checks pass, debounced while typing. A field is
+ * marked aria-busy while its check is pending, a newer value cancels the stale check, and
+ * submitting waits for pending checks. Errors are shown on the field that declares the rule.
+ *
+ * When a submission fails, an error summary at the top of the form links to each invalid field.
+ * Errors returned by the API (ProblemDetails with an errors map) are shown on the fields they
+ * name with showServerErrors(). Forms rendered by interactive components can reserve the
+ * summary's place with an empty <div data-validation-summary></div>.
+ *
+ * Forms and fields added after init() (Blazor renders, repeaters, conditional sections) are
+ * picked up by a MutationObserver; removed ones are released. teardown() detaches everything.
+ *
+ * Unsaved changes: forms marked data-unsaved-guard track whether their values differ from those
+ * they were rendered with. While one is dirty, leaving the page asks for confirmation (the
+ * browser's beforeunload prompt, or a confirm dialog for links, including Blazor enhanced
+ * navigation and the sidebar). Forms marked data-draft="key" also keep a draft of their values in
+ * sessionStorage (passwords and data-draft-exclude fields left out) and restore it when the
+ * form is rendered again. Submitting the form clears its changes and its draft.
+ *
+ * Before a forced reload (the reconnect modal reloads when the server has lost the circuit),
+ * saveFormSnapshot() keeps every form's values the same way, skips the unsaved-changes prompt
+ * for that reload, and the forms get their values back when they are rendered again.
  */
 
-(function() {
-  'use strict';
+import * as api from './validation.js';
 
-  // Configuration
-  const config = {
-    validateOnBlur: true,
-    validateOnInput: false,
-    errorClass: 'form-field__input--error',
-    errorMessageClass: 'form-field__error'
-  };
+// Configuration
+const config = {
+  validateOnBlur: true,
+  validateOnInput: false,
+  errorClass: 'form-field__input--error',
+  errorMessageClass: 'form-field__error',
+  pendingClass: 'form-field__input--pending',
+  summaryClass: 'form-summary',
+  asyncDebounce: 300,
+  announceDelay: 100,
+  draftStoragePrefix: 'devqualx-draft',
+  draftSaveDelay: 500,
+  snapshotStorageKey: 'devqualx-form-snapshot',
+  snapshotMaxAge: 10 * 60 * 1000,
+  unsavedMessage: 'You have unsaved changes. Leave this page and discard them?'
+};
 
-  /**
-   * Get custom validation message from data attribute or use browser default
-   */
-  function getValidationMessage(field) {
-    const customMessage = field.dataset.validationMessage;
-    if (customMessage) {
-      return customMessage;
-    }
+const FIELD_SELECTOR = 'input:not([type="hidden"]), textarea, select';
+
+// Registered validators by name: { validate(value, param, context), async, debounce, message, dependsOn(param) }
+const validators = new Map();
+
+// Async check state per field: { timer, run: { key, controller, promise }, result: { key, message } }
+const asyncState = new WeakMap();
+
+// Fields validated at least once (so changes to the fields they depend on re-validate them)
+const validatedFields = new WeakSet();
+
+// Forms whose submission is waiting for async checks
+const submittingForms = new WeakSet();
+
+// Errors returned by the server per field: { value, message }, kept until the value changes
+const serverErrors = new WeakMap();
 
-    const validity = field.validity;
-    
-    if (validity.valueMissing) {
-      return field.dataset.validationRequiredMessage || 'This field is required.';
+// Server errors per form that don't belong to a field
+const formErrors = new WeakMap();
+
+// Forms with validation attached: form -> { controller, fields: Map(field -> AbortController), addedNoValidate,
+// initialValues, dirty, draftTimer } (the last three only for forms that track changes)
+const boundForms = new Map();
+
+let observer = null;
+let pageController = null;
+let nextId = 0;
+
+// Set by saveFormSnapshot() so the reload it precedes isn't blocked by the unsaved-changes prompt
+let reloading = false;
+
+/**
+ * Register a validator, usable on fields as data-validate-{kebab-case name}
+ * validate(value, param, { field, form, signal, getValue(ref) }) returns true (or nothing) when
+ * valid, a message or false when invalid; async validators return a promise of the same.
+ * options: { async, debounce, message, dependsOn(param) -> field references }
+ */
+function registerValidator(name, validate, options = {}) {
+  if (typeof validate !== 'function') {
+    console.error(`Validator ${name} must be a function`);
+    return;
+  }
+
+  validators.set(name, {
+    validate,
+    async: !!options.async,
+    debounce: options.debounce ?? config.asyncDebounce,
+    message: options.message || 'Please correct this field.',
+    dependsOn: options.dependsOn || (() => [])
+  });
+}
+
+/**
+ * Dataset key for a validator attribute: requiredIf -> validateRequiredIf (data-validate-required-if)
+ */
+function datasetKey(name, suffix = '') {
+  return `validate${name.charAt(0).toUpperCase()}${name.slice(1)}${suffix}`;
+}
+
+/**
+ * The registered validators a field declares, in registration order
+ */
+function getRules(field) {
+  const rules = [];
+  validators.forEach((validator, name) => {
+    const param = field.dataset[datasetKey(name)];
+    if (param !== undefined) {
+      rules.push({ name, param, validator });
     }
-    if (validity.typeMismatch) {
-      if (field.type === 'email') {
-        return field.dataset.validationEmailMessage || 'Please enter a valid email address.';
+  });
+  return rules;
+}
+
+/**
+ * Find a field referenced by name (in the field's form) or id
+ */
+function resolveField(field, ref) {
+  const form = field.form;
+  const named = form ? form.elements.namedItem(ref) : null;
+  return named || document.getElementById(ref);
+}
+
+/**
+ * The value a field submits ('' for unchecked checkboxes and radio groups)
+ */
+function getFieldValue(field) {
+  if (!field) return '';
+  if (field instanceof RadioNodeList) return field.value;
+  if (field.type === 'checkbox' || field.type === 'radio') {
+    return field.checked ? field.value : '';
+  }
+  return field.value;
+}
+
+/**
+ * Fields a field's rules depend on
+ */
+function getDependencies(field) {
+  const dependencies = [];
+  getRules(field).forEach(({ param, validator }) => {
+    validator.dependsOn(param).forEach(ref => {
+      const dependency = resolveField(field, ref);
+      if (!dependency) return;
+      if (dependency instanceof RadioNodeList) {
+        dependencies.push(...dependency);
+      } else {
+        dependencies.push(dependency);
       }
-      if (field.type === 'url') {
-        return field.dataset.validationUrlMessage || 'Please enter a valid URL.';
+    });
+  });
+  return dependencies;
+}
+
+/**
+ * Turn a validator's return value into an error message ('' when valid)
+ */
+function toMessage(field, rule, result) {
+  if (result === true || result === undefined || result === null || result === '') {
+    return '';
+  }
+  return field.dataset[datasetKey(rule.name, 'Message')]
+    || (typeof result === 'string' ? result : rule.validator.message);
+}
+
+/**
+ * Context passed to validators
+ */
+function createContext(field, signal) {
+  return {
+    field,
+    form: field.form,
+    signal,
+    getValue: ref => getFieldValue(resolveField(field, ref))
+  };
+}
+
+/**
+ * Run a field's sync validators, returning the first error message ('' when valid)
+ */
+function checkSync(field) {
+  const context = createContext(field, undefined);
+  const value = getFieldValue(field);
+
+  for (const rule of getRules(field)) {
+    if (rule.validator.async) continue;
+
+    const message = toMessage(field, rule, rule.validator.validate(value, rule.param, context));
+    if (message) {
+      return message;
+    }
+  }
+  return '';
+}
+
+/**
+ * Whether a field declares async validators
+ */
+function hasAsyncRules(field) {
+  return getRules(field).some(rule => rule.validator.async);
+}
+
+/**
+ * Identify what an async check was run against: the field's value and the values it depends on
+ */
+function getAsyncKey(field) {
+  return JSON.stringify([getFieldValue(field), ...getDependencies(field).map(getFieldValue)]);
+}
+
+function getAsyncState(field) {
+  let state = asyncState.get(field);
+  if (!state) {
+    state = { timer: null, run: null, result: null };
+    asyncState.set(field, state);
+  }
+  return state;
+}
+
+/**
+ * Show or hide a field's pending state
+ */
+function setPending(field, pending) {
+  field.classList.toggle(config.pendingClass, pending);
+  if (pending) {
+    field.setAttribute('aria-busy', 'true');
+  } else {
+    field.removeAttribute('aria-busy');
+  }
+}
+
+/**
+ * Cancel a field's scheduled or running async check (its value changed, so the result would be stale)
+ */
+function cancelAsync(field) {
+  const state = asyncState.get(field);
+  if (!state) return;
+
+  clearTimeout(state.timer);
+  state.timer = null;
+  if (state.run) {
+    state.run.controller.abort();
+    state.run = null;
+  }
+  setPending(field, false);
+}
+
+/**
+ * Result of the last finished async check if it matches the current value:
+ * true when valid, false when invalid, null when the check hasn't run for this value
+ */
+function getSettledResult(field) {
+  const state = asyncState.get(field);
+  if (!state || !state.result || state.result.key !== getAsyncKey(field)) {
+    return null;
+  }
+  return state.result.message === '';
+}
+
+/**
+ * Run a field's async validators now, resolving to whether they passed
+ * (null when the check was cancelled because the value changed)
+ */
+function runAsync(field) {
+  const state = getAsyncState(field);
+  const key = getAsyncKey(field);
+
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  if (state.result && state.result.key === key) {
+    return Promise.resolve(state.result.message === '');
+  }
+  if (state.run && state.run.key === key) {
+    return state.run.promise;
+  }
+  if (state.run) {
+    state.run.controller.abort();
+  }
+
+  const controller = new AbortController();
+  const context = createContext(field, controller.signal);
+  const value = getFieldValue(field);
+  const rules = getRules(field).filter(rule => rule.validator.async);
+
+  setPending(field, true);
+
+  const checks = rules.map(rule => Promise.resolve()
+    .then(() => rule.validator.validate(value, rule.param, context))
+    .then(result => toMessage(field, rule, result))
+    .catch(error => {
+      if (error && error.name === 'AbortError') throw error;
+      // The server validates again on submit, so a failed check doesn't block the form
+      console.warn(`Validator ${rule.name} failed:`, error);
+      return '';
+    }));
+
+  const promise = Promise.all(checks)
+    .then(messages => {
+      if (controller.signal.aborted) throw new DOMException('Stale validation', 'AbortError');
+
+      const message = messages.find(m => m) || '';
+      state.run = null;
+      state.result = { key, message };
+      setPending(field, false);
+
+      if (message) {
+        field.setCustomValidity(message);
+        showFieldError(field);
+        announce(field.form, message);
+      } else if (field.validity.valid) {
+        clearFieldError(field);
       }
+      return message === '';
+    })
+    .catch(error => {
+      if (!error || error.name !== 'AbortError') throw error;
+      return null;
+    });
+
+  state.run = { key, controller, promise };
+  return promise;
+}
+
+/**
+ * Run a field's async validators after it stops changing
+ */
+function scheduleAsync(field) {
+  const state = getAsyncState(field);
+  if (getSettledResult(field) !== null) {
+    validateField(field);
+    return;
+  }
+
+  const delay = Math.max(0, ...getRules(field)
+    .filter(rule => rule.validator.async)
+    .map(rule => Number(field.dataset[datasetKey(rule.name, 'Debounce')] ?? rule.validator.debounce)));
+
+  clearTimeout(state.timer);
+  setPending(field, true);
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    runAsync(field);
+  }, delay);
+}
+
+/**
+ * Get custom validation message from data attribute or use browser default
+ */
+function getValidationMessage(field) {
+  // Set by registered validators, which resolve their own message overrides
+  if (field.validity.customError) {
+    return field.validationMessage;
+  }
+
+  const customMessage = field.dataset.validationMessage;
+  if (customMessage) {
+    return customMessage;
+  }
+
+  const validity = field.validity;
+  
+  if (validity.valueMissing) {
+    return field.dataset.validationRequiredMessage || 'This field is required.';
+  }
+  if (validity.typeMismatch) {
+    if (field.type === 'email') {
+      return field.dataset.validationEmailMessage || 'Please enter a valid email address.';
     }
-    if (validity.patternMismatch) {
-      return field.dataset.validationPatternMessage || 'Please match the requested format.';
+    if (field.type === 'url') {
+      return field.dataset.validationUrlMessage || 'Please enter a valid URL.';
     }
-    if (validity.tooShort) {
-      return field.dataset.validationMinlengthMessage || `Please enter at least ${field.minLength} characters.`;
+  }
+  if (validity.patternMismatch) {
+    return field.dataset.validationPatternMessage || 'Please match the requested format.';
+  }
+  if (validity.tooShort) {
+    return field.dataset.validationMinlengthMessage || `Please enter at least ${field.minLength} characters.`;
+  }
+  if (validity.tooLong) {
+    return field.dataset.validationMaxlengthMessage || `Please enter no more than ${field.maxLength} characters.`;
+  }
+  if (validity.rangeUnderflow) {
+    return field.dataset.validationMinMessage || `Value must be ${field.min} or higher.`;
+  }
+  if (validity.rangeOverflow) {
+    return field.dataset.validationMaxMessage || `Value must be ${field.max} or lower.`;
+  }
+  
+  return field.validationMessage;
+}
+
+/**
+ * Display error message for a field
+ */
+function showFieldError(field) {
+  const errorContainer = getErrorContainer(field);
+  if (!errorContainer) return;
+
+  const message = getValidationMessage(field);
+  errorContainer.textContent = message;
+  errorContainer.classList.add(config.errorMessageClass);
+  field.classList.add(config.errorClass);
+  field.setAttribute('aria-invalid', 'true');
+  updateErrorSummary(field.form);
+}
+
+/**
+ * Clear error message for a field
+ */
+function clearFieldError(field) {
+  field.setCustomValidity('');
+
+  const errorContainer = getErrorContainer(field);
+  if (!errorContainer) return;
+
+  errorContainer.textContent = '';
+  errorContainer.classList.remove(config.errorMessageClass);
+  field.classList.remove(config.errorClass);
+  field.setAttribute('aria-invalid', 'false');
+  updateErrorSummary(field.form);
+}
+
+/**
+ * Get or create error container for a field
+ */
+function getErrorContainer(field) {
+  const fieldWrapper = field.closest('.form-field');
+  if (!fieldWrapper) return null;
+
+  let descriptionEl = fieldWrapper.querySelector('.form-field__description');
+  if (!descriptionEl) {
+    descriptionEl = document.createElement('div');
+    descriptionEl.className = 'form-field__description';
+    descriptionEl.id = `${ensureId(field)}-description`;
+    fieldWrapper.appendChild(descriptionEl);
+    field.setAttribute('aria-describedby', descriptionEl.id);
+  }
+
+  let errorEl = descriptionEl.querySelector('.form-field__error');
+  if (!errorEl) {
+    errorEl = document.createElement('span');
+    errorEl.className = 'form-field__error';
+    descriptionEl.appendChild(errorEl);
+  }
+
+  return errorEl;
+}
+
+/**
+ * Give an element an id (for error descriptions, summary links and labels) if it has none
+ */
+function ensureId(element, prefix = 'validation-field') {
+  if (!element.id) {
+    element.id = `${prefix}-${++nextId}`;
+  }
+  return element.id;
+}
+
+/**
+ * The server's error for a field, if its value hasn't changed since
+ */
+function getServerError(field) {
+  const error = serverErrors.get(field);
+  if (!error) return '';
+
+  if (error.value !== getFieldValue(field)) {
+    serverErrors.delete(field);
+    return '';
+  }
+  return error.message;
+}
+
+/**
+ * Validate a single field
+ * Returns whether it is valid as far as known now: async validators that haven't run for the
+ * current value are started in the background (see validateFieldAsync).
+ */
+function validateField(field) {
+  validatedFields.add(field);
+  field.setCustomValidity('');
+
+  if (field.validity.valid) {
+    const message = checkSync(field) || getServerError(field);
+    if (message) {
+      field.setCustomValidity(message);
     }
-    if (validity.tooLong) {
-      return field.dataset.validationMaxlengthMessage || `Please enter no more than ${field.maxLength} characters.`;
+  }
+
+  if (!field.validity.valid) {
+    cancelAsync(field);
+    showFieldError(field);
+    return false;
+  }
+
+  if (hasAsyncRules(field)) {
+    const settled = getSettledResult(field);
+    if (settled === false) {
+      field.setCustomValidity(asyncState.get(field).result.message);
+      showFieldError(field);
+      return false;
     }
-    if (validity.rangeUnderflow) {
-      return field.dataset.validationMinMessage || `Value must be ${field.min} or higher.`;
+    if (settled === null) {
+      runAsync(field);
     }
-    if (validity.rangeOverflow) {
-      return field.dataset.validationMaxMessage || `Value must be ${field.max} or lower.`;
+  }
+
+  clearFieldError(field);
+  return true;
+}
+
+/**
+ * Validate a single field, waiting for its async validators
+ */
+function validateFieldAsync(field) {
+  if (!validateField(field)) {
+    return Promise.resolve(false);
+  }
+  if (!hasAsyncRules(field)) {
+    return Promise.resolve(true);
+  }
+  // A cancelled check was superseded by a newer value: report that value's result instead
+  return runAsync(field).then(valid => (valid === null ? validateFieldAsync(field) : valid));
+}
+
+/**
+ * Validate all fields in a form
+ */
+function validateForm(form) {
+  const fields = form.querySelectorAll(FIELD_SELECTOR);
+  let isValid = true;
+
+  fields.forEach(field => {
+    if (!validateField(field)) {
+      isValid = false;
     }
-    
-    return field.validationMessage;
+  });
+
+  return isValid;
+}
+
+/**
+ * Validate all fields in a form, waiting for async validators
+ */
+function validateFormAsync(form) {
+  const fields = Array.from(form.querySelectorAll(FIELD_SELECTOR));
+  return Promise.all(fields.map(validateFieldAsync)).then(results => results.every(Boolean));
+}
+
+/**
+ * Whether any field in a form has an async check that hasn't finished for its current value
+ */
+function isPending(form) {
+  return Array.from(form.querySelectorAll(FIELD_SELECTOR))
+    .some(field => hasAsyncRules(field) && getSettledResult(field) === null);
+}
+
+/**
+ * Find the form's error summary, creating it at the top of the form if asked to
+ */
+function getErrorSummary(form, create) {
+  let summary = form.querySelector('[data-validation-summary]');
+  if (!summary && !create) return null;
+
+  if (!summary) {
+    summary = document.createElement('div');
+    summary.setAttribute('data-validation-summary', '');
+    form.prepend(summary);
+  }
+
+  if (!summary.querySelector(`.${config.summaryClass}__list`)) {
+    const title = document.createElement('h2');
+    title.className = `${config.summaryClass}__title`;
+    title.id = `${ensureId(form, 'validation-form')}-error-summary-title`;
+
+    const list = document.createElement('ul');
+    list.className = `${config.summaryClass}__list`;
+
+    summary.className = config.summaryClass;
+    summary.setAttribute('tabindex', '-1');
+    summary.setAttribute('aria-labelledby', title.id);
+    summary.hidden = true;
+    summary.append(title, list);
+  }
+
+  return summary;
+}
+
+/**
+ * Move focus to the field a summary link points at (without changing location.hash)
+ */
+function handleSummaryClick(e) {
+  const link = e.target.closest(`.${config.summaryClass}__link`);
+  if (!link) return;
+
+  const field = document.getElementById(link.getAttribute('href').slice(1));
+  if (field) {
+    e.preventDefault();
+    field.focus();
   }
+}
 
-  /**
-   * Display error message for a field
-   */
-  function showFieldError(field) {
-    const errorContainer = getErrorContainer(field);
-    if (!errorContainer) return;
+/**
+ * Render the form's error summary from the fields showing errors and the form-level server errors
+ * Returns the summary, or null when there is nothing to show.
+ */
+function renderErrorSummary(form) {
+  const fields = Array.from(form.querySelectorAll(`.${config.errorClass}`));
+  const messages = formErrors.get(form) || [];
+  const count = fields.length + messages.length;
 
-    const message = getValidationMessage(field);
-    errorContainer.textContent = message;
-    errorContainer.classList.add(config.errorMessageClass);
-    field.classList.add(config.errorClass);
-    field.setAttribute('aria-invalid', 'true');
+  if (count === 0) {
+    const summary = getErrorSummary(form, false);
+    if (summary) summary.hidden = true;
+    return null;
   }
 
-  /**
-   * Clear error message for a field
-   */
-  function clearFieldError(field) {
-    const errorContainer = getErrorContainer(field);
-    if (!errorContainer) return;
+  const summary = getErrorSummary(form, true);
+  const items = messages.map(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    return item;
+  });
+  fields.forEach(field => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.className = `${config.summaryClass}__link`;
+    link.href = `#${ensureId(field)}`;
+    link.textContent = getValidationMessage(field);
+    item.appendChild(link);
+    items.push(item);
+  });
 
-    errorContainer.textContent = '';
-    errorContainer.classList.remove(config.errorMessageClass);
-    field.classList.remove(config.errorClass);
-    field.setAttribute('aria-invalid', 'false');
+  summary.querySelector(`.${config.summaryClass}__title`).textContent = form.dataset.validationSummaryTitle
+    || (count === 1 ? 'There is 1 problem' : `There are ${count} problems`);
+  summary.querySelector(`.${config.summaryClass}__list`).replaceChildren(...items);
+  summary.hidden = false;
+  return summary;
+}
+
+/**
+ * Keep a visible error summary in step with the fields' errors
+ */
+function updateErrorSummary(form) {
+  const summary = form ? getErrorSummary(form, false) : null;
+  if (summary && !summary.hidden) {
+    renderErrorSummary(form);
   }
+}
 
-  /**
-   * Get or create error container for a field
-   */
-  function getErrorContainer(field) {
-    const fieldWrapper = field.closest('.form-field');
-    if (!fieldWrapper) return null;
+/**
+ * Show the form's error summary, focusing it (which reads it out) or announcing it
+ */
+function showErrorSummary(form, { focus = true } = {}) {
+  const summary = renderErrorSummary(form);
+  if (!summary) return;
 
-    let descriptionEl = fieldWrapper.querySelector('.form-field__description');
-    if (!descriptionEl) {
-      descriptionEl = document.createElement('div');
-      descriptionEl.className = 'form-field__description';
-      descriptionEl.id = `${field.id}-description`;
-      fieldWrapper.appendChild(descriptionEl);
-      field.setAttribute('aria-describedby', descriptionEl.id);
-    }
+  if (focus) {
+    summary.focus();
+  } else {
+    announce(form, summary.querySelector(`.${config.summaryClass}__title`).textContent);
+  }
+}
+
+/**
+ * Read a message out through the form's live region
+ */
+function announce(form, message) {
+  if (!form) return;
+
+  let region = form.querySelector('[data-validation-live]');
+  if (!region) {
+    region = document.createElement('div');
+    region.className = 'sr-only';
+    region.setAttribute('data-validation-live', '');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    form.appendChild(region);
+  }
+
+  // Clear first so repeating the same message is announced again
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, config.announceDelay);
+}
+
+/**
+ * Find the field an error key names: "repositoryName", "RepositoryName", "$.repositoryName",
+ * "Settings.RepositoryName" (matched by name or id, ignoring case; the last segment as a fallback)
+ */
+function findFieldForKey(form, key) {
+  const fields = Array.from(form.querySelectorAll(FIELD_SELECTOR));
+  const normalized = key.replace(/^\$\.?/, '').toLowerCase();
+  const lastSegment = normalized.split('.').pop();
+
+  const matches = candidate => fields.find(field =>
+    (field.name && field.name.toLowerCase() === candidate) || (field.id && field.id.toLowerCase() === candidate));
+
+  return normalized ? matches(normalized) || matches(lastSegment) || null : null;
+}
 
-    let errorEl = descriptionEl.querySelector('.form-field__error');
-    if (!errorEl) {
-      errorEl = document.createElement('span');
-      errorEl.className = 'form-field__error';
-      descriptionEl.appendChild(errorEl);
+/**
+ * Show errors returned by the server
+ * Accepts ProblemDetails ({ title, detail, errors: { field: [messages] } }) or a bare errors map.
+ * Errors stay on their fields until the value changes; errors that don't name a field of the
+ * form (and the detail, when no field matched) are listed in the summary.
+ * Returns whether any error was mapped to a field.
+ */
+function showServerErrors(form, problem, options) {
+  clearServerErrors(form);
+  if (!problem || typeof problem !== 'object') return false;
+
+  const isProblemDetails = ['type', 'title', 'status', 'detail', 'errors'].some(key => key in problem);
+  const errors = isProblemDetails ? problem.errors || {} : problem;
+  const unmatched = [];
+  let mapped = false;
+
+  Object.entries(errors).forEach(([key, value]) => {
+    const messages = (Array.isArray(value) ? value : [value]).filter(message => typeof message === 'string' && message);
+    if (messages.length === 0) return;
+
+    const field = findFieldForKey(form, key);
+    if (!field) {
+      unmatched.push(...messages);
+      return;
     }
 
-    return errorEl;
+    mapped = true;
+    serverErrors.set(field, { value: getFieldValue(field), message: messages.join(' ') });
+    validateField(field);
+  });
+
+  if (!mapped && unmatched.length === 0 && isProblemDetails && (problem.detail || problem.title)) {
+    unmatched.push(problem.detail || problem.title);
   }
+  formErrors.set(form, unmatched);
 
-  /**
-   * Validate a single field
-   */
-  function validateField(field) {
-    if (!field.validity.valid) {
-      showFieldError(field);
-      return false;
+  showErrorSummary(form, options);
+  return mapped;
+}
+
+/**
+ * Remove errors shown by showServerErrors()
+ */
+function clearServerErrors(form) {
+  formErrors.delete(form);
+  form.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+    if (serverErrors.delete(field) && field.classList.contains(config.errorClass)) {
+      validateField(field);
+    }
+  });
+  updateErrorSummary(form);
+}
+
+/**
+ * Whether a field should be validated when it loses focus
+ */
+function shouldValidateOnBlur(field) {
+  return !!field.value || field.hasAttribute('required') || getRules(field).length > 0;
+}
+
+/**
+ * Re-validate fields whose rules depend on the field that changed
+ * While typing only fields showing an error are re-validated, so they clear as soon as they can.
+ */
+function validateDependents(form, changed, typing) {
+  form.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+    if (field === changed || !validatedFields.has(field)) return;
+    if (typing && !field.classList.contains(config.errorClass)) return;
+
+    if (getDependencies(field).includes(changed)) {
+      validateField(field);
+    }
+  });
+}
+
+/**
+ * Whether a form tracks unsaved changes
+ */
+function tracksChanges(form) {
+  return form.hasAttribute('data-unsaved-guard') || form.hasAttribute('data-draft');
+}
+
+/**
+ * The values a form would submit, as [name, value] pairs (hidden inputs, files and buttons left out)
+ */
+function getFormValues(form) {
+  const values = [];
+  form.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+    if (!field.name || field.disabled || ['file', 'submit', 'button', 'reset', 'image'].includes(field.type)) return;
+
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      if (field.checked) values.push([field.name, field.value]);
+    } else if (field.type === 'select-multiple') {
+      Array.from(field.selectedOptions).forEach(option => values.push([field.name, option.value]));
     } else {
-      clearFieldError(field);
-      return true;
+      values.push([field.name, field.value]);
     }
+  });
+  return values;
+}
+
+/**
+ * Set a form's fields from [name, value] pairs, for the given field names only
+ * Dispatches input and change so listeners (and Blazor bindings) see the new values.
+ */
+function setFormValues(form, values, names) {
+  const byName = new Map();
+  values.forEach(([name, value]) => {
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(value);
+  });
+
+  form.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+    if (!field.name || !names.includes(field.name)) return;
+
+    const saved = byName.get(field.name) || [];
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      field.checked = saved.includes(field.value);
+    } else if (field.type === 'select-multiple') {
+      Array.from(field.options).forEach(option => {
+        option.selected = saved.includes(option.value);
+      });
+    } else if (saved.length > 0) {
+      // Repeated names (repeaters) take their values in document order
+      field.value = saved.shift();
+    }
+
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
+
+/**
+ * Whether a form's values differ from the ones it was rendered (or last saved) with
+ */
+function isDirty(form) {
+  const binding = boundForms.get(form);
+  if (!binding || binding.initialValues === undefined) return false;
+  return JSON.stringify(getFormValues(form)) !== binding.initialValues;
+}
+
+/**
+ * Record a form's dirty state: data-dirty on the form and a dirtychange event when it flips
+ */
+function updateDirtyState(form) {
+  const binding = boundForms.get(form);
+  const dirty = isDirty(form);
+  if (dirty === binding.dirty) return;
+
+  binding.dirty = dirty;
+  form.toggleAttribute('data-dirty', dirty);
+  form.dispatchEvent(new CustomEvent('dirtychange', { bubbles: true, detail: { dirty } }));
+}
+
+/**
+ * Treat a form's current values as saved (call after saving it without a page submit)
+ */
+function markClean(form) {
+  const binding = boundForms.get(form);
+  if (!binding || binding.initialValues === undefined) return;
+
+  binding.initialValues = JSON.stringify(getFormValues(form));
+  removeDraft(form);
+  updateDirtyState(form);
+}
+
+/**
+ * Whether any form on the page has unsaved changes
+ */
+function hasUnsavedChanges() {
+  return getDirtyForms().length > 0;
+}
+
+/**
+ * Guarded forms with unsaved changes
+ */
+function getDirtyForms() {
+  return Array.from(boundForms.keys()).filter(form => form.hasAttribute('data-unsaved-guard') && isDirty(form));
+}
+
+/**
+ * sessionStorage key of a form's draft, or null if the form doesn't keep drafts
+ */
+function getDraftKey(form) {
+  if (!form.hasAttribute('data-draft')) return null;
+
+  const name = form.dataset.draft || form.id || form.getAttribute('name') || '';
+  return `${config.draftStoragePrefix}:${window.location.pathname}:${name}`;
+}
+
+/**
+ * Names of the fields whose values go into drafts
+ */
+function getDraftFieldNames(form) {
+  const names = new Set();
+  form.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+    if (field.name && field.type !== 'password' && !field.hasAttribute('data-draft-exclude')) {
+      names.add(field.name);
+    }
+  });
+  return Array.from(names);
+}
+
+/**
+ * Save a form's draft (or remove it once the form is clean again)
+ */
+function saveDraft(form) {
+  const key = getDraftKey(form);
+  if (!key) return;
+
+  if (!isDirty(form)) {
+    removeDraft(form);
+    return;
   }
 
-  /**
-   * Validate all fields in a form
-   */
-  function validateForm(form) {
-    const fields = form.querySelectorAll('input:not([type="hidden"]), textarea, select');
-    let isValid = true;
+  const names = getDraftFieldNames(form);
+  const values = getFormValues(form).filter(([name]) => names.includes(name));
+  try {
+    sessionStorage.setItem(key, JSON.stringify({ names, values, savedAt: Date.now() }));
+  } catch (error) {
+    console.error('Failed to save form draft to sessionStorage:', error);
+  }
+}
 
-    fields.forEach(field => {
-      if (!validateField(field)) {
-        isValid = false;
-      }
-    });
+/**
+ * Save a form's draft after the user stops typing
+ */
+function scheduleDraftSave(form) {
+  const binding = boundForms.get(form);
+  if (!getDraftKey(form)) return;
 
-    return isValid;
+  clearTimeout(binding.draftTimer);
+  binding.draftTimer = setTimeout(() => {
+    binding.draftTimer = null;
+    saveDraft(form);
+  }, config.draftSaveDelay);
+}
+
+/**
+ * Delete a form's draft
+ */
+function removeDraft(form) {
+  const key = getDraftKey(form);
+  const binding = boundForms.get(form);
+  if (binding) {
+    clearTimeout(binding.draftTimer);
+    binding.draftTimer = null;
   }
+  if (!key) return;
 
-  /**
-   * Initialize validation for a form
-   */
-  function initializeForm(form) {
-    // Disable browser's default validation tooltips
-    form.setAttribute('novalidate', '');
+  try {
+    sessionStorage.removeItem(key);
+  } catch (error) {
+    // Storage unavailable: there is nothing to remove
+  }
+}
 
-    // Handle form submission
-    form.addEventListener('submit', function(e) {
-      if (!validateForm(form)) {
-        e.preventDefault();
-        e.stopPropagation();
+/**
+ * Fill a form from its saved draft, announcing it and dispatching draftrestored on the form
+ */
+function restoreDraft(form) {
+  const key = getDraftKey(form);
+  if (!key) return false;
 
-        // Focus first invalid field
-        const firstInvalid = form.querySelector(`.${config.errorClass}`);
-        if (firstInvalid) {
-          firstInvalid.focus();
-        }
-      }
-    });
+  let draft = null;
+  try {
+    draft = JSON.parse(sessionStorage.getItem(key) || 'null');
+  } catch (error) {
+    console.error('Failed to read form draft from sessionStorage:', error);
+  }
+  if (!draft || !Array.isArray(draft.values) || !Array.isArray(draft.names)) return false;
 
-    // Handle field validation on blur
-    if (config.validateOnBlur) {
-      const fields = form.querySelectorAll('input:not([type="hidden"]), textarea, select');
-      fields.forEach(field => {
-        field.addEventListener('blur', function() {
-          if (field.value || field.hasAttribute('required')) {
-            validateField(field);
-          }
-        });
-      });
+  setFormValues(form, draft.values, draft.names);
+  updateDirtyState(form);
+  if (!isDirty(form)) {
+    removeDraft(form);
+    return false;
+  }
+
+  announce(form, 'Your unsaved changes were restored.');
+  form.dispatchEvent(new CustomEvent('draftrestored', { bubbles: true, detail: { savedAt: draft.savedAt } }));
+  return true;
+}
+
+/**
+ * Key of a form in the reload snapshot: its id or name, else its position on the page
+ */
+function getSnapshotKey(form) {
+  return form.id || form.getAttribute('name') || `form-${Array.from(document.forms).indexOf(form)}`;
+}
+
+/**
+ * Save the values of every form on the page, to be restored after the page reloads
+ * Call it right before a forced reload; returns the number of forms saved.
+ */
+function saveFormSnapshot() {
+  const forms = {};
+  document.querySelectorAll('form').forEach(form => {
+    const names = getDraftFieldNames(form);
+    const values = getFormValues(form).filter(([name]) => names.includes(name));
+    if (values.some(([, value]) => value !== '')) {
+      forms[getSnapshotKey(form)] = { names, values };
     }
+  });
+
+  reloading = true;
+  const count = Object.keys(forms).length;
+  if (count === 0) return 0;
+
+  try {
+    sessionStorage.setItem(config.snapshotStorageKey, JSON.stringify({
+      path: window.location.pathname,
+      savedAt: Date.now(),
+      forms
+    }));
+  } catch (error) {
+    console.error('Failed to save form snapshot to sessionStorage:', error);
+    return 0;
+  }
+  return count;
+}
+
+/**
+ * Fill a form from the reload snapshot, dispatching draftrestored with detail.reload set
+ */
+function restoreSnapshot(form) {
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(sessionStorage.getItem(config.snapshotStorageKey) || 'null');
+  } catch (error) {
+    console.error('Failed to read form snapshot from sessionStorage:', error);
+  }
+  if (!snapshot || !snapshot.forms) return false;
+
+  if (snapshot.path !== window.location.pathname || Date.now() - snapshot.savedAt > config.snapshotMaxAge) {
+    sessionStorage.removeItem(config.snapshotStorageKey);
+    return false;
+  }
+
+  const key = getSnapshotKey(form);
+  const saved = snapshot.forms[key];
+  if (!saved) return false;
+
+  // Each form is restored once; forms rendered later can still pick up theirs
+  delete snapshot.forms[key];
+  if (Object.keys(snapshot.forms).length === 0) {
+    sessionStorage.removeItem(config.snapshotStorageKey);
+  } else {
+    sessionStorage.setItem(config.snapshotStorageKey, JSON.stringify(snapshot));
+  }
+
+  setFormValues(form, saved.values, saved.names);
+  if (tracksChanges(form)) {
+    updateDirtyState(form);
+    scheduleDraftSave(form);
+  }
+
+  announce(form, 'Your changes from before the page reloaded were restored.');
+  form.dispatchEvent(new CustomEvent('draftrestored', { bubbles: true, detail: { savedAt: snapshot.savedAt, reload: true } }));
+  return true;
+}
+
+/**
+ * Put a form back to the values it was rendered with and delete its draft
+ */
+function discardChanges(form) {
+  const binding = boundForms.get(form);
+  if (!binding || binding.initialValues === undefined) return;
+
+  const values = JSON.parse(binding.initialValues);
+  const names = Array.from(new Set(Array.from(form.querySelectorAll(FIELD_SELECTOR)).map(field => field.name).filter(Boolean)));
+  setFormValues(form, values, names);
+  removeDraft(form);
+  updateDirtyState(form);
+}
+
+/**
+ * Start tracking a form's changes from the values it was rendered with, restoring its draft
+ */
+function trackChanges(form) {
+  const binding = boundForms.get(form);
+  binding.initialValues = JSON.stringify(getFormValues(form));
+  binding.dirty = false;
+  binding.draftTimer = null;
+
+  const { signal } = binding.controller;
+  const handleChange = () => {
+    updateDirtyState(form);
+    scheduleDraftSave(form);
+  };
+  form.addEventListener('input', handleChange, { signal });
+  form.addEventListener('change', handleChange, { signal });
+
+  restoreDraft(form);
+}
+
+/**
+ * Ask before the page unloads with unsaved changes (reload, close, address bar, non-enhanced links)
+ */
+function handleBeforeUnload(e) {
+  if (!reloading && hasUnsavedChanges()) {
+    e.preventDefault();
+    e.returnValue = '';
+  }
+}
 
-    // Handle field validation on input (clear errors)
+/**
+ * Ask before a link click leaves the page with unsaved changes
+ * Runs in the capture phase, ahead of Blazor's enhanced navigation and the sidebar's handlers.
+ */
+function handleNavigationClick(e) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+  const link = e.target.closest('a[href]');
+  if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+
+  // Links within the page (tabs, the error summary) don't leave it
+  const url = new URL(link.href, window.location.href);
+  const current = window.location;
+  if (url.origin === current.origin && url.pathname === current.pathname && url.search === current.search && url.hash) return;
+
+  const dirtyForms = getDirtyForms();
+  if (dirtyForms.length === 0) return;
+
+  const message = dirtyForms[0].dataset.unsavedMessage || config.unsavedMessage;
+  if (!window.confirm(message)) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    return;
+  }
+
+  // The user chose to discard the changes
+  dirtyForms.forEach(markClean);
+}
+
+/**
+ * Validate the form before it submits, showing the error summary if it can't
+ */
+function handleSubmit(form, e) {
+  if (submittingForms.has(form)) {
+    e.preventDefault();
+    e.stopPropagation();
+    return;
+  }
+
+  // Form-level server errors are about the previous submission
+  formErrors.delete(form);
+
+  if (!validateForm(form)) {
+    e.preventDefault();
+    e.stopPropagation();
+    showErrorSummary(form);
+    return;
+  }
+  updateErrorSummary(form);
+
+  // Hold the submission until async checks finish, then submit again with the same button
+  if (!isPending(form)) {
+    // The values are on their way to the server
+    markClean(form);
+  } else {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const submitter = e.submitter;
+    submittingForms.add(form);
+    validateFormAsync(form).then(valid => {
+      submittingForms.delete(form);
+      if (!boundForms.has(form)) return;
+
+      if (valid) {
+        form.requestSubmit(submitter);
+      } else {
+        showErrorSummary(form);
+      }
+    });
+  }
+}
+
+/**
+ * Clear or re-check a field's error while the user types, and schedule its async checks
+ */
+function handleInput(field) {
+  if (field.classList.contains(config.errorClass)) {
     if (config.validateOnInput) {
-      const fields = form.querySelectorAll('input:not([type="hidden"]), textarea, select');
-      fields.forEach(field => {
-        field.addEventListener('input', function() {
-          if (field.classList.contains(config.errorClass)) {
-            validateField(field);
-          }
-        });
-      });
+      validateField(field);
     } else {
       // At minimum, clear error styling when user starts typing
-      const fields = form.querySelectorAll('input:not([type="hidden"]), textarea, select');
-      fields.forEach(field => {
-        field.addEventListener('input', function() {
-          if (field.classList.contains(config.errorClass)) {
-            clearFieldError(field);
-          }
-        });
-      });
+      clearFieldError(field);
     }
   }
 
-  /**
-   * Initialize all forms on the page
-   */
-  function init() {
-    const forms = document.querySelectorAll('form');
-    forms.forEach(initializeForm);
+  // Check async validators while typing, once the field's other checks pass
+  if (hasAsyncRules(field)) {
+    cancelAsync(field);
+    field.setCustomValidity('');
+    if (field.validity.valid && !checkSync(field)) {
+      scheduleAsync(field);
+    }
   }
+}
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+/**
+ * Attach validation to a field of a bound form (once)
+ */
+function bindField(form, field) {
+  const binding = boundForms.get(form);
+  if (binding.fields.has(field)) return;
+
+  const controller = new AbortController();
+  binding.fields.set(field, controller);
+
+  const { signal } = controller;
+  if (config.validateOnBlur) {
+    field.addEventListener('blur', () => {
+      if (shouldValidateOnBlur(field)) {
+        validateField(field);
+      }
+    }, { signal });
   }
+  field.addEventListener('input', () => handleInput(field), { signal });
+}
+
+/**
+ * Detach validation from a field, cancelling its pending checks
+ */
+function unbindField(form, field) {
+  const binding = boundForms.get(form);
+  const controller = binding.fields.get(field);
+  if (!controller) return;
+
+  controller.abort();
+  cancelAsync(field);
+  serverErrors.delete(field);
+  binding.fields.delete(field);
+}
 
-  // Re-initialize when Blazor finishes rendering (for SSR -> interactive)
-  if (window.Blazor) {
-    window.Blazor.addEventListener('enhancedload', init);
+/**
+ * Bring a bound form's field bindings in line with the fields it has now
+ */
+function bindFields(form) {
+  const fields = Array.from(form.querySelectorAll(FIELD_SELECTOR));
+  const binding = boundForms.get(form);
+
+  binding.fields.forEach((controller, field) => {
+    if (!fields.includes(field)) {
+      unbindField(form, field);
+    }
+  });
+  fields.forEach(field => bindField(form, field));
+}
+
+/**
+ * Initialize validation for a form
+ * Safe to call again: listeners are added once, and fields added since are picked up.
+ */
+function initializeForm(form) {
+  if (boundForms.has(form)) {
+    bindFields(form);
+    return;
   }
 
-  // Expose API for manual validation
-  window.DevQualX = window.DevQualX || {};
-  window.DevQualX.validation = {
-    validateField,
-    validateForm,
-    showFieldError,
-    clearFieldError
+  const binding = {
+    controller: new AbortController(),
+    fields: new Map(),
+    addedNoValidate: !form.hasAttribute('novalidate')
   };
-})();
+  boundForms.set(form, binding);
+
+  // Disable browser's default validation tooltips
+  form.setAttribute('novalidate', '');
+
+  const { signal } = binding.controller;
+  form.addEventListener('submit', e => handleSubmit(form, e), { signal });
+  form.addEventListener('click', handleSummaryClick, { signal });
+
+  // Cross-field rules: keep fields that depend on the changed one up to date
+  form.addEventListener('input', e => validateDependents(form, e.target, true), { signal });
+  form.addEventListener('change', e => validateDependents(form, e.target, false), { signal });
+
+  bindFields(form);
+
+  if (tracksChanges(form)) {
+    trackChanges(form);
+  }
+
+  restoreSnapshot(form);
+}
+
+/**
+ * Remove validation from a form: listeners, pending checks and the novalidate it added
+ */
+function teardownForm(form) {
+  const binding = boundForms.get(form);
+  if (!binding) return;
+
+  Array.from(binding.fields.keys()).forEach(field => unbindField(form, field));
+  binding.controller.abort();
+  clearTimeout(binding.draftTimer);
+  if (binding.addedNoValidate) {
+    form.removeAttribute('novalidate');
+  }
+
+  submittingForms.delete(form);
+  formErrors.delete(form);
+  boundForms.delete(form);
+}
+
+/**
+ * Follow forms and fields as they are added to or removed from the page (Blazor renders,
+ * repeaters, conditional sections)
+ */
+function handleMutations(records) {
+  let removed = false;
+  const added = new Set();
+
+  records.forEach(record => {
+    record.removedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) removed = true;
+    });
+    record.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) added.add(node);
+    });
+  });
+
+  // Removed nodes may have been moved elsewhere, so check what is still in the document
+  if (removed) {
+    Array.from(boundForms.keys()).forEach(form => {
+      if (!form.isConnected) {
+        teardownForm(form);
+      } else {
+        bindFields(form);
+      }
+    });
+  }
+
+  const forms = new Set();
+  added.forEach(node => {
+    if (!node.isConnected) return;
+
+    const form = node.closest('form');
+    if (form) forms.add(form);
+    node.querySelectorAll('form').forEach(nested => forms.add(nested));
+  });
+  forms.forEach(initializeForm);
+}
+
+/**
+ * Initialize all forms on the page, and watch for forms and fields added later
+ * Calling it again only picks up what is new.
+ */
+function init() {
+  const forms = document.querySelectorAll('form');
+  forms.forEach(initializeForm);
+
+  if (!observer) {
+    observer = new MutationObserver(handleMutations);
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+
+    // Re-scan when Blazor finishes rendering (for SSR -> interactive)
+    if (window.Blazor) {
+      window.Blazor.addEventListener('enhancedload', init);
+    }
+
+    pageController = new AbortController();
+    window.addEventListener('beforeunload', handleBeforeUnload, { signal: pageController.signal });
+    document.addEventListener('click', handleNavigationClick, { capture: true, signal: pageController.signal });
+  }
+}
+
+/**
+ * Remove validation from one form, or from the page (stops watching for new forms until init())
+ */
+function teardown(form) {
+  if (form) {
+    teardownForm(form);
+    return;
+  }
+
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+
+    if (window.Blazor) {
+      window.Blazor.removeEventListener('enhancedload', init);
+    }
+
+    pageController.abort();
+    pageController = null;
+  }
+  Array.from(boundForms.keys()).forEach(teardownForm);
+}
+
+/**
+ * Split a comma-separated list of field references
+ */
+function splitRefs(param) {
+  return param.split(',').map(ref => ref.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a required-if condition: "other" (has a value) or "other=value"
+ */
+function parseCondition(param) {
+  const index = param.indexOf('=');
+  return index === -1
+    ? { ref: param.trim(), expected: null }
+    : { ref: param.slice(0, index).trim(), expected: param.slice(index + 1).trim() };
+}
+
+// Built-in validators
+registerValidator('matches', (value, param, { getValue }) => value === getValue(param), {
+  message: 'The values do not match.',
+  dependsOn: param => [param]
+});
+
+registerValidator('requiredIf', (value, param, { field, getValue }) => {
+  const { ref, expected } = parseCondition(param);
+  const other = getValue(ref);
+  const required = expected === null ? other !== '' : other === expected;
+  return !required || value !== '' || field.dataset.validationRequiredMessage || false;
+}, {
+  message: 'This field is required.',
+  dependsOn: param => [parseCondition(param).ref]
+});
+
+registerValidator('atLeastOneOf', (value, param, { getValue }) => value !== '' || splitRefs(param).some(ref => getValue(ref) !== ''), {
+  message: 'Please fill in at least one of these fields.',
+  dependsOn: splitRefs
+});
+
+// Server check: GET {url}?{field name}={value}, answered with { valid, message? }
+registerValidator('remote', (value, param, { field, signal }) => {
+  if (value === '') return true;
+
+  const url = new URL(param, window.location.href);
+  url.searchParams.set(field.name || 'value', value);
+
+  return fetch(url, { credentials: 'same-origin', headers: { Accept: 'application/json' }, signal })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Remote validation failed with status ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(result => result.valid || result.message || false);
+}, {
+  async: true,
+  debounce: 400,
+  message: 'This value is not available.'
+});
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
+
+// ES module API
+export {
+  init,
+  teardown,
+  registerValidator,
+  validateField,
+  validateFieldAsync,
+  validateForm,
+  validateFormAsync,
+  isPending,
+  showFieldError,
+  clearFieldError,
+  showErrorSummary,
+  showServerErrors,
+  clearServerErrors,
+  isDirty,
+  hasUnsavedChanges,
+  markClean,
+  discardChanges,
+  saveFormSnapshot
+};
+
+// Global API for manual validation (kept for scripts that predate the module): the module's own namespace
+window.DevQualX = window.DevQualX || {};
+window.DevQualX.validation = api;
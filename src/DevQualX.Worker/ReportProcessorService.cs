@@ -1,7 +1,9 @@
 using System.Text.Json;
 using Azure.Messaging.ServiceBus;
+using DevQualX.Application.Notifications;
 using DevQualX.Application.Reports;
 using DevQualX.Domain.Models;
+using DevQualX.Functional;
 
 namespace DevQualX.Worker;
 
@@ -70,6 +72,10 @@ public class ReportProcessorService(
             {
                 await args.CompleteMessageAsync(args.Message, args.CancellationToken);
                 logger.LogInformation("Successfully processed report: {BlobUrl}", reportMetadata.BlobUrl);
+                
+                await NotifyUploaderAsync(args.Message, "success", "Report processed",
+                    $"{reportMetadata.Organisation}/{reportMetadata.Project}/{reportMetadata.FileName} has been processed.",
+                    args.CancellationToken);
             }
             else if (result.ShouldRetry && attemptCount < MaxRetryAttempts)
             {
@@ -98,6 +104,10 @@ public class ReportProcessorService(
                     "ProcessingFailed", 
                     result.FailureReason, 
                     args.CancellationToken);
+                
+                await NotifyUploaderAsync(args.Message, "danger", "Report processing failed",
+                    $"{reportMetadata.Organisation}/{reportMetadata.Project}/{reportMetadata.FileName} could not be processed: {result.FailureReason}",
+                    args.CancellationToken);
             }
         }
         catch (JsonException ex)
@@ -118,6 +128,49 @@ public class ReportProcessorService(
         }
     }
 
+    /// <summary>
+    /// Shows the outcome in the uploader's notification tray. Messages queued without the uploader
+    /// (UploadReport sets UserId and InstallationId) are skipped, and a failure to notify is only logged.
+    /// </summary>
+    private async Task NotifyUploaderAsync(
+        ServiceBusReceivedMessage message,
+        string level,
+        string title,
+        string text,
+        CancellationToken cancellationToken)
+    {
+        if (!message.ApplicationProperties.TryGetValue("UserId", out var userId)
+            || !message.ApplicationProperties.TryGetValue("InstallationId", out var installationId))
+        {
+            return;
+        }
+
+        try
+        {
+            using var scope = serviceScopeFactory.CreateScope();
+            var notifyUser = scope.ServiceProvider.GetRequiredService<INotifyUser>();
+
+            var result = await notifyUser.ExecuteAsync(
+                Convert.ToInt64(userId),
+                Convert.ToInt64(installationId),
+                title,
+                text,
+                level,
+                cancellationToken: cancellationToken);
+
+            if (result is Failure<UserNotification, Error> { Error: var error })
+            {
+                logger.LogWarning("Failed to notify user {UserId} about report {MessageId}: {Error}",
+                    userId, message.MessageId, error.Message);
+            }
+        }
+        catch (Exception ex)
+        {
+            // The message is settled already; it must not be dead-lettered over a notification
+            logger.LogWarning(ex, "Failed to notify user {UserId} about report {MessageId}", userId, message.MessageId);
+        }
+    }
+
     private Task ProcessErrorAsync(ProcessErrorEventArgs args)
     {
         logger.LogError(args.Exception, "Service Bus processor error: {ErrorSource}", args.ErrorSource);
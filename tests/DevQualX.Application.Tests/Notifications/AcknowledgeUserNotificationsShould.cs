@@ -0,0 +1,60 @@
+using DevQualX.Application.Notifications;
+using DevQualX.Domain.Data;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Tests.Notifications;
+
+public class AcknowledgeUserNotificationsShould
+{
+    [Test]
+    public async Task Mark_each_notification_read_once()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        A.CallTo(() => fakeRepository.MarkReadAsync(A<long>._, A<IReadOnlyCollection<long>>._, A<CancellationToken>._))
+            .Returns(new Success<Unit, Error>(Unit.Default));
+
+        var service = new AcknowledgeUserNotifications(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, [4, 5, 4]);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<Unit, Error>(Unit.Default));
+        A.CallTo(() => fakeRepository.MarkReadAsync(
+                42,
+                A<IReadOnlyCollection<long>>.That.Matches(ids => ids.SequenceEqual(new long[] { 4, 5 })),
+                A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+    }
+
+    [Test]
+    public async Task Skip_database_when_nothing_to_acknowledge()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        var service = new AcknowledgeUserNotifications(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, []);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<Unit, Error>(Unit.Default));
+        A.CallTo(() => fakeRepository.MarkReadAsync(A<long>._, A<IReadOnlyCollection<long>>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Reject_more_ids_than_the_browser_keeps()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        var service = new AcknowledgeUserNotifications(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, Enumerable.Range(1, 1001).Select(id => (long)id).ToList());
+
+        // Assert
+        await Assert.That(result is Failure<Unit, Error> { Error: BadRequestError }).IsTrue();
+    }
+}
@@ -0,0 +1,48 @@
+using DevQualX.Application.Notifications;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Tests.Notifications;
+
+public class GetUserNotificationsShould
+{
+    [Test]
+    public async Task Return_page_after_cursor()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        IReadOnlyList<UserNotification> stored =
+        [
+            new(4, 42, 7, "Report processed", "acme/api/coverage.xml has been processed.", "success", null, DateTimeOffset.UtcNow, null)
+        ];
+        A.CallTo(() => fakeRepository.GetAfterAsync(42, 7, 3, A<int>._, A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<UserNotification>, Error>(stored));
+
+        var service = new GetUserNotifications(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7, 3);
+
+        // Assert
+        await Assert.That(result is Success<IReadOnlyList<UserNotification>, Error> { Value: [{ Id: 4 }] }).IsTrue();
+        A.CallTo(() => fakeRepository.GetAfterAsync(42, 7, 3, A<int>.That.IsGreaterThan(0), A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+    }
+
+    [Test]
+    public async Task Reject_negative_cursor()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        var service = new GetUserNotifications(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7, -1);
+
+        // Assert
+        await Assert.That(result is Failure<IReadOnlyList<UserNotification>, Error> { Error: BadRequestError }).IsTrue();
+        A.CallTo(() => fakeRepository.GetAfterAsync(A<long>._, A<long>._, A<long>._, A<int>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+}
@@ -0,0 +1,60 @@
+using DevQualX.Application.Notifications;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Tests.Notifications;
+
+public class NotifyUserShould
+{
+    [Test]
+    public async Task Store_notification_for_user()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        var stored = new UserNotification(1, 42, 7, "Report processed", "Done", "success", null, DateTimeOffset.UtcNow, null);
+        A.CallTo(() => fakeRepository.AddAsync(42, 7, "Report processed", "Done", "success", null, A<CancellationToken>._))
+            .Returns(new Success<UserNotification, Error>(stored));
+
+        var service = new NotifyUser(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7, "Report processed", "Done", "success");
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<UserNotification, Error>(stored));
+    }
+
+    [Test]
+    [Arguments("error")]
+    [Arguments("Success")]
+    [Arguments("")]
+    public async Task Reject_level_notifications_js_does_not_render(string level)
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        var service = new NotifyUser(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7, "Report processed", "Done", level);
+
+        // Assert
+        await Assert.That(result is Failure<UserNotification, Error> { Error: ValidationError { Code: "INVALID_NOTIFICATION_LEVEL" } }).IsTrue();
+        A.CallTo(() => fakeRepository.AddAsync(A<long>._, A<long>._, A<string>._, A<string>._, A<string>._, A<string?>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Reject_empty_title()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserNotificationRepository>();
+        var service = new NotifyUser(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7, " ", "Done", "info");
+
+        // Assert
+        await Assert.That(result is Failure<UserNotification, Error> { Error: ValidationError }).IsTrue();
+    }
+}
@@ -0,0 +1,28 @@
+using DevQualX.Application.Preferences;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Tests.Preferences;
+
+public class GetUserPreferencesShould
+{
+    [Test]
+    public async Task Return_empty_document_at_version_zero_when_none_are_stored()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserPreferencesRepository>();
+        A.CallTo(() => fakeRepository.GetAsync(A<long>._, A<long>._, A<CancellationToken>._))
+            .Returns(new Failure<UserPreferences, Error>(new NotFoundError { Message = "Not found" }));
+
+        var service = new GetUserPreferences(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7);
+
+        // Assert
+        var preferences = ((Success<UserPreferences, Error>)result).Value;
+        await Assert.That(preferences.Document).IsEqualTo("{}");
+        await Assert.That(preferences.Version).IsEqualTo(0);
+    }
+}
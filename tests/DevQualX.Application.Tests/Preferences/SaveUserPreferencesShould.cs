@@ -0,0 +1,48 @@
+using DevQualX.Application.Preferences;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+
+namespace DevQualX.Application.Tests.Preferences;
+
+public class SaveUserPreferencesShould
+{
+    [Test]
+    public async Task Save_json_object_with_expected_version()
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserPreferencesRepository>();
+        var saved = new UserPreferences(42, 7, """{"theme":{"value":"dark","updatedAt":1}}""", 3, DateTimeOffset.UtcNow);
+        A.CallTo(() => fakeRepository.SaveAsync(A<long>._, A<long>._, A<string>._, A<int>._, A<CancellationToken>._))
+            .Returns(new Success<UserPreferences, Error>(saved));
+
+        var service = new SaveUserPreferences(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7, saved.Document, 2);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<UserPreferences, Error>(saved));
+        A.CallTo(() => fakeRepository.SaveAsync(42, 7, saved.Document, 2, A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+    }
+
+    [Test]
+    [Arguments("[]")]
+    [Arguments("\"dark\"")]
+    [Arguments("{not json")]
+    public async Task Reject_document_that_is_not_a_json_object(string document)
+    {
+        // Arrange
+        var fakeRepository = A.Fake<IUserPreferencesRepository>();
+        var service = new SaveUserPreferences(fakeRepository);
+
+        // Act
+        var result = await service.ExecuteAsync(42, 7, document, 0);
+
+        // Assert
+        await Assert.That(result is Failure<UserPreferences, Error> { Error: ValidationError }).IsTrue();
+        A.CallTo(() => fakeRepository.SaveAsync(A<long>._, A<long>._, A<string>._, A<int>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+}
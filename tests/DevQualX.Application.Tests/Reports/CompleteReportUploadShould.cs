@@ -0,0 +1,178 @@
+using System.IO.Compression;
+using System.Text;
+using DevQualX.Application.Reports;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Application.Tests.Reports;
+
+public class CompleteReportUploadShould
+{
+    // SHA-256 of "test"
+    private const string Sha256 = "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08";
+
+    private static readonly ReportMetadata Report = new(
+        "acme", "api", "report.txt", "https://blob/report.txt", "acme/api/report.txt", "text/plain", 4, Sha256,
+        DateTimeOffset.UtcNow);
+
+    private static readonly Failure<ReportMetadata, Error> NotCompleted = new(new NotFoundError
+    {
+        Message = "Completed upload not found",
+        ResourceType = "ReportUpload"
+    });
+
+    [Test]
+    public async Task Upload_compressed_content_and_record_report()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        var fakeRepository = CreateRepository();
+        var fakeUploadReport = A.Fake<IUploadReport>();
+        var session = new ReportUploadSession(
+            "0123456789abcdef0123456789abcdef", 42, 7, "acme", "api", "report.txt", "text/plain", 4, Sha256,
+            4 * 1024 * 1024, [0], DateTimeOffset.UtcNow);
+        A.CallTo(() => fakeStore.GetSessionAsync(session.Id, A<CancellationToken>._))
+            .Returns(session);
+        A.CallTo(() => fakeStore.OpenContentAsync(session.Id, A<CancellationToken>._))
+            .Returns(new MemoryStream(Encoding.UTF8.GetBytes("test")));
+        A.CallTo(() => fakeStore.CreateTemporaryFileAsync(session.Id, A<CancellationToken>._))
+            .Returns(new MemoryStream());
+
+        string? uploaded = null;
+        A.CallTo(() => fakeUploadReport.ExecuteAsync(A<ReportUploadRequest>._, A<CancellationToken>._))
+            .ReturnsLazily((ReportUploadRequest request, CancellationToken _) =>
+            {
+                using var reader = new StreamReader(new BrotliStream(request.Content, CompressionMode.Decompress, leaveOpen: true));
+                uploaded = reader.ReadToEnd();
+                return new Success<ReportMetadata, Error>(Report);
+            });
+
+        var service = new CompleteReportUpload(fakeStore, fakeRepository, fakeUploadReport, A.Fake<ILogger<CompleteReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, session.Id);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<ReportMetadata, Error>(Report));
+        await Assert.That(uploaded).IsEqualTo("test");
+        A.CallTo(() => fakeRepository.AddAsync(session.Id, 42, 7, Report, A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+        A.CallTo(() => fakeStore.DeleteChunksAsync(session.Id, A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+    }
+
+    [Test]
+    public async Task Return_report_of_upload_completed_after_its_session_was_purged()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        var fakeRepository = CreateRepository();
+        var fakeUploadReport = A.Fake<IUploadReport>();
+        const string uploadId = "0123456789abcdef0123456789abcdef";
+        A.CallTo(() => fakeRepository.GetAsync(uploadId, 42, A<CancellationToken>._))
+            .Returns(new Success<ReportMetadata, Error>(Report));
+
+        var service = new CompleteReportUpload(fakeStore, fakeRepository, fakeUploadReport, A.Fake<ILogger<CompleteReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, uploadId);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<ReportMetadata, Error>(Report));
+        A.CallTo(() => fakeStore.GetSessionAsync(A<string>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+        A.CallTo(() => fakeUploadReport.ExecuteAsync(A<ReportUploadRequest>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Return_report_completed_by_concurrent_request_while_waiting_for_lock()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        var fakeRepository = CreateRepository();
+        var fakeUploadReport = A.Fake<IUploadReport>();
+        var session = new ReportUploadSession(
+            "0123456789abcdef0123456789abcdef", 42, 7, "acme", "api", "report.txt", "text/plain", 4, Sha256,
+            4 * 1024 * 1024, [0], DateTimeOffset.UtcNow);
+        A.CallTo(() => fakeStore.GetSessionAsync(session.Id, A<CancellationToken>._))
+            .Returns(session);
+        A.CallTo(() => fakeRepository.GetAsync(session.Id, 42, A<CancellationToken>._))
+            .ReturnsNextFromSequence(NotCompleted, new Success<ReportMetadata, Error>(Report));
+
+        var service = new CompleteReportUpload(fakeStore, fakeRepository, fakeUploadReport, A.Fake<ILogger<CompleteReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, session.Id);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<ReportMetadata, Error>(Report));
+        A.CallTo(() => fakeStore.LockAsync(session.Id, A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+        A.CallTo(() => fakeUploadReport.ExecuteAsync(A<ReportUploadRequest>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Discard_chunks_when_content_does_not_match_checksum()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        var fakeRepository = CreateRepository();
+        var fakeUploadReport = A.Fake<IUploadReport>();
+        var session = new ReportUploadSession(
+            "0123456789abcdef0123456789abcdef", 42, 7, "acme", "api", "report.txt", "text/plain", 4, Sha256,
+            4 * 1024 * 1024, [0], DateTimeOffset.UtcNow);
+        A.CallTo(() => fakeStore.GetSessionAsync(session.Id, A<CancellationToken>._))
+            .Returns(session);
+        A.CallTo(() => fakeStore.OpenContentAsync(session.Id, A<CancellationToken>._))
+            .Returns(new MemoryStream(Encoding.UTF8.GetBytes("tost")));
+
+        var service = new CompleteReportUpload(fakeStore, fakeRepository, fakeUploadReport, A.Fake<ILogger<CompleteReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, session.Id);
+
+        // Assert
+        await Assert.That(result is Failure<ReportMetadata, Error> { Error: ValidationError { Code: "CHECKSUM_MISMATCH" } }).IsTrue();
+        A.CallTo(() => fakeStore.DeleteChunksAsync(session.Id, A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+        A.CallTo(() => fakeUploadReport.ExecuteAsync(A<ReportUploadRequest>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Report_missing_chunks_as_conflict()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        var fakeRepository = CreateRepository();
+        var fakeUploadReport = A.Fake<IUploadReport>();
+        var session = new ReportUploadSession(
+            "0123456789abcdef0123456789abcdef", 42, 7, "acme", "api", "report.json", "application/json", 10_000_000, Sha256,
+            4 * 1024 * 1024, [0, 2], DateTimeOffset.UtcNow);
+        A.CallTo(() => fakeStore.GetSessionAsync(session.Id, A<CancellationToken>._))
+            .Returns(session);
+
+        var service = new CompleteReportUpload(fakeStore, fakeRepository, fakeUploadReport, A.Fake<ILogger<CompleteReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, session.Id);
+
+        // Assert
+        await Assert.That(result is Failure<ReportMetadata, Error> { Error: ConflictError }).IsTrue();
+        A.CallTo(() => fakeStore.OpenContentAsync(A<string>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    private static IReportUploadRepository CreateRepository()
+    {
+        var fakeRepository = A.Fake<IReportUploadRepository>();
+        A.CallTo(() => fakeRepository.GetAsync(A<string>._, A<long>._, A<CancellationToken>._))
+            .Returns(NotCompleted);
+        return fakeRepository;
+    }
+}
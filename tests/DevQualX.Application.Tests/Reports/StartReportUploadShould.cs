@@ -0,0 +1,88 @@
+using DevQualX.Application.Reports;
+using DevQualX.Domain.Data;
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Application.Tests.Reports;
+
+public class StartReportUploadShould
+{
+    private const string Sha256 = "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08";
+
+    [Test]
+    public async Task Resume_session_already_started_for_same_content()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        ReportUploadSession? existing = null;
+        A.CallTo(() => fakeStore.GetSessionAsync(A<string>._, A<CancellationToken>._))
+            .ReturnsLazily((string uploadId, CancellationToken _) => existing = new ReportUploadSession(
+                uploadId, 42, 7, "acme", "api", "report.json", "application/json", 10_000_000, Sha256,
+                4 * 1024 * 1024, [0, 1], DateTimeOffset.UtcNow));
+
+        var service = new StartReportUpload(fakeStore, CreateRepository(), A.Fake<ILogger<StartReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(
+            new ReportUploadStartRequest(42, 7, "acme", "api", "report.json", "application/json", 10_000_000, Sha256));
+
+        // Assert
+        await Assert.That(result).IsEqualTo(new Success<ReportUploadSession, Error>(existing!));
+        A.CallTo(() => fakeStore.SaveSessionAsync(A<ReportUploadSession>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    [Arguments("")]
+    [Arguments("9f86d081")]
+    [Arguments("zz86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08")]
+    public async Task Reject_checksum_that_is_not_sha256_hex(string sha256)
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        var service = new StartReportUpload(fakeStore, CreateRepository(), A.Fake<ILogger<StartReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(
+            new ReportUploadStartRequest(42, 7, "acme", "api", "report.json", "application/json", 1024, sha256));
+
+        // Assert
+        await Assert.That(result is Failure<ReportUploadSession, Error> { Error: ValidationError }).IsTrue();
+        A.CallTo(() => fakeStore.SaveSessionAsync(A<ReportUploadSession>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Return_report_of_same_content_uploaded_before()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        var fakeRepository = A.Fake<IReportUploadRepository>();
+        var report = new ReportMetadata(
+            "acme", "api", "report.json", "https://blob/report.json", "acme/api/report.json", "application/json",
+            10_000_000, Sha256, DateTimeOffset.UtcNow);
+        A.CallTo(() => fakeRepository.GetAsync(A<string>._, 42, A<CancellationToken>._))
+            .Returns(new Success<ReportMetadata, Error>(report));
+
+        var service = new StartReportUpload(fakeStore, fakeRepository, A.Fake<ILogger<StartReportUpload>>());
+
+        // Act
+        var result = await service.ExecuteAsync(
+            new ReportUploadStartRequest(42, 7, "acme", "api", "report.json", "application/json", 10_000_000, Sha256));
+
+        // Assert
+        await Assert.That(result is Success<ReportUploadSession, Error> { Value.Report: var found } && found == report).IsTrue();
+        A.CallTo(() => fakeStore.SaveSessionAsync(A<ReportUploadSession>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    private static IReportUploadRepository CreateRepository()
+    {
+        var fakeRepository = A.Fake<IReportUploadRepository>();
+        A.CallTo(() => fakeRepository.GetAsync(A<string>._, A<long>._, A<CancellationToken>._))
+            .Returns(new Failure<ReportMetadata, Error>(new NotFoundError { Message = "Completed upload not found" }));
+        return fakeRepository;
+    }
+}
@@ -0,0 +1,118 @@
+using DevQualX.Application.Reports;
+using DevQualX.Domain.Infrastructure;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Application.Tests.Reports;
+
+public class UploadReportChunkShould
+{
+    private const string Sha256 = "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08";
+
+    // 10 bytes in chunks of 4: 4, 4 and 2
+    private static readonly ReportUploadSession Session = new(
+        "0123456789abcdef0123456789abcdef", 42, 7, "acme", "api", "report.txt", "text/plain", 10, Sha256,
+        4, [0], DateTimeOffset.UtcNow);
+
+    [Test]
+    public async Task Store_chunk_and_add_it_to_received_chunks()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        A.CallTo(() => fakeStore.GetSessionAsync(Session.Id, A<CancellationToken>._))
+            .Returns(Session);
+        var content = new MemoryStream(new byte[2]);
+
+        var service = new UploadReportChunk(fakeStore, A.Fake<ILogger<UploadReportChunk>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, Session.Id, 2, 2, content);
+
+        // Assert
+        await Assert.That(result is Success<ReportUploadSession, Error> { Value.ReceivedChunks: [0, 2] }).IsTrue();
+        A.CallTo(() => fakeStore.SaveChunkAsync(Session.Id, 2, content, A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+    }
+
+    [Test]
+    [Arguments(-1)]
+    [Arguments(3)]
+    public async Task Reject_chunk_index_out_of_range(int index)
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        A.CallTo(() => fakeStore.GetSessionAsync(Session.Id, A<CancellationToken>._))
+            .Returns(Session);
+
+        var service = new UploadReportChunk(fakeStore, A.Fake<ILogger<UploadReportChunk>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, Session.Id, index, 4, new MemoryStream(new byte[4]));
+
+        // Assert
+        await Assert.That(result is Failure<ReportUploadSession, Error> { Error: BadRequestError }).IsTrue();
+        A.CallTo(() => fakeStore.SaveChunkAsync(A<string>._, A<int>._, A<Stream>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    [Arguments(1, 2L)]
+    [Arguments(2, 4L)]
+    [Arguments(1, null)]
+    public async Task Reject_chunk_of_wrong_length(int index, long? length)
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        A.CallTo(() => fakeStore.GetSessionAsync(Session.Id, A<CancellationToken>._))
+            .Returns(Session);
+
+        var service = new UploadReportChunk(fakeStore, A.Fake<ILogger<UploadReportChunk>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, Session.Id, index, length, new MemoryStream());
+
+        // Assert
+        await Assert.That(result is Failure<ReportUploadSession, Error> { Error: ValidationError { Code: "INVALID_CHUNK_LENGTH" } }).IsTrue();
+        A.CallTo(() => fakeStore.SaveChunkAsync(A<string>._, A<int>._, A<Stream>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Report_another_users_session_as_not_found()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        A.CallTo(() => fakeStore.GetSessionAsync(Session.Id, A<CancellationToken>._))
+            .Returns(Session);
+
+        var service = new UploadReportChunk(fakeStore, A.Fake<ILogger<UploadReportChunk>>());
+
+        // Act
+        var result = await service.ExecuteAsync(99, Session.Id, 1, 4, new MemoryStream(new byte[4]));
+
+        // Assert
+        await Assert.That(result is Failure<ReportUploadSession, Error> { Error: NotFoundError }).IsTrue();
+        A.CallTo(() => fakeStore.SaveChunkAsync(A<string>._, A<int>._, A<Stream>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Report_chunk_of_purged_upload_as_not_found()
+    {
+        // Arrange
+        var fakeStore = A.Fake<IReportUploadStagingStore>();
+        A.CallTo(() => fakeStore.GetSessionAsync(Session.Id, A<CancellationToken>._))
+            .Returns((ReportUploadSession?)null);
+
+        var service = new UploadReportChunk(fakeStore, A.Fake<ILogger<UploadReportChunk>>());
+
+        // Act
+        var result = await service.ExecuteAsync(42, Session.Id, 1, 4, new MemoryStream(new byte[4]));
+
+        // Assert
+        await Assert.That(result is Failure<ReportUploadSession, Error> { Error: NotFoundError }).IsTrue();
+        A.CallTo(() => fakeStore.SaveChunkAsync(A<string>._, A<int>._, A<Stream>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+}
@@ -0,0 +1,168 @@
+using System.Text;
+using DevQualX.Domain.Models;
+using DevQualX.Infrastructure.Adapters;
+using Microsoft.Extensions.Logging;
+
+namespace DevQualX.Infrastructure.Tests.Adapters;
+
+public class FileSystemReportUploadStagingStoreShould : IDisposable
+{
+    private const string UploadId = "0123456789abcdef0123456789abcdef";
+
+    private readonly string _rootPath = Path.Combine(Path.GetTempPath(), "devqualx-tests", Guid.NewGuid().ToString("N"));
+    private readonly FileSystemReportUploadStagingStore _store;
+
+    public FileSystemReportUploadStagingStoreShould()
+    {
+        _store = new FileSystemReportUploadStagingStore(
+            A.Fake<ILogger<FileSystemReportUploadStagingStore>>(), _rootPath);
+    }
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_rootPath))
+        {
+            Directory.Delete(_rootPath, recursive: true);
+        }
+    }
+
+    [Test]
+    public async Task Return_session_with_chunks_received_so_far()
+    {
+        // Arrange
+        await _store.SaveSessionAsync(CreateSession(DateTimeOffset.UtcNow));
+
+        // Act
+        await _store.SaveChunkAsync(UploadId, 2, new MemoryStream(Encoding.UTF8.GetBytes("ef")));
+        await _store.SaveChunkAsync(UploadId, 0, new MemoryStream(Encoding.UTF8.GetBytes("ab")));
+        var session = await _store.GetSessionAsync(UploadId);
+
+        // Assert
+        await Assert.That(session is { ReceivedChunks: [0, 2] }).IsTrue();
+    }
+
+    [Test]
+    [Arguments("fedcba9876543210fedcba9876543210")]
+    [Arguments("../0123456789abcdef0123456789abc")]
+    [Arguments("0123456789ABCDEF0123456789ABCDEF")]
+    public async Task Return_no_session_for_unknown_or_invalid_id(string uploadId)
+    {
+        // Act
+        var session = await _store.GetSessionAsync(uploadId);
+
+        // Assert
+        await Assert.That(session).IsNull();
+    }
+
+    [Test]
+    public async Task Open_chunks_in_order_as_one_stream()
+    {
+        // Arrange
+        await _store.SaveSessionAsync(CreateSession(DateTimeOffset.UtcNow));
+        await _store.SaveChunkAsync(UploadId, 1, new MemoryStream(Encoding.UTF8.GetBytes("cd")));
+        await _store.SaveChunkAsync(UploadId, 0, new MemoryStream(Encoding.UTF8.GetBytes("ab")));
+
+        // Act
+        await using var content = await _store.OpenContentAsync(UploadId);
+        using var reader = new StreamReader(content);
+        var text = await reader.ReadToEndAsync();
+
+        // Assert
+        await Assert.That(text).IsEqualTo("abcd");
+    }
+
+    [Test]
+    public async Task Keep_session_when_deleting_chunks()
+    {
+        // Arrange
+        await _store.SaveSessionAsync(CreateSession(DateTimeOffset.UtcNow));
+        await _store.SaveChunkAsync(UploadId, 0, new MemoryStream(Encoding.UTF8.GetBytes("ab")));
+
+        // Act
+        await _store.DeleteChunksAsync(UploadId);
+        var session = await _store.GetSessionAsync(UploadId);
+
+        // Assert
+        await Assert.That(session is { ReceivedChunks.Count: 0 }).IsTrue();
+    }
+
+    [Test]
+    public async Task Wait_for_lock_until_it_is_released()
+    {
+        // Arrange
+        await _store.SaveSessionAsync(CreateSession(DateTimeOffset.UtcNow));
+        var held = await _store.LockAsync(UploadId);
+
+        // Act
+        var waiting = _store.LockAsync(UploadId);
+        await Task.Delay(300);
+        var acquiredWhileHeld = waiting.IsCompleted;
+        await held.DisposeAsync();
+        await using var acquired = await waiting.WaitAsync(TimeSpan.FromSeconds(5));
+
+        // Assert
+        await Assert.That(acquiredWhileHeld).IsFalse();
+    }
+
+    [Test]
+    public async Task Purge_sessions_idle_since_cutoff()
+    {
+        // Arrange
+        await _store.SaveSessionAsync(CreateSession(DateTimeOffset.UtcNow));
+        await _store.SaveChunkAsync(UploadId, 0, new MemoryStream(Encoding.UTF8.GetBytes("ab")));
+        SetLastActivity(DateTime.UtcNow.AddDays(-2));
+
+        // Act
+        await _store.PurgeInactiveAsync(DateTimeOffset.UtcNow.AddHours(-24));
+
+        // Assert
+        await Assert.That(Directory.Exists(Path.Combine(_rootPath, UploadId))).IsFalse();
+    }
+
+    [Test]
+    public async Task Keep_old_session_that_received_a_chunk_since_cutoff()
+    {
+        // Arrange: started two days ago, but still uploading
+        await _store.SaveSessionAsync(CreateSession(DateTimeOffset.UtcNow.AddDays(-2)));
+        SetLastActivity(DateTime.UtcNow.AddDays(-2));
+        await _store.SaveChunkAsync(UploadId, 0, new MemoryStream(Encoding.UTF8.GetBytes("ab")));
+
+        // Act
+        await _store.PurgeInactiveAsync(DateTimeOffset.UtcNow.AddHours(-24));
+
+        // Assert
+        await Assert.That(await _store.GetSessionAsync(UploadId) is { ReceivedChunks: [0] }).IsTrue();
+    }
+
+    [Test]
+    public async Task Keep_new_directory_whose_session_is_not_written_yet()
+    {
+        // Arrange: a concurrent start has created the directory but not yet saved the session
+        var directory = Path.Combine(_rootPath, UploadId);
+        Directory.CreateDirectory(directory);
+
+        // Act
+        await _store.PurgeInactiveAsync(DateTimeOffset.UtcNow.AddHours(-24));
+
+        // Assert
+        await Assert.That(Directory.Exists(directory)).IsTrue();
+    }
+
+    /// <summary>
+    /// Backdates the session directory and everything in it.
+    /// </summary>
+    private void SetLastActivity(DateTime timeUtc)
+    {
+        var directory = Path.Combine(_rootPath, UploadId);
+        foreach (var path in Directory.EnumerateFiles(directory))
+        {
+            File.SetLastWriteTimeUtc(path, timeUtc);
+        }
+        Directory.SetCreationTimeUtc(directory, timeUtc);
+        Directory.SetLastWriteTimeUtc(directory, timeUtc);
+    }
+
+    private static ReportUploadSession CreateSession(DateTimeOffset createdAt) => new(
+        UploadId, 42, 7, "acme", "api", "report.txt", "text/plain", 6,
+        "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08", 2, [], createdAt);
+}
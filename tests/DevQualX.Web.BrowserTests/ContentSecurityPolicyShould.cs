@@ -0,0 +1,92 @@
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc.Testing;
+using Microsoft.Playwright;
+
+namespace DevQualX.Web.BrowserTests;
+
+/// <summary>
+/// Browser tests for the Content-Security-Policy.
+/// These tests serve the app over Kestrel and load its pages in headless Chromium,
+/// failing on any CSP violation the browser reports.
+/// Requires the Playwright browsers: pwsh bin/Debug/net10.0/playwright.ps1 install chromium
+/// The header itself is covered by DevQualX.Web.Tests, which runs without a browser.
+/// </summary>
+public class ContentSecurityPolicyShould : IAsyncDisposable
+{
+    // Runs before any page script and records every violation the page reports
+    private const string RecordViolationsScript = """
+        window.__cspViolations = [];
+        document.addEventListener('securitypolicyviolation', (e) => {
+            window.__cspViolations.push(`${e.violatedDirective} blocked ${e.blockedURI || 'inline'} (${e.sourceFile}:${e.lineNumber})`);
+        });
+        """;
+
+    private readonly WebApplicationFactory<Program> _factory;
+    private readonly Uri _baseAddress;
+    private IPlaywright? _playwright;
+    private IBrowser? _browser;
+
+    public ContentSecurityPolicyShould()
+    {
+        _factory = new WebApplicationFactory<Program>().WithWebHostBuilder(builder =>
+        {
+            // Placeholder connections: the pages under test never reach Azure
+            builder.UseSetting("ConnectionStrings:blobs", "UseDevelopmentStorage=true");
+            builder.UseSetting("ConnectionStrings:messaging", "Endpoint=sb://localhost/;SharedAccessKeyName=test;SharedAccessKey=dGVzdA==");
+        });
+        _factory.UseKestrel(0);
+        _factory.StartServer();
+
+        using var client = _factory.CreateClient();
+        _baseAddress = client.BaseAddress!;
+    }
+
+    [Test]
+    [Arguments("/")]
+    [Arguments("/weather")]
+    [Arguments("/dev/components")]
+    [Arguments("/auth/signin")]
+    [Arguments("/not-found")]
+    public async Task Load_page_without_violations(string path)
+    {
+        // Arrange
+        var browser = await GetBrowserAsync();
+        var page = await browser.NewPageAsync();
+        var violations = new List<string>();
+        page.Console += (_, message) =>
+        {
+            if (message.Text.Contains("Content Security Policy"))
+            {
+                violations.Add(message.Text);
+            }
+        };
+        await page.AddInitScriptAsync(RecordViolationsScript);
+
+        // Act
+        await page.GotoAsync(new Uri(_baseAddress, path).ToString(), new PageGotoOptions
+        {
+            WaitUntil = WaitUntilState.NetworkIdle
+        });
+        violations.AddRange(await page.EvaluateAsync<string[]>("() => window.__cspViolations"));
+
+        // Assert
+        await Assert.That(violations).IsEmpty();
+    }
+
+    private async Task<IBrowser> GetBrowserAsync()
+    {
+        _playwright ??= await Playwright.CreateAsync();
+        _browser ??= await _playwright.Chromium.LaunchAsync(new BrowserTypeLaunchOptions { Headless = true });
+        return _browser;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_browser is not null)
+        {
+            await _browser.DisposeAsync();
+        }
+        _playwright?.Dispose();
+        await _factory.DisposeAsync();
+    }
+}
@@ -0,0 +1,2 @@
+global using TUnit.Core;
+global using TUnit.Assertions;
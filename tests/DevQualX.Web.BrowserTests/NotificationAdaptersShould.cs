@@ -0,0 +1,250 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc.Testing;
+using Microsoft.Playwright;
+
+namespace DevQualX.Web.BrowserTests;
+
+/// <summary>
+/// Tests for notifications.js' transport adapters (polling, SSE and WebSocket) against a fake
+/// notification server: Playwright answers the adapters' requests in place of NotificationEndpoints.
+/// </summary>
+public class NotificationAdaptersShould : IAsyncDisposable
+{
+    // One unread notification, in the shape NotificationEndpoints returns
+    private const string FeedPage = """
+        { "notifications": [{ "id": 1, "title": "Report processed", "message": "acme/api/coverage.xml has been processed.", "level": "success", "timestamp": "2026-10-19T09:00:00+00:00", "read": false, "href": null }], "cursor": 1 }
+        """;
+
+    private const string EmptyFeedPage = """{ "notifications": [], "cursor": 1 }""";
+
+    private static readonly TimeSpan ServerTimeout = TimeSpan.FromSeconds(10);
+
+    private readonly WebApplicationFactory<Program> _factory;
+    private readonly Uri _baseAddress;
+    private IPlaywright? _playwright;
+    private IBrowser? _browser;
+
+    public NotificationAdaptersShould()
+    {
+        _factory = new WebApplicationFactory<Program>().WithWebHostBuilder(builder =>
+        {
+            // Placeholder connections: the page under test never reaches Azure
+            builder.UseSetting("ConnectionStrings:blobs", "UseDevelopmentStorage=true");
+            builder.UseSetting("ConnectionStrings:messaging", "Endpoint=sb://localhost/;SharedAccessKeyName=test;SharedAccessKey=dGVzdA==");
+        });
+        _factory.UseKestrel(0);
+        _factory.StartServer();
+
+        using var client = _factory.CreateClient();
+        _baseAddress = client.BaseAddress!;
+    }
+
+    [Test]
+    public async Task Poll_from_the_server_cursor_and_post_acknowledgements()
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+        var polls = new ConcurrentQueue<string>();
+        var polledTwice = new TaskCompletionSource();
+        var acknowledged = new TaskCompletionSource<string>();
+        await page.RouteAsync("**/fake/notifications**", async route =>
+        {
+            if (route.Request.Method == "POST")
+            {
+                acknowledged.TrySetResult(route.Request.PostData ?? "");
+                await route.FulfillAsync(new RouteFulfillOptions { Status = 204 });
+                return;
+            }
+
+            polls.Enqueue(route.Request.Url);
+            if (polls.Count >= 2)
+            {
+                polledTwice.TrySetResult();
+            }
+            await route.FulfillAsync(new RouteFulfillOptions
+            {
+                Status = 200,
+                ContentType = "application/json",
+                Body = polls.Count == 1 ? FeedPage : EmptyFeedPage
+            });
+        });
+
+        // Act
+        await page.EvaluateAsync("""
+            () => {
+                const notifications = window.DevQualX.notifications;
+                notifications.connect(notifications.adapters.polling('/fake/notifications', { intervalMs: 100, ackUrl: '/fake/notifications/ack' }));
+            }
+            """);
+        await page.WaitForFunctionAsync("() => window.DevQualX.notifications.getById('server-1')");
+        await page.EvaluateAsync("() => window.DevQualX.notifications.markAsRead('server-1')");
+        var acknowledgement = await acknowledged.Task.WaitAsync(ServerTimeout);
+        await polledTwice.Task.WaitAsync(ServerTimeout);
+        await page.EvaluateAsync("() => window.DevQualX.notifications.disconnect()");
+
+        // Assert
+        await Assert.That(polls.First()).DoesNotContain("since=");
+        await Assert.That(polls.Skip(1).All(url => url.EndsWith("since=1"))).IsTrue();
+        await Assert.That(ReadIds(acknowledgement)).IsEqualTo("1");
+    }
+
+    [Test]
+    public async Task Poll_feed_the_page_renders()
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+        await page.RouteAsync("**/api/notifications/7**", route => route.FulfillAsync(new RouteFulfillOptions
+        {
+            Status = 200,
+            ContentType = "application/json",
+            Body = FeedPage
+        }));
+
+        // Act: what App.razor renders for a signed-in user with organization 7 selected
+        await page.EvaluateAsync("""
+            () => {
+                const meta = document.createElement('meta');
+                meta.name = 'devqualx-notifications-feed';
+                meta.content = '/api/notifications/7';
+                document.head.append(meta);
+                return window.DevQualX.notifications.init();
+            }
+            """);
+        await page.WaitForFunctionAsync("() => window.DevQualX.notifications.getById('server-1')");
+        var title = await page.EvaluateAsync<string>("() => window.DevQualX.notifications.getById('server-1').title");
+
+        // Assert
+        await Assert.That(title).IsEqualTo("Report processed");
+    }
+
+    [Test]
+    public async Task Send_acknowledgements_queued_without_a_transport_once_one_connects()
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+        var acknowledged = new TaskCompletionSource<string>();
+        await page.RouteAsync("**/fake/notifications**", async route =>
+        {
+            if (route.Request.Method == "POST")
+            {
+                acknowledged.TrySetResult(route.Request.PostData ?? "");
+                await route.FulfillAsync(new RouteFulfillOptions { Status = 204 });
+                return;
+            }
+
+            await route.FulfillAsync(new RouteFulfillOptions { Status = 200, ContentType = "application/json", Body = EmptyFeedPage });
+        });
+        await page.EvaluateAsync("""
+            () => {
+                const notifications = window.DevQualX.notifications;
+                notifications.ingest({ id: 9, title: 'Report processed', level: 'success' });
+                notifications.markAsRead('server-9');
+            }
+            """);
+        var queued = await page.EvaluateAsync<int>(
+            "() => window.DevQualX.connectivity.getQueue().filter(action => action.type === 'notifications.acknowledge').length");
+
+        // Act
+        await page.EvaluateAsync("""
+            () => {
+                const notifications = window.DevQualX.notifications;
+                notifications.connect(notifications.adapters.polling('/fake/notifications', { ackUrl: '/fake/notifications/ack' }));
+            }
+            """);
+        var acknowledgement = await acknowledged.Task.WaitAsync(ServerTimeout);
+        await page.WaitForFunctionAsync("() => window.DevQualX.connectivity.getQueue().length === 0");
+        await page.EvaluateAsync("() => window.DevQualX.notifications.disconnect()");
+
+        // Assert
+        await Assert.That(queued).IsEqualTo(1);
+        await Assert.That(ReadIds(acknowledgement)).IsEqualTo("9");
+    }
+
+    [Test]
+    public async Task Receive_server_sent_events()
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+        var notification = JsonDocument.Parse(FeedPage).RootElement.GetProperty("notifications")[0].GetRawText();
+        await page.RouteAsync("**/fake/stream", route => route.FulfillAsync(new RouteFulfillOptions
+        {
+            Status = 200,
+            ContentType = "text/event-stream",
+            Body = $"data: {notification}\n\n"
+        }));
+
+        // Act
+        await page.EvaluateAsync("""
+            () => {
+                const notifications = window.DevQualX.notifications;
+                notifications.connect(notifications.adapters.eventSource('/fake/stream'));
+            }
+            """);
+        await page.WaitForFunctionAsync("() => window.DevQualX.notifications.getById('server-1')");
+        var level = await page.EvaluateAsync<string>("() => window.DevQualX.notifications.getById('server-1').level");
+        await page.EvaluateAsync("() => window.DevQualX.notifications.disconnect()");
+
+        // Assert
+        await Assert.That(level).IsEqualTo("success");
+    }
+
+    [Test]
+    public async Task Receive_over_websocket_and_acknowledge_over_the_socket()
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+        var acknowledged = new TaskCompletionSource<string>();
+        await page.RouteWebSocketAsync("**/fake/socket", socket =>
+        {
+            socket.OnMessage(frame => acknowledged.TrySetResult(frame.Text));
+            socket.Send(FeedPage);
+        });
+
+        // Act
+        await page.EvaluateAsync("""
+            () => {
+                const notifications = window.DevQualX.notifications;
+                notifications.connect(notifications.adapters.webSocket(`ws://${location.host}/fake/socket`));
+            }
+            """);
+        await page.WaitForFunctionAsync("() => window.DevQualX.notifications.getById('server-1')");
+        await page.EvaluateAsync("() => window.DevQualX.notifications.markAsRead('server-1')");
+        var message = await acknowledged.Task.WaitAsync(ServerTimeout);
+        using var body = JsonDocument.Parse(message);
+
+        // Assert
+        await Assert.That(body.RootElement.GetProperty("type").GetString()).IsEqualTo("ack");
+        await Assert.That(ReadIds(message)).IsEqualTo("1");
+    }
+
+    private async Task<IPage> OpenPageAsync()
+    {
+        _playwright ??= await Playwright.CreateAsync();
+        _browser ??= await _playwright.Chromium.LaunchAsync(new BrowserTypeLaunchOptions { Headless = true });
+
+        var page = await _browser.NewPageAsync();
+        await page.GotoAsync(new Uri(_baseAddress, "/auth/signin").ToString());
+        await page.WaitForFunctionAsync("() => window.DevQualX?.notifications?.ready && window.DevQualX?.connectivity");
+        await page.EvaluateAsync("() => window.DevQualX.notifications.ready()");
+        return page;
+    }
+
+    // The acknowledged IDs from an { ids } body, comma-separated
+    private static string ReadIds(string body)
+    {
+        using var document = JsonDocument.Parse(body);
+        return string.Join(",", document.RootElement.GetProperty("ids").EnumerateArray().Select(id => id.ToString()));
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_browser is not null)
+        {
+            await _browser.DisposeAsync();
+        }
+        _playwright?.Dispose();
+        await _factory.DisposeAsync();
+    }
+}
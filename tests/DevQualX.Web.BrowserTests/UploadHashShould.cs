@@ -0,0 +1,127 @@
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc.Testing;
+using Microsoft.Playwright;
+
+namespace DevQualX.Web.BrowserTests;
+
+/// <summary>
+/// Known-answer tests for uploads.js' incremental SHA-256 (hashFile), run in headless Chromium.
+/// The hash is the upload's dedupe key and the checksum the server verifies, so a broken hash
+/// fails every upload with CHECKSUM_MISMATCH.
+/// </summary>
+public class UploadHashShould : IAsyncDisposable
+{
+    // Fills a Blob of the given size with random bytes and hashes it with hashFile and crypto.subtle
+    private const string CompareWithSubtleCryptoScript = """
+        async (size) => {
+            const bytes = new Uint8Array(size);
+            for (let offset = 0; offset < size; offset += 65536) {
+                crypto.getRandomValues(bytes.subarray(offset, Math.min(size, offset + 65536)));
+            }
+            const digest = await crypto.subtle.digest('SHA-256', bytes);
+            const expected = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+            const actual = await window.DevQualX.uploads.hashFile(new Blob([bytes]));
+            return [expected, actual];
+        }
+        """;
+
+    private readonly WebApplicationFactory<Program> _factory;
+    private readonly Uri _baseAddress;
+    private IPlaywright? _playwright;
+    private IBrowser? _browser;
+
+    public UploadHashShould()
+    {
+        _factory = new WebApplicationFactory<Program>().WithWebHostBuilder(builder =>
+        {
+            // Placeholder connections: the page under test never reaches Azure
+            builder.UseSetting("ConnectionStrings:blobs", "UseDevelopmentStorage=true");
+            builder.UseSetting("ConnectionStrings:messaging", "Endpoint=sb://localhost/;SharedAccessKeyName=test;SharedAccessKey=dGVzdA==");
+        });
+        _factory.UseKestrel(0);
+        _factory.StartServer();
+
+        using var client = _factory.CreateClient();
+        _baseAddress = client.BaseAddress!;
+    }
+
+    // FIPS 180-4 example messages
+    [Test]
+    [Arguments("", "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855")]
+    [Arguments("abc", "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad")]
+    [Arguments("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq", "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1")]
+    public async Task Hash_known_message(string message, string expected)
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+
+        // Act
+        var actual = await page.EvaluateAsync<string>(
+            "message => window.DevQualX.uploads.hashFile(new Blob([message]))", message);
+
+        // Assert
+        await Assert.That(actual).IsEqualTo(expected);
+    }
+
+    [Test]
+    public async Task Hash_million_repetitions_of_a()
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+
+        // Act
+        var actual = await page.EvaluateAsync<string>(
+            "() => window.DevQualX.uploads.hashFile(new Blob(['a'.repeat(1000000)]))");
+
+        // Assert
+        await Assert.That(actual).IsEqualTo("cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0");
+    }
+
+    // Either side of a block, of the padding's length field and of the 4MB slices hashFile reads
+    [Test]
+    [Arguments(1)]
+    [Arguments(55)]
+    [Arguments(56)]
+    [Arguments(63)]
+    [Arguments(64)]
+    [Arguments(65)]
+    [Arguments(119)]
+    [Arguments(120)]
+    [Arguments(128)]
+    [Arguments(4 * 1024 * 1024 - 1)]
+    [Arguments(4 * 1024 * 1024)]
+    [Arguments(4 * 1024 * 1024 + 1)]
+    [Arguments(9 * 1024 * 1024 + 37)]
+    public async Task Match_subtle_crypto_across_boundaries(int size)
+    {
+        // Arrange
+        var page = await OpenPageAsync();
+
+        // Act
+        var hashes = await page.EvaluateAsync<string[]>(CompareWithSubtleCryptoScript, size);
+
+        // Assert
+        await Assert.That(hashes[1]).IsEqualTo(hashes[0]);
+    }
+
+    private async Task<IPage> OpenPageAsync()
+    {
+        _playwright ??= await Playwright.CreateAsync();
+        _browser ??= await _playwright.Chromium.LaunchAsync(new BrowserTypeLaunchOptions { Headless = true });
+
+        var page = await _browser.NewPageAsync();
+        await page.GotoAsync(new Uri(_baseAddress, "/auth/signin").ToString());
+        await page.WaitForFunctionAsync("() => window.DevQualX?.uploads?.hashFile");
+        return page;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_browser is not null)
+        {
+            await _browser.DisposeAsync();
+        }
+        _playwright?.Dispose();
+        await _factory.DisposeAsync();
+    }
+}
@@ -0,0 +1,60 @@
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc.Testing;
+
+namespace DevQualX.Web.Tests;
+
+/// <summary>
+/// Tests for the Content-Security-Policy header.
+/// Pages are checked for violations in headless Chromium by DevQualX.Web.BrowserTests.
+/// </summary>
+public class ContentSecurityPolicyShould : IAsyncDisposable
+{
+    private readonly WebApplicationFactory<Program> _factory;
+
+    public ContentSecurityPolicyShould()
+    {
+        _factory = new WebApplicationFactory<Program>().WithWebHostBuilder(builder =>
+        {
+            // Placeholder connections: the pages under test never reach Azure
+            builder.UseSetting("ConnectionStrings:blobs", "UseDevelopmentStorage=true");
+            builder.UseSetting("ConnectionStrings:messaging", "Endpoint=sb://localhost/;SharedAccessKeyName=test;SharedAccessKey=dGVzdA==");
+        });
+    }
+
+    [Test]
+    public async Task Send_a_nonce_based_policy_without_unsafe_eval()
+    {
+        // Arrange
+        using var client = _factory.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/auth/signin");
+        var policy = string.Join("; ", response.Headers.GetValues("Content-Security-Policy"));
+
+        // Assert
+        await Assert.That(policy).Contains("script-src 'self' 'nonce-");
+        await Assert.That(policy).DoesNotContain("unsafe-eval");
+        await Assert.That(policy).DoesNotContain("script-src 'self' 'unsafe-inline'");
+    }
+
+    [Test]
+    public async Task Use_a_new_nonce_for_every_response()
+    {
+        // Arrange
+        using var client = _factory.CreateClient();
+
+        // Act
+        var first = await client.GetAsync("/auth/signin");
+        var second = await client.GetAsync("/auth/signin");
+
+        // Assert
+        var firstPolicy = first.Headers.GetValues("Content-Security-Policy").Single();
+        var secondPolicy = second.Headers.GetValues("Content-Security-Policy").Single();
+        await Assert.That(firstPolicy).IsNotEqualTo(secondPolicy);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        await _factory.DisposeAsync();
+    }
+}
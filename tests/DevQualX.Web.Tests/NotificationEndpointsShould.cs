@@ -0,0 +1,187 @@
+using System.Net;
+using System.Net.Http.Json;
+using System.Text.Json;
+using DevQualX.Application.Installation;
+using DevQualX.Application.Notifications;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc.Testing;
+using Microsoft.AspNetCore.TestHost;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace DevQualX.Web.Tests;
+
+/// <summary>
+/// Tests for the notification feed notifications.js polls, GET /api/notifications/{installationId}
+/// and POST /api/notifications/{installationId}/ack, with the organization selected through
+/// POST /api/organizations/{installationId}/select.
+/// </summary>
+public class NotificationEndpointsShould : IAsyncDisposable
+{
+    private readonly IGetUserInstallations _fakeGetUserInstallations = A.Fake<IGetUserInstallations>();
+    private readonly IGetUserNotifications _fakeGetUserNotifications = A.Fake<IGetUserNotifications>();
+    private readonly IAcknowledgeUserNotifications _fakeAcknowledgeUserNotifications = A.Fake<IAcknowledgeUserNotifications>();
+    private readonly WebApplicationFactory<Program> _factory;
+
+    public NotificationEndpointsShould()
+    {
+        _factory = new WebApplicationFactory<Program>().WithWebHostBuilder(builder =>
+        {
+            // Placeholder connections: the endpoints under test never reach Azure
+            builder.UseSetting("ConnectionStrings:blobs", "UseDevelopmentStorage=true");
+            builder.UseSetting("ConnectionStrings:messaging", "Endpoint=sb://localhost/;SharedAccessKeyName=test;SharedAccessKey=dGVzdA==");
+            builder.ConfigureTestServices(services =>
+            {
+                services.AddAuthentication(TestAuthenticationHandler.SchemeName)
+                    .AddScheme<AuthenticationSchemeOptions, TestAuthenticationHandler>(TestAuthenticationHandler.SchemeName, _ => { });
+                services.AddScoped(_ => _fakeGetUserInstallations);
+                services.AddScoped(_ => _fakeGetUserNotifications);
+                services.AddScoped(_ => _fakeAcknowledgeUserNotifications);
+            });
+        });
+
+        A.CallTo(() => _fakeGetUserInstallations.ExecuteAsync("token", A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<GitHubInstallation>, Error>([CreateInstallation(7), CreateInstallation(8)]));
+    }
+
+    [Test]
+    public async Task Return_notifications_after_cursor_with_last_id_as_next_cursor()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserNotifications.ExecuteAsync(42, 7, 3, A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<UserNotification>, Error>([
+                CreateNotification(4, readAt: DateTimeOffset.UtcNow),
+                CreateNotification(5, readAt: null)
+            ]));
+        using var client = await CreateClientAsync(selectedInstallationId: 7);
+
+        // Act
+        var response = await client.GetAsync("/api/notifications/7?since=3");
+        using var body = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.OK);
+        var notifications = body.RootElement.GetProperty("notifications").EnumerateArray().ToList();
+        await Assert.That(string.Join(",", notifications.Select(n => n.GetProperty("id").GetInt64()))).IsEqualTo("4,5");
+        await Assert.That(notifications[0].GetProperty("read").GetBoolean()).IsTrue();
+        await Assert.That(notifications[1].GetProperty("read").GetBoolean()).IsFalse();
+        await Assert.That(notifications[1].GetProperty("level").GetString()).IsEqualTo("success");
+        await Assert.That(body.RootElement.GetProperty("cursor").GetInt64()).IsEqualTo(5);
+    }
+
+    [Test]
+    public async Task Keep_cursor_when_nothing_new_arrived()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserNotifications.ExecuteAsync(42, 7, 5, A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<UserNotification>, Error>([]));
+        using var client = await CreateClientAsync(selectedInstallationId: 7);
+
+        // Act
+        var response = await client.GetAsync("/api/notifications/7?since=5");
+        using var body = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.OK);
+        await Assert.That(body.RootElement.GetProperty("notifications").GetArrayLength()).IsEqualTo(0);
+        await Assert.That(body.RootElement.GetProperty("cursor").GetInt64()).IsEqualTo(5);
+    }
+
+    [Test]
+    public async Task Start_from_the_beginning_without_cursor()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserNotifications.ExecuteAsync(42, 7, 0, A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<UserNotification>, Error>([CreateNotification(1, readAt: null)]));
+        using var client = await CreateClientAsync(selectedInstallationId: 7);
+
+        // Act
+        var response = await client.GetAsync("/api/notifications/7");
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.OK);
+        A.CallTo(() => _fakeGetUserNotifications.ExecuteAsync(42, 7, 0, A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+    }
+
+    [Test]
+    public async Task Forbid_feed_of_organization_that_is_not_selected()
+    {
+        // Arrange
+        using var client = await CreateClientAsync(selectedInstallationId: 7);
+
+        // Act
+        var response = await client.GetAsync("/api/notifications/8");
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.Forbidden);
+        A.CallTo(() => _fakeGetUserNotifications.ExecuteAsync(A<long>._, A<long>._, A<long>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Acknowledge_ids_sent_as_strings()
+    {
+        // Arrange
+        A.CallTo(() => _fakeAcknowledgeUserNotifications.ExecuteAsync(A<long>._, A<IReadOnlyCollection<long>>._, A<CancellationToken>._))
+            .Returns(new Success<Unit, Error>(Unit.Default));
+        using var client = await CreateClientAsync(selectedInstallationId: 7);
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/notifications/7/ack", new { ids = new[] { "4", "5" } });
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.NoContent);
+        A.CallTo(() => _fakeAcknowledgeUserNotifications.ExecuteAsync(
+                42,
+                A<IReadOnlyCollection<long>>.That.Matches(ids => ids.SequenceEqual(new long[] { 4, 5 })),
+                A<CancellationToken>._))
+            .MustHaveHappenedOnceExactly();
+    }
+
+    [Test]
+    public async Task Map_acknowledgement_failure_to_problem()
+    {
+        // Arrange
+        A.CallTo(() => _fakeAcknowledgeUserNotifications.ExecuteAsync(A<long>._, A<IReadOnlyCollection<long>>._, A<CancellationToken>._))
+            .Returns(new Failure<Unit, Error>(new InternalError
+            {
+                Message = "Database error",
+                Code = "DB_ERROR"
+            }));
+        using var client = await CreateClientAsync(selectedInstallationId: 7);
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/notifications/7/ack", new { ids = new[] { 4 } });
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.InternalServerError);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        await _factory.DisposeAsync();
+    }
+
+    /// <summary>
+    /// A signed-in client whose session has the installation selected, as the org switcher leaves it.
+    /// </summary>
+    private async Task<HttpClient> CreateClientAsync(long selectedInstallationId)
+    {
+        var client = _factory.CreateClient(new WebApplicationFactoryClientOptions { AllowAutoRedirect = false });
+        client.DefaultRequestHeaders.Add(TestAuthenticationHandler.AccessTokenHeader, "token");
+
+        var response = await client.PostAsync($"/api/organizations/{selectedInstallationId}/select", content: null);
+        response.EnsureSuccessStatusCode();
+        return client;
+    }
+
+    private static GitHubInstallation CreateInstallation(long id) =>
+        new(id, new GitHubAccount(id, $"org-{id}", "Organization", $"https://avatars.example/org-{id}"),
+            DateTimeOffset.UtcNow, DateTimeOffset.UtcNow, null, null);
+
+    private static UserNotification CreateNotification(long id, DateTimeOffset? readAt) =>
+        new(id, 42, 7, $"Notification {id}", "Report processed", "success", null, DateTimeOffset.UtcNow, readAt);
+}
@@ -0,0 +1,168 @@
+using System.Net;
+using System.Text.Json;
+using DevQualX.Application.Installation;
+using DevQualX.Domain.Models;
+using DevQualX.Functional;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc.Testing;
+using Microsoft.AspNetCore.TestHost;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace DevQualX.Web.Tests;
+
+/// <summary>
+/// Tests for GET /api/organizations and POST /api/organizations/{installationId}/select,
+/// signed in through a test scheme with GitHub faked out.
+/// </summary>
+public class OrganizationEndpointsShould : IAsyncDisposable
+{
+    private readonly IGetUserInstallations _fakeGetUserInstallations = A.Fake<IGetUserInstallations>();
+    private readonly WebApplicationFactory<Program> _factory;
+
+    public OrganizationEndpointsShould()
+    {
+        _factory = new WebApplicationFactory<Program>().WithWebHostBuilder(builder =>
+        {
+            // Placeholder connections: the endpoints under test never reach Azure
+            builder.UseSetting("ConnectionStrings:blobs", "UseDevelopmentStorage=true");
+            builder.UseSetting("ConnectionStrings:messaging", "Endpoint=sb://localhost/;SharedAccessKeyName=test;SharedAccessKey=dGVzdA==");
+            builder.ConfigureTestServices(services =>
+            {
+                services.AddAuthentication(TestAuthenticationHandler.SchemeName)
+                    .AddScheme<AuthenticationSchemeOptions, TestAuthenticationHandler>(TestAuthenticationHandler.SchemeName, _ => { });
+                services.AddScoped(_ => _fakeGetUserInstallations);
+            });
+        });
+    }
+
+    [Test]
+    public async Task List_installations_the_user_can_access()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserInstallations.ExecuteAsync("token", A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<GitHubInstallation>, Error>([CreateInstallation(1, "acme"), CreateInstallation(2, "globex")]));
+        using var client = CreateClient("token");
+
+        // Act
+        var response = await client.GetAsync("/api/organizations");
+        using var body = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.OK);
+        var logins = body.RootElement.EnumerateArray().Select(o => o.GetProperty("login").GetString()).ToList();
+        await Assert.That(string.Join(",", logins)).IsEqualTo("acme,globex");
+        await Assert.That(body.RootElement.EnumerateArray().Any(o => o.GetProperty("selected").GetBoolean())).IsFalse();
+    }
+
+    [Test]
+    public async Task Reject_user_without_access_token()
+    {
+        // Arrange
+        using var client = CreateClient(accessToken: null);
+
+        // Act
+        var response = await client.GetAsync("/api/organizations");
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.Unauthorized);
+        A.CallTo(() => _fakeGetUserInstallations.ExecuteAsync(A<string>._, A<CancellationToken>._))
+            .MustNotHaveHappened();
+    }
+
+    [Test]
+    public async Task Map_github_failure_to_bad_gateway()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserInstallations.ExecuteAsync("token", A<CancellationToken>._))
+            .Returns(new Failure<IReadOnlyList<GitHubInstallation>, Error>(new ExternalServiceError
+            {
+                Message = "GitHub is unavailable",
+                ServiceName = "GitHub"
+            }));
+        using var client = CreateClient("token");
+
+        // Act
+        var response = await client.GetAsync("/api/organizations");
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.BadGateway);
+    }
+
+    [Test]
+    public async Task Map_internal_failure_to_internal_server_error()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserInstallations.ExecuteAsync("token", A<CancellationToken>._))
+            .Returns(new Failure<IReadOnlyList<GitHubInstallation>, Error>(new InternalError
+            {
+                Message = "Something went wrong",
+                Code = "UNEXPECTED"
+            }));
+        using var client = CreateClient("token");
+
+        // Act
+        var response = await client.GetAsync("/api/organizations");
+        using var body = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.InternalServerError);
+        await Assert.That(body.RootElement.GetProperty("code").GetString()).IsEqualTo("UNEXPECTED");
+    }
+
+    [Test]
+    public async Task Select_accessible_installation()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserInstallations.ExecuteAsync("token", A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<GitHubInstallation>, Error>([CreateInstallation(1, "acme"), CreateInstallation(2, "globex")]));
+        using var client = CreateClient("token");
+
+        // Act
+        var response = await client.PostAsync("/api/organizations/2/select", content: null);
+        var list = await client.GetAsync("/api/organizations");
+        using var body = JsonDocument.Parse(await list.Content.ReadAsStringAsync());
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.OK);
+        var selected = body.RootElement.EnumerateArray()
+            .Where(o => o.GetProperty("selected").GetBoolean())
+            .Select(o => o.GetProperty("installationId").GetInt64())
+            .ToList();
+        await Assert.That(string.Join(",", selected)).IsEqualTo("2");
+    }
+
+    [Test]
+    public async Task Forbid_selecting_installation_the_user_cannot_access()
+    {
+        // Arrange
+        A.CallTo(() => _fakeGetUserInstallations.ExecuteAsync("token", A<CancellationToken>._))
+            .Returns(new Success<IReadOnlyList<GitHubInstallation>, Error>([CreateInstallation(1, "acme")]));
+        using var client = CreateClient("token");
+
+        // Act
+        var response = await client.PostAsync("/api/organizations/99/select", content: null);
+
+        // Assert
+        await Assert.That(response.StatusCode).IsEqualTo(HttpStatusCode.Forbidden);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        await _factory.DisposeAsync();
+    }
+
+    private HttpClient CreateClient(string? accessToken)
+    {
+        var client = _factory.CreateClient(new WebApplicationFactoryClientOptions { AllowAutoRedirect = false });
+        if (accessToken is not null)
+        {
+            client.DefaultRequestHeaders.Add(TestAuthenticationHandler.AccessTokenHeader, accessToken);
+        }
+        return client;
+    }
+
+    private static GitHubInstallation CreateInstallation(long id, string login) =>
+        new(id, new GitHubAccount(id, login, "Organization", $"https://avatars.example/{login}"),
+            DateTimeOffset.UtcNow, DateTimeOffset.UtcNow, null, null);
+}
@@ -0,0 +1,102 @@
+using DevQualX.Web.Services;
+using Microsoft.AspNetCore.Http;
+
+namespace DevQualX.Web.Tests;
+
+/// <summary>
+/// Tests for reading the sidebar cookie that sidebar.js writes for server rendering.
+/// </summary>
+public class SidebarStateServiceShould
+{
+    [Test]
+    public async Task Read_collapsed_state_and_width_from_cookie()
+    {
+        // Arrange
+        var service = CreateService("1:320");
+
+        // Act
+        var collapsed = service.IsCollapsed();
+        var width = service.GetWidth();
+
+        // Assert
+        await Assert.That(collapsed).IsTrue();
+        await Assert.That(width).IsEqualTo(320);
+    }
+
+    [Test]
+    public async Task Use_default_width_when_cookie_has_none()
+    {
+        // Arrange
+        var service = CreateService("0:");
+
+        // Act
+        var collapsed = service.IsCollapsed();
+        var width = service.GetWidth();
+
+        // Assert
+        await Assert.That(collapsed).IsFalse();
+        await Assert.That(width).IsNull();
+    }
+
+    [Test]
+    public async Task Read_collapsed_groups_from_cookie()
+    {
+        // Arrange
+        var service = CreateService("0::reports|settings");
+
+        // Act
+        var reportsCollapsed = service.IsGroupCollapsed("reports");
+        var settingsCollapsed = service.IsGroupCollapsed("settings");
+        var adminCollapsed = service.IsGroupCollapsed("admin");
+
+        // Assert
+        await Assert.That(reportsCollapsed).IsTrue();
+        await Assert.That(settingsCollapsed).IsTrue();
+        await Assert.That(adminCollapsed).IsFalse();
+    }
+
+    [Test]
+    public async Task Expand_groups_when_cookie_predates_them()
+    {
+        // Arrange
+        var service = CreateService("1:320");
+
+        // Act
+        var collapsed = service.IsGroupCollapsed("reports");
+        var width = service.GetWidth();
+
+        // Assert
+        await Assert.That(collapsed).IsFalse();
+        await Assert.That(width).IsEqualTo(320);
+    }
+
+    [Test]
+    [Arguments(null)]
+    [Arguments("1")]
+    [Arguments("1:999")]
+    [Arguments("1:320px;color:red")]
+    public async Task Ignore_missing_malformed_or_out_of_range_cookie(string? cookie)
+    {
+        // Arrange
+        var service = CreateService(cookie);
+
+        // Act
+        var width = service.GetWidth();
+
+        // Assert
+        await Assert.That(width).IsNull();
+    }
+
+    private static SidebarStateService CreateService(string? cookie)
+    {
+        var httpContext = new DefaultHttpContext();
+        if (cookie is not null)
+        {
+            httpContext.Request.Headers.Cookie = $"{SidebarStateService.CookieName}={cookie}";
+        }
+
+        var httpContextAccessor = A.Fake<IHttpContextAccessor>();
+        A.CallTo(() => httpContextAccessor.HttpContext).Returns(httpContext);
+        return new SidebarStateService(httpContextAccessor);
+    }
+}
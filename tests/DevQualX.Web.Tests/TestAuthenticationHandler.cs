@@ -0,0 +1,35 @@
+using System.Security.Claims;
+using System.Text.Encodings.Web;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace DevQualX.Web.Tests;
+
+/// <summary>
+/// Signs every request in as GitHub user 42, with the access token from the test header when there is one.
+/// </summary>
+internal sealed class TestAuthenticationHandler(
+    IOptionsMonitor<AuthenticationSchemeOptions> options,
+    ILoggerFactory logger,
+    UrlEncoder encoder) : AuthenticationHandler<AuthenticationSchemeOptions>(options, logger, encoder)
+{
+    public const string SchemeName = "Test";
+    public const string AccessTokenHeader = "X-Test-Access-Token";
+
+    protected override Task<AuthenticateResult> HandleAuthenticateAsync()
+    {
+        var claims = new List<Claim>
+        {
+            new("github_user_id", "42"),
+            new(ClaimTypes.Name, "octocat")
+        };
+        if (Request.Headers.TryGetValue(AccessTokenHeader, out var accessToken))
+        {
+            claims.Add(new Claim("access_token", accessToken.ToString()));
+        }
+
+        var principal = new ClaimsPrincipal(new ClaimsIdentity(claims, SchemeName));
+        return Task.FromResult(AuthenticateResult.Success(new AuthenticationTicket(principal, SchemeName)));
+    }
+}
@@ -0,0 +1,57 @@
+using DevQualX.Web.Services;
+using Microsoft.AspNetCore.Http;
+
+namespace DevQualX.Web.Tests;
+
+/// <summary>
+/// Tests for reading the theme cookie that theme.js writes for server rendering.
+/// </summary>
+public class ThemeHintServiceShould
+{
+    [Test]
+    public async Task Read_effective_theme_and_scheme_from_cookie()
+    {
+        // Arrange
+        var service = CreateService("system:high-contrast:light");
+
+        // Act
+        var theme = service.GetTheme();
+        var scheme = service.GetScheme();
+
+        // Assert
+        await Assert.That(theme).IsEqualTo("high-contrast");
+        await Assert.That(scheme).IsEqualTo("light");
+    }
+
+    [Test]
+    [Arguments(null)]
+    [Arguments("dark")]
+    [Arguments("dark:dark:sepia")]
+    [Arguments("dark:\"><script>:dark")]
+    public async Task Ignore_missing_or_malformed_cookie(string? cookie)
+    {
+        // Arrange
+        var service = CreateService(cookie);
+
+        // Act
+        var theme = service.GetTheme();
+        var scheme = service.GetScheme();
+
+        // Assert
+        await Assert.That(theme).IsNull();
+        await Assert.That(scheme).IsNull();
+    }
+
+    private static ThemeHintService CreateService(string? cookie)
+    {
+        var httpContext = new DefaultHttpContext();
+        if (cookie is not null)
+        {
+            httpContext.Request.Headers.Cookie = $"{ThemeHintService.CookieName}={cookie}";
+        }
+
+        var httpContextAccessor = A.Fake<IHttpContextAccessor>();
+        A.CallTo(() => httpContextAccessor.HttpContext).Returns(httpContext);
+        return new ThemeHintService(httpContextAccessor);
+    }
+}